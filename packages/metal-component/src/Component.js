@@ -6,11 +6,13 @@ import {
 	isBoolean,
 	isDefAndNotNull,
 	isElement,
+	isFunction,
 	isObject,
 	isServerSide,
 	isString,
 	object,
 } from 'metal';
+import {getLifecycleStart, notifyLifecycle} from './lifecycle/lifecycle';
 import {syncState} from './sync/sync';
 import {DomEventEmitterProxy, enterDocument, toElement} from 'metal-dom';
 import ComponentDataManager from './ComponentDataManager';
@@ -59,6 +61,12 @@ import {EventEmitter, EventHandler} from 'metal-events';
  *   willUpdate() {
  *   }
  *
+ *   getSnapshotBeforeUpdate() {
+ *   }
+ *
+ *   didUpdate() {
+ *   }
+ *
  *   willDetach() {
  *   }
  *
@@ -92,6 +100,7 @@ class Component extends EventEmitter {
 	 */
 	constructor(config, parentElement) {
 		super();
+		const start = getLifecycleStart();
 
 		/**
 		 * Instance of `DomEventEmitterProxy` which proxies events from the component's
@@ -170,6 +179,7 @@ class Component extends EventEmitter {
 
 		this.created();
 		this.componentCreated_ = true;
+		notifyLifecycle('created', this, start);
 		if (parentElement !== false) {
 			this.renderComponent(parentElement);
 		}
@@ -212,6 +222,7 @@ class Component extends EventEmitter {
 	 */
 	attach(parentElement, siblingElement) {
 		if (!this.inDocument) {
+			const start = getLifecycleStart();
 			this.emit('willAttach');
 			this.willAttach();
 			this.attachElement(parentElement, siblingElement);
@@ -222,6 +233,7 @@ class Component extends EventEmitter {
 			};
 			this.emit('attached', this.attachData_);
 			this.attached();
+			notifyLifecycle('attached', this, start);
 		}
 		return this;
 	}
@@ -282,6 +294,7 @@ class Component extends EventEmitter {
 	 */
 	detach() {
 		if (this.inDocument) {
+			const start = getLifecycleStart();
 			this.emit('willDetach');
 			this.willDetach();
 			if (this.element && this.element.parentNode) {
@@ -289,6 +302,7 @@ class Component extends EventEmitter {
 			}
 			this.inDocument = false;
 			this.detached();
+			notifyLifecycle('detached', this, start);
 		}
 		this.emit('detached');
 		return this;
@@ -303,6 +317,17 @@ class Component extends EventEmitter {
 	 */
 	detached() {}
 
+	/**
+	 * Lifecycle. Called after the component's renderer has updated it, once its
+	 * new content is in the DOM. Useful for things like measuring elements, or
+	 * restoring scroll positions.
+	 * @param {...*} prevValues The values the component's data had before the
+	 *     update. For JSX components these are the previous `state` and
+	 *     `props`, and for others just the previous state.
+	 * @param {*} snapshot The value returned by `getSnapshotBeforeUpdate`.
+	 */
+	didUpdate() {}
+
 	/**
 	 * Lifecycle. Called when the component is disposed. Should be overridden by
 	 * sub classes to dispose of any internal data or events.
@@ -313,6 +338,7 @@ class Component extends EventEmitter {
 	 * @inheritDoc
 	 */
 	disposeInternal() {
+		const start = getLifecycleStart();
 		this.detach();
 		this.disposed();
 		this.emit('disposed');
@@ -327,6 +353,7 @@ class Component extends EventEmitter {
 		this.renderer_ = null;
 
 		super.disposeInternal();
+		notifyLifecycle('disposed', this, start);
 	}
 
 	/**
@@ -393,6 +420,16 @@ class Component extends EventEmitter {
 		return portalElement;
 	}
 
+	/**
+	 * Lifecycle. Called right before the component's renderer updates its
+	 * content in the DOM, receiving the same values as `didUpdate` (except for
+	 * the snapshot). Anything returned here is passed to `didUpdate`, which
+	 * makes this a good place to read values that the update will change, like
+	 * scroll positions.
+	 * @param {...*} prevValues
+	 */
+	getSnapshotBeforeUpdate() {}
+
 	/**
 	 * Gets state data for this component.
 	 * @return {!Object}
@@ -417,6 +454,26 @@ class Component extends EventEmitter {
 		return this.renderer_;
 	}
 
+	/**
+	 * Gets how deep this component is in the tree of rendered components,
+	 * which is 0 for components that weren't rendered by others (or that were
+	 * disposed). Updates of components with smaller depths are handled first,
+	 * so that parents update before their children.
+	 * @return {number}
+	 */
+	getUpdateDepth() {
+		if (this.isDisposed()) {
+			return 0;
+		}
+		let depth = 0;
+		let parent = this.getRenderer().getParent(this);
+		while (parent && !parent.isDisposed()) {
+			depth++;
+			parent = parent.getRenderer().getParent(parent);
+		}
+		return depth;
+	}
+
 	/**
 	 * Handles a change in the component's element.
 	 * @param {Element} prevVal
@@ -482,12 +539,103 @@ class Component extends EventEmitter {
 		return this.syncUpdates_;
 	}
 
+	/**
+	 * Creates a component for the given constructor function and hydrates it
+	 * on top of an existing element, reusing the markup that was previously
+	 * rendered for it (by `Component.renderToString` for example) instead of
+	 * creating new elements. Any differences found between the existing markup
+	 * and the rendered content are reported through `hydrationMismatch` events
+	 * (which can be listened to via the `events` state key), or logged to the
+	 * console if there are no listeners. When the markup was rendered with the
+	 * `serializeState` option, the state of all components is restored from
+	 * it before they're rendered, so it matches the server's.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object|Element|string=} configOrElement Optional config data, or
+	 *     the element that should be hydrated.
+	 * @param {(Element|string)=} element The element that should be hydrated.
+	 *     Can be given as a selector or an element.
+	 * @return {!Component} The hydrated component's instance.
+	 */
+	static hydrate(Ctor, configOrElement, element) {
+		let config = configOrElement;
+		if (isElement(configOrElement) || isString(configOrElement)) {
+			config = null;
+			element = configOrElement;
+		}
+		element = toElement(element);
+		if (!element) {
+			throw new Error(
+				`Error. Trying to hydrate a component without an existing ` +
+					`element.`
+			);
+		}
+		const instance = new Ctor(config, false);
+		instance.element = element;
+		instance.hydrateComponent();
+		return instance;
+	}
+
+	/**
+	 * Renders the component on top of the markup that is already present in
+	 * its element (usually produced by `Component.renderToString` on the
+	 * server) via its `ComponentRenderer`, instead of recreating it. Once the
+	 * renderer is done, the regular render flow follows (`render` event, `sync`
+	 * methods and attachment).
+	 */
+	hydrateComponent() {
+		if (!this.hasRendererRendered_) {
+			if (!isServerSide() && window.__METAL_DEV_TOOLS_HOOK__) {
+				window.__METAL_DEV_TOOLS_HOOK__(this);
+			}
+			this.getRenderer().hydrate(this);
+		}
+		this.renderComponent();
+	}
+
+	/**
+	 * Informs the component that the renderer has just updated it. Calls the
+	 * component's `didUpdate` lifecycle method.
+	 * @param {...*} args The values the component's data had before the
+	 *     update, followed by the snapshot from `getSnapshotBeforeUpdate`.
+	 */
+	informDidUpdate(...args) {
+		this.didUpdate(...args);
+	}
+
+	/**
+	 * Informs the component that an error was thrown while rendering one of its
+	 * descendants. The renderer is the one responsible for calling this on the
+	 * closest error boundary (see `isErrorBoundary`). The state returned by the
+	 * static `getDerivedStateFromError` function is set first, so that the
+	 * component can rerender with fallback content, and then the `handleError`
+	 * lifecycle method is called.
+	 * @param {!Error} error
+	 * @param {!{component: !Component, componentChain: !Array<!Component>}} info
+	 *     The component that failed to render, and the chain of components
+	 *     going from it up to this one.
+	 */
+	informError(error, info) {
+		const Ctor = this.constructor;
+		if (isFunction(Ctor.getDerivedStateFromError)) {
+			const state = Ctor.getDerivedStateFromError(error, info);
+			if (state) {
+				this.setState(state);
+			}
+		}
+		if (isFunction(this.handleError)) {
+			this.handleError(error, info);
+		}
+	}
+
 	/**
 	 * Informs that the component that the rendered has finished rendering it. The
 	 * renderer is the one responsible for calling this when appropriate. This
 	 * will emit events and run the appropriate lifecycle for the first render.
+	 * @param {?number=} updateStart The value returned by `getLifecycleStart`
+	 *   when the update started, if known, so that lifecycle observers are
+	 *   informed of its duration.
 	 */
-	informRendered() {
+	informRendered(updateStart) {
 		const firstRender = !this.hasRendererRendered_;
 		this.hasRendererRendered_ = true;
 
@@ -498,6 +646,9 @@ class Component extends EventEmitter {
 
 		this.rendered(firstRender);
 		this.emit('rendered', firstRender);
+		if (!firstRender) {
+			notifyLifecycle('updated', this, updateStart);
+		}
 	}
 
 	/**
@@ -518,6 +669,22 @@ class Component extends EventEmitter {
 		return fn.prototype && fn.prototype[Component.COMPONENT_FLAG];
 	}
 
+	/**
+	 * Checks if this component is an error boundary, which means that errors
+	 * thrown while rendering its descendants will be handled by it instead of
+	 * breaking the whole render. Components become error boundaries by
+	 * defining a `handleError(error, info)` lifecycle method and/or a static
+	 * `getDerivedStateFromError(error, info)` function that returns the state
+	 * to be set after an error.
+	 * @return {boolean}
+	 */
+	isErrorBoundary() {
+		return (
+			isFunction(this.handleError) ||
+			isFunction(this.constructor.getDerivedStateFromError)
+		);
+	}
+
 	/**
 	 * Merges two values for the ELEMENT_CLASSES property into a single one.
 	 * @param {string} class1
@@ -564,47 +731,78 @@ class Component extends EventEmitter {
 	 * Creates and renders a component for the given constructor function as
 	 * string. This will always make sure that the constructor runs without
 	 * rendering the component, having the `render` step happen only after it
-	 * has finished.
+	 * has finished. The renderer serializes the content directly into html, so
+	 * no DOM implementation is required.
 	 * @param {!function()} Ctor The component's constructor function.
-	 * @param {Object|Element=} configOrElement Optional config data or
-	 *     parent for the component.
+	 * @param {Object|Element=} configOrElement Optional config data for the
+	 *     component. A parent element is still accepted for backwards
+	 *     compatibility, but it's ignored, since nothing is rendered to the DOM.
+	 * @param {Object=} options Optional rendering options. Set
+	 *     `serializeState` to true to render a JSON snapshot of the state of
+	 *     all components in an inline script right after their html, so that
+	 *     `Component.hydrate` can restore it on the client before rendering
+	 *     them, instead of computing it again.
 	 * @return {!String} The rendered component's content as string.
 	 */
-	static renderToString(Ctor, configOrElement) {
-		const rendererName = Ctor.RENDERER && Ctor.RENDERER.RENDERER_NAME;
-		switch (rendererName) {
-		case 'jsx':
-		case 'soy':
-		case 'incremental-dom': {
-			if (typeof IncrementalDOM === 'undefined') {
-				throw new Error(
-					`Error. Trying to render incremental dom ` +
-							`based component to string requires IncrementalDOM ` +
-							`implementation to be loaded.`
-				);
-			}
-			// Incremental dom patches for components or nested components are
-			// isolated inside the component element. The following code intercepts
-			// incremental dom patches and collect results into temporary stack in
-			// order to successfully collect the final string of the outermost
-			// component after all nested components stack rendered.
-			const interceptedComponentStrings = [];
-			const patch = IncrementalDOM.patch;
-			const patchInterceptor = function(...args) {
-				let currentElement = patch(...args);
-				interceptedComponentStrings.push(currentElement.innerHTML);
-				IncrementalDOM.patch = patch;
-			};
-			IncrementalDOM.patch = patchInterceptor;
-			Component.render(Ctor, configOrElement).dispose();
-			return interceptedComponentStrings[0];
+	static renderToString(Ctor, configOrElement, options) {
+		const renderer = Ctor.RENDERER;
+		if (!renderer || !isFunction(renderer.renderToString)) {
+			throw new Error(
+				`Error. Trying to render non incremental dom ` +
+					`based component to string.`
+			);
 		}
-		default:
+		const config = isElement(configOrElement) ? null : configOrElement;
+		return renderer.renderToString(Ctor, config, options);
+	}
+
+	/**
+	 * Creates and renders a component for the given constructor function as
+	 * string, waiting for the data needed by components that suspend while
+	 * rendering (by throwing promises) before serializing it. The component is
+	 * rendered again each time the promises it suspended on settle, until
+	 * nothing suspends anymore.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object=} config Optional config data for the component.
+	 * @param {Object=} options Optional rendering options (see
+	 *     `renderToString`).
+	 * @return {!Promise<string>} Resolves with the rendered component's
+	 *     content as string.
+	 */
+	static renderToStringAsync(Ctor, config, options) {
+		const renderer = Ctor.RENDERER;
+		if (!renderer || !isFunction(renderer.renderToStringAsync)) {
+			throw new Error(
+				`Error. Trying to render non incremental dom ` +
+					`based component to string.`
+			);
+		}
+		return renderer.renderToStringAsync(Ctor, config, options);
+	}
+
+	/**
+	 * Creates and renders a component for the given constructor function as
+	 * a stream of html chunks. The final html is the same returned by
+	 * `renderToString`.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object=} config Optional config data for the component.
+	 * @param {Object=} options Optional rendering options (see
+	 *     `renderToString`).
+	 * @return {!EventEmitter} Emits `data` events with each html chunk,
+	 *     followed by an `end` event (or `error` if rendering fails). Can be
+	 *     piped to a writable destination via its `pipe` function. In node.js
+	 *     this is a `stream.Readable`, which only hands out chunks as fast as
+	 *     the destination consumes them.
+	 */
+	static renderToStream(Ctor, config, options) {
+		const renderer = Ctor.RENDERER;
+		if (!renderer || !isFunction(renderer.renderToStream)) {
 			throw new Error(
 				`Error. Trying to render non incremental dom ` +
-						`based component to string.`
+					`based component to stream.`
 			);
 		}
+		return renderer.renderToStream(Ctor, config, options);
 	}
 
 	/**
@@ -616,6 +814,7 @@ class Component extends EventEmitter {
 	 *     be called manually later to actually attach it to the dom.
 	 */
 	renderComponent(parentElement) {
+		const start = getLifecycleStart();
 		if (!this.hasRendererRendered_) {
 			if (!isServerSide() && window.__METAL_DEV_TOOLS_HOOK__) {
 				window.__METAL_DEV_TOOLS_HOOK__(this);
@@ -626,6 +825,7 @@ class Component extends EventEmitter {
 		syncState(this);
 		this.attach(parentElement);
 		this.wasRendered = true;
+		notifyLifecycle('rendered', this, start);
 	}
 
 	/**
@@ -654,9 +854,12 @@ class Component extends EventEmitter {
 	 *   should be set to.
 	 * @param {function()=} callback An optional function that will be run
 	 *   after the next batched update is triggered.
+	 * @param {number=} priority An optional priority for the update, from
+	 *   `scheduler.Priority` (see `metal`). Defaults to `NORMAL`, which updates
+	 *   on the next tick.
 	 */
-	setState(state, callback) {
-		this.dataManager_.setState(this, state, callback);
+	setState(state, callback, priority) {
+		this.dataManager_.setState(this, state, callback, priority);
 	}
 
 	/**
@@ -883,6 +1086,15 @@ Component.DATA = {
 	},
 };
 
+/**
+ * Flag indicating if delegated DOM events triggered inside the component,
+ * when it's rendered into another container (see `portalElement`), should
+ * bubble through the component tree instead of the DOM tree. Set by the
+ * `Portal` component from "metal-incremental-dom".
+ * @type {boolean}
+ */
+Component.BUBBLE_PORTAL_EVENTS = false;
+
 /**
  * Name of the flag used to identify component constructors via their prototype.
  * @type {string}
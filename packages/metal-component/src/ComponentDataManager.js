@@ -1,6 +1,6 @@
 'use strict';
 
-import {isDef, object} from 'metal';
+import {isDef, isFunction, object} from 'metal';
 import State from 'metal-state';
 
 const BLACKLIST = {
@@ -30,11 +30,14 @@ class ComponentDataManager {
 			component,
 			component
 		); // eslint-disable-line
+		this.setUpBatchDepth_(component, state);
 		state.setKeysBlacklist(BLACKLIST);
 		state.configState(
 			object.mixin({}, data, State.getStateStatic(component.constructor))
 		);
-		this.getManagerData(component).state_ = state;
+		const managerData = this.getManagerData(component);
+		managerData.dataKeys_ = Object.keys(data);
+		managerData.state_ = state;
 	}
 
 	/**
@@ -68,6 +71,21 @@ class ComponentDataManager {
 		return component[DATA_MANAGER_DATA];
 	}
 
+	/**
+	 * Gets a JSON-safe snapshot of the component's state data, which can be
+	 * restored via `restoreSnapshot` (see `State.getSnapshot`). Data defined
+	 * by the framework itself, like `children` and `events`, is left out, since
+	 * it's always passed by whoever renders the component.
+	 * @param {!Component} component
+	 * @return {!Object}
+	 */
+	getSnapshot(component) {
+		const data = this.getManagerData(component);
+		const snapshot = data.state_.getSnapshot();
+		(data.dataKeys_ || []).forEach(key => delete snapshot[key]);
+		return snapshot;
+	}
+
 	/**
 	 * Gets the keys for state data that can be synced via `sync` functions.
 	 * @param {!Component} component
@@ -129,6 +147,16 @@ class ComponentDataManager {
 		}
 	}
 
+	/**
+	 * Restores the component's state data from a snapshot returned by
+	 * `getSnapshot`. Should be called before the component's first render.
+	 * @param {!Component} component
+	 * @param {!Object} snapshot
+	 */
+	restoreSnapshot(component, snapshot) {
+		this.getManagerData(component).state_.restoreSnapshot(snapshot);
+	}
+
 	/**
 	 * Sets the value of all the specified state keys.
 	 * @param {!Component} component
@@ -136,9 +164,15 @@ class ComponentDataManager {
 	 *   should be set to.
 	 * @param {function()=} callback An optional function that will be run
 	 *   after the next batched update is triggered.
+	 * @param {number=} priority An optional priority for the update, from
+	 *   `scheduler.Priority`.
 	 */
-	setState(component, state, callback) {
-		this.getManagerData(component).state_.setState(state, callback);
+	setState(component, state, callback, priority) {
+		this.getManagerData(component).state_.setState(
+			state,
+			callback,
+			priority
+		);
 	}
 
 	/**
@@ -150,6 +184,19 @@ class ComponentDataManager {
 		component[DATA_MANAGER_DATA] = {};
 		this.createState_(component, data);
 	}
+
+	/**
+	 * Makes the given `State` instance emit its batch events according to the
+	 * component's depth, so that parents are updated before their children.
+	 * @param {!Component} component
+	 * @param {!State} state
+	 * @protected
+	 */
+	setUpBatchDepth_(component, state) {
+		if (isFunction(component.getUpdateDepth)) {
+			state.setBatchDepthFn(component.getUpdateDepth.bind(component));
+		}
+	}
 }
 
 export default new ComponentDataManager();
@@ -1,6 +1,6 @@
 'use strict';
 
-import {getFunctionName} from 'metal';
+import {getFunctionName, isFunction} from 'metal';
 
 /**
  * The component registry is used to register components, so they can
@@ -10,14 +10,16 @@ import {getFunctionName} from 'metal';
 class ComponentRegistry {
 	/**
 	 * Gets the constructor function for the given component name, or
-	 * undefined if it hasn't been registered yet.
+	 * undefined if it hasn't been registered yet. Components registered via
+	 * `registerLazy` only have their constructors returned after being loaded
+	 * (see `load`).
 	 * @param {string} name The component's name.
 	 * @return {?function()}
 	 * @static
 	 */
 	static getConstructor(name) {
 		const constructorFn = ComponentRegistry.components_[name];
-		if (!constructorFn) {
+		if (!constructorFn && !ComponentRegistry.isLazy(name)) {
 			console.error(
 				`There's no constructor registered for the component named ${
 					name
@@ -28,6 +30,105 @@ class ComponentRegistry {
 		return constructorFn;
 	}
 
+	/**
+	 * Gets the error that the loader of the given lazy component failed with,
+	 * if any.
+	 * @param {string} name The component's name.
+	 * @return {Error}
+	 * @static
+	 */
+	static getLoadError(name) {
+		const lazy = ComponentRegistry.lazy_[name];
+		return lazy ? lazy.error : null;
+	}
+
+	/**
+	 * Gets the placeholder that should be rendered while the given lazy
+	 * component is loading, if any.
+	 * @param {string} name The component's name.
+	 * @return {*}
+	 * @static
+	 */
+	static getPlaceholder(name) {
+		const lazy = ComponentRegistry.lazy_[name];
+		return lazy ? lazy.placeholder : null;
+	}
+
+	/**
+	 * Checks if the given component was registered via `registerLazy`.
+	 * @param {string} name The component's name.
+	 * @return {boolean}
+	 * @static
+	 */
+	static isLazy(name) {
+		return !!ComponentRegistry.lazy_[name];
+	}
+
+	/**
+	 * Checks if the constructor for the given component is available, which
+	 * for lazy components only happens after they are loaded.
+	 * @param {string} name The component's name.
+	 * @return {boolean}
+	 * @static
+	 */
+	static isLoaded(name) {
+		return !!ComponentRegistry.components_[name];
+	}
+
+	/**
+	 * Loads the constructor for the given component, calling the loader it was
+	 * registered with via `registerLazy`. The loader is only called once, and
+	 * the constructor is registered under the component's name when it
+	 * resolves. If it rejects, the next call to `load` calls it again, so that
+	 * loading can be retried. Loaders can resolve either with the constructor or with a
+	 * module that has it as its default export (like the ones from dynamic
+	 * `import()` calls).
+	 * @param {string} name The component's name.
+	 * @return {!Promise<function()>}
+	 * @static
+	 */
+	static load(name) {
+		const constructorFn = ComponentRegistry.components_[name];
+		if (constructorFn) {
+			return Promise.resolve(constructorFn);
+		}
+
+		const lazy = ComponentRegistry.lazy_[name];
+		if (!lazy) {
+			return Promise.reject(
+				new Error(
+					`Error. There's no loader registered for the component named ${
+						name
+					}.`
+				)
+			);
+		}
+		if (!lazy.promise) {
+			lazy.error = null;
+			lazy.promise = Promise.resolve()
+				.then(() => lazy.loader())
+				.then(result => {
+					const loadedFn =
+						result && result.default ? result.default : result;
+					if (!isFunction(loadedFn)) {
+						throw new Error(
+							`Error. The loader for the component named ${
+								name
+							} didn't resolve with a constructor.`
+						);
+					}
+					ComponentRegistry.register(loadedFn, name);
+					return loadedFn;
+				})
+				.catch(error => {
+					lazy.error = error;
+					lazy.promise = null;
+					throw error;
+				});
+		}
+		return lazy.promise;
+	}
+
 	/**
 	 * Registers a component, so it can be found by its name.
 	 * @param {!Function} constructorFn The component's constructor function.
@@ -47,6 +148,30 @@ class ComponentRegistry {
 		constructorFn.NAME = name;
 		ComponentRegistry.components_[name] = constructorFn;
 	}
+
+	/**
+	 * Registers a component whose constructor should only be loaded when
+	 * needed, allowing it to be split into a separate bundle. Renderers that
+	 * support lazy components render the given placeholder while it's loading,
+	 * and then the loaded component in its place.
+	 * @param {string} name The component's name.
+	 * @param {!function():!Promise} loader Function that loads the component,
+	 *   returning a promise for its constructor (or for a module that has it
+	 *   as its default export).
+	 * @param {*=} placeholder Optional content to be rendered while the
+	 *   component is loading, in a format that renderers understand (like a
+	 *   component constructor or an incremental dom function, for incremental
+	 *   dom based renderers).
+	 * @static
+	 */
+	static registerLazy(name, loader, placeholder) {
+		ComponentRegistry.lazy_[name] = {
+			error: null,
+			loader,
+			placeholder,
+			promise: null,
+		};
+	}
 }
 
 /**
@@ -57,4 +182,13 @@ class ComponentRegistry {
  */
 ComponentRegistry.components_ = {};
 
+/**
+ * Holds information about the components registered via `registerLazy`,
+ * indexed by their names.
+ * @type {!Object<string, !Object>}
+ * @protected
+ * @static
+ */
+ComponentRegistry.lazy_ = {};
+
 export default ComponentRegistry;
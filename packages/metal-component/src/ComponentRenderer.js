@@ -19,6 +19,26 @@ class ComponentRenderer {
 	 */
 	getExtraDataConfig() {}
 
+	/**
+	 * Returns the component that rendered the given one, if any. Renderers
+	 * that support sub components should override this.
+	 * @param {!Component} component
+	 * @return {Component}
+	 */
+	getParent() {
+		return null;
+	}
+
+	/**
+	 * Renders the component on top of the content that already exists in its
+	 * element, reusing it instead of creating it from scratch. Renderers that
+	 * can't reuse existing content just render the component as usual.
+	 * @param {!Component} component
+	 */
+	hydrate(component) {
+		this.render(component);
+	}
+
 	/**
 	 * Renders the whole content (including its main element) and informs the
 	 * component about it. Should be overridden by sub classes.
@@ -13,3 +13,8 @@ export {
 	ComponentRenderer,
 };
 export * from '../events/events';
+export {
+	addLifecycleObserver,
+	getLifecycleStart,
+	removeLifecycleObserver,
+} from '../lifecycle/lifecycle';
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * The observers registered via `addLifecycleObserver`.
+ * @type {!Array<!Object>}
+ * @private
+ */
+let observers_ = [];
+
+/**
+ * Registers an observer for the lifecycle of all components. The observer is
+ * an object with any of the following methods, which are called with the
+ * component instance and an object with timing data:
+ *
+ * - `created`: at the end of the constructor, before the first render.
+ * - `rendered`: after `renderComponent` renders and attaches the component.
+ * - `updated`: after the renderer updates an already rendered component.
+ * - `attached`: after the component is attached to the DOM.
+ * - `detached`: after the component is detached from the DOM.
+ * - `disposed`: after the component is disposed.
+ *
+ * The timing data has the time at which the phase ended (`time`, from
+ * `performance.now` when available) and how many milliseconds it took
+ * (`duration`). For `updated` the duration is only reported by renderers
+ * that track when updates start, like the incremental dom one. Components
+ * only collect timing data while there are observers registered. Errors
+ * thrown by observers are logged, without affecting the component. Example:
+ *
+ * <code>
+ * const handle = addLifecycleObserver({
+ *   rendered(component, {duration}) {
+ *     track(component.constructor.name, duration);
+ *   }
+ * });
+ * handle.remove();
+ * </code>
+ * @param {!Object} observer
+ * @return {!{remove: function()}} Handle that can be used to remove the
+ *   observer.
+ */
+export function addLifecycleObserver(observer) {
+	observers_ = observers_.concat(observer);
+	return {
+		remove: () => removeLifecycleObserver(observer),
+	};
+}
+
+/**
+ * Gets the current time, to be passed to `notifyLifecycle` as the start of a
+ * lifecycle phase. Returns `null` when there are no observers registered,
+ * so that no time is spent on timing data.
+ * @return {?number}
+ */
+export function getLifecycleStart() {
+	return observers_.length ? now_() : null;
+}
+
+/**
+ * Gets the current time in milliseconds.
+ * @return {number}
+ * @private
+ */
+function now_() {
+	return typeof performance !== 'undefined' && performance.now
+		? performance.now()
+		: Date.now();
+}
+
+/**
+ * Notifies all registered observers that the given component has gone
+ * through a lifecycle phase. Errors thrown by observers are caught and
+ * logged, so they don't break the component's lifecycle.
+ * @param {string} phase The name of the phase, like "created" or "attached".
+ * @param {!Component} component
+ * @param {?number=} start The value returned by `getLifecycleStart` when the
+ *   phase started, if its duration should be reported.
+ */
+export function notifyLifecycle(phase, component, start) {
+	if (!observers_.length) {
+		return;
+	}
+	const time = now_();
+	const data = {
+		time,
+	};
+	if (start !== undefined) {
+		data.duration = start === null ? 0 : time - start;
+	}
+	const observers = observers_;
+	for (let i = 0; i < observers.length; i++) {
+		if (observers[i][phase]) {
+			try {
+				observers[i][phase](component, data);
+			} catch (error) {
+				console.error(
+					`Error. A lifecycle observer failed handling the "${
+						phase
+					}" phase.`,
+					error
+				);
+			}
+		}
+	}
+}
+
+/**
+ * Removes an observer registered via `addLifecycleObserver`.
+ * @param {!Object} observer
+ */
+export function removeLifecycleObserver(observer) {
+	observers_ = observers_.filter(current => current !== observer);
+}
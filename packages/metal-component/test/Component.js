@@ -205,6 +205,14 @@ describe('Component', function() {
 			sinon.assert.callCount(Component.prototype.detached, 1);
 		});
 
+		it('should have update depth 0 when not rendered by other components or disposed', function() {
+			comp = new Component();
+			assert.strictEqual(0, comp.getUpdateDepth());
+
+			comp.dispose();
+			assert.strictEqual(0, comp.getUpdateDepth());
+		});
+
 		it('should call "disposed" lifecycle function when component is disposed', function() {
 			comp = new Component();
 			assert.strictEqual(0, comp.disposed.callCount);
@@ -227,6 +235,44 @@ describe('Component', function() {
 			comp.dispose();
 			assert.strictEqual(1, listener.callCount);
 		});
+
+		it('should only be an error boundary when "handleError" or "getDerivedStateFromError" is defined', function() {
+			comp = new Component();
+			assert.ok(!comp.isErrorBoundary());
+
+			class HandlerComponent extends Component {
+				handleError() {}
+			}
+			class StaticComponent extends Component {
+				static getDerivedStateFromError() {}
+			}
+			assert.ok(HandlerComponent.prototype.isErrorBoundary());
+			assert.ok(StaticComponent.prototype.isErrorBoundary());
+		});
+
+		it('should set state from "getDerivedStateFromError" and call "handleError" when informed of errors', function() {
+			const error = new Error();
+			const info = {};
+			class TestComponent extends Component {
+				static getDerivedStateFromError(err) {
+					return {
+						failed: err === error,
+					};
+				}
+			}
+			TestComponent.prototype.handleError = sinon.stub();
+			TestComponent.STATE = {
+				failed: {
+					value: false,
+				},
+			};
+
+			comp = new TestComponent();
+			comp.informError(error, info);
+			assert.ok(comp.failed);
+			sinon.assert.calledOnce(comp.handleError);
+			sinon.assert.calledWithExactly(comp.handleError, error, info);
+		});
 	});
 
 	describe('Element', function() {
@@ -705,6 +751,152 @@ describe('Component', function() {
 			});
 		});
 
+		it('should render component via renderer when calling Component.renderToString', function() {
+			class CustomRenderer extends ComponentRenderer.constructor {
+				renderToString() {
+					return '<div></div>';
+				}
+			}
+			class CustomComponent extends Component {}
+			CustomComponent.RENDERER = new CustomRenderer();
+			sinon.spy(CustomComponent.RENDERER, 'renderToString');
+
+			const config = {};
+			assert.strictEqual(
+				'<div></div>',
+				Component.renderToString(CustomComponent, config)
+			);
+			assert.strictEqual(1, CustomComponent.RENDERER.renderToString.callCount);
+			assert.strictEqual(
+				CustomComponent,
+				CustomComponent.RENDERER.renderToString.args[0][0]
+			);
+			assert.strictEqual(
+				config,
+				CustomComponent.RENDERER.renderToString.args[0][1]
+			);
+		});
+
+		it('should not pass parent elements to the renderer when calling Component.renderToString', function() {
+			class CustomRenderer extends ComponentRenderer.constructor {
+				renderToString() {
+					return '<div></div>';
+				}
+			}
+			class CustomComponent extends Component {}
+			CustomComponent.RENDERER = new CustomRenderer();
+			sinon.spy(CustomComponent.RENDERER, 'renderToString');
+
+			const element = document.createElement('div');
+			assert.strictEqual(
+				'<div></div>',
+				Component.renderToString(CustomComponent, element)
+			);
+			assert.strictEqual(
+				null,
+				CustomComponent.RENDERER.renderToString.args[0][1]
+			);
+			assert.strictEqual('', element.innerHTML);
+		});
+
+		it('should throw error when rendering non-incremental-dom component via Component.renderToStringAsync', function() {
+			class NotIncrementalDomComponent extends Component {}
+			assert.throws(function() {
+				Component.renderToStringAsync(NotIncrementalDomComponent);
+			});
+		});
+
+		it('should render component via renderer when calling Component.renderToStringAsync', function() {
+			const promise = Promise.resolve('<div></div>');
+			class CustomRenderer extends ComponentRenderer.constructor {
+				renderToStringAsync() {
+					return promise;
+				}
+			}
+			class CustomComponent extends Component {}
+			CustomComponent.RENDERER = new CustomRenderer();
+			sinon.spy(CustomComponent.RENDERER, 'renderToStringAsync');
+
+			const config = {};
+			const options = {
+				serializeState: true,
+			};
+			assert.strictEqual(
+				promise,
+				Component.renderToStringAsync(CustomComponent, config, options)
+			);
+			assert.deepEqual(
+				[CustomComponent, config, options],
+				CustomComponent.RENDERER.renderToStringAsync.args[0]
+			);
+		});
+
+		it('should hydrate component on top of existing element via Component.hydrate', function() {
+			class CustomComponent extends Component {}
+			CustomComponent.prototype.syncFoo = sinon.stub();
+			CustomComponent.STATE = {
+				foo: {
+					value: 'fooValue',
+				},
+			};
+			sinon.spy(ComponentRenderer, 'hydrate');
+
+			let container = document.createElement('div');
+			let element = document.createElement('div');
+			container.appendChild(element);
+			comp = Component.hydrate(CustomComponent, element);
+			const hydrateCallCount = ComponentRenderer.hydrate.callCount;
+			ComponentRenderer.hydrate.restore();
+
+			assert.ok(comp instanceof CustomComponent);
+			assert.ok(comp.wasRendered);
+			assert.strictEqual(element, comp.element);
+			assert.strictEqual(container, comp.element.parentNode);
+			assert.strictEqual(1, hydrateCallCount);
+			assert.strictEqual(1, comp.syncFoo.callCount);
+		});
+
+		it('should throw error when hydrating component without an existing element', function() {
+			class CustomComponent extends Component {}
+			assert.throws(function() {
+				Component.hydrate(CustomComponent, {}, '#nonexistent');
+			});
+		});
+
+		it('should throw error when rendering non-incremental-dom component via Component.renderToStream', function() {
+			class NotIncrementalDomComponent extends Component {}
+			assert.throws(function() {
+				Component.renderToStream(NotIncrementalDomComponent);
+			});
+		});
+
+		it('should render component via renderer when calling Component.renderToStream', function() {
+			const stream = {};
+			class CustomRenderer extends ComponentRenderer.constructor {
+				renderToStream() {
+					return stream;
+				}
+			}
+			class CustomComponent extends Component {}
+			CustomComponent.RENDERER = new CustomRenderer();
+			sinon.spy(CustomComponent.RENDERER, 'renderToStream');
+
+			const config = {};
+			assert.strictEqual(
+				stream,
+				Component.renderToStream(CustomComponent, config)
+			);
+			assert.strictEqual(1, CustomComponent.RENDERER.renderToStream.callCount);
+			assert.strictEqual(
+				CustomComponent,
+				CustomComponent.RENDERER.renderToStream.args[0][0]
+			);
+			assert.strictEqual(
+				config,
+				CustomComponent.RENDERER.renderToStream.args[0][1]
+			);
+		});
+
 		it('should render component via Component.render without config', function() {
 			class CustomComponent extends Component {
 				constructor(...args) {
@@ -196,4 +196,35 @@ describe('ComponentDataManager', function() {
 		assert.strictEqual(1, listener.callCount);
 		assert.strictEqual('fooValue2', listener.args[0][0].newVal);
 	});
+
+	it('should return a snapshot of the state without the given data', function() {
+		component.constructor.STATE = {
+			bar: {
+				value: 'barValue',
+			},
+		};
+		ComponentDataManager.setUp(component, {
+			foo: {
+				value: 'fooValue',
+			},
+		});
+		assert.deepEqual(
+			{
+				bar: 'barValue',
+			},
+			ComponentDataManager.getSnapshot(component)
+		);
+	});
+
+	it('should restore state from a snapshot', function() {
+		ComponentDataManager.setUp(component, {
+			foo: {
+				value: 'fooValue',
+			},
+		});
+		ComponentDataManager.restoreSnapshot(component, {
+			foo: 'restoredFoo',
+		});
+		assert.strictEqual('restoredFoo', component.foo);
+	});
 });
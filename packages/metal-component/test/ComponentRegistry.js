@@ -79,4 +79,147 @@ describe('ComponentRegistry', function() {
 			ComponentRegistry.getConstructor('MyComponent')
 		);
 	});
+
+	describe('Lazy', function() {
+		it('should not log error when getting constructor of lazy component that was not loaded', function() {
+			ComponentRegistry.registerLazy(
+				'RegistryLazyComponent1',
+				() => new Promise(() => {})
+			);
+			assert.ok(ComponentRegistry.isLazy('RegistryLazyComponent1'));
+			assert.ok(!ComponentRegistry.isLoaded('RegistryLazyComponent1'));
+			assert.ok(!ComponentRegistry.getConstructor('RegistryLazyComponent1'));
+			assert.strictEqual(0, console.error.callCount);
+		});
+
+		it('should return the placeholder of lazy components', function() {
+			const placeholder = () => {};
+			ComponentRegistry.registerLazy(
+				'RegistryLazyComponent2',
+				() => new Promise(() => {}),
+				placeholder
+			);
+			assert.strictEqual(
+				placeholder,
+				ComponentRegistry.getPlaceholder('RegistryLazyComponent2')
+			);
+			assert.strictEqual(
+				null,
+				ComponentRegistry.getPlaceholder('UnregisteredComponent')
+			);
+		});
+
+		it('should load and register the constructor of lazy components', function() {
+			class MyComponent {}
+			const loader = sinon.stub().returns(Promise.resolve(MyComponent));
+			ComponentRegistry.registerLazy('RegistryLazyComponent3', loader);
+
+			const promise = ComponentRegistry.load('RegistryLazyComponent3');
+			assert.strictEqual(
+				promise,
+				ComponentRegistry.load('RegistryLazyComponent3')
+			);
+			return promise.then(function(constructorFn) {
+				assert.strictEqual(MyComponent, constructorFn);
+				assert.strictEqual(1, loader.callCount);
+				assert.ok(ComponentRegistry.isLoaded('RegistryLazyComponent3'));
+				assert.strictEqual('RegistryLazyComponent3', MyComponent.NAME);
+				assert.strictEqual(
+					MyComponent,
+					ComponentRegistry.getConstructor('RegistryLazyComponent3')
+				);
+			});
+		});
+
+		it('should load the default export of modules resolved by loaders', function() {
+			class MyComponent {}
+			ComponentRegistry.registerLazy('RegistryLazyComponent4', () =>
+				Promise.resolve({
+					default: MyComponent,
+				})
+			);
+			return ComponentRegistry.load('RegistryLazyComponent4').then(function(
+				constructorFn
+			) {
+				assert.strictEqual(MyComponent, constructorFn);
+			});
+		});
+
+		it('should store the error loaders fail with', function() {
+			const error = new Error('Failed to load');
+			ComponentRegistry.registerLazy('RegistryLazyComponent5', () =>
+				Promise.reject(error)
+			);
+			assert.strictEqual(
+				null,
+				ComponentRegistry.getLoadError('RegistryLazyComponent5')
+			);
+
+			return ComponentRegistry.load('RegistryLazyComponent5').catch(function(
+				loadError
+			) {
+				assert.strictEqual(error, loadError);
+				assert.strictEqual(
+					error,
+					ComponentRegistry.getLoadError('RegistryLazyComponent5')
+				);
+				assert.ok(!ComponentRegistry.isLoaded('RegistryLazyComponent5'));
+			});
+		});
+
+		it('should call the loader again when loading after it failed', function() {
+			class MyComponent {}
+			const error = new Error('Failed to load');
+			const loader = sinon.stub();
+			loader.onFirstCall().returns(Promise.reject(error));
+			loader.onSecondCall().returns(Promise.resolve(MyComponent));
+			ComponentRegistry.registerLazy('RegistryLazyComponent8', loader);
+
+			return ComponentRegistry.load('RegistryLazyComponent8')
+				.catch(function() {
+					const promise = ComponentRegistry.load('RegistryLazyComponent8');
+					assert.strictEqual(
+						null,
+						ComponentRegistry.getLoadError('RegistryLazyComponent8')
+					);
+					return promise;
+				})
+				.then(function(constructorFn) {
+					assert.strictEqual(MyComponent, constructorFn);
+					assert.strictEqual(2, loader.callCount);
+					assert.ok(ComponentRegistry.isLoaded('RegistryLazyComponent8'));
+				});
+		});
+
+		it('should fail loading when loaders don\'t resolve with a constructor', function() {
+			ComponentRegistry.registerLazy('RegistryLazyComponent6', () =>
+				Promise.resolve({})
+			);
+			return ComponentRegistry.load('RegistryLazyComponent6').catch(function(
+				error
+			) {
+				assert.ok(
+					error.message.indexOf('didn\'t resolve with a constructor') !== -1
+				);
+			});
+		});
+
+		it('should resolve with the constructor of components that were registered directly', function() {
+			class MyComponent {}
+			ComponentRegistry.register(MyComponent, 'RegistryLazyComponent7');
+			return ComponentRegistry.load('RegistryLazyComponent7').then(function(
+				constructorFn
+			) {
+				assert.strictEqual(MyComponent, constructorFn);
+			});
+		});
+
+		it('should fail loading components that were not registered', function() {
+			return ComponentRegistry.load('UnregisteredComponent').catch(function(
+				error
+			) {
+				assert.ok(error.message.indexOf('no loader registered') !== -1);
+			});
+		});
+	});
 });
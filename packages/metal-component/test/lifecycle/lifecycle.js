@@ -0,0 +1,177 @@
+'use strict';
+
+import Component from '../../src/Component';
+import {
+	addLifecycleObserver,
+	getLifecycleStart,
+	notifyLifecycle,
+	removeLifecycleObserver,
+} from '../../src/lifecycle/lifecycle';
+
+describe('lifecycle', function() {
+	let comp;
+	let handle;
+	let observer;
+
+	beforeEach(function() {
+		observer = {
+			attached: sinon.stub(),
+			created: sinon.stub(),
+			detached: sinon.stub(),
+			disposed: sinon.stub(),
+			rendered: sinon.stub(),
+			updated: sinon.stub(),
+		};
+		handle = addLifecycleObserver(observer);
+	});
+
+	afterEach(function() {
+		handle.remove();
+		if (comp) {
+			comp.dispose();
+			comp = null;
+		}
+	});
+
+	it('should notify observers when components are created', function() {
+		comp = new Component({}, false);
+		assert.strictEqual(1, observer.created.callCount);
+		assert.strictEqual(comp, observer.created.args[0][0]);
+		assert.strictEqual(0, observer.rendered.callCount);
+	});
+
+	it('should notify observers after the "created" lifecycle', function() {
+		class TestComponent extends Component {
+			created() {
+				assert.strictEqual(0, observer.created.callCount);
+			}
+		}
+		comp = new TestComponent();
+		assert.strictEqual(1, observer.created.callCount);
+	});
+
+	it('should notify observers when components are rendered and attached', function() {
+		comp = new Component();
+		assert.strictEqual(1, observer.rendered.callCount);
+		assert.strictEqual(comp, observer.rendered.args[0][0]);
+		assert.strictEqual(1, observer.attached.callCount);
+		assert.strictEqual(comp, observer.attached.args[0][0]);
+		assert.ok(observer.attached.calledBefore(observer.rendered));
+	});
+
+	it('should notify observers when components are updated', function() {
+		comp = new Component();
+		assert.strictEqual(0, observer.updated.callCount);
+
+		comp.informRendered();
+		assert.strictEqual(1, observer.updated.callCount);
+		assert.strictEqual(comp, observer.updated.args[0][0]);
+		assert.strictEqual(1, observer.rendered.callCount);
+	});
+
+	it('should notify observers when components are detached', function() {
+		comp = new Component();
+		comp.detach();
+		assert.strictEqual(1, observer.detached.callCount);
+		assert.strictEqual(comp, observer.detached.args[0][0]);
+
+		comp.detach();
+		assert.strictEqual(1, observer.detached.callCount);
+	});
+
+	it('should notify observers when components are disposed', function() {
+		comp = new Component();
+		comp.dispose();
+		assert.strictEqual(1, observer.detached.callCount);
+		assert.strictEqual(1, observer.disposed.callCount);
+		assert.strictEqual(comp, observer.disposed.args[0][0]);
+		assert.ok(comp.isDisposed());
+		comp = null;
+	});
+
+	it('should pass timing data to observers', function() {
+		comp = new Component();
+		comp.informRendered();
+
+		['created', 'rendered', 'attached'].forEach(phase => {
+			const data = observer[phase].args[0][1];
+			assert.ok(data.duration >= 0);
+			assert.ok(data.time > 0);
+		});
+		const data = observer.updated.args[0][1];
+		assert.ok(data.time > 0);
+		assert.ok(!('duration' in data));
+	});
+
+	it('should pass the duration of updates to observers when their start is given', function() {
+		comp = new Component();
+		comp.informRendered(getLifecycleStart());
+		assert.ok(observer.updated.args[0][1].duration >= 0);
+	});
+
+	it('should log errors thrown by observers without breaking the lifecycle', function() {
+		const error = new Error('Observer error');
+		const other = {
+			created: sinon.stub().throws(error),
+		};
+		addLifecycleObserver(other);
+		sinon.stub(console, 'error');
+		comp = new Component();
+		const errorArgs = console.error.args;
+		console.error.restore();
+		removeLifecycleObserver(other);
+
+		assert.ok(comp.wasRendered);
+		assert.strictEqual(1, observer.created.callCount);
+		assert.strictEqual(1, errorArgs.length);
+		assert.include(errorArgs[0][0], '"created"');
+		assert.strictEqual(error, errorArgs[0][1]);
+	});
+
+	it('should only call the methods that observers implement', function() {
+		const other = {
+			disposed: sinon.stub(),
+		};
+		addLifecycleObserver(other);
+		comp = new Component();
+		comp.dispose();
+		comp = null;
+		removeLifecycleObserver(other);
+
+		assert.strictEqual(1, other.disposed.callCount);
+		assert.strictEqual(1, observer.disposed.callCount);
+	});
+
+	it('should not notify observers after they are removed', function() {
+		handle.remove();
+		comp = new Component();
+		assert.strictEqual(0, observer.created.callCount);
+		assert.strictEqual(0, observer.rendered.callCount);
+
+		addLifecycleObserver(observer);
+		removeLifecycleObserver(observer);
+		comp.dispose();
+		comp = null;
+		assert.strictEqual(0, observer.disposed.callCount);
+	});
+
+	it('should not collect timing data when there are no observers', function() {
+		handle.remove();
+		sinon.spy(Date, 'now');
+		const start = getLifecycleStart();
+		notifyLifecycle('created', {}, start);
+		const callCount = Date.now.callCount;
+		Date.now.restore();
+
+		assert.strictEqual(null, start);
+		assert.strictEqual(0, callCount);
+	});
+
+	it('should report zero durations for phases started before the observer was added', function() {
+		handle.remove();
+		const start = getLifecycleStart();
+		handle = addLifecycleObserver(observer);
+		notifyLifecycle('created', comp, start);
+		assert.strictEqual(0, observer.created.args[0][1].duration);
+	});
+});
@@ -0,0 +1,457 @@
+'use strict';
+
+import {Disposable, getUid, isFunction} from 'metal';
+import {EventHandler} from 'metal-events';
+import {
+	BACKEND_SOURCE,
+	BackendMessages,
+	INSPECTOR_SOURCE,
+	InspectorMessages,
+	PROTOCOL_VERSION,
+} from './protocol';
+import {describeElement, getComponentName, serializeValue} from './serialize';
+
+/**
+ * Maximum number of render reasons kept for each component.
+ * @type {number}
+ */
+const MAX_RENDERS = 20;
+
+/**
+ * Keeps a live tree of all rendered components, and exposes it to inspectors
+ * (like browser extensions or test harnesses) through messages sent via
+ * `postMessage`. See the package's README for the message protocol.
+ * @extends {Disposable}
+ */
+class DevToolsBackend extends Disposable {
+	/**
+	 * Constructor function for `DevToolsBackend`. Sends a `ready` message.
+	 * @param {!Object} target Object used for exchanging messages. Should have
+	 *     `postMessage` and `addEventListener` functions, like `window`. Only
+	 *     messages posted by the target itself are handled.
+	 * @param {Object=} options Optional object with the `origin` that messages
+	 *     are exchanged with. Messages from other origins are ignored. Defaults
+	 *     to the target's own origin (`target.location.origin`).
+	 */
+	constructor(target, options = {}) {
+		super();
+
+		/**
+		 * Map of all tracked components, indexed by their ids.
+		 * @type {!Object<string, !Component>}
+		 * @protected
+		 */
+		this.components_ = {};
+
+		/**
+		 * Handles for the listeners added to tracked components.
+		 * @type {!Object<string, !EventHandler>}
+		 * @protected
+		 */
+		this.handlers_ = {};
+
+		/**
+		 * The origin that messages are exchanged with.
+		 * @type {string}
+		 * @protected
+		 */
+		this.origin_ = options.origin || target.location.origin;
+
+		/**
+		 * Reasons for the latest renders of each tracked component.
+		 * @type {!Object<string, !Array<!Object>>}
+		 * @protected
+		 */
+		this.renders_ = {};
+
+		/**
+		 * Object used for exchanging messages.
+		 * @type {!Object}
+		 * @protected
+		 */
+		this.target_ = target;
+
+		this.handleMessage_ = this.handleMessage_.bind(this);
+		target.addEventListener('message', this.handleMessage_);
+
+		this.send_(BackendMessages.READY, {
+			version: PROTOCOL_VERSION,
+		});
+	}
+
+	/**
+	 * Starts tracking the given component and all components rendered inside
+	 * it. This is what the `__METAL_DEV_TOOLS_HOOK__` global calls.
+	 * @param {!Component} component
+	 */
+	addComponent(component) {
+		const id = getUid(component);
+		if (!this.components_[id]) {
+			this.components_[id] = component;
+			this.renders_[id] = [];
+
+			const handler = new EventHandler();
+			handler.add(
+				component.on('rendered', firstRender =>
+					this.handleRendered_(component, firstRender)
+				),
+				component.on('disposed', () => this.removeComponent_(component))
+			);
+			this.handlers_[id] = handler;
+
+			this.send_(
+				BackendMessages.COMPONENT_ADDED,
+				this.buildNode_(component)
+			);
+		}
+		this.addNewChildren_(component);
+	}
+
+	/**
+	 * Starts tracking the components rendered directly inside the given one
+	 * that are not tracked yet, together with the ones rendered inside them.
+	 * Components that are already tracked are skipped, since their own new
+	 * sub components are added when they render.
+	 * @param {!Component} component
+	 * @protected
+	 */
+	addNewChildren_(component) {
+		this.getChildComponents_(component).forEach(child => {
+			if (!this.components_[getUid(child)]) {
+				this.addComponent(child);
+			}
+		});
+	}
+
+	/**
+	 * Builds the data describing the given component in the tree.
+	 * @param {!Component} component
+	 * @return {!Object}
+	 * @protected
+	 */
+	buildNode_(component) {
+		const data = this.getRendererData_(component);
+		const refs = {};
+		Object.keys(component.refs || {}).forEach(ref => {
+			refs[ref] = serializeValue(component.refs[ref], 0);
+		});
+		const components = {};
+		Object.keys(component.components || {}).forEach(ref => {
+			components[ref] = getUid(component.components[ref]);
+		});
+		return {
+			components,
+			id: getUid(component),
+			key: data.config ? data.config.key : undefined,
+			name: getComponentName(component),
+			ownerId: data.owner ? getUid(data.owner) : null,
+			parentId: data.parent ? getUid(data.parent) : null,
+			portalElement: component.portalElement
+				? describeElement(component.portalElement)
+				: null,
+			refs,
+		};
+	}
+
+	/**
+	 * Builds the data describing the given component and all components
+	 * rendered inside it.
+	 * @param {!Component} component
+	 * @return {!Object}
+	 * @protected
+	 */
+	buildTreeNode_(component) {
+		const node = this.buildNode_(component);
+		node.children = this.getChildComponents_(component)
+			.filter(child => this.components_[getUid(child)])
+			.map(child => this.buildTreeNode_(child));
+		return node;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	disposeInternal() {
+		Object.keys(this.handlers_).forEach(id =>
+			this.handlers_[id].removeAllListeners()
+		);
+		this.target_.removeEventListener('message', this.handleMessage_);
+		this.components_ = null;
+		this.handlers_ = null;
+		this.renders_ = null;
+		this.target_ = null;
+	}
+
+	/**
+	 * Gets the components rendered directly inside the given one.
+	 * @param {!Component} component
+	 * @return {!Array<!Component>}
+	 * @protected
+	 */
+	getChildComponents_(component) {
+		const children = this.getRendererData_(component).childComponents || [];
+		return children.filter(child => !child.isDisposed());
+	}
+
+	/**
+	 * Gets the tracked component with the given id.
+	 * @param {string|number} id
+	 * @return {!Component}
+	 * @protected
+	 */
+	getComponent_(id) {
+		const component = this.components_[id];
+		if (!component) {
+			throw new Error(
+				`Error. No component with id "${id}" is being tracked.`
+			);
+		}
+		return component;
+	}
+
+	/**
+	 * Returns the state and props of the component with the given id, together
+	 * with the reasons for its latest renders.
+	 * @param {string|number} id
+	 * @return {!Object}
+	 */
+	getComponentInfo(id) {
+		const component = this.getComponent_(id);
+		const manager = component.getDataManager();
+		const propsInstance = isFunction(manager.getPropsInstance)
+			? manager.getPropsInstance(component)
+			: null;
+		return {
+			id: getUid(component),
+			name: getComponentName(component),
+			props: propsInstance ? this.getStateInfo_(propsInstance) : null,
+			renders: this.renders_[id],
+			state: this.getStateInfo_(manager.getStateInstance(component)),
+		};
+	}
+
+	/**
+	 * Gets the incremental dom data for the given component, or an empty
+	 * object if it's rendered in another way.
+	 * @param {!Component} component
+	 * @return {!Object}
+	 * @protected
+	 */
+	getRendererData_(component) {
+		const renderer = component.getRenderer();
+		return isFunction(renderer.getData) ? renderer.getData(component) : {};
+	}
+
+	/**
+	 * Gets information about all keys from the given `State` instance, via
+	 * its `getStateInfo` function.
+	 * @param {!State} state
+	 * @return {!Object<string, !{value: *, written: boolean}>}
+	 * @protected
+	 */
+	getStateInfo_(state) {
+		const info = {};
+		state.getStateKeys().forEach(key => {
+			info[key] = {
+				value: serializeValue(state.get(key)),
+				written: !!state.getStateInfo(key).written,
+			};
+		});
+		return info;
+	}
+
+	/**
+	 * Returns the tree of all tracked components that have no parent, with
+	 * the components rendered inside them as children.
+	 * @return {!Array<!Object>}
+	 */
+	getTree() {
+		return Object.keys(this.components_)
+			.map(id => this.components_[id])
+			.filter(component => !this.getRendererData_(component).parent)
+			.map(component => this.buildTreeNode_(component));
+	}
+
+	/**
+	 * Handles a message sent to the backend, replying to it if necessary.
+	 * Messages that were not posted by the target itself, or that come from an
+	 * unexpected origin or source, are ignored.
+	 * @param {!{data: *, origin: string, source: *}} event
+	 * @protected
+	 */
+	handleMessage_(event) {
+		const message = event.data;
+		if (
+			event.source !== this.target_ ||
+			event.origin !== this.origin_ ||
+			!message ||
+			message.source !== INSPECTOR_SOURCE
+		) {
+			return;
+		}
+
+		const {payload = {}, requestId, type} = message;
+		try {
+			switch (type) {
+			case InspectorMessages.GET_TREE:
+				this.send_(BackendMessages.TREE, this.getTree(), requestId);
+				break;
+			case InspectorMessages.INSPECT:
+				this.send_(
+					BackendMessages.COMPONENT_INFO,
+					this.getComponentInfo(payload.id),
+					requestId
+				);
+				break;
+			case InspectorMessages.SET_STATE:
+				this.setState(payload.id, payload.state);
+				break;
+			default:
+				throw new Error(`Error. Unknown message type "${type}".`);
+			}
+		} catch (error) {
+			this.send_(
+				BackendMessages.ERROR,
+				{
+					message: error.message,
+					type,
+				},
+				requestId
+			);
+		}
+	}
+
+	/**
+	 * Handles a tracked component having rendered, recording why it happened
+	 * and tracking any new components rendered directly inside it.
+	 * @param {!Component} component
+	 * @param {boolean} firstRender
+	 * @protected
+	 */
+	handleRendered_(component, firstRender) {
+		const id = getUid(component);
+		const renderer = component.getRenderer();
+		const changes =
+			!firstRender && isFunction(renderer.getLastChanges)
+				? renderer.getLastChanges(component)
+				: null;
+		const reason = {
+			changes: changes ? this.serializeChanges_(changes) : null,
+			firstRender,
+			forced: !firstRender && !changes,
+		};
+
+		const renders = this.renders_[id];
+		renders.push(reason);
+		if (renders.length > MAX_RENDERS) {
+			renders.shift();
+		}
+
+		this.send_(BackendMessages.COMPONENT_RENDERED, {
+			id,
+			reason,
+		});
+		this.addNewChildren_(component);
+	}
+
+	/**
+	 * Stops tracking the given component, which has been disposed.
+	 * @param {!Component} component
+	 * @protected
+	 */
+	removeComponent_(component) {
+		const id = getUid(component);
+		this.handlers_[id].removeAllListeners();
+		delete this.components_[id];
+		delete this.handlers_[id];
+		delete this.renders_[id];
+		this.send_(BackendMessages.COMPONENT_REMOVED, {
+			id,
+		});
+	}
+
+	/**
+	 * Sends a message with the given type and payload to the expected origin.
+	 * @param {string} type
+	 * @param {*} payload
+	 * @param {*=} requestId The id of the message being replied to, if any.
+	 * @protected
+	 */
+	send_(type, payload, requestId) {
+		const message = {
+			payload,
+			source: BACKEND_SOURCE,
+			type,
+		};
+		if (requestId !== undefined) {
+			message.requestId = requestId;
+		}
+		this.target_.postMessage(message, this.origin_);
+	}
+
+	/**
+	 * Serializes the changes that caused a render, from the format used by
+	 * `metal-incremental-dom`.
+	 * @param {!Object} changes
+	 * @return {!Object<string, !Object<string, {newVal: *, prevVal: *}>>}
+	 * @protected
+	 */
+	serializeChanges_(changes) {
+		const serialized = {};
+		Object.keys(changes).forEach(type => {
+			serialized[type] = {};
+			Object.keys(changes[type]).forEach(key => {
+				serialized[type][key] = {
+					newVal: serializeValue(changes[type][key].newVal),
+					prevVal: serializeValue(changes[type][key].prevVal),
+				};
+			});
+		});
+		return serialized;
+	}
+
+	/**
+	 * Sets state on the component with the given id. For JSX components this
+	 * updates `this.state`, while other components have all their data
+	 * updated this way.
+	 * @param {string|number} id
+	 * @param {!Object} state
+	 */
+	setState(id, state) {
+		this.getComponent_(id).setState(state);
+	}
+}
+
+let backend_ = null;
+
+/**
+ * Creates a backend and defines the global `__METAL_DEV_TOOLS_HOOK__`, so
+ * that all components rendered from now on are tracked by it.
+ * @param {!Object=} target Object used for exchanging messages, which is
+ *     `window` by default.
+ * @param {Object=} options Optional backend options (see `DevToolsBackend`).
+ * @return {!DevToolsBackend}
+ */
+export function install(target = window, options) {
+	uninstall();
+	backend_ = new DevToolsBackend(target, options);
+	window.__METAL_DEV_TOOLS_HOOK__ = component =>
+		backend_.addComponent(component);
+	return backend_;
+}
+
+/**
+ * Removes the global `__METAL_DEV_TOOLS_HOOK__` and disposes the backend
+ * created by `install`, if there is one.
+ */
+export function uninstall() {
+	if (backend_) {
+		backend_.dispose();
+		backend_ = null;
+		delete window.__METAL_DEV_TOOLS_HOOK__;
+	}
+}
+
+export default DevToolsBackend;
+export {DevToolsBackend};
+export * from './protocol';
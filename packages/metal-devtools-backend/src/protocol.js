@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Value of the `source` field in all messages sent by the backend.
+ * @type {string}
+ */
+export const BACKEND_SOURCE = 'metal-devtools-backend';
+
+/**
+ * Value of the `source` field that messages sent to the backend must have.
+ * Messages with any other source are ignored.
+ * @type {string}
+ */
+export const INSPECTOR_SOURCE = 'metal-devtools-inspector';
+
+/**
+ * Types of the messages sent by the backend.
+ * @type {!Object<string, string>}
+ */
+export const BackendMessages = {
+	COMPONENT_ADDED: 'componentAdded',
+	COMPONENT_INFO: 'componentInfo',
+	COMPONENT_REMOVED: 'componentRemoved',
+	COMPONENT_RENDERED: 'componentRendered',
+	ERROR: 'error',
+	READY: 'ready',
+	TREE: 'tree',
+};
+
+/**
+ * Types of the messages the backend handles.
+ * @type {!Object<string, string>}
+ */
+export const InspectorMessages = {
+	GET_TREE: 'getTree',
+	INSPECT: 'inspect',
+	SET_STATE: 'setState',
+};
+
+/**
+ * Version of the message protocol, sent with the `ready` message.
+ * @type {number}
+ */
+export const PROTOCOL_VERSION = 1;
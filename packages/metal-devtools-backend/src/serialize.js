@@ -0,0 +1,88 @@
+'use strict';
+
+import {
+	getFunctionName,
+	getUid,
+	isElement,
+	isFunction,
+	isObject,
+} from 'metal';
+import {Component} from 'metal-component';
+
+/**
+ * How deep objects and arrays are serialized by default.
+ * @type {number}
+ */
+const MAX_DEPTH = 3;
+
+/**
+ * Builds a short description of the given element, like "div#main.foo".
+ * @param {!Element} element
+ * @return {string}
+ */
+export function describeElement(element) {
+	let description = element.tagName.toLowerCase();
+	if (element.id) {
+		description += `#${element.id}`;
+	}
+	if (element.className) {
+		description += `.${element.className
+			.trim()
+			.split(/\s+/)
+			.join('.')}`;
+	}
+	return description;
+}
+
+/**
+ * Gets the name that identifies the given component's type.
+ * @param {!Component} component
+ * @return {string}
+ */
+export function getComponentName(component) {
+	const ctor = component.constructor;
+	return getFunctionName(ctor.RENDER_FN || ctor) || 'Anonymous';
+}
+
+/**
+ * Converts the given value into something that can be sent via
+ * `postMessage`. Functions, elements and components are replaced by objects
+ * describing them, and objects nested deeper than the given depth are
+ * replaced by a placeholder.
+ * @param {*} value
+ * @param {number=} depth
+ * @return {*}
+ */
+export function serializeValue(value, depth = MAX_DEPTH) {
+	if (value instanceof Component) {
+		return {
+			id: getUid(value),
+			name: getComponentName(value),
+			$type: 'component',
+		};
+	} else if (isElement(value)) {
+		return {
+			description: describeElement(value),
+			$type: 'element',
+		};
+	} else if (isFunction(value)) {
+		return {
+			name: getFunctionName(value),
+			$type: 'function',
+		};
+	} else if (!isObject(value)) {
+		return value;
+	} else if (depth === 0) {
+		return {
+			$type: Array.isArray(value) ? 'array' : 'object',
+		};
+	} else if (Array.isArray(value)) {
+		return value.map(item => serializeValue(item, depth - 1));
+	}
+
+	const serialized = {};
+	Object.keys(value).forEach(key => {
+		serialized[key] = serializeValue(value[key], depth - 1);
+	});
+	return serialized;
+}
@@ -0,0 +1,396 @@
+'use strict';
+
+import {getUid} from 'metal';
+import Component from 'metal-component';
+import IncrementalDomRenderer from 'metal-incremental-dom';
+import JSXComponent from 'metal-jsx';
+import DevToolsBackend, {
+	BACKEND_SOURCE,
+	INSPECTOR_SOURCE,
+	install,
+	uninstall,
+} from '../src/backend';
+
+describe('DevToolsBackend', function() {
+	const ORIGIN = 'http://localhost:8080';
+
+	let backend;
+	let component;
+	let ChildComponent;
+	let target;
+	let TestComponent;
+
+	/**
+	 * Creates an object that can be used as the backend's message target,
+	 * storing all sent messages and their target origins. Messages received
+	 * by it are posted by itself, from its own origin, unless other ones are
+	 * given.
+	 * @return {!Object}
+	 */
+	function createTarget() {
+		const listeners = [];
+		const target = {
+			addEventListener: (type, listener) => listeners.push(listener),
+			location: {
+				origin: ORIGIN,
+			},
+			messages: [],
+			origins: [],
+			postMessage(message, origin) {
+				this.messages.push(message);
+				this.origins.push(origin);
+			},
+			receive: (data, origin = ORIGIN, source = target) =>
+				listeners.forEach(listener =>
+					listener({
+						data,
+						origin,
+						source,
+					})
+				),
+			removeEventListener: (type, listener) =>
+				listeners.splice(listeners.indexOf(listener), 1),
+		};
+		return target;
+	}
+
+	/**
+	 * Returns the payloads of all sent messages of the given type.
+	 * @param {string} type
+	 * @return {!Array}
+	 */
+	function getPayloads(type) {
+		return target.messages
+			.filter(message => message.type === type)
+			.map(message => message.payload);
+	}
+
+	beforeEach(function() {
+		target = createTarget();
+
+		ChildComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementVoid('span', null, null, 'ref', 'span');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+
+		TestComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'ref', 'child');
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			foo: {
+				value: 'foo',
+			},
+		};
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+		uninstall();
+		if (backend && !backend.isDisposed()) {
+			backend.dispose();
+		}
+	});
+
+	it('should send a "ready" message with the protocol version', function() {
+		backend = new DevToolsBackend(target);
+		assert.deepEqual(
+			{
+				payload: {
+					version: 1,
+				},
+				source: BACKEND_SOURCE,
+				type: 'ready',
+			},
+			target.messages[0]
+		);
+	});
+
+	it('should track the given component and the ones rendered inside it', function() {
+		backend = new DevToolsBackend(target);
+		component = new TestComponent();
+		backend.addComponent(component);
+
+		const child = component.components.child;
+		const added = getPayloads('componentAdded');
+		assert.strictEqual(2, added.length);
+		assert.strictEqual(getUid(component), added[0].id);
+		assert.strictEqual(getUid(child), added[1].id);
+		assert.strictEqual(getUid(component), added[1].parentId);
+		assert.strictEqual(getUid(component), added[1].ownerId);
+		assert.deepEqual(
+			{
+				$type: 'element',
+				description: 'span',
+			},
+			added[1].refs.span
+		);
+		assert.deepEqual(
+			{
+				child: getUid(child),
+			},
+			added[0].components
+		);
+	});
+
+	it('should track components via the global hook after "install"', function() {
+		backend = install(target);
+		component = new TestComponent();
+
+		const tree = backend.getTree();
+		assert.strictEqual(1, tree.length);
+		assert.strictEqual(getUid(component), tree[0].id);
+		assert.strictEqual(1, tree[0].children.length);
+		assert.strictEqual(
+			getUid(component.components.child),
+			tree[0].children[0].id
+		);
+
+		uninstall();
+		assert.ok(!window.__METAL_DEV_TOOLS_HOOK__);
+		assert.ok(backend.isDisposed());
+	});
+
+	it('should reply to "getTree" messages with the component tree', function() {
+		backend = install(target);
+		component = new TestComponent();
+
+		target.receive({
+			requestId: 1,
+			source: INSPECTOR_SOURCE,
+			type: 'getTree',
+		});
+		const reply = target.messages[target.messages.length - 1];
+		assert.strictEqual('tree', reply.type);
+		assert.strictEqual(1, reply.requestId);
+		assert.deepEqual(backend.getTree(), reply.payload);
+	});
+
+	it('should ignore messages from other sources', function() {
+		backend = new DevToolsBackend(target);
+		target.receive({
+			type: 'getTree',
+		});
+		target.receive(null);
+		assert.strictEqual(1, target.messages.length);
+	});
+
+	it('should ignore messages not posted by the target itself', function() {
+		backend = install(target);
+		component = new TestComponent();
+		const message = {
+			source: INSPECTOR_SOURCE,
+			type: 'getTree',
+		};
+
+		target.receive(message, ORIGIN, {});
+		target.receive(message, 'http://evil.com');
+		assert.strictEqual(0, getPayloads('tree').length);
+
+		target.receive(message);
+		assert.strictEqual(1, getPayloads('tree').length);
+	});
+
+	it('should only send messages to the expected origin', function() {
+		backend = new DevToolsBackend(target);
+		target.receive({
+			source: INSPECTOR_SOURCE,
+			type: 'getTree',
+		});
+		assert.deepEqual([ORIGIN, ORIGIN], target.origins);
+	});
+
+	it('should use the given origin instead of the target\'s', function() {
+		const origin = 'chrome-extension://foo';
+		backend = new DevToolsBackend(target, {
+			origin,
+		});
+		const message = {
+			source: INSPECTOR_SOURCE,
+			type: 'getTree',
+		};
+		target.receive(message);
+		target.receive(message, origin);
+
+		assert.strictEqual(1, getPayloads('tree').length);
+		assert.deepEqual([origin, origin], target.origins);
+	});
+
+	it('should reply to "inspect" messages with state info and render reasons', function(
+		done
+	) {
+		backend = install(target);
+		component = new TestComponent();
+		component.foo = 'bar';
+
+		component.once('stateSynced', function() {
+			target.receive({
+				payload: {
+					id: getUid(component),
+				},
+				source: INSPECTOR_SOURCE,
+				type: 'inspect',
+			});
+			const info = getPayloads('componentInfo')[0];
+			assert.strictEqual('TestComponent', info.name);
+			assert.strictEqual(null, info.props);
+			assert.deepEqual(
+				{
+					value: 'bar',
+					written: true,
+				},
+				info.state.foo
+			);
+			assert.deepEqual(
+				[
+					{
+						changes: null,
+						firstRender: true,
+						forced: false,
+					},
+					{
+						changes: {
+							props: {
+								foo: {
+									newVal: 'bar',
+									prevVal: 'foo',
+								},
+							},
+						},
+						firstRender: false,
+						forced: false,
+					},
+				],
+				info.renders
+			);
+			done();
+		});
+	});
+
+	it('should list props separately for JSX components', function() {
+		class JSXTestComponent extends JSXComponent {
+			render() {
+				IncrementalDOM.elementVoid('div');
+			}
+		}
+		JSXTestComponent.PROPS = {
+			foo: {},
+		};
+		JSXTestComponent.STATE = {
+			bar: {
+				value: 'bar',
+			},
+		};
+
+		backend = install(target);
+		component = new JSXTestComponent({
+			foo: 'foo',
+		});
+
+		const info = backend.getComponentInfo(getUid(component));
+		assert.strictEqual('foo', info.props.foo.value);
+		assert.strictEqual('bar', info.state.bar.value);
+		assert.ok(!info.props.bar);
+	});
+
+	it('should record forced updates', function() {
+		backend = install(target);
+		component = new TestComponent();
+		component.forceUpdate();
+
+		const rendered = getPayloads('componentRendered');
+		const reason = rendered[rendered.length - 1].reason;
+		assert.ok(reason.forced);
+		assert.strictEqual(null, reason.changes);
+	});
+
+	it('should set state on components via "setState" messages', function() {
+		backend = install(target);
+		component = new TestComponent();
+
+		target.receive({
+			payload: {
+				id: getUid(component),
+				state: {
+					foo: 'bar',
+				},
+			},
+			source: INSPECTOR_SOURCE,
+			type: 'setState',
+		});
+		assert.strictEqual('bar', component.foo);
+	});
+
+	it('should reply with "error" messages when requests fail', function() {
+		backend = new DevToolsBackend(target);
+		target.receive({
+			payload: {
+				id: 'foo',
+			},
+			requestId: 2,
+			source: INSPECTOR_SOURCE,
+			type: 'inspect',
+		});
+		target.receive({
+			source: INSPECTOR_SOURCE,
+			type: 'foo',
+		});
+
+		const errors = target.messages.filter(message => message.type === 'error');
+		assert.strictEqual(2, errors.length);
+		assert.strictEqual(2, errors[0].requestId);
+		assert.strictEqual('inspect', errors[0].payload.type);
+		assert.strictEqual('foo', errors[1].payload.type);
+	});
+
+	it('should not walk already tracked components again when they render', function() {
+		backend = install(target);
+		component = new TestComponent();
+		sinon.spy(backend, 'addComponent');
+
+		component.forceUpdate();
+		component.components.child.forceUpdate();
+		assert.strictEqual(0, backend.addComponent.callCount);
+		assert.strictEqual(2, getPayloads('componentAdded').length);
+	});
+
+	it('should track new sub components and stop tracking disposed ones', function(
+		done
+	) {
+		TestComponent.prototype.render = function() {
+			IncrementalDOM.elementOpen('div');
+			if (this.foo === 'foo') {
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'ref', 'child');
+			} else {
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'ref', 'child2');
+			}
+			IncrementalDOM.elementClose('div');
+		};
+
+		backend = install(target);
+		component = new TestComponent();
+		const child = component.components.child;
+
+		component.foo = 'bar';
+		component.once('stateSynced', function() {
+			const child2 = component.components.child2;
+			assert.deepEqual(
+				[{id: getUid(child)}],
+				getPayloads('componentRemoved')
+			);
+
+			const added = getPayloads('componentAdded');
+			assert.strictEqual(getUid(child2), added[added.length - 1].id);
+			assert.strictEqual(getUid(child2), backend.getTree()[0].children[0].id);
+			done();
+		});
+	});
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+import {getUid} from 'metal';
+import Component from 'metal-component';
+import {
+	describeElement,
+	getComponentName,
+	serializeValue,
+} from '../src/serialize';
+
+describe('serialize', function() {
+	describe('describeElement', function() {
+		it('should describe elements by their tag, id and css classes', function() {
+			const element = document.createElement('div');
+			assert.strictEqual('div', describeElement(element));
+
+			element.id = 'main';
+			element.className = ' foo  bar ';
+			assert.strictEqual('div#main.foo.bar', describeElement(element));
+		});
+	});
+
+	describe('getComponentName', function() {
+		it('should return the name of the component\'s constructor', function() {
+			class TestComponent extends Component {}
+			const component = new TestComponent({}, false);
+			assert.strictEqual('TestComponent', getComponentName(component));
+			component.dispose();
+		});
+
+		it('should return the name of the render function for function components', function() {
+			class TestComponent extends Component {}
+			TestComponent.RENDER_FN = function Button() {};
+			const component = new TestComponent({}, false);
+			assert.strictEqual('Button', getComponentName(component));
+			component.dispose();
+		});
+	});
+
+	describe('serializeValue', function() {
+		it('should return primitive values as they are', function() {
+			assert.strictEqual('foo', serializeValue('foo'));
+			assert.strictEqual(1, serializeValue(1));
+			assert.strictEqual(true, serializeValue(true));
+			assert.strictEqual(null, serializeValue(null));
+			assert.strictEqual(undefined, serializeValue(undefined));
+		});
+
+		it('should describe functions, elements and components', function() {
+			const component = new Component({}, false);
+			function myFn() {}
+
+			assert.deepEqual(
+				{
+					$type: 'function',
+					name: 'myFn',
+				},
+				serializeValue(myFn)
+			);
+			assert.deepEqual(
+				{
+					$type: 'element',
+					description: 'span',
+				},
+				serializeValue(document.createElement('span'))
+			);
+			assert.deepEqual(
+				{
+					$type: 'component',
+					id: getUid(component),
+					name: 'Component',
+				},
+				serializeValue(component)
+			);
+			component.dispose();
+		});
+
+		it('should serialize objects and arrays recursively', function() {
+			const value = {
+				arr: [1, {fn: function myFn() {}}],
+				foo: 'foo',
+			};
+			assert.deepEqual(
+				{
+					arr: [
+						1,
+						{
+							fn: {
+								$type: 'function',
+								name: 'myFn',
+							},
+						},
+					],
+					foo: 'foo',
+				},
+				serializeValue(value)
+			);
+		});
+
+		it('should replace objects nested too deeply with placeholders', function() {
+			const value = {
+				a: {
+					b: [1],
+				},
+			};
+			assert.deepEqual(
+				{
+					a: {
+						$type: 'object',
+					},
+				},
+				serializeValue(value, 1)
+			);
+			assert.deepEqual(
+				{
+					a: {
+						b: {
+							$type: 'array',
+						},
+					},
+				},
+				serializeValue(value, 2)
+			);
+		});
+	});
+});
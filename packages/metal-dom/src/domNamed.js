@@ -14,7 +14,9 @@ import domData from './domData';
 import DomDelegatedEventHandle from './DomDelegatedEventHandle';
 import DomEventHandle from './DomEventHandle';
 
+const delegatedEvents_ = {};
 const elementsByTag_ = {};
+const portals_ = [];
 const supportCache_ = {};
 export const customEvents = {};
 
@@ -150,6 +152,10 @@ function attachDelegateEvent_(element, eventName) {
 			selectors: {},
 		};
 	}
+	if (!delegatedEvents_[eventName]) {
+		delegatedEvents_[eventName] = true;
+		portals_.forEach(portal => listenOnPortal_(portal, eventName));
+	}
 }
 
 /**
@@ -274,6 +280,75 @@ export function delegate(
 	);
 }
 
+/**
+ * Triggers the delegated listeners of the given portal's logical ancestors that
+ * are not also its DOM ancestors, since the event won't reach those otherwise.
+ * @param {!Element} portal
+ * @param {!Event} event
+ * @return {boolean} False if at least one of the triggered callbacks returns
+ *     false, or true otherwise.
+ * @private
+ */
+function forwardPortalEvent_(portal, event) {
+	let ret = true;
+	let currElement = getLogicalParent_(portal);
+	while (currElement && !event.stopped) {
+		const delegatingData = domData.has(currElement)
+			? domData.get(currElement, 'delegating', {})
+			: {};
+		if (delegatingData[event.type] && !contains(currElement, portal)) {
+			ret &= handleDelegateEventOn_(currElement, event);
+		}
+		currElement = getLogicalParent_(currElement);
+	}
+	return ret;
+}
+
+/**
+ * Gets the elements that delegated listeners on the given container should go
+ * through for an event triggered on the given target, from the target to the
+ * container. Portals are followed to the elements they were rendered from (see
+ * `linkPortal`), so events bubble through the logical tree. If the container
+ * is not reached this way, the DOM tree is used instead.
+ * @param {!Element} container
+ * @param {Node} target
+ * @return {!Array<!Node>}
+ * @private
+ */
+function getDelegatePath_(container, target) {
+	const path = [];
+	let currElement = target;
+	while (currElement && currElement !== container) {
+		path.push(currElement);
+		currElement = getLogicalParent_(currElement);
+	}
+	if (currElement) {
+		path.push(container);
+		return path;
+	}
+
+	const limit = container.parentNode;
+	path.length = 0;
+	currElement = target;
+	while (currElement && currElement !== limit) {
+		path.push(currElement);
+		currElement = currElement.parentNode;
+	}
+	return path;
+}
+
+/**
+ * Gets the logical parent of the given node, which is the element it was
+ * rendered from for portals (see `linkPortal`), or its DOM parent otherwise.
+ * @param {!Node} node
+ * @return {Node}
+ * @private
+ */
+function getLogicalParent_(node) {
+	const portalParent = domData.has(node) && domData.get(node, 'portalParent');
+	return portalParent || node.parentNode;
+}
+
 /**
  * Verifies if the element is able to trigger the Click event,
  * simulating browsers behaviour, avoiding event listeners to be called by triggerEvent method.
@@ -345,9 +420,25 @@ export function exitDocument(node) {
  * @private
  */
 function handleDelegateEvent_(event) {
+	const container = event.currentTarget;
+	let ret = handleDelegateEventOn_(container, event);
+	if (domData.get(container, 'portalHandles')) {
+		ret &= forwardPortalEvent_(container, event);
+	}
+	return ret;
+}
+
+/**
+ * Triggers the delegated listeners of the given container for an event.
+ * @param {!Element} container
+ * @param {!Event} event
+ * @return {boolean} False if at least one of the triggered callbacks returns
+ *     false, or true otherwise.
+ * @private
+ */
+function handleDelegateEventOn_(container, event) {
 	normalizeDelegateEvent_(event);
 	let ret = true;
-	const container = event.currentTarget;
 	const defFns = [];
 
 	ret &= triggerDelegatedListeners_(container, event, defFns);
@@ -358,6 +449,24 @@ function handleDelegateEvent_(event) {
 	return ret;
 }
 
+/**
+ * This is called when an event that is being delegated somewhere reaches a
+ * portal's element that isn't delegating it itself (in which case it's
+ * forwarded after the portal's own listeners run instead).
+ * @param {!Event} event The event payload.
+ * @return {boolean} False if at least one of the triggered callbacks returns
+ *     false, or true otherwise.
+ * @private
+ */
+function handlePortalEvent_(event) {
+	const portal = event.currentTarget;
+	const delegatingData = domData.get(portal, 'delegating', {});
+	if (delegatingData[event.type]) {
+		return true;
+	}
+	return forwardPortalEvent_(portal, event);
+}
+
 /**
  * Checks if the given element has the requested css class.
  * @param {!Element} element
@@ -399,6 +508,25 @@ function hasClassWithoutNative_(element, className) {
 	);
 }
 
+/**
+ * Checks if the given element is inside the container, either in the DOM tree
+ * or in the logical tree formed by portals (see `linkPortal`).
+ * @param {!Element} container
+ * @param {!Node} element
+ * @return {boolean}
+ * @private
+ */
+function isInside_(container, element) {
+	if (contains(container, element)) {
+		return true;
+	}
+	let currElement = getLogicalParent_(element);
+	while (currElement && currElement !== container) {
+		currElement = getLogicalParent_(currElement);
+	}
+	return !!currElement;
+}
+
 /**
  * Checks if the given element is empty or not.
  * @param {!Element} element
@@ -408,6 +536,42 @@ export function isEmpty(element) {
 	return element.childNodes.length === 0;
 }
 
+/**
+ * Links the given portal element, which was rendered elsewhere in the DOM, to
+ * the element it was logically rendered from. Delegated events triggered
+ * inside the portal then bubble to this parent and its ancestors (including
+ * their `delegate` listeners), instead of following the DOM tree.
+ * @param {!Element} element The portal's element.
+ * @param {!Element} parent The element the portal was rendered from.
+ */
+export function linkPortal(element, parent) {
+	const data = domData.get(element);
+	data.portalParent = parent;
+	if (!data.portalHandles) {
+		data.portalHandles = {};
+		portals_.push(element);
+		Object.keys(delegatedEvents_).forEach(eventName =>
+			listenOnPortal_(element, eventName)
+		);
+	}
+}
+
+/**
+ * Listens to the given event on the portal element, so it can be forwarded to
+ * the portal's logical ancestors.
+ * @param {!Element} element
+ * @param {string} eventName
+ * @private
+ */
+function listenOnPortal_(element, eventName) {
+	domData.get(element, 'portalHandles')[eventName] = on(
+		element,
+		eventName,
+		handlePortalEvent_,
+		!!USE_CAPTURE[eventName]
+	);
+}
+
 /**
  * IE11 doesn't support Element.matches function, this method
  * check if an element matches a given selector.
@@ -739,10 +903,10 @@ function triggerDefaultDelegatedListeners_(defFns, event) {
  */
 function triggerDelegatedListeners_(container, event, defaultFns) {
 	let ret = true;
-	let currElement = event.target;
-	const limit = container.parentNode;
+	const path = getDelegatePath_(container, event.target);
 
-	while (currElement && currElement !== limit && !event.stopped) {
+	for (let i = 0; i < path.length && !event.stopped; i++) {
+		const currElement = path[i];
 		if (isAbleToInteractWith_(currElement, event.type, event)) {
 			event.delegateTarget = currElement;
 			ret &= triggerElementListeners_(currElement, event, defaultFns);
@@ -753,7 +917,6 @@ function triggerDelegatedListeners_(container, event, defaultFns) {
 				defaultFns
 			);
 		}
-		currElement = currElement.parentNode;
 	}
 
 	return ret;
@@ -857,7 +1020,7 @@ function toggleClassesWithoutNative_(element, classes) {
  */
 function triggerElementListeners_(element, event, defaultFns) {
 	const lastContainer = event[LAST_CONTAINER];
-	if (!isDef(lastContainer) || !contains(lastContainer, element)) {
+	if (!isDef(lastContainer) || !isInside_(lastContainer, element)) {
 		const listeners = domData.get(element, 'listeners', {})[event.type];
 		return triggerListeners_(listeners, event, element, defaultFns);
 	}
@@ -932,3 +1095,20 @@ function triggerSelectorListeners_(container, element, event, defaultFns) {
 	}
 	return ret;
 }
+
+/**
+ * Removes the link between the given portal element and the element it was
+ * rendered from, created via `linkPortal`.
+ * @param {!Element} element The portal's element.
+ */
+export function unlinkPortal(element) {
+	const data = domData.get(element);
+	if (data.portalHandles) {
+		Object.keys(data.portalHandles).forEach(eventName =>
+			data.portalHandles[eventName].removeListener()
+		);
+		data.portalHandles = null;
+		data.portalParent = null;
+		portals_.splice(portals_.indexOf(element), 1);
+	}
+}
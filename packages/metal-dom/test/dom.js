@@ -1170,6 +1170,128 @@ describe('dom', function() {
 				assert.ok(!listener.args[0][0].delegateTarget);
 			});
 		});
+
+		describe('portals', function() {
+			let parentElement;
+			let portal;
+			let portalChild;
+			let sibling;
+
+			beforeEach(function() {
+				parentElement = document.createElement('div');
+				parentElement.innerHTML = '<div class="logical"></div>';
+				dom.enterDocument(parentElement);
+
+				sibling = document.createElement('div');
+				dom.enterDocument(sibling);
+
+				portal = document.createElement('div');
+				portalChild = document.createElement('button');
+				dom.append(portal, portalChild);
+				dom.append(sibling, portal);
+			});
+
+			afterEach(function() {
+				dom.unlinkPortal(portal);
+			});
+
+			it('should trigger listeners of the logical parent for events inside portals', function() {
+				let logical = parentElement.querySelector('.logical');
+				dom.linkPortal(portal, logical);
+
+				let targets = [];
+				dom.delegate(document, 'click', portalChild, () =>
+					targets.push(portalChild)
+				);
+				dom.delegate(document, 'click', logical, () => targets.push(logical));
+				dom.delegate(document, 'click', parentElement, () =>
+					targets.push(parentElement)
+				);
+
+				dom.triggerEvent(portalChild, 'click');
+				assert.deepEqual([portalChild, logical, parentElement], targets);
+			});
+
+			it('should trigger selector listeners of logical ancestors that are not DOM ancestors', function() {
+				dom.linkPortal(portal, parentElement.querySelector('.logical'));
+
+				let targets = [];
+				dom.delegate(parentElement, 'click', 'button', event =>
+					targets.push(event.delegateTarget)
+				);
+				dom.delegate(parentElement, 'click', '.logical', event =>
+					targets.push(event.delegateTarget)
+				);
+
+				dom.triggerEvent(portalChild, 'click');
+				assert.deepEqual(
+					[portalChild, parentElement.querySelector('.logical')],
+					targets
+				);
+			});
+
+			it('should forward events that start being delegated after linking', function() {
+				dom.linkPortal(portal, parentElement);
+
+				let listener = sinon.stub();
+				dom.delegate(parentElement, 'mousedown', 'button', listener);
+
+				dom.triggerEvent(portalChild, 'mousedown');
+				assert.strictEqual(1, listener.callCount);
+			});
+
+			it('should not trigger listeners twice for containers that are also DOM ancestors', function() {
+				dom.linkPortal(portal, parentElement);
+
+				let listener = sinon.stub();
+				dom.delegate(document, 'click', portalChild, listener);
+				dom.delegate(sibling, 'click', 'div', sinon.stub());
+				let parentListener = sinon.stub();
+				dom.delegate(document, 'click', parentElement, parentListener);
+
+				dom.triggerEvent(portalChild, 'click');
+				assert.strictEqual(1, listener.callCount);
+				assert.strictEqual(1, parentListener.callCount);
+			});
+
+			it('should not trigger listeners of DOM ancestors outside of them for portals', function() {
+				dom.linkPortal(portal, parentElement);
+
+				let targets = [];
+				dom.delegate(sibling, 'click', 'div', event =>
+					targets.push(event.delegateTarget)
+				);
+
+				dom.triggerEvent(portalChild, 'click');
+				assert.deepEqual([portal, sibling], targets);
+			});
+
+			it('should not trigger listeners of logical ancestors if propagation is stopped', function() {
+				dom.linkPortal(portal, parentElement);
+
+				dom.delegate(portal, 'click', 'button', event =>
+					event.stopPropagation()
+				);
+				let listener = sinon.stub();
+				dom.delegate(parentElement, 'click', 'div', listener);
+				dom.delegate(document, 'click', parentElement, listener);
+
+				dom.triggerEvent(portalChild, 'click');
+				assert.strictEqual(0, listener.callCount);
+			});
+
+			it('should stop bubbling to the logical parent after unlinking', function() {
+				dom.linkPortal(portal, parentElement);
+				dom.unlinkPortal(portal);
+
+				let listener = sinon.stub();
+				dom.delegate(parentElement, 'click', 'button', listener);
+				dom.delegate(document, 'click', parentElement, listener);
+
+				dom.triggerEvent(portalChild, 'click');
+				assert.strictEqual(0, listener.callCount);
+			});
+		});
 	});
 
 	describe('match', function() {
@@ -1,12 +1,37 @@
 'use strict';
 
 import './incremental-dom';
-import {getChanges, trackChanges} from './changes';
+import {
+	getChanges,
+	getLastChanges,
+	getPrevValues,
+	trackChanges,
+} from './changes';
 import {clearData, getData} from './data';
 import {getOwner} from './children/children';
+import {readContext, removeConsumer} from './context/context';
 import {getPatchingComponent, patch} from './render/patch';
-import {render, renderChild, renderFunction} from './render/render';
-import {Component, ComponentRenderer} from 'metal-component';
+import {recordSkip} from './profiler/profiler';
+import {startHydration, stopHydration} from './render/hydrate';
+import {
+	getFunctionTagDepth,
+	render,
+	renderChild,
+	renderFunction,
+} from './render/render';
+import {
+	readStateSnapshot,
+	startRestoringState,
+	stopRestoringState,
+} from './render/snapshot';
+import {renderToStream} from './render/stream';
+import {renderToString, renderToStringAsync} from './render/string';
+import {
+	Component,
+	ComponentRenderer,
+	getLifecycleStart,
+} from 'metal-component';
+import {unlinkPortal} from 'metal-dom';
 
 class IncrementalDomRenderer extends ComponentRenderer.constructor {
 	/**
@@ -20,6 +45,20 @@ class IncrementalDomRenderer extends ComponentRenderer.constructor {
 		return [changes.props];
 	}
 
+	/**
+	 * Returns an array with the args that should be passed to the component's
+	 * `getSnapshotBeforeUpdate` and `didUpdate` methods, which hold the values
+	 * its data had before the update. This can be overridden by sub classes to
+	 * change what the methods should receive.
+	 * @param {!Component} component
+	 * @param {Object} changes
+	 * @return {!Array}
+	 */
+	buildUpdateArgs(component, changes) {
+		const state = component.getDataManager().getState(component);
+		return [this.getPrevValues(changes, 'props', state)];
+	}
+
 	/**
 	 * @inheritDoc
 	 */
@@ -43,6 +82,11 @@ class IncrementalDomRenderer extends ComponentRenderer.constructor {
 			}
 		}
 
+		if (data.portalParent && component.element) {
+			unlinkPortal(component.element);
+		}
+
+		removeConsumer(component);
 		clearData(component);
 	}
 
@@ -76,6 +120,35 @@ class IncrementalDomRenderer extends ComponentRenderer.constructor {
 		return getData(component);
 	}
 
+	/**
+	 * Gets the number of plain function tags currently being called, which
+	 * render inline as part of the component being rendered.
+	 * @return {number}
+	 */
+	getFunctionTagDepth() {
+		return getFunctionTagDepth();
+	}
+
+	/**
+	 * Gets the state changes that caused the component's last render, or null
+	 * if it wasn't caused by changes (like on the first render, or when the
+	 * update was forced).
+	 * @param {!Component} component
+	 * @return {Object}
+	 */
+	getLastChanges(component) {
+		return getLastChanges(component);
+	}
+
+	/**
+	 * Returns the component that rendered the given one, if any.
+	 * @param {!Component} component
+	 * @return {Component}
+	 */
+	getParent(component) {
+		return getData(component).parent || null;
+	}
+
 	/**
 	 * Gets the component that triggered the current patch operation.
 	 * @return {Component}
@@ -84,12 +157,64 @@ class IncrementalDomRenderer extends ComponentRenderer.constructor {
 		return getPatchingComponent();
 	}
 
+	/**
+	 * Gets what the component rendered the last time, in shallow mode (see
+	 * `setShallowRendering`), as a tree of plain objects that can be
+	 * serialized. Element nodes are represented as `{type, props, children}`,
+	 * and text nodes as strings. Sub components, which are not created in this
+	 * mode, are represented with nodes that also have their `key` and `ref`,
+	 * and the `component` flag set to true. Their children are the ones passed
+	 * to them. Functions in props are replaced by strings with their names.
+	 * @param {!Component} component
+	 * @return {Array<!Object|string>} The top level nodes, or null if the
+	 *     component was not rendered in shallow mode.
+	 */
+	getShallowTree(component) {
+		const data = getData(component);
+		return (data.shallow && data.shallowTree) || null;
+	}
+
 	/**
 	 * Handles a node having just been rendered. Sub classes should override this
 	 * for custom behavior.
 	 */
 	handleNodeRendered() {}
 
+	/**
+	 * Renders the component for the first time on top of the markup that
+	 * already exists in its element, reusing the existing nodes instead of
+	 * creating new ones. If the markup is followed by a state snapshot (see
+	 * the `serializeState` option of `renderToString`), the state of the
+	 * component and its sub components is restored from it before they're
+	 * rendered.
+	 * @param {!Component} component
+	 */
+	hydrate(component) {
+		const snapshot = readStateSnapshot(component.element);
+		if (snapshot) {
+			startRestoringState(component, snapshot);
+		}
+		startHydration(component);
+		try {
+			this.patch(component);
+		} finally {
+			stopHydration();
+			stopRestoringState(component);
+		}
+	}
+
+	/**
+	 * Builds an object with the values that the given data had before the given
+	 * changes. Keys that didn't change keep their current values.
+	 * @param {Object} changes
+	 * @param {string} type The type of the data, like "props" or "state".
+	 * @param {!Object} current The current values of the data.
+	 * @return {!Object}
+	 */
+	getPrevValues(changes, type, current) {
+		return getPrevValues(changes, type, current);
+	}
+
 	/**
 	 * Checks if the given object is an incremental dom node.
 	 * @param {!Object} node
@@ -107,6 +232,19 @@ class IncrementalDomRenderer extends ComponentRenderer.constructor {
 		patch(component);
 	}
 
+	/**
+	 * Reads the value of the given context for the component, registering it
+	 * to be updated when this value changes. The key identifies this read
+	 * among all others done by the component in the same render.
+	 * @param {!Component} component
+	 * @param {!Object} context A context created via `createContext`.
+	 * @param {string} key
+	 * @return {*}
+	 */
+	readContext(component, context, key) {
+		return readContext(component, context, key);
+	}
+
 	/**
 	 * Renders the renderer's component for the first time, patching its element
 	 * through incremental dom function calls. If the first arg is a function
@@ -165,11 +303,88 @@ class IncrementalDomRenderer extends ComponentRenderer.constructor {
 			this.willUpdate_(component, changes);
 
 			render(component);
-		} else if (component.element) {
-			this.skipRender();
+		} else {
+			recordSkip(component, changes);
+			if (component.element) {
+				this.skipRender();
+			}
 		}
 	}
 
+	/**
+	 * Creates and renders a component for the given constructor function,
+	 * returning a stream that emits its html in chunks.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object=} config Optional config data for the component.
+	 * @param {Object=} options Optional rendering options (see
+	 *     `renderToString`).
+	 * @return {!EventEmitter} Emits `data` events with html chunks, followed
+	 *     by an `end` event (or `error` if rendering fails). A node.js
+	 *     `stream.Readable` when the `stream` module is available.
+	 */
+	renderToStream(Ctor, config, options) {
+		return renderToStream(Ctor, config, options);
+	}
+
+	/**
+	 * Creates and renders a component for the given constructor function,
+	 * returning its html. Doesn't need a DOM implementation.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object=} config Optional config data for the component.
+	 * @param {Object=} options Optional rendering options. Set
+	 *     `serializeState` to true to also render a snapshot of the state of
+	 *     all components, to be restored by `hydrate`.
+	 * @return {string}
+	 */
+	renderToString(Ctor, config, options) {
+		return renderToString(Ctor, config, options);
+	}
+
+	/**
+	 * Creates and renders a component for the given constructor function,
+	 * resolving with its html once all components that suspended while
+	 * rendering have the data they need. Doesn't need a DOM implementation.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object=} config Optional config data for the component.
+	 * @param {Object=} options Optional rendering options (see
+	 *     `renderToString`).
+	 * @return {!Promise<string>}
+	 */
+	renderToStringAsync(Ctor, config, options) {
+		return renderToStringAsync(Ctor, config, options);
+	}
+
+	/**
+	 * Sets if the component should be rendered in shallow mode, which skips
+	 * its sub components instead of creating and rendering them. Useful for
+	 * testing a component in isolation. What the component renders in this
+	 * mode can be retrieved via `getShallowTree`.
+	 * @param {!Component} component
+	 * @param {boolean} shallow
+	 */
+	setShallowRendering(component, shallow) {
+		getData(component).shallow = shallow;
+	}
+
+	/**
+	 * Sets if the component should be rendered in time sliced mode, which
+	 * keeps large trees from blocking the main thread for too long. In this
+	 * mode sub components can be deferred to later slices, which run according
+	 * to deadlines from the deadline source (see `setDeadlineSource`). Patches
+	 * done outside of slices, like the first render or updates, only render the
+	 * component and the sub components at its root position, deferring the
+	 * others. Deferred sub components keep their current content until they
+	 * are rendered, so the DOM is never left inconsistent, and once all slices
+	 * have run it's the same as if it had been rendered synchronously. The
+	 * `rendered` lifecycle of a component runs once per render or update, not
+	 * again for each slice that resumes rendering its sub components.
+	 * @param {!Component} component
+	 * @param {boolean} timeSliced
+	 */
+	setTimeSlicing(component, timeSliced) {
+		getData(component).timeSliced = timeSliced;
+	}
+
 	/**
 	 * Sets up this component to be used by this renderer.
 	 * @param {!Component} component
@@ -231,19 +446,32 @@ class IncrementalDomRenderer extends ComponentRenderer.constructor {
 		if (data.forceUpdate || this.shouldUpdate(component, changes)) {
 			this.willUpdate_(component, changes);
 			this.patch(component);
+		} else {
+			recordSkip(component, changes);
 		}
 	}
 
 	/**
-	 * Invokes component's "willUpdate" lifecycle method if applicable.
+	 * Invokes component's "willUpdate" lifecycle method if applicable. Also
+	 * takes the component's snapshot via `getSnapshotBeforeUpdate`, before its
+	 * content changes, so it can be passed to `didUpdate` once it's rendered,
+	 * and records when the update started, for lifecycle observers.
 	 * @param {!Component} component
 	 * @param {Object} changes
 	 */
 	willUpdate_(component, changes) {
-		if (!component.wasRendered || !changes) {
+		if (!component.wasRendered) {
 			return;
 		}
-		component.informWillUpdate(...this.buildShouldUpdateArgs(changes));
+		getData(component).updateStart = getLifecycleStart();
+		if (changes) {
+			component.informWillUpdate(...this.buildShouldUpdateArgs(changes));
+		}
+		const args = this.buildUpdateArgs(component, changes);
+		getData(component).pendingUpdate = {
+			args,
+			snapshot: component.getSnapshotBeforeUpdate(...args),
+		};
 	}
 }
 
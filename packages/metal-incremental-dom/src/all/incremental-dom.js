@@ -1,5 +1,30 @@
 import HTML2IncDom from '../html/HTML2IncDom';
 import IncrementalDomRenderer from '../IncrementalDomRenderer';
+import {createContext} from '../context/context';
+import {
+	isProfiling,
+	startProfiling,
+	stopProfiling,
+	toTraceEvents,
+} from '../profiler/profiler';
+import Portal from '../portal/Portal';
+import {hasPendingSlices, setDeadlineSource} from '../render/slicing';
+import Suspense from '../suspense/Suspense';
+import Transition from '../transition/Transition';
+import TransitionGroup from '../transition/TransitionGroup';
 
-export {HTML2IncDom};
+export {
+	createContext,
+	hasPendingSlices,
+	HTML2IncDom,
+	isProfiling,
+	Portal,
+	setDeadlineSource,
+	startProfiling,
+	stopProfiling,
+	Suspense,
+	toTraceEvents,
+	Transition,
+	TransitionGroup,
+};
 export default IncrementalDomRenderer;
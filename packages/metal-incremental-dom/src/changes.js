@@ -1,15 +1,45 @@
 'use strict';
 
 import {getData} from './data';
+import {object} from 'metal';
 
 /**
- * Clears the changes tracked so far.
+ * Clears the changes tracked so far. They're still kept as the last cleared
+ * changes though, which can be retrieved via `getLastChanges`.
  * @param {!Object} data
  */
 export function clearChanges(data) {
+	data.lastChanges = data.changes;
 	data.changes = null;
 }
 
+/**
+ * Discards the changes tracked so far, without keeping them as the last
+ * cleared changes. Useful when skipping a render for changes that don't
+ * affect what the component renders.
+ * @param {!Component} component
+ */
+export function discardChanges(component) {
+	getData(component).changes = null;
+}
+
+/**
+ * Builds an object with the values that the given data had before the given
+ * changes. Keys that didn't change keep their current values.
+ * @param {Object} changes Changes tracked for a component (see `getChanges`).
+ * @param {string} type The type of the data, like "props" or "state".
+ * @param {!Object} current The current values of the data.
+ * @return {!Object}
+ */
+export function getPrevValues(changes, type, current) {
+	const prevValues = object.mixin({}, current);
+	const typeChanges = (changes && changes[type]) || {};
+	Object.keys(typeChanges).forEach(
+		key => (prevValues[key] = typeChanges[key].prevVal)
+	);
+	return prevValues;
+}
+
 /**
  * Handles the `stateKeyChanged` event from a component. Stores change data.
  * @param {!Object} data
@@ -33,6 +63,18 @@ export function getChanges(component) {
 	return getData(component).changes;
 }
 
+/**
+ * Returns the changes that were last cleared for the given component, which
+ * are the ones that caused its last render. Returns null if there weren't
+ * any, like when the component was rendered for the first time or had its
+ * update forced.
+ * @param {!Component} component
+ * @return {Object}
+ */
+export function getLastChanges(component) {
+	return getData(component).lastChanges || null;
+}
+
 /**
  * Starts tracking changes for the given component
  * @param {!Component} component
@@ -11,6 +11,23 @@ import {startInterception, stopInterception} from '../incremental-dom-aop';
  */
 export const CHILD_OWNER = '__metalChildOwner';
 
+/**
+ * Stops capturing children, discarding everything captured so far. Does
+ * nothing if children are not being captured. Useful for recovering from
+ * errors thrown while capturing.
+ */
+export function cancelCapture() {
+	if (isCapturing_) {
+		stopInterception();
+		isCapturing_ = false;
+		callback_ = null;
+		callbackData_ = null;
+		currentParent_ = null;
+		owner_ = null;
+		tree_ = null;
+	}
+}
+
 /**
  * Captures all child elements from incremental dom calls.
  * @param {!Component} component The component that is capturing children.
@@ -1,5 +1,6 @@
 'use strict';
 
+import {exitDocument} from 'metal-dom';
 import {getData} from '../data';
 
 let comps_ = [];
@@ -17,10 +18,13 @@ export function disposeUnused() {
 
 	for (let i = 0; i < comps_.length; i++) {
 		const comp = comps_[i];
-		if (!comp.isDisposed() && !getData(comp).parent) {
-			// Don't let disposing cause the element to be removed, since it may
-			// be currently being reused by another component.
-			if (!comp.portalElement) {
+		const data = getData(comp);
+		if (!comp.isDisposed() && !data.parent) {
+			if (data.removeElement) {
+				exitDocument(comp.element);
+			} else if (!comp.portalElement) {
+				// Don't let disposing cause the element to be removed, since it may
+				// be currently being reused by another component.
 				comp.element = null;
 			}
 			comp.dispose();
@@ -34,11 +38,16 @@ export function disposeUnused() {
  * Schedules the given components to be checked and disposed if not used
  * anymore when `disposeUnused` is called.
  * @param {!Array<!Component>} comps
+ * @param {boolean=} removeElements Flag indicating if the elements of the
+ *     components should be removed from the DOM when they're disposed. They
+ *     are kept by default, since they may be reused by other components.
  */
-export function schedule(comps) {
+export function schedule(comps, removeElements = false) {
 	for (let i = 0; i < comps.length; i++) {
 		if (!comps[i].isDisposed()) {
-			getData(comps[i]).parent = null;
+			const data = getData(comps[i]);
+			data.parent = null;
+			data.removeElement = removeElements;
 			comps_.push(comps[i]);
 		}
 	}
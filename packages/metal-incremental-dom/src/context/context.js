@@ -0,0 +1,253 @@
+'use strict';
+
+import {Component} from 'metal-component';
+import {getData} from '../data';
+import {renderChild} from '../render/render';
+import IncrementalDomRenderer from '../IncrementalDomRenderer';
+
+/**
+ * Property that points from a provider's constructor to its context object.
+ * @type {string}
+ */
+const PROVIDED_CONTEXT = '__METAL_PROVIDED_CONTEXT__';
+
+let staleConsumers_ = [];
+
+/**
+ * Adds the given component to the list of consumers of the given provider.
+ * @param {!Component} component
+ * @param {!Component} provider
+ * @private
+ */
+function addConsumer_(component, provider) {
+	const data = getData(provider);
+	data.consumers = data.consumers || [];
+	if (data.consumers.indexOf(component) === -1) {
+		data.consumers.push(component);
+	}
+}
+
+/**
+ * Creates a new context object. Values for it can be provided to a whole
+ * subtree by rendering its `Provider` component, and read by components that
+ * declare the context in their static `CONTEXT` object, mapping the keys
+ * they want in `this.context` to context objects. Example:
+ *
+ * <code>
+ * const ThemeContext = createContext('light');
+ *
+ * class Button extends JSXComponent {
+ *   render() {
+ *     return <button class={this.context.theme}>Click</button>;
+ *   }
+ * }
+ * Button.CONTEXT = {
+ *   theme: ThemeContext
+ * };
+ *
+ * <ThemeContext.Provider value="dark"><Button /></ThemeContext.Provider>
+ * </code>
+ *
+ * Components that read a context are updated whenever the value they read
+ * changes, even if components between them and the provider skip their own
+ * updates via `shouldUpdate`.
+ * @param {*} defaultValue The value read by components that have no provider
+ *     above them.
+ * @return {!{Provider: !function(), defaultValue: *}}
+ */
+export function createContext(defaultValue) {
+	const context = {
+		defaultValue,
+	};
+
+	/**
+	 * Component that provides its `value` to the components rendered inside
+	 * it. Renders its children directly, without a wrapping element.
+	 */
+	class Provider extends Component {
+		/**
+		 * Renders the children passed to this provider.
+		 */
+		render() {
+			const children = this.children;
+			for (let i = 0; i < children.length; i++) {
+				renderChild(children[i]);
+			}
+		}
+
+		/**
+		 * Lifecycle. Schedules updates for consumers that are now showing a
+		 * different value than the one being provided, which happens when
+		 * they were skipped while this provider rendered.
+		 */
+		rendered() {
+			const consumers = getData(this).consumers || [];
+			for (let i = 0; i < consumers.length; i++) {
+				if (isStale_(consumers[i], this)) {
+					staleConsumers_.push({
+						component: consumers[i],
+						provider: this,
+					});
+				}
+			}
+		}
+	}
+	Provider[PROVIDED_CONTEXT] = context;
+	Provider.RENDERER = IncrementalDomRenderer;
+	Provider.STATE = {
+		/**
+		 * The value provided to the components rendered inside this provider.
+		 * @type {*}
+		 */
+		value: {},
+	};
+
+	context.Provider = Provider;
+	return context;
+}
+
+/**
+ * Finds the closest provider for the given context above the component.
+ * @param {!Component} component
+ * @param {!Object} context
+ * @return {Component}
+ * @private
+ */
+function findProvider_(component, context) {
+	let parent = getData(component).parent;
+	while (parent) {
+		if (parent.constructor[PROVIDED_CONTEXT] === context) {
+			return parent;
+		}
+		parent = getData(parent).parent;
+	}
+	return null;
+}
+
+/**
+ * Checks if the given consumer has read a value from the provider that is
+ * different from the one it currently provides.
+ * @param {!Component} component
+ * @param {!Component} provider
+ * @return {boolean}
+ * @private
+ */
+function isStale_(component, provider) {
+	if (component.isDisposed()) {
+		return false;
+	}
+	const data = getData(component);
+	const providers = data.contextProviders || {};
+	for (let key in providers) {
+		if (
+			providers[key] === provider &&
+			data.contextValues[key] !== provider.value
+		) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Reads the value of the given context for the component, from the closest
+ * provider above it (or the context's default value if there is none). The
+ * component is registered as a consumer of this provider under the given key,
+ * so it can be updated when the provided value changes.
+ * @param {!Component} component
+ * @param {!Object} context
+ * @param {string} key
+ * @return {*}
+ */
+export function readContext(component, context, key) {
+	const provider = findProvider_(component, context);
+	if (provider) {
+		addConsumer_(component, provider);
+	}
+
+	const data = getData(component);
+	data.contextProviders = data.contextProviders || {};
+	data.contextValues = data.contextValues || {};
+	data.contextProviders[key] = provider;
+	data.contextValues[key] = provider ? provider.value : context.defaultValue;
+	return data.contextValues[key];
+}
+
+/**
+ * Reads the values of all contexts declared by the given component via its
+ * static `CONTEXT` object, storing them in `component.context`. Everything
+ * read during the previous render is forgotten first.
+ * @param {!Component} component
+ */
+export function readContexts(component) {
+	const data = getData(component);
+	if (data.contextProviders) {
+		removeConsumer(component);
+		data.contextProviders = null;
+		data.contextValues = null;
+	}
+
+	const contexts = component.constructor.CONTEXT || {};
+	Object.keys(contexts).forEach(key => {
+		readContext(component, contexts[key], key);
+	});
+	syncContexts(component);
+}
+
+/**
+ * Removes the given component from the consumers of all providers it has
+ * read context values from. Should be called when it's disposed.
+ * @param {!Component} component
+ */
+export function removeConsumer(component) {
+	const providers = getData(component).contextProviders || {};
+	for (let key in providers) {
+		if (providers[key] && !providers[key].isDisposed()) {
+			removeFromProvider_(component, providers[key]);
+		}
+	}
+}
+
+/**
+ * Removes the given component from the consumers of the given provider.
+ * @param {!Component} component
+ * @param {!Component} provider
+ * @private
+ */
+function removeFromProvider_(component, provider) {
+	const consumers = getData(provider).consumers || [];
+	const index = consumers.indexOf(component);
+	if (index !== -1) {
+		consumers.splice(index, 1);
+	}
+}
+
+/**
+ * Copies the values read for the contexts declared by the given component into
+ * `component.context`, where they may have been overwritten by values from
+ * the legacy `getChildContext` api.
+ * @param {!Component} component
+ */
+export function syncContexts(component) {
+	const contexts = component.constructor.CONTEXT || {};
+	const values = getData(component).contextValues || {};
+	Object.keys(contexts).forEach(key => {
+		component.context[key] = values[key];
+	});
+}
+
+/**
+ * Updates all consumers scheduled by providers that have rendered with new
+ * values, bypassing their `shouldUpdate` checks. Consumers that have already
+ * been updated with the new value in the meantime are skipped.
+ */
+export function updateStaleConsumers() {
+	const stale = staleConsumers_;
+	staleConsumers_ = [];
+	for (let i = 0; i < stale.length; i++) {
+		const {component, provider} = stale[i];
+		if (isStale_(component, provider)) {
+			component.forceUpdate();
+		}
+	}
+}
@@ -2,6 +2,14 @@
 
 import './incremental-dom';
 
+/**
+ * Gets the number of interceptions that are currently active.
+ * @return {number}
+ */
+export function getInterceptionDepth() {
+	return fnStack.length;
+}
+
 /**
  * Gets the original incremental dom functions.
  * @return {!Object}
@@ -19,6 +27,21 @@ export function getOriginalFn(name) {
 	return originalFns[name];
 }
 
+/**
+ * Replaces the functions that calls are delegated to when they're not being
+ * intercepted (the original incremental dom functions by default). This allows
+ * observing or redirecting the final output of incremental dom calls, like
+ * when rendering to a string or stream. Should be given functions for the
+ * same names returned by `getOriginalFns`.
+ * @param {!Object} fns
+ * @return {!Object} The functions that were being used before.
+ */
+export function setOriginalFns(fns) {
+	const prevFns = originalFns;
+	originalFns = fns;
+	return prevFns;
+}
+
 /**
  * Starts intercepting calls to incremental dom, replacing them with the given
  * functions. Note that `elementVoid`, `elementOpenStart`, `elementOpenEnd`
@@ -47,14 +70,21 @@ export function stopInterception() {
 	fnStack.pop();
 }
 
-const originalFns = {
+let originalFns = {
 	attr: IncrementalDOM.attr,
 	attributes: IncrementalDOM.attributes[IncrementalDOM.symbols.default],
+	currentElement: IncrementalDOM.currentElement,
+	currentPointer: IncrementalDOM.currentPointer,
 	elementClose: IncrementalDOM.elementClose,
 	elementOpen: IncrementalDOM.elementOpen,
 	elementOpenEnd: IncrementalDOM.elementOpenEnd,
 	elementOpenStart: IncrementalDOM.elementOpenStart,
 	elementVoid: IncrementalDOM.elementVoid,
+	patch: IncrementalDOM.patch,
+	patchInner: IncrementalDOM.patchInner,
+	patchOuter: IncrementalDOM.patchOuter,
+	skip: IncrementalDOM.skip,
+	skipNode: IncrementalDOM.skipNode,
 	text: IncrementalDOM.text,
 };
 
@@ -99,11 +129,18 @@ function handleCall() {
 }
 
 IncrementalDOM.attr = buildHandleCall('attr');
+IncrementalDOM.currentElement = buildHandleCall('currentElement');
+IncrementalDOM.currentPointer = buildHandleCall('currentPointer');
 IncrementalDOM.elementClose = buildHandleCall('elementClose');
 IncrementalDOM.elementOpen = buildHandleCall('elementOpen');
 IncrementalDOM.elementOpenEnd = buildHandleCall('elementOpenEnd');
 IncrementalDOM.elementOpenStart = buildHandleCall('elementOpenStart');
 IncrementalDOM.elementVoid = buildHandleCall('elementVoid');
+IncrementalDOM.patch = buildHandleCall('patch');
+IncrementalDOM.patchInner = buildHandleCall('patchInner');
+IncrementalDOM.patchOuter = buildHandleCall('patchOuter');
+IncrementalDOM.skip = buildHandleCall('skip');
+IncrementalDOM.skipNode = buildHandleCall('skipNode');
 IncrementalDOM.text = buildHandleCall('text');
 
 IncrementalDOM.attributes[IncrementalDOM.symbols.default] = buildHandleCall(
@@ -0,0 +1,135 @@
+'use strict';
+
+import {Component, ComponentRegistry} from 'metal-component';
+import {buildCallFromConfig} from '../callArgs';
+import {getData} from '../data';
+import IncrementalDomRenderer from '../IncrementalDomRenderer';
+import {renderChild} from '../render/render';
+
+const placeholders_ = {};
+
+/**
+ * Creates the component that is rendered in place of the given lazy
+ * component while it's loading. It renders the placeholder the lazy
+ * component was registered with (if any), and starts loading it. Once
+ * loaded, its parent is patched again so the loaded component can be
+ * rendered in its place. Placeholders rendered without a parent patch
+ * themselves instead, rendering the loaded component. If loading fails, the error is thrown when
+ * rendering, so that it can be handled by error boundaries.
+ * @param {string} name
+ * @return {!function()}
+ * @private
+ */
+function createPlaceholderConstructor_(name) {
+	/**
+	 * Component rendered in place of a lazy component while it's loading.
+	 */
+	class LazyPlaceholder extends Component {
+		/**
+		 * @inheritDoc
+		 */
+		created() {
+			ComponentRegistry.load(name).then(
+				() => this.handleLoad_(),
+				error => this.handleLoadError_(error)
+			);
+		}
+
+		/**
+		 * Patches the parent component, so it renders the loaded component in
+		 * place of this one. If there is no parent, this component is patched
+		 * instead, rendering the loaded component itself.
+		 * @protected
+		 */
+		handleLoad_() {
+			if (this.isDisposed()) {
+				return;
+			}
+			const parent = getData(this).parent;
+			if (!parent) {
+				this.getRenderer().patch(this);
+			} else if (!parent.isDisposed()) {
+				parent.getRenderer().patch(parent);
+			}
+		}
+
+		/**
+		 * Rerenders this component, so that the error the lazy component's loader
+		 * failed with is thrown. Logs the error if there is no error boundary to
+		 * handle it.
+		 * @param {!Error} error
+		 * @protected
+		 */
+		handleLoadError_(error) {
+			if (this.isDisposed()) {
+				return;
+			}
+			try {
+				this.forceUpdate();
+			} catch (e) {
+				console.error(
+					`Error. Failed to load the component named ${name}.`,
+					error
+				);
+			}
+		}
+
+		/**
+		 * Renders the lazy component's placeholder, or throws the error its
+		 * loader failed with. Renders the lazy component itself once it's
+		 * loaded.
+		 */
+		render() {
+			const error = ComponentRegistry.getLoadError(name);
+			if (error) {
+				throw error;
+			}
+			const config = getData(this).config || {};
+			if (ComponentRegistry.isLoaded(name)) {
+				this.renderLoaded_(config);
+				return;
+			}
+			const placeholder = ComponentRegistry.getPlaceholder(name);
+			if (placeholder) {
+				const call = buildCallFromConfig(placeholder, config);
+				call[1] = null;
+				IncrementalDOM.elementVoid(...call);
+			}
+		}
+
+		/**
+		 * Renders the loaded lazy component with the given config, including
+		 * its children.
+		 * @param {!Object} config
+		 * @protected
+		 */
+		renderLoaded_(config) {
+			const Ctor = ComponentRegistry.getConstructor(name);
+			const call = buildCallFromConfig(Ctor, config);
+			call[1] = null;
+			IncrementalDOM.elementOpen(...call);
+			(config.children || []).forEach(renderChild);
+			IncrementalDOM.elementClose(Ctor);
+		}
+	}
+	LazyPlaceholder.RENDERER = IncrementalDomRenderer;
+	return LazyPlaceholder;
+}
+
+/**
+ * Gets the constructor that should be used for rendering the component
+ * registered with the given name. For lazy components that are not loaded
+ * yet, this is a placeholder component that renders their placeholder while
+ * loading them (see `ComponentRegistry.registerLazy`).
+ * @param {string} name
+ * @return {?function()}
+ */
+export function getConstructor(name) {
+	if (!ComponentRegistry.isLazy(name) || ComponentRegistry.isLoaded(name)) {
+		return ComponentRegistry.getConstructor(name);
+	}
+	if (!placeholders_[name]) {
+		placeholders_[name] = createPlaceholderConstructor_(name);
+	}
+	return placeholders_[name];
+}
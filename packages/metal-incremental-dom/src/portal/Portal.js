@@ -0,0 +1,80 @@
+'use strict';
+
+import {isServerSide} from 'metal';
+import {Component, ComponentRegistry} from 'metal-component';
+import IncrementalDomRenderer from '../IncrementalDomRenderer';
+import {renderChild} from '../render/render';
+
+/**
+ * Component that renders its children into another container in the page,
+ * while keeping them in the component tree where the portal was rendered.
+ * Any number of portals can be rendered by the same component, and they can
+ * be used anywhere inside a render. Example:
+ *
+ * <code>
+ * <div class="toolbar" data-onclick={this.handleClick}>
+ *   <Portal container="#modals">
+ *     <Dialog />
+ *   </Portal>
+ * </div>
+ * </code>
+ *
+ * The children are wrapped by an element that is appended to the container,
+ * which can be an element or a selector, defaulting to the document's body.
+ * Delegated DOM events triggered inside portals bubble along the component
+ * tree, so in the example above clicks inside the dialog also trigger
+ * `handleClick`. This also applies to `delegate` listeners, such as the ones
+ * added via `events` with a selector. Once disposed, the portal's element is
+ * removed from the container.
+ */
+class Portal extends Component {
+	/**
+	 * Renders the children inside a wrapper element.
+	 */
+	render() {
+		IncrementalDOM.elementOpen('div');
+		this.children.forEach(renderChild);
+		IncrementalDOM.elementClose('div');
+	}
+
+	/**
+	 * Sets up the portal's element inside the container given via config.
+	 * @protected
+	 * @override
+	 */
+	setUpPortal_() {
+		super.setUpPortal_(this.getInitialConfig().container || true);
+	}
+
+	/**
+	 * Moves the portal's element to the new container when it changes.
+	 * @param {string|Element} newVal
+	 */
+	syncContainer(newVal) {
+		if (!this.element || isServerSide()) {
+			return;
+		}
+		const container = this.getPortalElement_(newVal || 'body');
+		if (container && container !== this.portalElement) {
+			this.portalElement = container;
+			container.appendChild(this.element);
+		}
+	}
+}
+
+Portal.BUBBLE_PORTAL_EVENTS = true;
+
+Portal.RENDERER = IncrementalDomRenderer;
+
+Portal.STATE = {
+	/**
+	 * The element (or a selector for it) that the children should be rendered
+	 * into. Defaults to the document's body.
+	 * @type {string|Element}
+	 */
+	container: {},
+};
+
+ComponentRegistry.register(Portal, 'Portal');
+
+export default Portal;
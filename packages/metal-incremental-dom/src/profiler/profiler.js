@@ -0,0 +1,293 @@
+'use strict';
+
+import {getFunctionName, getUid} from 'metal';
+
+let session_ = null;
+
+/**
+ * Builds the data that identifies the given component in a profile.
+ * @param {!Component} component
+ * @return {!{id: string, name: string}}
+ * @private
+ */
+function describe_(component) {
+	return {
+		id: getUid(component),
+		name: getFunctionName(component.constructor),
+	};
+}
+
+/**
+ * Gets the keys that changed in the given changes object, grouped by type
+ * (like `props` or `state`).
+ * @param {Object} changes
+ * @return {Object<string, !Array<string>>}
+ * @private
+ */
+function getChangedKeys_(changes) {
+	if (!changes) {
+		return null;
+	}
+	const keys = {};
+	Object.keys(changes).forEach(type => {
+		keys[type] = Object.keys(changes[type]);
+	});
+	return keys;
+}
+
+/**
+ * Gets the time since profiling started, in milliseconds.
+ * @return {number}
+ * @private
+ */
+function getTime_() {
+	return now_() - session_.startTime;
+}
+
+/**
+ * Checks if the profiler is currently recording.
+ * @return {boolean}
+ */
+export function isProfiling() {
+	return !!session_;
+}
+
+/**
+ * Gets the current time in milliseconds, as precisely as possible.
+ * @return {number}
+ * @private
+ */
+function now_() {
+	return typeof performance !== 'undefined' && performance.now
+		? performance.now()
+		: Date.now();
+}
+
+/**
+ * Records the end of the patch started by the last call to
+ * `recordPatchStart`.
+ */
+export function recordPatchEnd() {
+	if (!session_ || session_.patchDepth === 0) {
+		return;
+	}
+	session_.patchDepth--;
+	if (session_.patchDepth === 0) {
+		const patch = session_.patch;
+		patch.duration = getTime_() - patch.startTime;
+		session_.patch = null;
+	}
+}
+
+/**
+ * Records the start of a patch for the given component. Patches started
+ * inside others are considered part of the outermost one.
+ * @param {!Component} component
+ */
+export function recordPatchStart(component) {
+	if (!session_) {
+		return;
+	}
+	session_.patchDepth++;
+	if (session_.patchDepth === 1) {
+		const patch = describe_(component);
+		patch.renders = [];
+		patch.skips = [];
+		patch.startTime = getTime_();
+		session_.patch = patch;
+		session_.patches.push(patch);
+	}
+}
+
+/**
+ * Records the end of a component render.
+ * @param {Object} frame The object returned by `recordRenderStart` for this
+ *     render.
+ */
+export function recordRenderEnd(frame) {
+	if (!session_ || session_.renderStack.indexOf(frame) === -1) {
+		return;
+	}
+	const {render} = frame;
+	render.duration = getTime_() - render.startTime;
+	render.selfDuration = render.duration - frame.childrenDuration;
+
+	const stack = session_.renderStack;
+	stack.splice(stack.indexOf(frame), 1);
+	if (stack.length > 0) {
+		stack[stack.length - 1].childrenDuration += render.duration;
+	}
+}
+
+/**
+ * Records the start of a component render, together with the changes that
+ * triggered it.
+ * @param {!Component} component
+ * @param {Object} changes
+ * @return {Object} An object that should be passed to `recordRenderEnd`, or
+ *     null if nothing is being recorded.
+ */
+export function recordRenderStart(component, changes) {
+	if (!session_ || !session_.patch) {
+		return null;
+	}
+	const stack = session_.renderStack;
+	const render = describe_(component);
+	render.changes = getChangedKeys_(changes);
+	render.firstRender = !component.wasRendered;
+	render.forced = component.wasRendered && !changes;
+	render.parentId =
+		stack.length > 0 ? stack[stack.length - 1].render.id : null;
+	render.startTime = getTime_();
+	session_.patch.renders.push(render);
+
+	const frame = {
+		childrenDuration: 0,
+		render,
+	};
+	stack.push(frame);
+	return frame;
+}
+
+/**
+ * Records that the given component skipped an update, either because its
+ * `shouldUpdate` returned false or because nothing changed.
+ * @param {!Component} component
+ * @param {Object} changes
+ */
+export function recordSkip(component, changes) {
+	if (!session_) {
+		return;
+	}
+	const skip = describe_(component);
+	skip.changes = getChangedKeys_(changes);
+	skip.reason = changes ? 'shouldUpdate' : 'noChanges';
+	skip.time = getTime_();
+	if (session_.patch) {
+		session_.patch.skips.push(skip);
+	} else {
+		session_.skips.push(skip);
+	}
+}
+
+/**
+ * Starts recording renders. Any previous recording that hasn't been stopped
+ * is discarded.
+ */
+export function startProfiling() {
+	session_ = {
+		patch: null,
+		patchDepth: 0,
+		patches: [],
+		renderStack: [],
+		skips: [],
+		startTime: now_(),
+	};
+}
+
+/**
+ * Stops recording renders, returning everything recorded since
+ * `startProfiling` was called. The profile is a plain object that can be
+ * serialized as JSON, with `patches` listing each outermost patch (with its
+ * `renders` and `skips`), and `skips` listing the updates skipped outside
+ * patches. All times are in milliseconds since profiling started.
+ * @return {Object} The profile, or null if profiling hadn't been started.
+ */
+export function stopProfiling() {
+	if (!session_) {
+		return null;
+	}
+	const profile = {
+		duration: getTime_(),
+		patches: session_.patches,
+		skips: session_.skips,
+	};
+	session_ = null;
+	return profile;
+}
+
+/**
+ * Converts the given profile to Chrome's trace event format, which can be
+ * loaded in the performance panel of Chrome's devtools (or in
+ * chrome://tracing) to be viewed as a flame chart.
+ * @param {!Object} profile A profile returned by `stopProfiling`.
+ * @return {!{displayTimeUnit: string, traceEvents: !Array<!Object>}}
+ */
+export function toTraceEvents(profile) {
+	const events = [];
+	const addSkip = skip => events.push(toInstantEvent_(skip));
+	profile.patches.forEach(patch => {
+		events.push(toCompleteEvent_('patch', patch, {}));
+		patch.renders.forEach(render =>
+			events.push(
+				toCompleteEvent_('render', render, {
+					changes: render.changes,
+					firstRender: render.firstRender,
+					forced: render.forced,
+				})
+			)
+		);
+		patch.skips.forEach(addSkip);
+	});
+	profile.skips.forEach(addSkip);
+	return {
+		displayTimeUnit: 'ms',
+		traceEvents: events,
+	};
+}
+
+/**
+ * Converts a patch or render entry into a trace event with duration.
+ * @param {string} type
+ * @param {!Object} entry
+ * @param {!Object} args
+ * @return {!Object}
+ * @private
+ */
+function toCompleteEvent_(type, entry, args) {
+	args.id = entry.id;
+	return {
+		args,
+		cat: `metal.${type}`,
+		dur: toMicroseconds_(entry.duration),
+		name: type === 'patch' ? `patch ${entry.name}` : entry.name,
+		ph: 'X',
+		pid: 1,
+		tid: 1,
+		ts: toMicroseconds_(entry.startTime),
+	};
+}
+
+/**
+ * Converts a skip entry into an instant trace event.
+ * @param {!Object} skip
+ * @return {!Object}
+ * @private
+ */
+function toInstantEvent_(skip) {
+	return {
+		args: {
+			changes: skip.changes,
+			id: skip.id,
+			reason: skip.reason,
+		},
+		cat: 'metal.skip',
+		name: `${skip.name} (skipped)`,
+		ph: 'i',
+		pid: 1,
+		s: 't',
+		tid: 1,
+		ts: toMicroseconds_(skip.time),
+	};
+}
+
+/**
+ * Converts the given time from milliseconds to microseconds, which is the
+ * unit used by trace events.
+ * @param {number} time
+ * @return {number}
+ * @private
+ */
+function toMicroseconds_(time) {
+	return Math.round(time * 1000);
+}
@@ -4,7 +4,7 @@ import {isServerSide} from 'metal';
 import {delegate} from 'metal-dom';
 import {getComponentFn} from 'metal-component';
 import {getOriginalFn} from '../incremental-dom-aop';
-import {isBoolean, isDefAndNotNull, isString} from 'metal';
+import {isBoolean, isDefAndNotNull, isObject, isString} from 'metal';
 
 const HANDLE_SUFFIX = '__handle__';
 const LISTENER_REGEX = /^(?:on([A-Z].+))|(?:data-on(.+))$/;
@@ -100,6 +100,16 @@ function convertListenerNameToFn_(component, name, value) {
 	return value;
 }
 
+/**
+ * Escapes the given attribute value so it can be placed inside double quotes.
+ * @param {string} value
+ * @return {string}
+ * @private
+ */
+function escapeAttributeValue_(value) {
+	return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
 /**
  * Changes the value of the `checked` attribute to be a boolean.
  * NOTE: This is a temporary fix to account for incremental dom setting
@@ -131,6 +141,50 @@ function getEventFromListenerAttr_(attr) {
 	return eventName ? eventName.toLowerCase() : null;
 }
 
+/**
+ * Serializes an attribute into the string that should be added to its
+ * element's opening tag, following the same rules used by `applyAttribute`
+ * when rendering to the DOM. That means that listeners are ignored, boolean
+ * values indicate if the attribute should be present or not, and values that
+ * would be set as element properties instead (like objects and functions) are
+ * not serialized. The exception is `style`, which can be given as an object.
+ * @param {string} name
+ * @param {*} value
+ * @return {string} The serialized attribute (prefixed by a space), or an
+ *     empty string if it shouldn't be rendered.
+ */
+export function serializeAttribute(name, value) {
+	if (getEventFromListenerAttr_(name)) {
+		return '';
+	}
+
+	value = fixCheckedAttr_(name, value);
+	if (isBoolean(value)) {
+		return value ? ` ${name}=""` : '';
+	} else if (name === 'style' && isObject(value)) {
+		value = serializeStyle_(value);
+	} else if (!isDefAndNotNull(value) || isObject(value)) {
+		return '';
+	}
+	return ` ${name}="${escapeAttributeValue_(String(value))}"`;
+}
+
+/**
+ * Serializes the given style object into a css text string.
+ * @param {!Object<string, *>} style
+ * @return {string}
+ * @private
+ */
+function serializeStyle_(style) {
+	const keys = Object.keys(style);
+	const declarations = [];
+	for (let i = 0; i < keys.length; i++) {
+		const prop = keys[i].replace(/([A-Z])/g, '-$1').toLowerCase();
+		declarations.push(`${prop}: ${style[keys[i]]};`);
+	}
+	return declarations.join(' ');
+}
+
 /**
  * Sets boolean attributes manually. This is done because incremental dom sets
  * boolean values as string data attributes by default, which is counter
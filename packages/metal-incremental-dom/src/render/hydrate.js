@@ -0,0 +1,128 @@
+'use strict';
+
+import {getFunctionName, isDefAndNotNull} from 'metal';
+
+const INC_DOM_DATA = '__incrementalDOMData';
+
+const hydratingComponents_ = [];
+
+/**
+ * Describes the given node, so it can be used in mismatch messages.
+ * @param {Node} node
+ * @return {string}
+ * @private
+ */
+function describeNode_(node) {
+	if (!node) {
+		return 'nothing';
+	} else if (node.nodeType === 3) {
+		return `text "${node.data}"`;
+	}
+	return `<${node.localName || node.nodeName}>`;
+}
+
+/**
+ * Gets the component whose content is currently being hydrated.
+ * @return {Component}
+ */
+export function getHydratingComponent() {
+	return hydratingComponents_[hydratingComponents_.length - 1];
+}
+
+/**
+ * Makes sure that the next node in the existing DOM will be reused for the
+ * element about to be opened. Markup rendered on the server has no keys, so
+ * if the next node has the expected tag it's given the key generated for the
+ * new element, which guarantees that incremental dom will match them. If the
+ * next node can't be reused a mismatch is reported and incremental dom will
+ * create the element as usual.
+ * @param {!Component} component The component being rendered.
+ * @param {string} tag
+ * @param {?string} key
+ */
+export function hydrateElement(component, tag, key) {
+	const node = IncrementalDOM.currentPointer();
+	if (!node || node.nodeType !== 1 || node.localName !== tag) {
+		reportMismatch_(component, `<${tag}>`, node);
+		return;
+	}
+
+	IncrementalDOM.importNode(node);
+	const data = node[INC_DOM_DATA];
+	if (isDefAndNotNull(key) && !isDefAndNotNull(data.key)) {
+		data.key = key;
+		node.parentNode[INC_DOM_DATA].keyMap[key] = node;
+	}
+}
+
+/**
+ * Makes sure that the next node in the existing DOM will be reused for the
+ * text about to be rendered. Consecutive texts are merged into a single node
+ * when markup is parsed by the browser, so the existing node is split when it
+ * starts with the given value.
+ * @param {!Component} component The component being rendered.
+ * @param {!Array} args The arguments passed to the incremental dom call.
+ */
+export function hydrateText(component, args) {
+	const node = IncrementalDOM.currentPointer();
+	const value = String(args[0]);
+	if (node && node.nodeType === 3) {
+		if (node.data.length > value.length && node.data.indexOf(value) === 0) {
+			node.splitText(value.length);
+		} else if (node.data !== value && args.length === 1) {
+			reportMismatch_(component, `text "${value}"`, node);
+		}
+	} else if (value) {
+		reportMismatch_(component, `text "${value}"`, node);
+	}
+}
+
+/**
+ * Checks if existing content is currently being hydrated.
+ * @return {boolean}
+ */
+export function isHydrating() {
+	return hydratingComponents_.length > 0;
+}
+
+/**
+ * Reports a difference between the existing content and what is being
+ * rendered. The `hydrationMismatch` event is emitted by the component that
+ * started the hydration, and the mismatch is logged to the console if no one
+ * is listening to it.
+ * @param {!Component} component The component being rendered.
+ * @param {string} expected Description of what was rendered.
+ * @param {Node} node The existing node found instead.
+ * @private
+ */
+function reportMismatch_(component, expected, node) {
+	const data = {
+		component,
+		expected,
+		found: node,
+		parent: IncrementalDOM.currentElement(),
+	};
+	if (!getHydratingComponent().emit('hydrationMismatch', data)) {
+		console.warn(
+			`Hydration mismatch in "${getFunctionName(
+				component.constructor
+			)}": expected ${expected} but found ${describeNode_(node)}.`
+		);
+	}
+}
+
+/**
+ * Starts hydrating the existing content of the given component. Until
+ * `stopHydration` is called, rendered elements will reuse existing nodes.
+ * @param {!Component} component
+ */
+export function startHydration(component) {
+	hydratingComponents_.push(component);
+}
+
+/**
+ * Stops the hydration started by the last call to `startHydration`.
+ */
+export function stopHydration() {
+	hydratingComponents_.pop();
+}
@@ -2,7 +2,10 @@
 
 import {append, exitDocument} from 'metal-dom';
 import {getData} from '../data';
+import {recordPatchEnd, recordPatchStart} from '../profiler/profiler';
 import {render} from './render';
+import {runPatch} from './slicing';
+import {updateStaleConsumers} from '../context/context';
 
 const patchingComponents_ = [];
 
@@ -37,6 +40,7 @@ function buildParentIfNecessary_(element) {
  */
 function callPatch_(component, element, outer) {
 	patchingComponents_.push(component);
+	recordPatchStart(component);
 
 	const data = getData(component);
 	if (!data.render) {
@@ -45,9 +49,12 @@ function callPatch_(component, element, outer) {
 	}
 
 	const patchFn = outer ? IncrementalDOM.patchOuter : IncrementalDOM.patch;
-	patchFn(element, data.render);
-
-	patchingComponents_.pop();
+	try {
+		patchFn(element, data.render);
+	} finally {
+		patchingComponents_.pop();
+		recordPatchEnd();
+	}
 }
 
 /**
@@ -59,10 +66,25 @@ export function getPatchingComponent() {
 }
 
 /**
- * Patches the component with incremental dom function calls.
+ * Patches the component with incremental dom function calls. Once the
+ * outermost patch is done, context consumers that were skipped while their
+ * providers changed values are updated as well.
  * @param {!Component} component
  */
 export function patch(component) {
+	runPatch(component, patchComponent_);
+	if (patchingComponents_.length === 0) {
+		updateStaleConsumers();
+	}
+}
+
+/**
+ * Patches the component, making sure that incremental dom gets an element
+ * with a parent to patch.
+ * @param {!Component} component
+ * @private
+ */
+function patchComponent_(component) {
 	if (!tryPatchEmptyWithParent_(component)) {
 		if (!tryPatchWithNoParent_(component)) {
 			const element = component.element;
@@ -3,35 +3,79 @@
 import {applyAttribute, convertListenerNamesToFns} from './attributes';
 import {buildConfigFromCall, buildCallFromConfig} from '../callArgs';
 import {
+	cancelCapture,
 	captureChildren,
 	getOwner,
 	isChildTag,
 	renderChildTree,
 } from '../children/children';
-import {clearChanges} from '../changes';
-import {domData} from 'metal-dom';
+import {
+	clearChanges,
+	discardChanges,
+	getChanges,
+	getLastChanges,
+} from '../changes';
+import {readContexts, syncContexts} from '../context/context';
+import {domData, linkPortal, unlinkPortal} from 'metal-dom';
 import {getData} from '../data';
 import {
 	getCompatibilityModeData,
+	getFunctionName,
+	getStaticProperty,
 	getUid,
 	isDef,
 	isDefAndNotNull,
 	isFunction,
+	isPromise,
 	isServerSide,
 	isString,
 	object,
 } from 'metal';
 import {disposeUnused, schedule} from '../cleanup/unused';
+import {getConstructor} from '../lazy/lazy';
+import {hydrateElement, hydrateText, isHydrating} from './hydrate';
 import {
+	getInterceptionDepth,
 	getOriginalFn,
 	startInterception,
 	stopInterception,
 } from '../incremental-dom-aop';
-import {Component, ComponentRegistry} from 'metal-component';
+import {recordRenderEnd, recordRenderStart} from '../profiler/profiler';
+import {
+	recordSubComponent,
+	startShallowRecording,
+	stopShallowRecording,
+} from './shallow';
+import {restoreChildState, stopRestoringState} from './snapshot';
+import {recordSuspension} from './suspension';
+import {
+	deferSubComponent,
+	isResuming,
+	isSkippedOnResume,
+	shouldDeferSubComponents,
+} from './slicing';
+import {Component} from 'metal-component';
 
 const renderingComponents_ = [];
 const emptyChildren_ = [];
 
+/**
+ * Flags indicating which component types were already warned about rendering
+ * sub components without keys, mapped by the uids of the component and sub
+ * component types (see `warnUnkeyedLists_`).
+ * @type {!Object<string, boolean>}
+ * @private
+ */
+const warnedUnkeyed_ = {};
+
+/**
+ * The number of plain function tags currently being called, which render
+ * inline as part of the component being rendered (see `renderFromTag_`).
+ * @type {number}
+ * @private
+ */
+let functionTagDepth_ = 0;
+
 /**
  * Adds the given css classes to the specified arguments for an incremental
  * dom call, merging with the existing value if there is one.
@@ -65,10 +109,18 @@ function buildChildren_(children) {
  */
 function cleanUpRender_(component) {
 	stopInterception();
-	if (!getData(component).rootElementReached) {
+	const data = getData(component);
+	if (!data.rootElementReached) {
 		component.element = null;
 	}
-	component.informRendered();
+	warnUnkeyedLists_(component);
+	stopRestoringState(component);
+	if (!isResuming(component)) {
+		const updateStart = data.updateStart;
+		data.updateStart = undefined;
+		component.informRendered(updateStart);
+		informUpdated_(component);
+	}
 	finishedRenderingComponent_();
 }
 
@@ -117,6 +169,28 @@ export function getComponentBeingRendered() {
 	return renderingComponents_[renderingComponents_.length - 1];
 }
 
+/**
+ * Gets the chain of components going from the given one up to the closest
+ * boundary above it, which is the first component that passes the given
+ * check.
+ * @param {!Component} component
+ * @param {!function(!Component):boolean} isBoundary
+ * @return {Array<!Component>} The chain, or null if there's no boundary.
+ * @private
+ */
+function getBoundaryChain_(component, isBoundary) {
+	const chain = [component];
+	let parent = getData(component).parent;
+	while (parent) {
+		chain.push(parent);
+		if (isBoundary(parent)) {
+			return chain;
+		}
+		parent = getData(parent).parent;
+	}
+	return null;
+}
+
 /**
  * Gets the data object that should be currently used. This object will either
  * come from the current element being rendered by incremental dom or from
@@ -140,6 +214,17 @@ function getCurrentData() {
 	return obj.icComponentsData;
 }
 
+/**
+ * Gets the number of plain function tags currently being called. Since they
+ * render inline, as part of the component being rendered, this can be used
+ * to tell if code is running directly inside a component's `render`, or
+ * inside a function tag called by it.
+ * @return {number}
+ */
+export function getFunctionTagDepth() {
+	return functionTagDepth_;
+}
+
 /**
  * Returns the "ref" to be used for a component. Uses "key" as "ref" when
  * compatibility mode is on for the current renderer.
@@ -176,7 +261,7 @@ function getRef_(owner, config) {
 function getSubComponent_(tagOrCtor, config, owner) {
 	let Ctor = tagOrCtor;
 	if (isString(Ctor)) {
-		Ctor = ComponentRegistry.getConstructor(tagOrCtor);
+		Ctor = getConstructor(tagOrCtor);
 	}
 
 	const ref = getRef_(owner, config);
@@ -187,13 +272,7 @@ function getSubComponent_(tagOrCtor, config, owner) {
 		owner.refs[ref] = comp;
 	} else {
 		const data = getCurrentData();
-		let key = config.key;
-		if (!isDef(key)) {
-			const type = getUid(Ctor, true);
-			data.currCount = data.currCount || {};
-			data.currCount[type] = data.currCount[type] || 0;
-			key = `__METAL_IC__${type}_${data.currCount[type]++}`;
-		}
+		const key = getSubComponentKey_(data, Ctor, config, owner);
 		comp = match_(
 			data.prevComps ? data.prevComps[key] : null,
 			Ctor,
@@ -207,6 +286,50 @@ function getSubComponent_(tagOrCtor, config, owner) {
 	return comp;
 }
 
+/**
+ * Gets the key used to match the sub component with the given config to the
+ * one rendered in the same parent during the previous pass. Sub components
+ * with keys are matched by them regardless of their position, which keeps
+ * their instances and elements when they're moved around. Keys that were
+ * already used by a sibling are ignored (with a warning in development),
+ * since they can't identify a single sub component. Sub components without
+ * keys are matched by their type and position among siblings instead.
+ * @param {!Object} data The data object of the sub component's parent.
+ * @param {!function()} Ctor
+ * @param {!Object} config
+ * @param {!Component} owner
+ * @return {string}
+ * @private
+ */
+function getSubComponentKey_(data, Ctor, config, owner) {
+	let key = config.key;
+	if (isDef(key) && data.currComps && data.currComps[key]) {
+		if (isDevMode_()) {
+			console.warn(
+				`Warning: "${getFunctionName(
+					owner.constructor
+				)}" rendered more ` +
+					`than one sub component with the key "${
+						key
+					}" in the same ` +
+					`parent. Keys should be unique among siblings.`
+			);
+		}
+		key = undefined;
+		config.key = undefined;
+	}
+	if (!isDef(key)) {
+		const type = getUid(Ctor, true);
+		data.currCount = data.currCount || {};
+		data.currCount[type] = data.currCount[type] || 0;
+		key = `__METAL_IC__${type}_${data.currCount[type]++}`;
+		if (isDevMode_()) {
+			trackUnkeyed_(data, Ctor, type);
+		}
+	}
+	return key;
+}
+
 /**
  * Handles the event of children having finished being captured.
  * @param {!Object} tree The captured children in tree format.
@@ -234,6 +357,69 @@ function handleChildRender_(node) {
 	}
 }
 
+/**
+ * Handles an error thrown while rendering the given component. Components can
+ * also throw promises, suspending until the data they need is available. In
+ * that case the closest suspense boundary above them (see `Suspense`) is
+ * informed instead of the closest error boundary. The elements left open by
+ * the failed render are closed, so that the rest of the patch can continue
+ * normally. The component is then scheduled for disposal and the boundary
+ * informed. If there is no boundary, the error is thrown again.
+ * @param {!Component} component
+ * @param {*} error The error, or the promise the component suspended on.
+ * @param {!Object} state The render state from before the failed render.
+ * @private
+ */
+function handleRenderError_(component, error, state) {
+	let chain = null;
+	if (isPromise(error)) {
+		recordSuspension(error);
+		chain = getBoundaryChain_(component, isSuspenseBoundary_);
+		if (!chain) {
+			error = new Error(
+				`Error. A component suspended while rendering, but there's no ` +
+					`Suspense boundary above it.`
+			);
+		}
+	}
+	chain =
+		chain || getBoundaryChain_(component, comp => comp.isErrorBoundary());
+	if (!chain) {
+		throw error;
+	}
+
+	let element = IncrementalDOM.currentElement();
+	while (element && element !== state.element) {
+		getOriginalFn('elementClose')(element.localName);
+		element = IncrementalDOM.currentElement();
+	}
+
+	// The partially rendered element can only be removed if it's not being
+	// shared with the parent, and if that won't happen at the root level of
+	// the current patch (which would confuse incremental dom).
+	const parent = chain[1];
+	const removeElement =
+		renderingComponents_.length > 0 &&
+		getData(parent).rootElementReached &&
+		parent.element !== component.element;
+	getData(component).renderError = error;
+	schedule([component], removeElement);
+
+	const boundary = chain[chain.length - 1];
+	const info = {
+		component,
+		componentChain: chain,
+	};
+	if (isPromise(error)) {
+		boundary.informSuspended(error, info);
+	} else {
+		boundary.informError(error, info);
+	}
+	if (renderingComponents_.length === 0) {
+		disposeUnused();
+	}
+}
+
 /**
  * Handles an intercepted call to the attributes default handler from
  * incremental dom.
@@ -293,6 +479,10 @@ function handleRegularCall_(...args) {
 	}
 	convertListenerNamesToFns(comp, config);
 
+	if (isHydrating()) {
+		hydrateElement(comp, tag, config.key);
+	}
+
 	const call = buildCallFromConfig(tag, config);
 	const node = getOriginalFn('elementOpen')(...call);
 	resetNodeData_(node);
@@ -319,6 +509,22 @@ function handleSubComponentCall_(...args) {
 	});
 }
 
+/**
+ * Informs the component that it was just updated, passing it the values its
+ * data had before and the snapshot taken before its content changed (see
+ * `IncrementalDomRenderer.willUpdate_`).
+ * @param {!Component} component
+ * @private
+ */
+function informUpdated_(component) {
+	const data = getData(component);
+	const update = data.pendingUpdate;
+	if (update) {
+		data.pendingUpdate = null;
+		component.informDidUpdate(...update.args, update.snapshot);
+	}
+}
+
 /**
  * Passes down elementClasses to a child component if the parent component
  * returns another component at the top level (HOC).
@@ -343,6 +549,18 @@ function inheritElementClasses_(parent, config) {
 	}
 }
 
+/**
+ * Handles an intercepted call to the `text` function from incremental dom.
+ * This is only intercepted while hydrating existing content.
+ * @param {...*} args
+ * @private
+ * @return {Text}
+ */
+function handleInterceptedTextCall_(...args) {
+	hydrateText(getComponentBeingRendered(), args);
+	return getOriginalFn('text')(...args);
+}
+
 /**
  * Checks if the given tag represents a metal component.
  * @param {string} tag
@@ -355,6 +573,22 @@ export function isComponentTag_(tag) {
 	); // eslint-disable-line
 }
 
+/**
+ * Checks if development only checks, like the warnings about keys, should
+ * run. That's the case unless "NODE_ENV" is set to "production", which
+ * bundlers usually replace statically, so the checks can be removed from
+ * production builds.
+ * @return {boolean}
+ * @private
+ */
+function isDevMode_() {
+	try {
+		return process.env.NODE_ENV !== 'production';
+	} catch (e) {
+		return true;
+	}
+}
+
 /**
  * Checks if the given component can be a match for a constructor.
  * @param {!Component} comp
@@ -370,6 +604,50 @@ function isMatch_(comp, Ctor, owner) {
 	return getData(comp).owner === owner;
 }
 
+/**
+ * Checks if the given component is a suspense boundary, which means that it
+ * handles components that suspend while rendering inside it (see `Suspense`).
+ * @param {!Component} comp
+ * @return {boolean}
+ * @private
+ */
+function isSuspenseBoundary_(comp) {
+	return isFunction(comp.informSuspended);
+}
+
+/**
+ * Links the element of the given portal component to the element it's being
+ * rendered from, so that DOM events triggered inside the portal bubble through
+ * the component tree instead of the DOM tree. The link follows the component
+ * if its element changes later. Only done for components that opt into it via
+ * `BUBBLE_PORTAL_EVENTS`, like `Portal`.
+ * @param {!Component} comp
+ * @param {Element} parentElement
+ * @private
+ */
+function linkPortal_(comp, parentElement) {
+	if (!getStaticProperty(comp.constructor, 'BUBBLE_PORTAL_EVENTS')) {
+		return;
+	}
+	const data = getData(comp);
+	if (!data.portalListened) {
+		data.portalListened = true;
+		comp.on('elementChanged', ({prevVal, newVal}) => {
+			const portalParent = getData(comp).portalParent;
+			if (prevVal) {
+				unlinkPortal(prevVal);
+			}
+			if (newVal && portalParent) {
+				linkPortal(newVal, portalParent);
+			}
+		});
+	}
+	data.portalParent = parentElement;
+	if (comp.element && parentElement) {
+		linkPortal(comp.element, parentElement);
+	}
+}
+
 /**
  * Returns the given component if it matches the specified constructor
  * function. Otherwise, returns a new instance of the given constructor. On
@@ -406,17 +684,23 @@ function prepareRender_(component) {
 	resetComponentsData_(data.icComponentsData);
 	clearChanges(data);
 	data.rootElementReached = false;
+	data.unkeyed = null;
 	component.refs = {};
+	readContexts(component);
 
 	if (data.childComponents) {
 		schedule(data.childComponents);
 		data.childComponents = null;
 	}
 
-	startInterception({
+	const fns = {
 		attributes: handleInterceptedAttributesCall_,
 		elementOpen: handleInterceptedOpenCall_,
-	});
+	};
+	if (isHydrating()) {
+		fns.text = handleInterceptedTextCall_;
+	}
+	startInterception(fns);
 }
 
 /**
@@ -441,13 +725,50 @@ function removeDuplicateClasses_(classString) {
 /**
  * Renders the component with incremental dom function calls. This assumes that
  * an incremental dom `patch` is already running, and that this function has
- * been called inside it.
+ * been called inside it. Errors thrown while rendering are handled by the
+ * closest error boundary above the component, if there is one. Promises
+ * thrown while rendering suspend the component, and are handled by the
+ * closest suspense boundary instead.
  * @param {!Component} component
  */
 export function render(component) {
-	prepareRender_(component);
-	component.getRenderer().renderIncDom(component);
-	cleanUpRender_(component);
+	const state = {
+		element: IncrementalDOM.currentElement(),
+		interceptionDepth: getInterceptionDepth(),
+		renderingCount: renderingComponents_.length,
+	};
+	try {
+		prepareRender_(component);
+		renderIncDom_(component);
+		cleanUpRender_(component);
+	} catch (error) {
+		getData(component).pendingUpdate = null;
+		restoreRenderState_(state);
+		handleRenderError_(component, error, state);
+	}
+}
+
+/**
+ * Calls the component renderer's `renderIncDom`, recording it in the profiler
+ * when it's running. Components in shallow mode also have what they render
+ * recorded as a tree.
+ * @param {!Component} component
+ * @private
+ */
+function renderIncDom_(component) {
+	const data = getData(component);
+	const frame = recordRenderStart(component, getLastChanges(component));
+	if (data.shallow) {
+		startShallowRecording();
+	}
+	try {
+		component.getRenderer().renderIncDom(component);
+	} finally {
+		if (data.shallow) {
+			data.shallowTree = stopShallowRecording();
+		}
+		recordRenderEnd(frame);
+	}
 }
 
 /**
@@ -459,7 +780,8 @@ export function renderChild(child) {
 }
 
 /**
- * Renders the contents for the given tag.
+ * Renders the contents for the given tag. Sub components are only recorded
+ * instead of rendered when rendering a component in shallow mode.
  * @param {!function()|string} tag
  * @param {!Object} config
  * @param {Component=} owner
@@ -468,11 +790,32 @@ export function renderChild(child) {
  */
 function renderFromTag_(tag, config, owner) {
 	if (isString(tag) || tag.prototype.getRenderer) {
+		if (getData(getComponentBeingRendered()).shallow) {
+			recordSubComponent(tag, config);
+			return null;
+		}
 		const comp = renderSubComponent_(tag, config, owner);
 		updateElementIfNotReached_(getComponentBeingRendered(), comp.element);
 		return comp.element;
 	} else {
-		return tag(config);
+		return renderFunctionTag_(tag, config);
+	}
+}
+
+/**
+ * Calls the given plain function tag, which renders inline as part of the
+ * component being rendered.
+ * @param {!function(!Object)} fn
+ * @param {!Object} config
+ * @return {*}
+ * @private
+ */
+function renderFunctionTag_(fn, config) {
+	functionTagDepth_++;
+	try {
+		return fn(config);
+	} finally {
+		functionTagDepth_--;
 	}
 }
 
@@ -499,7 +842,7 @@ export function renderFunction(renderer, fnOrCtor, dataOrElement, parent) {
 			}
 
 			render() {
-				fn(this.getInitialConfig());
+				renderFunctionTag_(fn, this.getInitialConfig());
 			}
 		}
 		TempComponent.RENDERER = renderer;
@@ -533,7 +876,8 @@ function renderSubComponent_(tagOrCtor, config, owner) {
 	data.owner = owner;
 
 	const parentData = getData(parent);
-	getChildComponents_(parentData).push(comp);
+	const index = getChildComponents_(parentData).push(comp) - 1;
+	restoreChildState(comp, parent, index);
 	if (!config.key && !parentData.rootElementReached) {
 		config.key = parentData.config.key;
 	}
@@ -542,16 +886,37 @@ function renderSubComponent_(tagOrCtor, config, owner) {
 		return comp;
 	}
 
+	if (trySkipSubComponent_(comp, parent)) {
+		return comp;
+	}
+
 	if (!comp.portalElement) {
 		comp.getRenderer().renderInsidePatch(comp);
 	}
 
-	if (!comp.wasRendered) {
+	if (!comp.wasRendered && !data.renderError) {
 		comp.renderComponent();
 	}
+	if (comp.portalElement) {
+		linkPortal_(comp, IncrementalDOM.currentElement());
+	}
 	return comp;
 }
 
+/**
+ * Restores the render state to what it was before a render that failed, by
+ * undoing what was left unfinished (like captures and interceptions).
+ * @param {!Object} state
+ * @private
+ */
+function restoreRenderState_(state) {
+	cancelCapture();
+	while (getInterceptionDepth() > state.interceptionDepth) {
+		stopInterception();
+	}
+	renderingComponents_.splice(state.renderingCount);
+}
+
 /**
  * Resets the given incremental dom data object, preparing it for the next pass.
  * @param {Object} data
@@ -560,6 +925,7 @@ function renderSubComponent_(tagOrCtor, config, owner) {
 function resetComponentsData_(data) {
 	if (data) {
 		data.prevComps = data.currComps;
+		data.prevCount = data.currCount;
 		data.currComps = null;
 		data.currCount = null;
 	}
@@ -575,9 +941,80 @@ function resetNodeData_(node) {
 	}
 }
 
+/**
+ * Tracks that sub components of the given type were rendered without keys
+ * inside the parent with the given data object, so that the current
+ * component can be warned about it once it finishes rendering (see
+ * `warnUnkeyedLists_`).
+ * @param {!Object} data The data object of the sub components' parent.
+ * @param {!function()} Ctor
+ * @param {number} type
+ * @private
+ */
+function trackUnkeyed_(data, Ctor, type) {
+	const renderData = getData(getComponentBeingRendered());
+	renderData.unkeyed = renderData.unkeyed || [];
+	const tracked = renderData.unkeyed.some(
+		entry => entry.data === data && entry.type === type
+	);
+	if (!tracked) {
+		renderData.unkeyed.push({
+			Ctor,
+			data,
+			type,
+		});
+	}
+}
+
+/**
+ * Skips rendering the given sub component when its parent is rendered in time
+ * sliced mode, either because it should be deferred to a later slice (once
+ * the current slice's deadline is reached), or because it was already done
+ * and its parent is only being patched to resume deferred work. Sub
+ * components are only skipped when that doesn't leave the DOM inconsistent:
+ * new ones are just not rendered yet, and existing ones need to already be
+ * in the right position, keeping their current content. Sub components at
+ * the parent's root position are never skipped.
+ * @param {!Component} comp
+ * @param {!Component} parent
+ * @return {boolean} True if the sub component was skipped.
+ * @private
+ */
+function trySkipSubComponent_(comp, parent) {
+	if (
+		comp.portalElement ||
+		isHydrating() ||
+		!getData(parent).rootElementReached
+	) {
+		return false;
+	}
+
+	const inPosition =
+		comp.wasRendered &&
+		!!comp.element &&
+		comp.element === IncrementalDOM.currentPointer();
+	if (inPosition && isSkippedOnResume(comp)) {
+		discardChanges(comp);
+		comp.getRenderer().skipRender();
+		return true;
+	} else if (!shouldDeferSubComponents()) {
+		getData(comp).deferred = false;
+		return false;
+	} else if (!comp.wasRendered || (inPosition && getChanges(comp))) {
+		if (inPosition) {
+			comp.getRenderer().skipRender();
+		}
+		deferSubComponent(comp, parent);
+		return true;
+	}
+	return false;
+}
+
 /**
  * Updates the given component's context according to the data from the
- * component that is currently being rendered.
+ * component that is currently being rendered, via the legacy
+ * `getChildContext` api. Values the component reads from context providers
+ * (see `createContext`) are kept as they are.
  * @param {!Component} comp
  * @param {!Component} parent
  * @protected
@@ -589,6 +1026,7 @@ function updateContext_(comp, parent) {
 		: null; // eslint-disable-line
 	object.mixin(context, parent.context, childContext);
 	comp.context = context;
+	syncContexts(comp);
 }
 
 /**
@@ -607,3 +1045,42 @@ function updateElementIfNotReached_(component, node) {
 		}
 	}
 }
+
+/**
+ * Warns about sub components that were probably rendered as list items
+ * without keys by the given component. That's assumed when the number of
+ * sub components of the same type rendered without keys in the same parent
+ * changes between renders, as they're matched by position and so existing
+ * instances can end up matched to other items. Each type is only warned
+ * about once per component type, instead of once per instance.
+ * @param {!Component} component
+ * @private
+ */
+function warnUnkeyedLists_(component) {
+	const data = getData(component);
+	(data.unkeyed || []).forEach(({Ctor, data: parentData, type}) => {
+		const prevCount = parentData.prevCount
+			? parentData.prevCount[type] || 0
+			: 0;
+		const count = parentData.currCount[type];
+		const warnedKey = `${getUid(component.constructor, true)}_${type}`;
+		if (
+			prevCount > 0 &&
+			prevCount !== count &&
+			Math.max(prevCount, count) > 1 &&
+			!warnedUnkeyed_[warnedKey]
+		) {
+			warnedUnkeyed_[warnedKey] = true;
+			console.warn(
+				`Warning: "${getFunctionName(
+					component.constructor
+				)}" rendered ` +
+					`a varying number of "${getFunctionName(Ctor)}" sub ` +
+					`components without keys in the same parent. Sub components ` +
+					`rendered in lists should have unique keys, so their ` +
+					`instances are kept when items are added, removed or moved.`
+			);
+		}
+	});
+	data.unkeyed = null;
+}
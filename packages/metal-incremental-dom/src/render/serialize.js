@@ -0,0 +1,84 @@
+'use strict';
+
+import {serializeAttribute} from './attributes';
+
+/**
+ * Elements that can't have any content, and so are never closed in html.
+ * @type {!Object<string, boolean>}
+ */
+const VOID_ELEMENTS = {
+	area: true,
+	base: true,
+	br: true,
+	col: true,
+	embed: true,
+	hr: true,
+	img: true,
+	input: true,
+	keygen: true,
+	link: true,
+	meta: true,
+	param: true,
+	source: true,
+	track: true,
+	wbr: true,
+};
+
+/**
+ * Escapes the given text so it can be safely used as html content.
+ * @param {string} text
+ * @return {string}
+ */
+export function escapeHtml(text) {
+	return text
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+}
+
+/**
+ * Checks if the given tag is for a void element, which has no closing tag.
+ * @param {string} tag
+ * @return {boolean}
+ */
+export function isVoidElement(tag) {
+	return !!VOID_ELEMENTS[tag.toLowerCase()];
+}
+
+/**
+ * Serializes an incremental dom `elementClose` call into html.
+ * @param {string} tag
+ * @return {string}
+ */
+export function serializeElementClose(tag) {
+	return isVoidElement(tag) ? '' : `</${tag}>`;
+}
+
+/**
+ * Serializes an incremental dom `elementOpen` call into html. Both the
+ * static and the dynamic attributes are included.
+ * @param {!Array} args The arguments passed to the incremental dom call.
+ * @return {string}
+ */
+export function serializeElementOpen(args) {
+	let html = `<${args[0]}`;
+	const attrs = (args[2] || []).concat(args.slice(3));
+	for (let i = 0; i < attrs.length; i += 2) {
+		html += serializeAttribute(attrs[i], attrs[i + 1]);
+	}
+	return html + '>';
+}
+
+/**
+ * Serializes an incremental dom `text` call into html, applying any given
+ * formatter functions to the value first.
+ * @param {!Array} args The arguments passed to the incremental dom call.
+ * @return {string}
+ */
+export function serializeText(args) {
+	let value = String(args[0]);
+	for (let i = 1; i < args.length; i++) {
+		value = args[i](value);
+	}
+	return escapeHtml(value);
+}
@@ -0,0 +1,188 @@
+'use strict';
+
+import {buildConfigFromCall} from '../callArgs';
+import {
+	getFunctionName,
+	isDef,
+	isDefAndNotNull,
+	isFunction,
+	object,
+} from 'metal';
+import {getOriginalFns, setOriginalFns} from '../incremental-dom-aop';
+import {isComponentTag_} from './render';
+
+let parents_ = null;
+let prevFns_ = null;
+
+/**
+ * Adds the given node to the tree being recorded.
+ * @param {!Object|string} node
+ * @private
+ */
+function addNode_(node) {
+	parents_[parents_.length - 1].children.push(node);
+}
+
+/**
+ * Builds the tree node for a sub component call.
+ * @param {string|!function()} tag
+ * @param {!Object} config
+ * @return {!Object}
+ * @private
+ */
+function buildComponentNode_(tag, config) {
+	const node = buildNode_(
+		isFunction(tag) ? getFunctionName(tag) : tag,
+		config
+	);
+	node.children = convertCapturedChildren_(config.children);
+	node.component = true;
+	node.key = isDefAndNotNull(config.key) ? config.key : null;
+	node.ref = isDefAndNotNull(config.ref) ? config.ref : null;
+	return node;
+}
+
+/**
+ * Builds the tree node for an element or component, with its props converted
+ * to plain data. Keys, refs and children are not included in the props.
+ * @param {string} type
+ * @param {!Object} config
+ * @return {!Object}
+ * @private
+ */
+function buildNode_(type, config) {
+	const props = {};
+	Object.keys(config).forEach(name => {
+		if (name !== 'children' && name !== 'key' && name !== 'ref') {
+			props[name] = serializeValue_(config[name]);
+		}
+	});
+	return {
+		children: [],
+		props,
+		type,
+	};
+}
+
+/**
+ * Converts the given children, captured from incremental dom calls, into
+ * tree nodes.
+ * @param {Array<!Object>} children
+ * @return {!Array<!Object|string>}
+ * @private
+ */
+function convertCapturedChildren_(children) {
+	return (children || []).map(child => {
+		if (isDef(child.text)) {
+			return `${child.text}`;
+		} else if (isComponentTag_(child.tag)) {
+			return buildComponentNode_(child.tag, child.props);
+		}
+		const node = buildNode_(child.tag, child.props);
+		node.children = convertCapturedChildren_(child.props.children);
+		return node;
+	});
+}
+
+/**
+ * Handles an `elementClose` call that reached incremental dom.
+ * @param {...*} args
+ * @return {Element}
+ * @private
+ */
+function handleElementClose_(...args) {
+	parents_.pop();
+	return prevFns_.elementClose(...args);
+}
+
+/**
+ * Handles an `elementOpen` call that reached incremental dom.
+ * @param {...*} args
+ * @return {!Element}
+ * @private
+ */
+function handleElementOpen_(...args) {
+	const node = buildNode_(args[0], buildConfigFromCall(args));
+	addNode_(node);
+	parents_.push(node);
+	return prevFns_.elementOpen(...args);
+}
+
+/**
+ * Handles a `text` call that reached incremental dom.
+ * @param {...*} args
+ * @return {!Text}
+ * @private
+ */
+function handleText_(...args) {
+	addNode_(`${args[0]}`);
+	return prevFns_.text(...args);
+}
+
+/**
+ * Records a sub component call that was skipped in shallow mode, adding it to
+ * the tree at the current position.
+ * @param {string|!function()} tag The sub component's tag or constructor.
+ * @param {!Object} config The sub component's config, including the children
+ *     captured for it.
+ */
+export function recordSubComponent(tag, config) {
+	if (parents_) {
+		addNode_(buildComponentNode_(tag, config));
+	}
+}
+
+/**
+ * Converts the given prop value into plain data that can be serialized.
+ * Functions are replaced by strings with their names.
+ * @param {*} value
+ * @return {*}
+ * @private
+ */
+function serializeValue_(value) {
+	if (isFunction(value)) {
+		return `[Function ${getFunctionName(value) || 'anonymous'}]`;
+	} else if (Array.isArray(value)) {
+		return value.map(serializeValue_);
+	} else if (value && value.constructor === Object) {
+		const serialized = {};
+		Object.keys(value).forEach(key => {
+			serialized[key] = serializeValue_(value[key]);
+		});
+		return serialized;
+	}
+	return value;
+}
+
+/**
+ * Starts recording the calls that reach incremental dom as a tree, to which
+ * skipped sub components are added via `recordSubComponent`.
+ */
+export function startShallowRecording() {
+	parents_ = [
+		{
+			children: [],
+		},
+	];
+	prevFns_ = getOriginalFns();
+	setOriginalFns(
+		object.mixin({}, prevFns_, {
+			elementClose: handleElementClose_,
+			elementOpen: handleElementOpen_,
+			text: handleText_,
+		})
+	);
+}
+
+/**
+ * Stops recording, returning the recorded tree.
+ * @return {!Array<!Object|string>} The top level nodes rendered since
+ *     recording started.
+ */
+export function stopShallowRecording() {
+	const {children} = parents_[0];
+	setOriginalFns(prevFns_);
+	parents_ = null;
+	prevFns_ = null;
+	return children;
+}
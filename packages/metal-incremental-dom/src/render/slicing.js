@@ -0,0 +1,255 @@
+'use strict';
+
+import {getChanges} from '../changes';
+import {getData} from '../data';
+
+/**
+ * Duration of each slice, in milliseconds, when `requestIdleCallback` is not
+ * available and the default deadline source has to emulate it.
+ * @type {number}
+ */
+const FALLBACK_SLICE_DURATION = 10;
+
+let deadline_ = null;
+let deadlineSource_ = null;
+let pendingParents_ = [];
+let runningSlice_ = false;
+let slicedPatchDepth_ = 0;
+let sliceRequested_ = false;
+
+/**
+ * Adds the given component to the list of parents that need to be patched
+ * again in a later slice.
+ * @param {!Component} parent
+ * @private
+ */
+function addPendingParent_(parent) {
+	if (pendingParents_.indexOf(parent) === -1) {
+		pendingParents_.push(parent);
+	}
+}
+
+/**
+ * Defers the rendering of a sub component to a later slice, by marking its
+ * parent to be patched again then.
+ * @param {!Component} component
+ * @param {!Component} parent
+ */
+export function deferSubComponent(component, parent) {
+	getData(component).deferred = true;
+	addPendingParent_(parent);
+}
+
+/**
+ * Requests a deadline via `setTimeout`, for environments that don't have
+ * `requestIdleCallback`.
+ * @param {function(!{timeRemaining: function():number})} callback
+ * @private
+ */
+function fallbackDeadlineSource_(callback) {
+	setTimeout(function() {
+		const start = Date.now();
+		callback({
+			timeRemaining: () =>
+				Math.max(0, FALLBACK_SLICE_DURATION - (Date.now() - start)),
+		});
+	}, 0);
+}
+
+/**
+ * Gets the function that should be used for requesting deadlines for slices.
+ * @return {function(function(!{timeRemaining: function():number}))}
+ * @private
+ */
+function getDeadlineSource_() {
+	if (deadlineSource_) {
+		return deadlineSource_;
+	} else if (typeof requestIdleCallback === 'function') {
+		return requestIdleCallback;
+	}
+	return fallbackDeadlineSource_;
+}
+
+/**
+ * Checks if there is rendering work that was deferred to later slices.
+ * @return {boolean}
+ */
+export function hasPendingSlices() {
+	return pendingParents_.length > 0;
+}
+
+/**
+ * Checks if the given component is being patched only to resume rendering its
+ * deferred sub components, without having changes of its own. The component's
+ * render lifecycle (like `rendered`) is not run again for such patches, since
+ * it already ran for the patch that deferred the work.
+ * @param {!Component} component
+ * @return {boolean}
+ */
+export function isResuming(component) {
+	return !!getData(component).resuming;
+}
+
+/**
+ * Checks if the given sub component can keep its current content while its
+ * parent is patched to resume deferred work. That's the case for sub
+ * components that were neither deferred nor changed, as long as the parent
+ * itself has no changes either (so it will render them the same way as
+ * before).
+ * @param {!Component} component
+ * @return {boolean}
+ */
+export function isSkippedOnResume(component) {
+	return !!getData(component).skipOnResume;
+}
+
+/**
+ * Checks if the given component is rendered in time sliced mode, which
+ * happens when it or one of the components it was rendered by had this mode
+ * enabled (see `IncrementalDomRenderer.setTimeSlicing`).
+ * @param {!Component} component
+ * @return {boolean}
+ */
+export function isTimeSliced(component) {
+	let data = getData(component);
+	while (data) {
+		if (data.timeSliced) {
+			return true;
+		}
+		data = data.parent ? getData(data.parent) : null;
+	}
+	return false;
+}
+
+/**
+ * Marks the sub components that can keep their current content while the
+ * given parent is patched to resume deferred work (see `isSkippedOnResume`).
+ * @param {!Component} parent
+ * @param {boolean} skip Flag indicating if they should be marked or unmarked.
+ * @private
+ */
+function markSkippedOnResume_(parent, skip) {
+	const unchanged = !getChanges(parent);
+	const children = getData(parent).childComponents || [];
+	children.forEach(child => {
+		const data = getData(child);
+		data.skipOnResume =
+			skip && unchanged && !data.deferred && !getChanges(child);
+	});
+}
+
+/**
+ * Requests a deadline for running the next slice, unless one was already
+ * requested.
+ * @private
+ */
+function requestSlice_() {
+	if (!sliceRequested_ && !runningSlice_ && hasPendingSlices()) {
+		sliceRequested_ = true;
+		getDeadlineSource_()(runSlice_);
+	}
+}
+
+/**
+ * Patches the given parent to resume rendering its deferred sub components.
+ * @param {!Component} parent
+ * @private
+ */
+function resumeParent_(parent) {
+	if (parent.isDisposed()) {
+		return;
+	}
+	const data = getData(parent);
+	data.resuming = !getChanges(parent);
+	markSkippedOnResume_(parent, true);
+	try {
+		parent.getRenderer().patch(parent);
+	} finally {
+		data.resuming = false;
+		if (!parent.isDisposed()) {
+			markSkippedOnResume_(parent, false);
+		}
+	}
+}
+
+/**
+ * Runs the given patch function for the component. If the component is time
+ * sliced, sub components that would be rendered after the current slice's
+ * deadline are deferred, and later slices are requested for them.
+ * @param {!Component} component
+ * @param {!function(!Component)} patchFn
+ */
+export function runPatch(component, patchFn) {
+	if (slicedPatchDepth_ === 0 && !isTimeSliced(component)) {
+		patchFn(component);
+		return;
+	}
+	slicedPatchDepth_++;
+	try {
+		patchFn(component);
+	} finally {
+		slicedPatchDepth_--;
+	}
+	if (slicedPatchDepth_ === 0) {
+		requestSlice_();
+	}
+}
+
+/**
+ * Runs a slice, patching the parents of deferred sub components (from the
+ * outermost ones) until the given deadline is reached. Parents that are not
+ * reached are left for the next slice.
+ * @param {!{timeRemaining: function():number}} deadline
+ * @private
+ */
+function runSlice_(deadline) {
+	sliceRequested_ = false;
+	runningSlice_ = true;
+	deadline_ = deadline;
+
+	const parents = pendingParents_
+		.filter(parent => !parent.isDisposed())
+		.sort((a, b) => a.getUpdateDepth() - b.getUpdateDepth());
+	pendingParents_ = [];
+	try {
+		while (parents.length > 0 && deadline.timeRemaining() > 0) {
+			resumeParent_(parents.shift());
+		}
+	} finally {
+		parents.forEach(addPendingParent_);
+		deadline_ = null;
+		runningSlice_ = false;
+	}
+	requestSlice_();
+}
+
+/**
+ * Sets the function used for requesting deadlines for slices. It's called
+ * with a callback that should be run when the slice can start, receiving an
+ * object with a `timeRemaining` function (like the ones from
+ * `requestIdleCallback`, which is used by default when available). Useful for
+ * controlling slices in tests, via a fake clock. If there is deferred work, a
+ * new slice is requested from the given source right away.
+ * @param {?function(function(!{timeRemaining: function():number}))} source
+ *     The deadline source, or null to use the default one.
+ */
+export function setDeadlineSource(source) {
+	deadlineSource_ = source;
+	sliceRequested_ = false;
+	requestSlice_();
+}
+
+/**
+ * Checks if sub components should be deferred to a later slice instead of
+ * being rendered now. That's the case inside time sliced patches once the
+ * current slice's deadline is reached. Patches done outside of slices (like
+ * the first render, or updates caused by state changes) only render the
+ * components they were called for, deferring their sub components right
+ * away.
+ * @return {boolean}
+ */
+export function shouldDeferSubComponents() {
+	return (
+		slicedPatchDepth_ > 0 && (!deadline_ || deadline_.timeRemaining() <= 0)
+	);
+}
@@ -0,0 +1,130 @@
+'use strict';
+
+import {isFunction} from 'metal';
+import {getData} from '../data';
+
+/**
+ * Attribute that identifies the script with the state snapshot rendered
+ * right after a component's html (see `serializeStateSnapshot`).
+ * @type {string}
+ */
+export const STATE_SNAPSHOT_ATTR = 'data-metal-state';
+
+/**
+ * Adds the state snapshots of the given component and its descendants to
+ * the given object.
+ * @param {!Component} component
+ * @param {string} path
+ * @param {!Object<string, !Object>} snapshot
+ * @private
+ */
+function addSnapshots_(component, path, snapshot) {
+	const dataManager = component.getDataManager();
+	if (isFunction(dataManager.getSnapshot)) {
+		const values = dataManager.getSnapshot(component);
+		if (Object.keys(values).length > 0) {
+			snapshot[path] = values;
+		}
+	}
+
+	const children = getData(component).childComponents || [];
+	for (let i = 0; i < children.length; i++) {
+		addSnapshots_(children[i], `${path}.${i}`, snapshot);
+	}
+}
+
+/**
+ * Gets a JSON-safe snapshot of the state of the given component and all
+ * components rendered inside it, mapping the path of each component in the
+ * tree to its state. The root's path is "0", and each sub component's path
+ * is formed by its parent's and its position among the components rendered
+ * by that parent, like "0.2.1".
+ * @param {!Component} component
+ * @return {!Object<string, !Object>}
+ */
+export function getStateSnapshot(component) {
+	const snapshot = {};
+	addSnapshots_(component, '0', snapshot);
+	return snapshot;
+}
+
+/**
+ * Reads the state snapshot rendered right after the given element, if
+ * there's one.
+ * @param {Element} element
+ * @return {Object<string, !Object>}
+ */
+export function readStateSnapshot(element) {
+	const script = element ? element.nextElementSibling : null;
+	if (!script || !script.hasAttribute(STATE_SNAPSHOT_ATTR)) {
+		return null;
+	}
+	try {
+		return JSON.parse(script.textContent);
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Restores the state of the given sub component from the snapshot being
+ * restored by its parent, if any. Should be called right after the sub
+ * component is created, before its first render.
+ * @param {!Component} component
+ * @param {!Component} parent
+ * @param {number} index The position of the component among the ones
+ *     rendered by its parent.
+ */
+export function restoreChildState(component, parent, index) {
+	const parentSnapshot = getData(parent).stateSnapshot;
+	if (parentSnapshot && !component.wasRendered) {
+		startRestoringState(
+			component,
+			parentSnapshot.values,
+			`${parentSnapshot.path}.${index}`
+		);
+	}
+}
+
+/**
+ * Serializes the given state snapshot into a script that can be rendered
+ * right after a component's html, so that it's restored when the component
+ * is hydrated. The script has the "application/json" type, so it's never
+ * executed, and "<" characters are escaped so that the json can't close it.
+ * @param {!Object<string, !Object>} snapshot
+ * @return {string}
+ */
+export function serializeStateSnapshot(snapshot) {
+	const json = JSON.stringify(snapshot).replace(/</g, '\\u003c');
+	return `<script type="application/json" ${STATE_SNAPSHOT_ATTR}>${
+		json
+	}</script>`;
+}
+
+/**
+ * Restores the state of the given component from the given snapshot, and
+ * makes the components rendered inside it restore theirs as well, until
+ * `stopRestoringState` is called.
+ * @param {!Component} component
+ * @param {!Object<string, !Object>} snapshot
+ * @param {string=} path The component's path in the snapshot. Defaults to
+ *     the root's path.
+ */
+export function startRestoringState(component, snapshot, path = '0') {
+	const dataManager = component.getDataManager();
+	if (snapshot[path] && isFunction(dataManager.restoreSnapshot)) {
+		dataManager.restoreSnapshot(component, snapshot[path]);
+	}
+	getData(component).stateSnapshot = {
+		path,
+		values: snapshot,
+	};
+}
+
+/**
+ * Stops restoring the state of components rendered inside the given one.
+ * @param {!Component} component
+ */
+export function stopRestoringState(component) {
+	getData(component).stateSnapshot = null;
+}
@@ -0,0 +1,169 @@
+'use strict';
+
+import {async} from 'metal';
+import {EventEmitter} from 'metal-events';
+import {Readable} from 'stream';
+import {getStateSnapshot, serializeStateSnapshot} from './snapshot';
+import {createStringFns} from './string';
+import {setOriginalFns} from '../incremental-dom-aop';
+
+/**
+ * Stream of html chunks for a component being rendered, used where node's
+ * `stream` module is not available (like in browsers). Rendering starts
+ * asynchronously, so that listeners can be added first. Emits `data` events
+ * with each html chunk as soon as it's rendered, followed by an `end` event
+ * (or an `error` event if rendering fails).
+ * @extends {EventEmitter}
+ */
+export class RenderStream extends EventEmitter {
+	/**
+	 * Constructor function for `RenderStream`.
+	 * @param {!function()} Ctor The component's constructor function.
+	 * @param {Object=} config Optional config data for the component.
+	 * @param {Object=} options Optional rendering options (see
+	 *     `renderToString`).
+	 */
+	constructor(Ctor, config, options = {}) {
+		super();
+
+		/**
+		 * The component's config data.
+		 * @type {Object}
+		 * @protected
+		 */
+		this.config_ = config;
+
+		/**
+		 * The component's constructor function.
+		 * @type {!function()}
+		 * @protected
+		 */
+		this.Ctor_ = Ctor;
+
+		/**
+		 * The rendering options.
+		 * @type {!Object}
+		 * @protected
+		 */
+		this.options_ = options;
+
+		async.nextTick(this.render_, this);
+	}
+
+	/**
+	 * Writes all html chunks emitted by this stream to the given destination,
+	 * which can be anything with a `write` function, like a node.js response.
+	 * @param {!Object} destination
+	 * @param {{end: boolean}=} options Set `end` to false to avoid calling the
+	 *     destination's `end` function when all content has been written.
+	 * @return {!Object} The destination.
+	 */
+	pipe(destination, {end = true} = {}) {
+		this.on('data', chunk => destination.write(chunk));
+		if (end) {
+			this.on('end', () => destination.end());
+		}
+		return destination;
+	}
+
+	/**
+	 * Renders the component, emitting its html chunks.
+	 * @protected
+	 */
+	render_() {
+		let error;
+		try {
+			renderChunks_(this.Ctor_, this.config_, this.options_, chunk =>
+				this.emit('data', chunk)
+			);
+		} catch (e) {
+			error = e;
+		}
+
+		if (!error) {
+			this.emit('end');
+		} else if (!this.emit('error', error)) {
+			throw error;
+		}
+	}
+}
+
+/**
+ * Creates a node.js `Readable` stream with the html of the component for
+ * the given constructor function. The component is fully rendered when the
+ * first chunk is read, since rendering can't be paused midway. Its chunks are
+ * then pushed until the stream's buffer is full, continuing only when they're
+ * read again, so that slow destinations are not flooded with content.
+ * @param {!function()} Ctor The component's constructor function.
+ * @param {Object=} config Optional config data for the component.
+ * @param {!Object} options The rendering options.
+ * @return {!Readable}
+ * @private
+ */
+function createReadable_(Ctor, config, options) {
+	let chunks;
+	let index = 0;
+	return new Readable({
+		encoding: 'utf8',
+		read() {
+			if (!chunks) {
+				chunks = [];
+				try {
+					renderChunks_(Ctor, config, options, chunk =>
+						chunks.push(chunk)
+					);
+				} catch (e) {
+					this.destroy(e);
+					return;
+				}
+			}
+			while (index < chunks.length) {
+				if (!this.push(chunks[index++])) {
+					return;
+				}
+			}
+			this.push(null);
+		},
+	});
+}
+
+/**
+ * Creates and renders a component for the given constructor function,
+ * passing each of its html chunks to the given function.
+ * @param {!function()} Ctor The component's constructor function.
+ * @param {Object=} config Optional config data for the component.
+ * @param {!Object} options The rendering options.
+ * @param {!function(string)} write
+ * @private
+ */
+function renderChunks_(Ctor, config, options, write) {
+	const prevFns = setOriginalFns(createStringFns(write));
+	try {
+		const component = new Ctor(config, false);
+		component.renderComponent();
+		if (options.serializeState) {
+			write(serializeStateSnapshot(getStateSnapshot(component)));
+		}
+		component.dispose();
+	} finally {
+		setOriginalFns(prevFns);
+	}
+}
+
+/**
+ * Creates and renders a component for the given constructor function,
+ * streaming its html in chunks. Returns a node.js `Readable` stream when the
+ * `stream` module is available, so it can be piped to a response at the pace
+ * it consumes chunks and used with other stream utilities. Otherwise returns
+ * a `RenderStream`, which emits the same events.
+ * @param {!function()} Ctor The component's constructor function.
+ * @param {Object=} config Optional config data for the component.
+ * @param {Object=} options Optional rendering options (see `renderToString`).
+ * @return {!(Readable|RenderStream)}
+ */
+export function renderToStream(Ctor, config, options = {}) {
+	if (Readable) {
+		return createReadable_(Ctor, config, options);
+	}
+	return new RenderStream(Ctor, config, options);
+}
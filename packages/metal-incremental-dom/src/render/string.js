@@ -0,0 +1,249 @@
+'use strict';
+
+import {Component} from 'metal-component';
+import {setOriginalFns} from '../incremental-dom-aop';
+import {getStateSnapshot, serializeStateSnapshot} from './snapshot';
+import {
+	startCollectingSuspensions,
+	stopCollectingSuspensions,
+} from './suspension';
+import {
+	serializeElementClose,
+	serializeElementOpen,
+	serializeText,
+} from './serialize';
+
+/**
+ * Lightweight representation of an element rendered to string. It has
+ * just enough for what components do with their rendered nodes, like storing
+ * data on them or setting their `innerHTML` right after closing them (which
+ * is how `DangerouslySetHTML` works, for example).
+ */
+class StringElement {
+	/**
+	 * Constructor function for `StringElement`.
+	 * @param {string} tag
+	 * @param {!function(!StringElement, string)} setInnerHTML Function called
+	 *     when this element's `innerHTML` is set.
+	 */
+	constructor(tag, setInnerHTML) {
+		this.localName = tag;
+		this.tagName = tag.toUpperCase();
+		this.setInnerHTML_ = setInnerHTML;
+	}
+
+	/**
+	 * Sets the html content of this element.
+	 * @param {string} html
+	 */
+	set innerHTML(html) {
+		this.setInnerHTML_(this, html);
+	}
+
+	/**
+	 * Returns the same kind of string as DOM elements, so that this isn't
+	 * mistaken for a plain object (which JSX would render as text).
+	 * @return {string}
+	 */
+	toString() {
+		return '[object HTMLElement]';
+	}
+}
+
+/**
+ * Creates functions that can replace the original ones from incremental dom
+ * (via `setOriginalFns`), serializing calls directly into html instead of
+ * rendering them to the DOM. This means that no DOM implementation is needed.
+ * The html of the outermost patch is passed to the given function in chunks,
+ * as soon as they're rendered. Patches started while another is running
+ * (like the ones done by `Soy.toHtmlString`) have their html set as the
+ * `innerHTML` of the patched node instead.
+ * @param {!function(string)} write
+ * @return {!Object}
+ */
+export function createStringFns(write) {
+	let collectedArgs = [];
+	let state = null;
+
+	/**
+	 * Writes the closing tag of the last closed element, if it's still
+	 * pending. Closing tags are only written when the next chunk arrives, so
+	 * that content can still be set on the element right after closing it.
+	 */
+	function flushClose() {
+		if (state.closed) {
+			const closeTag = serializeElementClose(state.closed.localName);
+			state.closed = null;
+			if (closeTag) {
+				state.write(closeTag);
+			}
+		}
+	}
+
+	/**
+	 * Sets the content of the given element. This is only possible while its
+	 * closing tag hasn't been written yet.
+	 * @param {!StringElement} element
+	 * @param {string} html
+	 */
+	function setInnerHTML(element, html) {
+		if (state.closed === element) {
+			state.write(html);
+		} else if (currentElement() === element) {
+			writeChunk(html);
+		}
+	}
+
+	/**
+	 * Writes the given html chunk to the output of the current patch.
+	 * @param {string} chunk
+	 */
+	function writeChunk(chunk) {
+		flushClose();
+		if (chunk) {
+			state.write(chunk);
+		}
+	}
+
+	function attr(name, value) {
+		collectedArgs.push(name, value);
+	}
+
+	function currentElement() {
+		return state.elements[state.elements.length - 1];
+	}
+
+	function elementClose() {
+		flushClose();
+		state.closed = state.elements.pop();
+		return state.closed;
+	}
+
+	function elementOpen(...args) {
+		writeChunk(serializeElementOpen(args));
+		const element = new StringElement(args[0], setInnerHTML);
+		state.elements.push(element);
+		return element;
+	}
+
+	function elementOpenEnd() {
+		return elementOpen(...collectedArgs);
+	}
+
+	function elementOpenStart(tag, key, statics) {
+		collectedArgs = [tag, key, statics];
+	}
+
+	function elementVoid(...args) {
+		elementOpen(...args);
+		return elementClose(args[0]);
+	}
+
+	function noop() {}
+
+	function patch(node, fn, data) {
+		const prevState = state;
+		const chunks = [];
+		state = {
+			closed: null,
+			elements: [node],
+			write: prevState ? chunk => chunks.push(chunk) : write,
+		};
+		fn(data);
+		flushClose();
+		state = prevState;
+		if (prevState) {
+			node.innerHTML = chunks.join('');
+		}
+		return node;
+	}
+
+	function text(...args) {
+		writeChunk(serializeText(args));
+	}
+
+	return {
+		attr,
+		attributes: noop,
+		currentElement,
+		currentPointer: () => null,
+		elementClose,
+		elementOpen,
+		elementOpenEnd,
+		elementOpenStart,
+		elementVoid,
+		patch,
+		patchInner: patch,
+		patchOuter: patch,
+		skip: noop,
+		skipNode: noop,
+		text,
+	};
+}
+
+/**
+ * Creates and renders a component for the given constructor function,
+ * returning its html. Calls to incremental dom are serialized directly into
+ * the html string, so this works without any DOM implementation.
+ * @param {!function()} Ctor The component's constructor function.
+ * @param {Object=} config Optional config data for the component.
+ * @param {Object=} options Optional rendering options. Set
+ *     `serializeState` to true to render a snapshot of the state of all
+ *     components right after their html, which `Component.hydrate` restores
+ *     before rendering them on the client.
+ * @return {string}
+ */
+export function renderToString(Ctor, config, options = {}) {
+	const chunks = [];
+	const prevFns = setOriginalFns(
+		createStringFns(chunk => chunks.push(chunk))
+	);
+	try {
+		const component = Component.render(Ctor, config);
+		if (options.serializeState) {
+			chunks.push(serializeStateSnapshot(getStateSnapshot(component)));
+		}
+		component.dispose();
+	} finally {
+		setOriginalFns(prevFns);
+	}
+	return chunks.join('');
+}
+
+/**
+ * Creates and renders a component for the given constructor function,
+ * resolving with its html once all data it needs is available. Components
+ * that suspend while rendering (by throwing promises) have these promises
+ * waited on, and then the component is rendered again. This is repeated
+ * until nothing suspends, so the html never includes fallbacks.
+ * @param {!function()} Ctor The component's constructor function.
+ * @param {Object=} config Optional config data for the component.
+ * @param {Object=} options Optional rendering options (see `renderToString`).
+ * @return {!Promise<string>}
+ */
+export function renderToStringAsync(Ctor, config, options) {
+	return new Promise(function(resolve, reject) {
+		const renderPass = function() {
+			let error;
+			let html;
+			startCollectingSuspensions();
+			try {
+				html = renderToString(Ctor, config, options);
+			} catch (e) {
+				error = e;
+			}
+			const promises = stopCollectingSuspensions();
+			if (promises.length > 0) {
+				const settled = promises.map(promise =>
+					promise.then(() => {}, () => {})
+				);
+				Promise.all(settled).then(renderPass);
+			} else if (error) {
+				reject(error);
+			} else {
+				resolve(html);
+			}
+		};
+		renderPass();
+	});
+}
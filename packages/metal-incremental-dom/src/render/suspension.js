@@ -0,0 +1,34 @@
+'use strict';
+
+let collected_ = null;
+
+/**
+ * Records a promise that a component suspended on while rendering, if
+ * suspensions are being collected (see `startCollectingSuspensions`).
+ * @param {!Promise} promise
+ */
+export function recordSuspension(promise) {
+	if (collected_ && collected_.indexOf(promise) === -1) {
+		collected_.push(promise);
+	}
+}
+
+/**
+ * Starts collecting the promises that components suspend on while rendering,
+ * which happens when they throw them from their render functions. Useful for
+ * waiting on the data they need before rendering them again.
+ */
+export function startCollectingSuspensions() {
+	collected_ = [];
+}
+
+/**
+ * Stops collecting the promises that components suspend on while rendering.
+ * @return {!Array<!Promise>} The promises collected since
+ *     `startCollectingSuspensions` was called.
+ */
+export function stopCollectingSuspensions() {
+	const collected = collected_ || [];
+	collected_ = null;
+	return collected;
+}
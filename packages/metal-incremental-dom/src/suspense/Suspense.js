@@ -0,0 +1,134 @@
+'use strict';
+
+import {isFunction, isString, scheduler} from 'metal';
+import {Component, ComponentRegistry} from 'metal-component';
+import IncrementalDomRenderer from '../IncrementalDomRenderer';
+import {renderChild} from '../render/render';
+
+/**
+ * Component that renders a fallback while components inside it are waiting
+ * for data. Components signal that by throwing a promise from their render
+ * functions, which suspends them. The fallback is then rendered until all
+ * promises thrown inside this boundary settle, when its children are
+ * rendered again. Example:
+ *
+ * <code>
+ * class Profile extends JSXComponent {
+ *   render() {
+ *     const user = userCache.read(this.props.id); // Throws while loading.
+ *     return <span>{user.name}</span>;
+ *   }
+ * }
+ *
+ * <Suspense fallback={<Spinner />}><Profile id="1" /></Suspense>
+ * </code>
+ *
+ * Suspended components are disposed, as well as the other components inside
+ * this boundary while the fallback is rendered, so the data they're waiting
+ * for should be stored outside of them (like in a cache shared between
+ * renders). When rendering to string, `Component.renderToStringAsync` waits
+ * for these promises before serializing the content.
+ */
+class Suspense extends Component {
+	/**
+	 * @inheritDoc
+	 */
+	created() {
+		/**
+		 * Promises that components inside this boundary are suspended on.
+		 * @type {!Array<!Promise>}
+		 * @protected
+		 */
+		this.pending_ = [];
+	}
+
+	/**
+	 * Handles a promise that was waited on by this boundary having settled.
+	 * Once all of them have settled, the children are rendered again.
+	 * @param {!Promise} promise
+	 * @protected
+	 */
+	handleSettled_(promise) {
+		this.pending_.splice(this.pending_.indexOf(promise), 1);
+		if (this.pending_.length === 0 && !this.isDisposed()) {
+			this.setState({
+				suspended: false,
+			});
+		}
+	}
+
+	/**
+	 * Informs this boundary that a component inside it suspended while
+	 * rendering, waiting for the given promise. The fallback is rendered right
+	 * away, before the browser gets to paint the partially rendered content.
+	 * @param {!Promise} promise
+	 */
+	informSuspended(promise) {
+		if (this.pending_.indexOf(promise) === -1) {
+			this.pending_.push(promise);
+			const settle = () => this.handleSettled_(promise);
+			promise.then(settle, settle);
+		}
+		this.setState(
+			{
+				suspended: true,
+			},
+			null,
+			scheduler.Priority.IMMEDIATE
+		);
+	}
+
+	/**
+	 * Renders the fallback while suspended, or the children otherwise.
+	 */
+	render() {
+		if (this.suspended) {
+			renderFallback_(this.fallback);
+		} else {
+			this.children.forEach(renderChild);
+		}
+	}
+}
+
+/**
+ * Renders the given fallback content, which can be a function (like the ones
+ * built for JSX elements), a string, incremental dom nodes (like the ones in
+ * `children`), or an array with any of these.
+ * @param {*} fallback
+ * @private
+ */
+function renderFallback_(fallback) {
+	if (Array.isArray(fallback)) {
+		fallback.forEach(renderFallback_);
+	} else if (isFunction(fallback)) {
+		fallback();
+	} else if (isString(fallback)) {
+		IncrementalDOM.text(fallback);
+	} else if (fallback) {
+		renderChild(fallback);
+	}
+}
+
+Suspense.RENDERER = IncrementalDomRenderer;
+
+Suspense.STATE = {
+	/**
+	 * Content rendered while components inside this boundary are suspended.
+	 * @type {*}
+	 */
+	fallback: {},
+
+	/**
+	 * Flag indicating if components inside this boundary are suspended.
+	 * @type {boolean}
+	 * @protected
+	 */
+	suspended: {
+		internal: true,
+		value: false,
+	},
+};
+
+ComponentRegistry.register(Suspense, 'Suspense');
+
+export default Suspense;
@@ -0,0 +1,303 @@
+'use strict';
+
+import {isServerSide} from 'metal';
+import {addClasses, on, removeClasses} from 'metal-dom';
+import {Component, ComponentRegistry} from 'metal-component';
+import IncrementalDomRenderer from '../IncrementalDomRenderer';
+import {renderChild} from '../render/render';
+
+/**
+ * Counts how many of the css durations in the given list (like the value of
+ * `transition-duration`) are not zero, which is how many end events are
+ * expected for them.
+ * @param {string=} durations
+ * @return {number}
+ * @private
+ */
+function countDurations_(durations) {
+	return (durations || '')
+		.split(',')
+		.filter(duration => parseFloat(duration) > 0).length;
+}
+
+/**
+ * Gets information about how the css transitions or animations of the given
+ * element end, using whichever of them take longer to complete: the name of
+ * the event that is fired when each one ends, how many of these events are
+ * expected and how long they take, in milliseconds.
+ * @param {!Element} element
+ * @return {!{count: number, event: string, timeout: number}}
+ * @private
+ */
+function getEndInfo_(element) {
+	const style = window.getComputedStyle(element);
+	const transitionTimeout =
+		getMaxDuration_(style.transitionDelay) +
+		getMaxDuration_(style.transitionDuration);
+	const animationTimeout =
+		getMaxDuration_(style.animationDelay) +
+		getMaxDuration_(style.animationDuration);
+	if (animationTimeout > transitionTimeout) {
+		return {
+			count: countDurations_(style.animationDuration),
+			event: 'animationend',
+			timeout: animationTimeout,
+		};
+	}
+	return {
+		count: countDurations_(style.transitionDuration),
+		event: 'transitionend',
+		timeout: transitionTimeout,
+	};
+}
+
+/**
+ * Gets the longest of the css durations in the given lists (like the values
+ * of `transition-duration` and `transition-delay`), in milliseconds.
+ * @param {string=} durations
+ * @return {number}
+ * @private
+ */
+function getMaxDuration_(durations) {
+	return (durations || '').split(',').reduce((max, duration) => {
+		const scale = duration.indexOf('ms') === -1 ? 1000 : 1;
+		return Math.max(max, (parseFloat(duration) || 0) * scale);
+	}, 0);
+}
+
+/**
+ * Calls the given function once the browser has painted the next frame, so
+ * that classes added before are already applied.
+ * @param {!function()} fn
+ * @private
+ */
+function nextFrame_(fn) {
+	if (typeof requestAnimationFrame === 'function') {
+		requestAnimationFrame(() => requestAnimationFrame(fn));
+	} else {
+		setTimeout(fn, 0);
+	}
+}
+
+/**
+ * Component that applies css classes to its child's element when it enters
+ * or leaves, so that css transitions and animations can be run. When the
+ * child is removed, it's kept rendered until its leave transition completes,
+ * and only then disposed (the same way as any other unused sub component).
+ * Example:
+ *
+ * <code>
+ * <Transition name="fade">{this.state.open && <Dialog />}</Transition>
+ * </code>
+ *
+ * Each transition goes through these classes, using "fade" as an example:
+ *     - "fade-enter" and "fade-enter-active" are added when the child enters.
+ *     - On the next frame, "fade-enter" is replaced by "fade-enter-to".
+ *     - Once the element's transitions or animations end, whichever take
+ *       longer (which is detected via all their expected `transitionend` or
+ *       `animationend` events, or their computed durations),
+ *       "fade-enter-active" and "fade-enter-to" are removed.
+ * The same happens with "fade-leave*" classes when the child leaves. Emits
+ * `enterEnd` and `leaveEnd` events once each transition is over.
+ */
+class Transition extends Component {
+	/**
+	 * Removes the classes and listeners of the transition that is currently
+	 * running, if any.
+	 * @protected
+	 */
+	cancelTransition_() {
+		const transition = this.transition_;
+		if (transition) {
+			this.transition_ = null;
+			clearTimeout(transition.timer);
+			transition.handles.forEach(handle => handle.removeListener());
+			removeClasses(transition.element, transition.classes.join(' '));
+		}
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	created() {
+		/**
+		 * The children that were rendered last, kept so that they can still be
+		 * rendered while leaving.
+		 * @type {Array<!Object>}
+		 * @protected
+		 */
+		this.lastChildren_ = null;
+
+		/**
+		 * Flag indicating if the last rendered children are leaving.
+		 * @type {boolean}
+		 * @protected
+		 */
+		this.leaving_ = false;
+
+		/**
+		 * Information about the transition that is currently running.
+		 * @type {Object}
+		 * @protected
+		 */
+		this.transition_ = null;
+
+		/**
+		 * Flag indicating if no children were rendered last time.
+		 * @type {boolean}
+		 * @protected
+		 */
+		this.wasEmpty_ = true;
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	disposed() {
+		this.cancelTransition_();
+	}
+
+	/**
+	 * Finishes the transition that is currently running. Children that were
+	 * leaving stop being rendered.
+	 * @protected
+	 */
+	endTransition_() {
+		const type = this.transition_.type;
+		this.cancelTransition_();
+		if (type === 'leave') {
+			this.lastChildren_ = null;
+			this.leaving_ = false;
+			this.emit('leaveEnd');
+			if (!this.isDisposed()) {
+				this.forceUpdate();
+			}
+		} else {
+			this.emit('enterEnd');
+		}
+	}
+
+	/**
+	 * Renders the children, or the last rendered ones if they're leaving.
+	 */
+	render() {
+		if (this.children.length > 0) {
+			this.lastChildren_ = this.children;
+			this.leaving_ = false;
+		} else if (this.lastChildren_) {
+			this.leaving_ = true;
+		}
+		(this.lastChildren_ || []).forEach(renderChild);
+	}
+
+	/**
+	 * Lifecycle. Starts the enter or leave transition, if the children have
+	 * just been added or removed.
+	 * @param {boolean} firstRender
+	 */
+	rendered(firstRender) {
+		const type = this.transition_ ? this.transition_.type : null;
+		if (this.leaving_) {
+			if (type !== 'leave') {
+				this.startTransition_('leave');
+			}
+		} else if (this.lastChildren_) {
+			const entering = firstRender
+				? this.appear
+				: this.wasEmpty_ || type === 'leave';
+			if (entering) {
+				this.startTransition_('enter');
+			}
+		}
+		this.wasEmpty_ = !this.lastChildren_;
+	}
+
+	/**
+	 * Starts a transition of the given type on the current element. Any
+	 * transition that was still running is cancelled first.
+	 * @param {string} type Either "enter" or "leave".
+	 * @protected
+	 */
+	startTransition_(type) {
+		this.cancelTransition_();
+		const element = this.element;
+		const prefix = `${this.name}-${type}`;
+		const transition = {
+			classes: [prefix, `${prefix}-active`],
+			element,
+			handles: [],
+			type,
+		};
+		this.transition_ = transition;
+
+		if (!element || isServerSide()) {
+			nextFrame_(() => {
+				if (this.transition_ === transition) {
+					this.endTransition_();
+				}
+			});
+			return;
+		}
+
+		addClasses(element, transition.classes.join(' '));
+		nextFrame_(() => {
+			if (this.transition_ !== transition) {
+				return;
+			}
+			removeClasses(element, prefix);
+			addClasses(element, `${prefix}-to`);
+			transition.classes = [`${prefix}-active`, `${prefix}-to`];
+
+			const {count, event, timeout} = getEndInfo_(element);
+			if (timeout === 0) {
+				this.endTransition_();
+				return;
+			}
+			let ended = 0;
+			const handleEnd = endEvent => {
+				if (endEvent.target === element && ++ended >= count) {
+					this.endTransition_();
+				}
+			};
+			transition.handles.push(on(element, event, handleEnd));
+			// Ends the transition even if its events are never fired.
+			transition.timer = setTimeout(
+				() => this.endTransition_(),
+				timeout + Transition.TIMEOUT_MARGIN
+			);
+		});
+	}
+}
+
+Transition.RENDERER = IncrementalDomRenderer;
+
+Transition.STATE = {
+	/**
+	 * Flag indicating if the enter transition should also run when the
+	 * children are rendered for the first time.
+	 * @type {boolean}
+	 */
+	appear: {
+		value: false,
+	},
+
+	/**
+	 * Prefix of the css classes applied during transitions.
+	 * @type {string}
+	 */
+	name: {
+		value: 'transition',
+	},
+};
+
+/**
+ * Time, in milliseconds, to wait for the events of transitions after their
+ * computed durations, before ending them anyway.
+ * @type {number}
+ * @static
+ */
+Transition.TIMEOUT_MARGIN = 50;
+
+ComponentRegistry.register(Transition, 'Transition');
+
+export default Transition;
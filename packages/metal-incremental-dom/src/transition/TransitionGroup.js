@@ -0,0 +1,196 @@
+'use strict';
+
+import {isDefAndNotNull} from 'metal';
+import {Component, ComponentRegistry} from 'metal-component';
+import IncrementalDomRenderer from '../IncrementalDomRenderer';
+import {renderChild} from '../render/render';
+import Transition from './Transition';
+
+/**
+ * Finds the index of the entry with the given key.
+ * @param {!Array<!Object>} entries
+ * @param {*} key
+ * @return {number}
+ * @private
+ */
+function findEntry_(entries, key) {
+	for (let i = 0; i < entries.length; i++) {
+		if (entries[i].key === key) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Component that runs enter and leave transitions (see `Transition`) for each
+ * of its children, which should have unique keys. Children that are removed
+ * are kept in their previous positions until their leave transitions
+ * complete, and only then disposed. Children that are added after the first
+ * render run their enter transitions. Example:
+ *
+ * <code>
+ * <TransitionGroup elementTag="ul" name="fade">
+ *   {this.state.items.map(item => <Item key={item.id} {...item} />)}
+ * </TransitionGroup>
+ * </code>
+ */
+class TransitionGroup extends Component {
+	/**
+	 * Builds the entries for the current children, identifying them by their
+	 * keys (or their positions, for children without keys).
+	 * @return {!Array<!Object>}
+	 * @protected
+	 */
+	buildEntries_() {
+		return this.children.map((child, index) => {
+			const key = child.props ? child.props.key : null;
+			return {
+				child,
+				key: isDefAndNotNull(key)
+					? key
+					: `__METAL_TRANSITION__${index}`,
+				leaving: false,
+			};
+		});
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	created() {
+		/**
+		 * The entries that were rendered last, including the ones leaving.
+		 * @type {!Array<!Object>}
+		 * @protected
+		 */
+		this.entries_ = [];
+
+		/**
+		 * Events objects passed to the `Transition` rendered for each key, which
+		 * are kept so that their listeners are not replaced on every render.
+		 * @type {!Object<string, !Object>}
+		 * @protected
+		 */
+		this.transitionEvents_ = {};
+	}
+
+	/**
+	 * Gets the events object passed to the `Transition` for the given key.
+	 * @param {*} key
+	 * @return {!Object}
+	 * @protected
+	 */
+	getTransitionEvents_(key) {
+		if (!this.transitionEvents_[key]) {
+			this.transitionEvents_[key] = {
+				leaveEnd: () => this.handleLeaveEnd_(key),
+			};
+		}
+		return this.transitionEvents_[key];
+	}
+
+	/**
+	 * Handles the end of the leave transition for the given key. The entry
+	 * stops being rendered, so it can be disposed.
+	 * @param {*} key
+	 * @protected
+	 */
+	handleLeaveEnd_(key) {
+		const index = findEntry_(this.entries_, key);
+		if (index !== -1 && this.entries_[index].leaving) {
+			this.entries_.splice(index, 1);
+			delete this.transitionEvents_[key];
+			if (!this.isDisposed()) {
+				this.forceUpdate();
+			}
+		}
+	}
+
+	/**
+	 * Merges the entries for the current children with the ones that were
+	 * rendered last. Entries that are not in the current children anymore are
+	 * kept as leaving, right after the entry that preceded them before.
+	 * @return {!Array<!Object>}
+	 * @protected
+	 */
+	mergeEntries_() {
+		const entries = this.buildEntries_();
+		let position = 0;
+		this.entries_.forEach(prevEntry => {
+			const index = findEntry_(entries, prevEntry.key);
+			if (index !== -1) {
+				position = index + 1;
+			} else {
+				entries.splice(position++, 0, {
+					child: prevEntry.child,
+					key: prevEntry.key,
+					leaving: true,
+				});
+			}
+		});
+		return entries;
+	}
+
+	/**
+	 * Renders each child inside a `Transition`, all wrapped by an element with
+	 * the tag in `elementTag`. Leaving children are rendered by their
+	 * transitions until they're over.
+	 */
+	render() {
+		this.entries_ = this.mergeEntries_();
+		const appear = this.wasRendered || this.appear;
+		IncrementalDOM.elementOpen(this.elementTag);
+		this.entries_.forEach(({child, key, leaving}) => {
+			IncrementalDOM.elementOpen(
+				Transition,
+				key,
+				null,
+				'appear',
+				appear,
+				'events',
+				this.getTransitionEvents_(key),
+				'name',
+				this.name
+			);
+			if (!leaving) {
+				renderChild(child);
+			}
+			IncrementalDOM.elementClose(Transition);
+		});
+		IncrementalDOM.elementClose(this.elementTag);
+	}
+}
+
+TransitionGroup.RENDERER = IncrementalDomRenderer;
+
+TransitionGroup.STATE = {
+	/**
+	 * Flag indicating if the children rendered for the first time should also
+	 * run their enter transitions.
+	 * @type {boolean}
+	 */
+	appear: {
+		value: false,
+	},
+
+	/**
+	 * Tag of the element that wraps the children.
+	 * @type {string}
+	 */
+	elementTag: {
+		value: 'div',
+	},
+
+	/**
+	 * Prefix of the css classes applied during transitions (see `Transition`).
+	 * @type {string}
+	 */
+	name: {
+		value: 'transition',
+	},
+};
+
+ComponentRegistry.register(TransitionGroup, 'TransitionGroup');
+
+export default TransitionGroup;
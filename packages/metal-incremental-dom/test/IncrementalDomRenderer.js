@@ -1,11 +1,15 @@
 'use strict';
 
-import {async, core, object} from 'metal';
+import {async, core, object, scheduler} from 'metal';
 import dom from 'metal-dom';
 import {getData} from '../src/data';
 import {sunset} from '../../../test-utils';
 import {CHILD_OWNER} from '../src/children/children';
-import {Component, ComponentRegistry} from 'metal-component';
+import {
+	addLifecycleObserver,
+	Component,
+	ComponentRegistry,
+} from 'metal-component';
 import IncrementalDomRenderer from '../src/IncrementalDomRenderer';
 
 let IncDom = IncrementalDOM;
@@ -270,6 +274,34 @@ describe('IncrementalDomRenderer', function() {
 			});
 		});
 
+		it('should inform lifecycle observers of the duration of updates', function() {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.text(this.foo);
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			TestComponent.STATE = {
+				foo: {
+					value: 'foo',
+				},
+			};
+
+			const updated = sinon.stub();
+			const handle = addLifecycleObserver({
+				updated,
+			});
+			component = new TestComponent();
+			component.foo = 'bar';
+			scheduler.flush();
+			handle.remove();
+
+			assert.strictEqual(1, updated.callCount);
+			assert.ok(updated.args[0][1].duration >= 0);
+		});
+
 		it('should allow changing tag name of root element', function() {
 			class TestComponent extends Component {
 				render() {
@@ -2772,6 +2804,191 @@ describe('IncrementalDomRenderer', function() {
 			});
 		});
 
+		describe('Keyed Sub Components', function() {
+			let ItemComponent;
+			let ListComponent;
+
+			beforeEach(function() {
+				ItemComponent = class ItemComponent extends Component {
+					render() {
+						IncDom.elementOpen('li');
+						IncDom.text(this.label);
+						IncDom.elementClose('li');
+					}
+				};
+				ItemComponent.RENDERER = IncrementalDomRenderer;
+				ItemComponent.STATE = {
+					label: {},
+				};
+
+				ListComponent = class ListComponent extends Component {
+					render() {
+						IncDom.elementOpen('ul');
+						this.items.forEach(item => {
+							const key = this.keyed ? item : null;
+							IncDom.elementVoid(ItemComponent, key, null, 'label', item);
+						});
+						IncDom.elementClose('ul');
+					}
+				};
+				ListComponent.RENDERER = IncrementalDomRenderer;
+				ListComponent.STATE = {
+					items: {
+						value: ['a', 'b', 'c'],
+					},
+					keyed: {
+						value: true,
+					},
+				};
+
+				sinon.stub(console, 'warn');
+			});
+
+			afterEach(function() {
+				console.warn.restore();
+			});
+
+			/**
+			 * Gets the sub components rendered by the list, mapped by their labels.
+			 * @return {!Object<string, !Component>}
+			 */
+			function getItems() {
+				const items = {};
+				getData(component).childComponents.forEach(child => {
+					items[child.label] = child;
+				});
+				return items;
+			}
+
+			/**
+			 * Updates the list's items, patching it right away.
+			 * @param {!Array<string>} items
+			 */
+			function updateItems(items) {
+				component.items = items;
+				component.getRenderer().patch(component);
+			}
+
+			it('should keep instances and elements of keyed sub components that are moved', function() {
+				component = new ListComponent();
+				const prevItems = getItems();
+
+				updateItems(['c', 'a', 'b']);
+				const items = getItems();
+				assert.strictEqual(prevItems.a, items.a);
+				assert.strictEqual(prevItems.b, items.b);
+				assert.strictEqual(prevItems.c, items.c);
+				assert.strictEqual(items.c.element, component.element.childNodes[0]);
+				assert.strictEqual(prevItems.a.element, items.a.element);
+				assert.strictEqual(
+					'<ul><li>c</li><li>a</li><li>b</li></ul>',
+					component.element.outerHTML
+				);
+			});
+
+			it('should keep instances of keyed sub components when items are inserted or removed', function() {
+				component = new ListComponent();
+				const prevItems = getItems();
+
+				updateItems(['x', 'a', 'c']);
+				const items = getItems();
+				assert.notOk(prevItems.x);
+				assert.strictEqual(prevItems.a, items.a);
+				assert.strictEqual(prevItems.c, items.c);
+				assert.ok(prevItems.b.isDisposed());
+				assert.strictEqual(
+					'<ul><li>x</li><li>a</li><li>c</li></ul>',
+					component.element.outerHTML
+				);
+				assert.strictEqual(0, console.warn.callCount);
+			});
+
+			it('should warn about duplicate keys and render all sub components', function() {
+				component = new ListComponent({
+					items: ['a', 'b', 'a'],
+				});
+				assert.strictEqual(
+					'<ul><li>a</li><li>b</li><li>a</li></ul>',
+					component.element.outerHTML
+				);
+				assert.strictEqual(3, getData(component).childComponents.length);
+				assert.strictEqual(1, console.warn.callCount);
+				assert.include(console.warn.args[0][0], '"ListComponent"');
+				assert.include(console.warn.args[0][0], 'key "a"');
+			});
+
+			it('should warn when the number of sub components rendered without keys changes', function() {
+				component = new ListComponent({
+					keyed: false,
+				});
+				updateItems(['a', 'b', 'c']);
+				assert.strictEqual(0, console.warn.callCount);
+
+				updateItems(['x', 'a', 'b', 'c']);
+				assert.strictEqual(1, console.warn.callCount);
+				assert.include(console.warn.args[0][0], '"ListComponent"');
+				assert.include(console.warn.args[0][0], '"ItemComponent"');
+
+				updateItems(['a', 'b']);
+				assert.strictEqual(1, console.warn.callCount, 'Only warns once');
+			});
+
+			it('should not warn when sub components without keys are all added or removed', function() {
+				component = new ListComponent({
+					items: [],
+					keyed: false,
+				});
+				updateItems(['a', 'b']);
+				updateItems([]);
+				assert.strictEqual(0, console.warn.callCount);
+			});
+
+			it('should not warn about a fixed number of sub components rendered without keys', function() {
+				component = new ListComponent({
+					items: ['a', 'b'],
+					keyed: false,
+				});
+				updateItems(['b', 'a']);
+				assert.strictEqual(0, console.warn.callCount);
+			});
+
+			it('should only warn once per component type about sub components without keys', function() {
+				component = new ListComponent({
+					keyed: false,
+				});
+				const otherComponent = new ListComponent({
+					keyed: false,
+				});
+				updateItems(['a', 'b']);
+				otherComponent.items = ['a'];
+				otherComponent.getRenderer().patch(otherComponent);
+				otherComponent.dispose();
+				assert.strictEqual(1, console.warn.callCount);
+			});
+
+			it('should not warn about keys in production', function() {
+				const env = process.env.NODE_ENV;
+				process.env.NODE_ENV = 'production';
+				try {
+					component = new ListComponent({
+						items: ['a', 'b', 'a'],
+					});
+					component.dispose();
+					component = new ListComponent({
+						keyed: false,
+					});
+					updateItems(['x', 'a', 'b', 'c']);
+				} finally {
+					process.env.NODE_ENV = env;
+				}
+				assert.strictEqual(
+					'<ul><li>x</li><li>a</li><li>b</li><li>c</li></ul>',
+					component.element.outerHTML
+				);
+				assert.strictEqual(0, console.warn.callCount);
+			});
+		});
+
 		describe('Compatibility Mode', function() {
 			afterEach(function() {
 				core.disableCompatibilityMode();
@@ -3185,6 +3402,536 @@ describe('IncrementalDomRenderer', function() {
 		});
 	});
 
+	describe('Function - didUpdate', function() {
+		let TestComponent;
+
+		beforeEach(function() {
+			TestComponent = class extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.text(this.foo);
+					IncDom.elementClose('div');
+				}
+			};
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			TestComponent.STATE = {
+				bar: {
+					value: 'bar',
+				},
+				foo: {
+					value: 'foo',
+				},
+			};
+		});
+
+		it('should not run "getSnapshotBeforeUpdate" or "didUpdate" on first render', function() {
+			TestComponent.prototype.didUpdate = sinon.stub();
+			TestComponent.prototype.getSnapshotBeforeUpdate = sinon.stub();
+
+			component = new TestComponent();
+			sinon.assert.notCalled(component.didUpdate);
+			sinon.assert.notCalled(component.getSnapshotBeforeUpdate);
+		});
+
+		it('should run "getSnapshotBeforeUpdate" with the previous state before the DOM is updated', function(
+			done
+		) {
+			component = new TestComponent();
+			const textBefore = [];
+			component.getSnapshotBeforeUpdate = function(prevState) {
+				textBefore.push(this.element.textContent, prevState.foo);
+			};
+
+			component.foo = 'foo2';
+			component.once('stateSynced', function() {
+				assert.deepEqual(['foo', 'foo'], textBefore);
+				done();
+			});
+		});
+
+		it('should run "didUpdate" with the previous state and the snapshot after the DOM is updated', function(
+			done
+		) {
+			component = new TestComponent();
+			component.getSnapshotBeforeUpdate = function() {
+				return this.element.textContent;
+			};
+			const calls = [];
+			component.didUpdate = function(prevState, snapshot) {
+				calls.push({
+					prevState,
+					snapshot,
+					text: this.element.textContent,
+				});
+			};
+
+			component.foo = 'foo2';
+			component.once('stateSynced', function() {
+				assert.strictEqual(1, calls.length);
+				assert.strictEqual('foo', calls[0].prevState.foo);
+				assert.strictEqual('bar', calls[0].prevState.bar);
+				assert.strictEqual('foo', calls[0].snapshot);
+				assert.strictEqual('foo2', calls[0].text);
+				done();
+			});
+		});
+
+		it('should run "didUpdate" after "rendered"', function(done) {
+			component = new TestComponent();
+			const calls = [];
+			component.rendered = () => calls.push('rendered');
+			component.didUpdate = () => calls.push('didUpdate');
+
+			component.foo = 'foo2';
+			component.once('stateSynced', function() {
+				assert.deepEqual(['rendered', 'didUpdate'], calls);
+				done();
+			});
+		});
+
+		it('should run "didUpdate" on nested components updated by their parents', function(
+			done
+		) {
+			const ChildComponent = TestComponent;
+			ChildComponent.prototype.didUpdate = sinon.stub();
+
+			class ParentComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(
+						ChildComponent,
+						null,
+						null,
+						'foo',
+						this.foo,
+						'ref',
+						'child'
+					);
+					IncDom.elementClose('div');
+				}
+			}
+			ParentComponent.RENDERER = IncrementalDomRenderer;
+			ParentComponent.STATE = {
+				foo: {
+					value: 'foo',
+				},
+			};
+
+			component = new ParentComponent();
+			const child = component.refs.child;
+
+			component.foo = 'foo2';
+			component.once('stateSynced', function() {
+				sinon.assert.calledOnce(child.didUpdate);
+				assert.strictEqual('foo', child.didUpdate.args[0][0].foo);
+				assert.strictEqual('foo2', child.element.textContent);
+				done();
+			});
+		});
+
+		it('should run "didUpdate" with the current state when the update is forced', function() {
+			component = new TestComponent();
+			component.didUpdate = sinon.stub();
+
+			component.forceUpdate();
+			sinon.assert.calledOnce(component.didUpdate);
+			assert.strictEqual('foo', component.didUpdate.args[0][0].foo);
+		});
+
+		it('should not run "didUpdate" if the update is skipped', function(done) {
+			component = new TestComponent();
+			component.didUpdate = sinon.stub();
+			component.shouldUpdate = () => false;
+
+			component.foo = 'foo2';
+			component.once('stateSynced', function() {
+				sinon.assert.notCalled(component.didUpdate);
+				done();
+			});
+		});
+	});
+
+	describe('Error Boundaries', function() {
+		let ChildComponent;
+		let MiddleComponent;
+		let error;
+
+		beforeEach(function() {
+			error = new Error('Child error');
+
+			ChildComponent = class extends Component {
+				render() {
+					IncDom.elementOpen('div', null, null, 'class', 'child');
+					IncDom.elementOpen('span');
+					if (this.fail) {
+						throw error;
+					}
+					IncDom.elementClose('span');
+					IncDom.elementClose('div');
+				}
+			};
+			ChildComponent.RENDERER = IncrementalDomRenderer;
+			ChildComponent.STATE = {
+				fail: {
+					value: true,
+				},
+			};
+
+			MiddleComponent = class extends Component {
+				render() {
+					IncDom.elementOpen('div', null, null, 'class', 'middle');
+					IncDom.elementVoid(ChildComponent, null, null, 'ref', 'child');
+					IncDom.text('After');
+					IncDom.elementClose('div');
+				}
+			};
+			MiddleComponent.RENDERER = IncrementalDomRenderer;
+		});
+
+		it('should call "handleError" on the closest error boundary with the failing component chain', function() {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(MiddleComponent, null, null, 'ref', 'middle');
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.prototype.handleError = sinon.stub();
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent();
+			const middle = component.components.middle;
+
+			sinon.assert.calledOnce(component.handleError);
+			const info = component.handleError.args[0][1];
+			assert.strictEqual(error, component.handleError.args[0][0]);
+			assert.ok(info.component instanceof ChildComponent);
+			assert.deepEqual(
+				[info.component, middle, component],
+				info.componentChain
+			);
+		});
+
+		it('should dispose the failed component and keep rendering the rest of the patch', function() {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(MiddleComponent, null, null, 'ref', 'middle');
+					IncDom.elementVoid('span', null, null, 'class', 'sibling');
+					IncDom.elementClose('div');
+				}
+
+				handleError() {}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			sinon.spy(TestComponent.prototype, 'handleError');
+
+			component = new TestComponent();
+			const middle = component.components.middle;
+			const child = TestComponent.prototype.handleError.args[0][1].component;
+			TestComponent.prototype.handleError.restore();
+
+			assert.ok(child.isDisposed());
+			assert.ok(!middle.components.child);
+			assert.ok(middle.wasRendered);
+			assert.strictEqual(
+				'<div class="middle">After</div><span class="sibling"></span>',
+				component.element.innerHTML
+			);
+		});
+
+		it('should set the state returned by "getDerivedStateFromError" and rerender', function(
+			done
+		) {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					if (this.failed) {
+						IncDom.text('Fallback');
+					} else {
+						IncDom.elementVoid(MiddleComponent);
+					}
+					IncDom.elementClose('div');
+				}
+
+				static getDerivedStateFromError(error) {
+					return {
+						failed: error.message,
+					};
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			TestComponent.STATE = {
+				failed: {
+					value: false,
+				},
+			};
+
+			component = new TestComponent();
+			assert.strictEqual('Child error', component.failed);
+
+			component.once('stateSynced', function() {
+				assert.strictEqual('Fallback', component.element.innerHTML);
+				done();
+			});
+		});
+
+		it('should handle errors thrown by the "rendered" lifecycle method', function() {
+			class FailingComponent extends Component {
+				rendered() {
+					throw error;
+				}
+			}
+			FailingComponent.RENDERER = IncrementalDomRenderer;
+
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(FailingComponent);
+					IncDom.text('After');
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.prototype.handleError = sinon.stub();
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent();
+			sinon.assert.calledOnce(component.handleError);
+			assert.ok(
+				component.handleError.args[0][1].component instanceof FailingComponent
+			);
+			assert.strictEqual('After', component.element.innerHTML);
+		});
+
+		it('should handle errors thrown while capturing children', function() {
+			class FailingComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementOpen(MiddleComponent);
+					throw error;
+				}
+			}
+			FailingComponent.RENDERER = IncrementalDomRenderer;
+
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(FailingComponent);
+					IncDom.elementVoid('span');
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.prototype.handleError = sinon.stub();
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent();
+			sinon.assert.calledOnce(component.handleError);
+			assert.strictEqual('<span></span>', component.element.innerHTML);
+		});
+
+		it('should handle errors thrown when a child component updates by itself', function(
+			done
+		) {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(
+						ChildComponent,
+						null,
+						null,
+						'ref',
+						'child',
+						'fail',
+						false
+					);
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.prototype.handleError = sinon.stub();
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent();
+			const child = component.components.child;
+			sinon.assert.notCalled(component.handleError);
+
+			child.fail = true;
+			child.once('stateChanged', function() {
+				sinon.assert.calledOnce(component.handleError);
+				assert.strictEqual(child, component.handleError.args[0][1].component);
+				assert.ok(child.isDisposed());
+				done();
+			});
+		});
+
+		it('should not handle errors thrown by the error boundary itself', function() {
+			class TestComponent extends Component {
+				render() {
+					throw error;
+				}
+			}
+			TestComponent.prototype.handleError = sinon.stub();
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			assert.throws(() => new TestComponent(), 'Child error');
+		});
+
+		it('should throw errors when there is no error boundary', function() {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(MiddleComponent);
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			assert.throws(() => new TestComponent(), 'Child error');
+		});
+	});
+
+	describe('Shallow Rendering', function() {
+		it('should skip sub components when rendering in shallow mode', function() {
+			class ChildComponent extends Component {
+				created() {
+					ChildComponent.instances++;
+				}
+			}
+			ChildComponent.instances = 0;
+			ChildComponent.RENDERER = IncrementalDomRenderer;
+
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(ChildComponent, null, null, 'ref', 'child');
+					IncDom.elementVoid('span', null, null, 'ref', 'span');
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent({}, false);
+			IncrementalDomRenderer.setShallowRendering(component, true);
+			component.renderComponent();
+
+			assert.strictEqual(0, ChildComponent.instances);
+			assert.deepEqual({}, component.components);
+			assert.strictEqual(1, component.element.childNodes.length);
+			assert.strictEqual(component.element.childNodes[0], component.refs.span);
+
+			IncrementalDomRenderer.setShallowRendering(component, false);
+			component.forceUpdate();
+			assert.strictEqual(1, ChildComponent.instances);
+			assert.ok(component.components.child instanceof ChildComponent);
+		});
+	});
+
+	describe('Update Scheduling', function() {
+		let ChildComponent;
+
+		beforeEach(function() {
+			ChildComponent = class ChildComponent extends Component {
+				render() {
+					ChildComponent.renders++;
+					IncDom.elementVoid('span', null, null, 'title', this.foo + this.bar);
+				}
+			};
+			ChildComponent.renders = 0;
+			ChildComponent.RENDERER = IncrementalDomRenderer;
+			ChildComponent.STATE = {
+				bar: {
+					value: '',
+				},
+				foo: {},
+			};
+		});
+
+		it('should return the depth of components in the rendered tree', function() {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div');
+					IncDom.elementVoid(ChildComponent, null, null, 'ref', 'child');
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent();
+			assert.strictEqual(0, component.getUpdateDepth());
+			assert.strictEqual(1, component.components.child.getUpdateDepth());
+			assert.strictEqual(
+				component,
+				IncrementalDomRenderer.getParent(component.components.child)
+			);
+		});
+
+		it('should update parents before children, rendering each only once', function(
+			done
+		) {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementVoid(
+						ChildComponent,
+						null,
+						null,
+						'foo',
+						this.foo,
+						'ref',
+						'child'
+					);
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			TestComponent.STATE = {
+				foo: {
+					value: 'foo',
+				},
+			};
+
+			component = new TestComponent();
+			const child = component.components.child;
+			assert.strictEqual(1, ChildComponent.renders);
+
+			child.bar = 'Bar';
+			component.foo = 'Foo';
+			component.once('stateSynced', function() {
+				assert.strictEqual(2, ChildComponent.renders);
+				assert.strictEqual('Foo', child.element.title);
+				done();
+			});
+		});
+
+		it('should update components sooner when using higher priorities', function(
+			done
+		) {
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementVoid('span', null, null, 'title', this.foo);
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+			TestComponent.STATE = {
+				foo: {
+					value: 'foo',
+				},
+			};
+
+			component = new TestComponent();
+			component.setState(
+				{
+					foo: 'bar',
+				},
+				null,
+				scheduler.Priority.IMMEDIATE
+			);
+			assert.strictEqual('foo', component.element.title);
+
+			Promise.resolve().then(function() {
+				assert.strictEqual('bar', component.element.title);
+				done();
+			});
+		});
+	});
+
 	describe('Componentless function tags', function() {
 		it('should render componentless function passed as incremental dom tag', function() {
 			let TestFunction = ({foo}) => {
@@ -3536,6 +4283,71 @@ describe('IncrementalDomRenderer', function() {
 				done();
 			});
 		});
+
+		it('should not bubble delegated events from sub components with a portalElement to the parent element by default', function() {
+			const portalElement = createPortalElement();
+			const listener = sinon.stub();
+
+			class TestChildComponent extends Component {
+				render() {
+					IncDom.elementVoid('button');
+				}
+			}
+			TestChildComponent.RENDERER = IncrementalDomRenderer;
+
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div', null, null, 'data-onclick', listener);
+					IncDom.elementVoid(
+						TestChildComponent,
+						null,
+						null,
+						'portalElement',
+						portalElement
+					);
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent();
+
+			dom.triggerEvent(portalElement.querySelector('button'), 'click');
+			assert.strictEqual(0, listener.callCount);
+		});
+
+		it('should bubble delegated events from sub components with a portalElement to the parent element if "BUBBLE_PORTAL_EVENTS" is set', function() {
+			const portalElement = createPortalElement();
+			const listener = sinon.stub();
+
+			class TestChildComponent extends Component {
+				render() {
+					IncDom.elementVoid('button');
+				}
+			}
+			TestChildComponent.BUBBLE_PORTAL_EVENTS = true;
+			TestChildComponent.RENDERER = IncrementalDomRenderer;
+
+			class TestComponent extends Component {
+				render() {
+					IncDom.elementOpen('div', null, null, 'data-onclick', listener);
+					IncDom.elementVoid(
+						TestChildComponent,
+						null,
+						null,
+						'portalElement',
+						portalElement
+					);
+					IncDom.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			component = new TestComponent();
+
+			dom.triggerEvent(portalElement.querySelector('button'), 'click');
+			assert.strictEqual(1, listener.callCount);
+		});
 	});
 });
 
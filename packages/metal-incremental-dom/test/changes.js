@@ -1,6 +1,13 @@
 'use strict';
 
-import {clearChanges, getChanges, trackChanges} from '../src/changes';
+import {
+	clearChanges,
+	discardChanges,
+	getChanges,
+	getLastChanges,
+	getPrevValues,
+	trackChanges,
+} from '../src/changes';
 import {getData} from '../src/data';
 import Component from 'metal-component';
 
@@ -41,4 +48,55 @@ describe('changes', function() {
 		clearChanges(getData(component));
 		assert.equal(null, getChanges(component));
 	});
+
+	it('should build the values data had before the tracked changes', function() {
+		component = new Component();
+		trackChanges(component);
+
+		component.visible = false;
+		const prevValues = getPrevValues(getChanges(component), 'props', {
+			foo: 'foo',
+			visible: false,
+		});
+		assert.deepEqual(
+			{
+				foo: 'foo',
+				visible: true,
+			},
+			prevValues
+		);
+	});
+
+	it('should build the current values when there are no tracked changes', function() {
+		const current = {
+			foo: 'foo',
+		};
+		const prevValues = getPrevValues(null, 'props', current);
+		assert.deepEqual(current, prevValues);
+		assert.notStrictEqual(current, prevValues);
+	});
+
+	it('should discard changes without keeping them as the last cleared ones', function() {
+		component = new Component();
+		trackChanges(component);
+
+		component.visible = false;
+		discardChanges(component);
+		assert.equal(null, getChanges(component));
+		assert.equal(null, getLastChanges(component));
+	});
+
+	it('should keep the last cleared changes for a given component', function() {
+		component = new Component();
+		trackChanges(component);
+		assert.equal(null, getLastChanges(component));
+
+		component.visible = false;
+		const changes = getChanges(component);
+		clearChanges(getData(component));
+		assert.strictEqual(changes, getLastChanges(component));
+
+		clearChanges(getData(component));
+		assert.equal(null, getLastChanges(component));
+	});
 });
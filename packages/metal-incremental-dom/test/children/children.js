@@ -3,6 +3,7 @@
 import dom from 'metal-dom';
 import {sunset} from '../../../../test-utils';
 import {
+	cancelCapture,
 	captureChildren,
 	getOwner,
 	renderChildTree,
@@ -34,6 +35,18 @@ describe('children', function() {
 		IncrementalDOM.elementClose('div');
 	});
 
+	it('should stop capturing children when "cancelCapture" is called', function() {
+		const callback = sinon.stub();
+		captureChildren({}, callback);
+		IncrementalDOM.elementOpen('span');
+		cancelCapture();
+
+		const element = document.createElement('div');
+		IncrementalDOM.patch(element, () => IncrementalDOM.elementVoid('span'));
+		assert.strictEqual(0, callback.callCount);
+		assert.strictEqual('<span></span>', element.innerHTML);
+	});
+
 	it('should return the captured tree\'s given owner object', function(done) {
 		const owner = {};
 		captureChildren(owner, function(tree) {
@@ -51,6 +51,19 @@ describe('unused', function() {
 		assert.ok(comps[1].isDisposed());
 	});
 
+	it('should only remove the elements of scheduled components when requested', function() {
+		const elements = [
+			comp.components.child1.element,
+			comp.components.child2.element,
+		];
+		schedule([comp.components.child1]);
+		schedule([comp.components.child2], true);
+		disposeUnused();
+
+		assert.strictEqual(comp.element, elements[0].parentNode);
+		assert.ok(!elements[1].parentNode);
+	});
+
 	it('should not dispose scheduled components that have received a new parent', function() {
 		let comps = [comp.components.child1, comp.components.child2];
 		schedule(comps);
@@ -0,0 +1,258 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {createContext, readContext} from '../../src/context/context';
+import {getData} from '../../src/data';
+
+describe('context', function() {
+	let component;
+	let Consumer;
+	let Intermediate;
+	let TestComponent;
+	let ThemeContext;
+
+	beforeEach(function() {
+		ThemeContext = createContext('light');
+
+		Consumer = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('span');
+				IncrementalDOM.text(this.context.theme);
+				IncrementalDOM.elementClose('span');
+			}
+		};
+		Consumer.CONTEXT = {
+			theme: ThemeContext,
+		};
+		Consumer.RENDERER = IncrementalDomRenderer;
+		sinon.spy(Consumer.prototype, 'render');
+
+		Intermediate = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(Consumer, null, null, 'ref', 'consumer');
+				IncrementalDOM.elementClose('div');
+			}
+
+			shouldUpdate() {
+				return false;
+			}
+		};
+		Intermediate.RENDERER = IncrementalDomRenderer;
+
+		TestComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementOpen(
+					ThemeContext.Provider,
+					null,
+					null,
+					'value',
+					this.theme
+				);
+				IncrementalDOM.elementVoid(Intermediate, null, null, 'ref', 'child');
+				IncrementalDOM.elementClose(ThemeContext.Provider);
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			theme: {
+				value: 'dark',
+			},
+		};
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+	});
+
+	it('should return a context object with the default value and a provider', function() {
+		const context = createContext('foo');
+		assert.strictEqual('foo', context.defaultValue);
+		assert.ok(Component.isComponentCtor(context.Provider));
+	});
+
+	it('should read the default value when there is no provider', function() {
+		component = new Consumer();
+		assert.strictEqual('light', component.context.theme);
+		assert.strictEqual('light', component.element.textContent);
+	});
+
+	it('should read the value from the closest provider', function() {
+		component = new TestComponent();
+		const consumer = component.components.child.components.consumer;
+		assert.strictEqual('dark', consumer.context.theme);
+		assert.strictEqual('dark', component.element.textContent);
+	});
+
+	it('should render the provider\'s children without a wrapping element', function() {
+		component = new TestComponent();
+		const child = component.components.child;
+		assert.strictEqual(component.element, child.element.parentNode);
+		assert.strictEqual(
+			'<div><span>dark</span></div>',
+			component.element.innerHTML
+		);
+	});
+
+	it('should read the value from the closest provider when nested', function() {
+		class OuterComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen(
+					ThemeContext.Provider,
+					null,
+					null,
+					'value',
+					'outer'
+				);
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(Consumer, null, null, 'ref', 'outer');
+				IncrementalDOM.elementVoid(TestComponent, null, null, 'ref', 'inner');
+				IncrementalDOM.elementClose('div');
+				IncrementalDOM.elementClose(ThemeContext.Provider);
+			}
+		}
+		OuterComponent.RENDERER = IncrementalDomRenderer;
+
+		component = new OuterComponent();
+		const inner = component.components.inner;
+		assert.strictEqual('outer', component.components.outer.context.theme);
+		assert.strictEqual(
+			'dark',
+			inner.components.child.components.consumer.context.theme
+		);
+	});
+
+	it('should update consumers when the provided value changes, bypassing "shouldUpdate"', function(
+		done
+	) {
+		component = new TestComponent();
+		const consumer = component.components.child.components.consumer;
+		Consumer.prototype.render.reset();
+
+		component.theme = 'blue';
+		component.once('stateSynced', function() {
+			assert.strictEqual(1, Consumer.prototype.render.callCount);
+			assert.strictEqual(
+				consumer,
+				component.components.child.components.consumer
+			);
+			assert.strictEqual('blue', consumer.context.theme);
+			assert.strictEqual('blue', component.element.textContent);
+			done();
+		});
+	});
+
+	it('should update consumers even when their own "shouldUpdate" returns false', function(
+		done
+	) {
+		Consumer.prototype.shouldUpdate = () => false;
+		Intermediate.prototype.shouldUpdate = () => true;
+
+		component = new TestComponent();
+		Consumer.prototype.render.reset();
+
+		component.theme = 'blue';
+		component.once('stateSynced', function() {
+			assert.strictEqual(1, Consumer.prototype.render.callCount);
+			assert.strictEqual('blue', component.element.textContent);
+			done();
+		});
+	});
+
+	it('should not update consumers when the provided value doesn\'t change', function(
+		done
+	) {
+		TestComponent.STATE.foo = {};
+		component = new TestComponent();
+		Consumer.prototype.render.reset();
+
+		component.foo = 'bar';
+		component.once('stateSynced', function() {
+			assert.strictEqual(0, Consumer.prototype.render.callCount);
+			done();
+		});
+	});
+
+	it('should not update consumers of other contexts', function(done) {
+		const OtherContext = createContext('other');
+		class OtherConsumer extends Component {
+			render() {
+				IncrementalDOM.elementVoid('span');
+			}
+		}
+		OtherConsumer.CONTEXT = {
+			other: OtherContext,
+		};
+		OtherConsumer.RENDERER = IncrementalDomRenderer;
+		sinon.spy(OtherConsumer.prototype, 'render');
+		Intermediate.prototype.render = function() {
+			IncrementalDOM.elementVoid(OtherConsumer);
+		};
+
+		component = new TestComponent();
+		OtherConsumer.prototype.render.reset();
+
+		component.theme = 'blue';
+		component.once('stateSynced', function() {
+			assert.strictEqual(0, OtherConsumer.prototype.render.callCount);
+			done();
+		});
+	});
+
+	it('should keep values read from providers when applying legacy child context', function() {
+		TestComponent.prototype.getChildContext = function() {
+			return {
+				theme: 'legacy',
+			};
+		};
+		Intermediate.prototype.getChildContext =
+			TestComponent.prototype.getChildContext;
+
+		component = new TestComponent();
+		assert.strictEqual('legacy', component.components.child.context.theme);
+		assert.strictEqual(
+			'dark',
+			component.components.child.components.consumer.context.theme
+		);
+	});
+
+	it('should update components that read values via "readContext"', function(
+		done
+	) {
+		Consumer.CONTEXT = null;
+		Consumer.prototype.render = function() {
+			IncrementalDOM.elementOpen('span');
+			IncrementalDOM.text(readContext(this, ThemeContext, 'foo'));
+			IncrementalDOM.elementClose('span');
+		};
+
+		component = new TestComponent();
+		const consumer = component.components.child.components.consumer;
+		assert.strictEqual('dark', component.element.textContent);
+		assert.ok(!consumer.context.foo);
+
+		component.theme = 'blue';
+		component.once('stateSynced', function() {
+			assert.strictEqual('blue', component.element.textContent);
+			done();
+		});
+	});
+
+	it('should stop tracking consumers that have been disposed', function() {
+		component = new TestComponent();
+		const consumer = component.components.child.components.consumer;
+		const provider = getData(consumer).contextProviders.theme;
+		assert.ok(provider instanceof ThemeContext.Provider);
+
+		const providerData = getData(provider);
+		assert.deepEqual([consumer], providerData.consumers);
+
+		consumer.dispose();
+		assert.deepEqual([], providerData.consumers);
+	});
+});
@@ -3,7 +3,9 @@
 import core from 'metal';
 import dom from 'metal-dom';
 import {
+	getInterceptionDepth,
 	getOriginalFns,
+	setOriginalFns,
 	startInterception,
 	stopInterception,
 } from '../src/incremental-dom-aop';
@@ -34,6 +36,41 @@ describe('incremental-dom-aop', function() {
 			assert.ok(originalFns.elementVoid);
 			assert.ok(originalFns.text);
 		});
+
+		it('should delegate patch and traversal functions to the replaced original functions', function() {
+			const fns = {
+				currentElement: sinon.stub(),
+				currentPointer: sinon.stub(),
+				patch: sinon.stub(),
+				skipNode: sinon.stub(),
+			};
+			const prevFns = setOriginalFns(fns);
+			IncrementalDOM.patch(element, core.nullFunction);
+			IncrementalDOM.currentElement();
+			IncrementalDOM.currentPointer();
+			IncrementalDOM.skipNode();
+			setOriginalFns(prevFns);
+
+			assert.strictEqual(1, fns.patch.callCount);
+			assert.strictEqual(element, fns.patch.args[0][0]);
+			assert.strictEqual(1, fns.currentElement.callCount);
+			assert.strictEqual(1, fns.currentPointer.callCount);
+			assert.strictEqual(1, fns.skipNode.callCount);
+		});
+
+		it('should delegate calls that are not intercepted to the replaced original functions', function() {
+			const fn = sinon.stub();
+			const prevFns = setOriginalFns({
+				text: fn,
+			});
+			IncrementalDOM.text('foo');
+			assert.strictEqual(fn, getOriginalFns().text);
+			setOriginalFns(prevFns);
+
+			assert.strictEqual(1, fn.callCount);
+			assert.strictEqual('foo', fn.args[0][0]);
+			assert.strictEqual(prevFns, getOriginalFns());
+		});
 	});
 
 	describe('elementOpen', function() {
@@ -196,6 +233,18 @@ describe('incremental-dom-aop', function() {
 		});
 	});
 
+	describe('Interception depth', function() {
+		it('should return the number of active interceptions', function() {
+			const depth = getInterceptionDepth();
+			startInterception({});
+			startInterception({});
+			assert.strictEqual(depth + 2, getInterceptionDepth());
+
+			stopInterception();
+			assert.strictEqual(depth + 1, getInterceptionDepth());
+		});
+	});
+
 	describe('Nested interceptions', function() {
 		afterEach(function() {
 			stopInterception();
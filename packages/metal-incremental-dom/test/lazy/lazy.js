@@ -0,0 +1,264 @@
+'use strict';
+
+import {Component, ComponentRegistry} from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {getConstructor} from '../../src/lazy/lazy';
+
+describe('lazy', function() {
+	let LoadedComponent;
+	let component;
+	let nameCounter = 0;
+	let originalConsoleFn = console.error;
+
+	beforeEach(function() {
+		console.error = sinon.stub();
+
+		LoadedComponent = class LoadedComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('span', null, null, 'class', 'loaded');
+				IncrementalDOM.text(this.label);
+				IncrementalDOM.elementClose('span');
+			}
+		};
+		LoadedComponent.RENDERER = IncrementalDomRenderer;
+		LoadedComponent.STATE = {
+			label: {},
+		};
+	});
+
+	afterEach(function() {
+		console.error = originalConsoleFn;
+		if (component) {
+			component.dispose();
+		}
+	});
+
+	/**
+	 * Registers a lazy component with a unique name.
+	 * @param {!function():!Promise} loader
+	 * @param {*=} placeholder
+	 * @return {string} The name the component was registered with.
+	 */
+	function registerLazy(loader, placeholder) {
+		const name = `LazyTestComponent${nameCounter++}`;
+		ComponentRegistry.registerLazy(name, loader, placeholder);
+		return name;
+	}
+
+	/**
+	 * Renders a component that renders the lazy component with the given name
+	 * between two other elements.
+	 * @param {string} name
+	 * @return {!Component}
+	 */
+	function renderWithLazy(name) {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid('hr');
+				IncrementalDOM.elementVoid(
+					name,
+					null,
+					null,
+					'label',
+					'foo',
+					'ref',
+					'lazy'
+				);
+				IncrementalDOM.elementVoid('br');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		component = new TestComponent();
+		return component;
+	}
+
+	it('should render the placeholder while loading and then the loaded component', function(
+		done
+	) {
+		const placeholder = config => {
+			IncrementalDOM.elementOpen('span', null, null, 'class', 'loading');
+			IncrementalDOM.text(`Loading ${config.label}`);
+			IncrementalDOM.elementClose('span');
+		};
+		const name = registerLazy(
+			() => Promise.resolve(LoadedComponent),
+			placeholder
+		);
+
+		renderWithLazy(name);
+		assert.strictEqual(
+			'<hr><span class="loading">Loading foo</span><br>',
+			component.element.innerHTML
+		);
+		assert.ok(!(component.components.lazy instanceof LoadedComponent));
+
+		ComponentRegistry.load(name).then(function() {
+			assert.strictEqual(
+				'<hr><span class="loaded">foo</span><br>',
+				component.element.innerHTML
+			);
+			assert.ok(component.components.lazy instanceof LoadedComponent);
+			done();
+		});
+	});
+
+	it('should render nothing while loading if no placeholder was given', function(
+		done
+	) {
+		const name = registerLazy(() =>
+			Promise.resolve({
+				default: LoadedComponent,
+			})
+		);
+
+		renderWithLazy(name);
+		assert.strictEqual('<hr><br>', component.element.innerHTML);
+
+		ComponentRegistry.load(name).then(function() {
+			assert.strictEqual(
+				'<hr><span class="loaded">foo</span><br>',
+				component.element.innerHTML
+			);
+			done();
+		});
+	});
+
+	it('should only call the loader once', function(done) {
+		const loader = sinon.stub().returns(Promise.resolve(LoadedComponent));
+		const name = registerLazy(loader);
+
+		renderWithLazy(name);
+		const other = new component.constructor();
+
+		ComponentRegistry.load(name).then(function() {
+			assert.strictEqual(1, loader.callCount);
+			assert.strictEqual(
+				'<hr><span class="loaded">foo</span><br>',
+				other.element.innerHTML
+			);
+			other.dispose();
+			done();
+		});
+	});
+
+	it('should render lazy components that were already loaded right away', function(
+		done
+	) {
+		const name = registerLazy(() => Promise.resolve(LoadedComponent));
+		ComponentRegistry.load(name).then(function() {
+			renderWithLazy(name);
+			assert.strictEqual(
+				'<hr><span class="loaded">foo</span><br>',
+				component.element.innerHTML
+			);
+			done();
+		});
+	});
+
+	it('should render the loaded component in place of placeholders rendered without a parent', function(
+		done
+	) {
+		const placeholder = () => {
+			IncrementalDOM.elementOpen('span', null, null, 'class', 'loading');
+			IncrementalDOM.elementClose('span');
+		};
+		const name = registerLazy(
+			() => Promise.resolve(LoadedComponent),
+			placeholder
+		);
+
+		const Placeholder = getConstructor(name);
+		component = new Placeholder({
+			label: 'foo',
+		});
+		assert.strictEqual(
+			'<span class="loading"></span>',
+			component.element.outerHTML
+		);
+
+		ComponentRegistry.load(name).then(function() {
+			assert.strictEqual(
+				'<span class="loaded">foo</span>',
+				component.element.outerHTML
+			);
+			done();
+		});
+	});
+
+	it('should load the component again when rendered after loading failed', function(
+		done
+	) {
+		const loader = sinon.stub();
+		loader.onFirstCall().returns(Promise.reject(new Error('Failed')));
+		loader.onSecondCall().returns(Promise.resolve(LoadedComponent));
+		const name = registerLazy(loader);
+
+		renderWithLazy(name);
+		ComponentRegistry.load(name).catch(function() {
+			component.dispose();
+			renderWithLazy(name);
+			ComponentRegistry.load(name).then(function() {
+				assert.strictEqual(2, loader.callCount);
+				assert.strictEqual(
+					'<hr><span class="loaded">foo</span><br>',
+					component.element.innerHTML
+				);
+				done();
+			});
+		});
+	});
+
+	it('should inform error boundaries when loading fails', function(done) {
+		const error = new Error('Failed to load');
+		const name = registerLazy(() => Promise.reject(error));
+
+		class TestComponent extends Component {
+			handleError(error) {
+				this.failed = error.message;
+			}
+
+			render() {
+				IncrementalDOM.elementOpen('div');
+				if (this.failed) {
+					IncrementalDOM.text(this.failed);
+				} else {
+					IncrementalDOM.elementVoid(name);
+				}
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			failed: {
+				value: null,
+			},
+		};
+
+		component = new TestComponent();
+		ComponentRegistry.load(name).catch(function() {
+			assert.strictEqual(error, ComponentRegistry.getLoadError(name));
+			assert.strictEqual('Failed to load', component.failed);
+			component.once('stateSynced', function() {
+				assert.strictEqual('Failed to load', component.element.innerHTML);
+				assert.strictEqual(0, console.error.callCount);
+				done();
+			});
+		});
+	});
+
+	it('should log an error when loading fails and there is no error boundary', function(
+		done
+	) {
+		const error = new Error('Failed to load');
+		const name = registerLazy(() => Promise.reject(error));
+
+		renderWithLazy(name);
+		ComponentRegistry.load(name).catch(function() {
+			assert.strictEqual(1, console.error.callCount);
+			assert.strictEqual(error, console.error.args[0][1]);
+			done();
+		});
+	});
+});
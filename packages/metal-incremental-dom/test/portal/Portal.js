@@ -0,0 +1,216 @@
+'use strict';
+
+import {scheduler} from 'metal';
+import {domData, triggerEvent} from 'metal-dom';
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import Portal from '../../src/portal/Portal';
+
+describe('Portal', function() {
+	let component;
+	let container;
+
+	beforeEach(function() {
+		document.body.innerHTML = '';
+		container = document.createElement('div');
+		container.setAttribute('id', 'container');
+		document.body.appendChild(container);
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+	});
+
+	/**
+	 * Renders a component with a button inside a portal for each of the given
+	 * containers, all inside an element listening to clicks.
+	 * @param {!Array<string|Element>} containers
+	 * @param {Object=} config
+	 * @return {!Component}
+	 */
+	function renderPortals(containers, config) {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen(
+					'div',
+					null,
+					null,
+					'data-onclick',
+					this.onClick
+				);
+				if (this.visible) {
+					containers.forEach((container, index) => {
+						IncrementalDOM.elementOpen(
+							Portal,
+							null,
+							null,
+							'container',
+							this.container || container,
+							'ref',
+							`portal${index}`
+						);
+						IncrementalDOM.elementOpen('button');
+						IncrementalDOM.text(this.label + index);
+						IncrementalDOM.elementClose('button');
+						IncrementalDOM.elementClose(Portal);
+					});
+				}
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			container: {},
+			label: {
+				value: 'button',
+			},
+			onClick: {},
+			visible: {
+				value: true,
+			},
+		};
+		return new TestComponent(config);
+	}
+
+	it('should render its children into the given container', function() {
+		component = renderPortals(['#container']);
+		const portal = component.refs.portal0;
+
+		assert.strictEqual(0, component.element.childNodes.length);
+		assert.strictEqual(container, portal.element.parentNode);
+		assert.strictEqual('<button>button0</button>', portal.element.innerHTML);
+	});
+
+	it('should render its children into the body by default', function() {
+		component = renderPortals([null]);
+		assert.strictEqual(
+			document.body,
+			component.refs.portal0.element.parentNode
+		);
+	});
+
+	it('should render multiple portals from the same component', function() {
+		const otherContainer = document.createElement('div');
+		document.body.appendChild(otherContainer);
+		component = renderPortals([container, otherContainer, container]);
+
+		assert.strictEqual(2, container.childNodes.length);
+		assert.strictEqual('button0', container.childNodes[0].textContent);
+		assert.strictEqual('button2', container.childNodes[1].textContent);
+		assert.strictEqual('button1', otherContainer.textContent);
+	});
+
+	it('should update its children when rerendered', function(done) {
+		component = renderPortals([container]);
+		const portal = component.refs.portal0;
+
+		component.label = 'updated';
+		portal.once('stateSynced', function() {
+			assert.strictEqual(portal, component.refs.portal0);
+			assert.strictEqual('updated0', container.textContent);
+			done();
+		});
+	});
+
+	it('should move its element when the container changes', function(done) {
+		const otherContainer = document.createElement('div');
+		document.body.appendChild(otherContainer);
+		component = renderPortals([container]);
+		const element = component.refs.portal0.element;
+
+		component.container = otherContainer;
+		component.refs.portal0.once('stateSynced', function() {
+			assert.strictEqual(otherContainer, element.parentNode);
+			assert.strictEqual(0, container.childNodes.length);
+			done();
+		});
+	});
+
+	it('should bubble delegated events to the element it was rendered from', function() {
+		const listener = sinon.stub();
+		component = renderPortals([container], {
+			onClick: listener,
+		});
+
+		triggerEvent(container.querySelector('button'), 'click');
+		assert.strictEqual(1, listener.callCount);
+	});
+
+	it('should only listen to changes of its element once', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen(Portal, null, null, 'ref', 'portal');
+				IncrementalDOM.text(this.label);
+				IncrementalDOM.elementClose(Portal);
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			label: {},
+		};
+
+		component = new TestComponent({
+			label: 'a',
+		});
+		component.label = 'b';
+		scheduler.flush();
+		component.label = 'c';
+		scheduler.flush();
+		assert.strictEqual('c', component.refs.portal.element.textContent);
+		assert.strictEqual(
+			1,
+			component.refs.portal.listeners('elementChanged').length
+		);
+	});
+
+	it('should bubble delegated events to "events" listeners with selectors', function() {
+		const listener = sinon.stub();
+		component = renderPortals([container, container], {
+			events: {
+				click: {
+					fn: listener,
+					selector: 'button',
+				},
+			},
+		});
+
+		triggerEvent(container.querySelectorAll('button')[1], 'click');
+		assert.strictEqual(1, listener.callCount);
+		assert.strictEqual(
+			container.querySelectorAll('button')[1],
+			listener.args[0][0].target
+		);
+	});
+
+	it('should remove its element and links when disposed by the parent', function(
+		done
+	) {
+		const listener = sinon.stub();
+		component = renderPortals([container], {
+			onClick: listener,
+		});
+		const portal = component.refs.portal0;
+		const element = portal.element;
+
+		component.visible = false;
+		component.once('stateSynced', function() {
+			assert.ok(portal.isDisposed());
+			assert.strictEqual(0, container.childNodes.length);
+			assert.ok(!domData.get(element, 'portalParent'));
+
+			container.appendChild(element);
+			triggerEvent(element.querySelector('button'), 'click');
+			assert.strictEqual(0, listener.callCount);
+			done();
+		});
+	});
+
+	it('should remove its element when the parent is disposed', function() {
+		component = renderPortals([container]);
+		component.dispose();
+		component = null;
+		assert.strictEqual(0, container.childNodes.length);
+	});
+});
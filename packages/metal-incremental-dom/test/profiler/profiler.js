@@ -0,0 +1,241 @@
+'use strict';
+
+import {getUid} from 'metal';
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {
+	isProfiling,
+	startProfiling,
+	stopProfiling,
+	toTraceEvents,
+} from '../../src/profiler/profiler';
+
+describe('profiler', function() {
+	let ChildComponent;
+	let component;
+	let TestComponent;
+
+	beforeEach(function() {
+		ChildComponent = class ChildComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('span');
+				IncrementalDOM.text(this.foo);
+				IncrementalDOM.elementClose('span');
+			}
+
+			shouldUpdate() {
+				return !this.skipUpdates;
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+		ChildComponent.STATE = {
+			foo: {},
+			skipUpdates: {},
+		};
+
+		TestComponent = class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(
+					ChildComponent,
+					null,
+					null,
+					'foo',
+					this.foo,
+					'ref',
+					'child',
+					'skipUpdates',
+					this.skipUpdates
+				);
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			foo: {
+				value: 'foo',
+			},
+			skipUpdates: {
+				value: false,
+			},
+		};
+	});
+
+	afterEach(function() {
+		stopProfiling();
+		if (component) {
+			component.dispose();
+		}
+	});
+
+	it('should only record while profiling', function() {
+		assert.ok(!isProfiling());
+		assert.strictEqual(null, stopProfiling());
+
+		startProfiling();
+		assert.ok(isProfiling());
+
+		const profile = stopProfiling();
+		assert.ok(!isProfiling());
+		assert.deepEqual([], profile.patches);
+		assert.deepEqual([], profile.skips);
+		assert.ok(profile.duration >= 0);
+	});
+
+	it('should record the components rendered on each patch', function() {
+		startProfiling();
+		component = new TestComponent();
+		const profile = stopProfiling();
+
+		assert.strictEqual(1, profile.patches.length);
+		const patch = profile.patches[0];
+		assert.strictEqual(getUid(component), patch.id);
+		assert.strictEqual('TestComponent', patch.name);
+		assert.ok(patch.duration >= 0);
+
+		assert.strictEqual(2, patch.renders.length);
+		const renders = patch.renders;
+		assert.strictEqual('TestComponent', renders[0].name);
+		assert.strictEqual(null, renders[0].parentId);
+		assert.ok(renders[0].firstRender);
+		assert.ok(!renders[0].forced);
+		assert.strictEqual('ChildComponent', renders[1].name);
+		assert.strictEqual(getUid(component.components.child), renders[1].id);
+		assert.strictEqual(getUid(component), renders[1].parentId);
+
+		assert.ok(renders[0].duration >= renders[1].duration);
+		assert.ok(
+			Math.abs(
+				renders[0].selfDuration - (renders[0].duration - renders[1].duration)
+			) < 0.001
+		);
+	});
+
+	it('should record the keys that caused each render', function(done) {
+		component = new TestComponent();
+		startProfiling();
+		component.foo = 'bar';
+		component.once('stateSynced', function() {
+			const renders = stopProfiling().patches[0].renders;
+			assert.deepEqual(
+				{
+					props: ['foo'],
+				},
+				renders[0].changes
+			);
+			assert.deepEqual(
+				{
+					props: ['children', 'foo'],
+				},
+				renders[1].changes
+			);
+			assert.ok(!renders[0].firstRender);
+			done();
+		});
+	});
+
+	it('should record forced updates', function() {
+		component = new TestComponent();
+		startProfiling();
+		component.forceUpdate();
+
+		const render = stopProfiling().patches[0].renders[0];
+		assert.ok(render.forced);
+		assert.strictEqual(null, render.changes);
+	});
+
+	it('should record components skipped via "shouldUpdate" during patches', function(
+		done
+	) {
+		component = new TestComponent({
+			skipUpdates: true,
+		});
+		startProfiling();
+		component.foo = 'bar';
+		component.once('stateSynced', function() {
+			const patch = stopProfiling().patches[0];
+			assert.strictEqual(1, patch.renders.length);
+			assert.strictEqual(1, patch.skips.length);
+			assert.strictEqual(getUid(component.components.child), patch.skips[0].id);
+			assert.strictEqual('shouldUpdate', patch.skips[0].reason);
+			assert.deepEqual(
+				{
+					props: ['children', 'foo'],
+				},
+				patch.skips[0].changes
+			);
+			done();
+		});
+	});
+
+	it('should record updates skipped via "shouldUpdate" outside patches', function(
+		done
+	) {
+		component = new TestComponent({
+			skipUpdates: true,
+		});
+		const child = component.components.child;
+		startProfiling();
+		child.foo = 'bar';
+		child.once('stateSynced', function() {
+			const profile = stopProfiling();
+			assert.strictEqual(0, profile.patches.length);
+			assert.strictEqual(1, profile.skips.length);
+			assert.strictEqual(getUid(child), profile.skips[0].id);
+			assert.strictEqual('shouldUpdate', profile.skips[0].reason);
+			done();
+		});
+	});
+
+	it('should convert profiles to the trace event format', function(done) {
+		component = new TestComponent({
+			skipUpdates: true,
+		});
+		startProfiling();
+		component.foo = 'bar';
+		component.once('stateSynced', function() {
+			const profile = stopProfiling();
+			const patch = profile.patches[0];
+			const trace = toTraceEvents(profile);
+			assert.strictEqual('ms', trace.displayTimeUnit);
+
+			const events = trace.traceEvents;
+			assert.strictEqual(3, events.length);
+			assert.deepEqual(
+				{
+					args: {
+						id: patch.id,
+					},
+					cat: 'metal.patch',
+					dur: Math.round(patch.duration * 1000),
+					name: 'patch TestComponent',
+					ph: 'X',
+					pid: 1,
+					tid: 1,
+					ts: Math.round(patch.startTime * 1000),
+				},
+				events[0]
+			);
+			assert.strictEqual('metal.render', events[1].cat);
+			assert.strictEqual('TestComponent', events[1].name);
+			assert.deepEqual(
+				{
+					changes: {
+						props: ['foo'],
+					},
+					firstRender: false,
+					forced: false,
+					id: patch.renders[0].id,
+				},
+				events[1].args
+			);
+			assert.strictEqual('metal.skip', events[2].cat);
+			assert.strictEqual('ChildComponent (skipped)', events[2].name);
+			assert.strictEqual('i', events[2].ph);
+			assert.strictEqual('shouldUpdate', events[2].args.reason);
+
+			assert.doesNotThrow(() => JSON.parse(JSON.stringify(profile)));
+			done();
+		});
+	});
+});
@@ -4,6 +4,7 @@ import {isFunction} from 'metal';
 import {
 	applyAttribute,
 	convertListenerNamesToFns,
+	serializeAttribute,
 } from '../../src/render/attributes';
 import dom from 'metal-dom';
 import Component from 'metal-component';
@@ -184,4 +185,44 @@ describe('attributes', function() {
 			assert.strictEqual(1, listener2.callCount);
 		});
 	});
+
+	describe('serializeAttribute', function() {
+		it('should serialize attributes with escaped values', function() {
+			assert.strictEqual(' title="foo"', serializeAttribute('title', 'foo'));
+			assert.strictEqual(' tabindex="1"', serializeAttribute('tabindex', 1));
+			assert.strictEqual(
+				' title="&quot;a&quot; &amp; <b>"',
+				serializeAttribute('title', '"a" & <b>')
+			);
+		});
+
+		it('should not serialize listeners', function() {
+			assert.strictEqual('', serializeAttribute('onClick', () => {}));
+			assert.strictEqual('', serializeAttribute('data-onclick', 'handleClick'));
+		});
+
+		it('should serialize boolean attributes according to their values', function() {
+			assert.strictEqual(' disabled=""', serializeAttribute('disabled', true));
+			assert.strictEqual('', serializeAttribute('disabled', false));
+			assert.strictEqual(' checked=""', serializeAttribute('checked', ''));
+			assert.strictEqual('', serializeAttribute('checked', null));
+		});
+
+		it('should not serialize empty values or values set as properties', function() {
+			assert.strictEqual('', serializeAttribute('title', null));
+			assert.strictEqual('', serializeAttribute('title', undefined));
+			assert.strictEqual('', serializeAttribute('data', {}));
+			assert.strictEqual('', serializeAttribute('fn', function() {}));
+		});
+
+		it('should serialize style objects', function() {
+			assert.strictEqual(
+				' style="color: red; font-size: 10px;"',
+				serializeAttribute('style', {
+					color: 'red',
+					fontSize: '10px',
+				})
+			);
+		});
+	});
 });
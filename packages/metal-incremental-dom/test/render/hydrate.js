@@ -0,0 +1,266 @@
+'use strict';
+
+import dom from 'metal-dom';
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {isHydrating} from '../../src/render/hydrate';
+
+describe('hydrate', function() {
+	let component;
+	let container;
+
+	beforeEach(function() {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+		document.body.innerHTML = '';
+	});
+
+	it('should reuse the existing elements instead of creating new ones', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div', null, null, 'class', 'test');
+				IncrementalDOM.elementVoid('span', 'mySpan');
+				IncrementalDOM.text('Hello');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		container.innerHTML = '<div class="test"><span></span>Hello</div>';
+		const element = container.childNodes[0];
+		const span = element.childNodes[0];
+		const text = element.childNodes[1];
+
+		component = Component.hydrate(TestComponent, element);
+		assert.strictEqual(element, component.element);
+		assert.strictEqual(span, component.element.childNodes[0]);
+		assert.strictEqual(text, component.element.childNodes[1]);
+		assert.strictEqual(container, component.element.parentNode);
+		assert.ok(component.wasRendered);
+		assert.ok(component.inDocument);
+		assert.ok(!isHydrating());
+	});
+
+	it('should keep updating the hydrated elements after state changes', function(
+		done
+	) {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid('span', null, null, 'title', this.title);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			title: {
+				value: 'foo',
+			},
+		};
+
+		container.innerHTML = '<div><span title="foo"></span></div>';
+		const span = container.childNodes[0].childNodes[0];
+
+		component = Component.hydrate(TestComponent, container.childNodes[0]);
+		component.title = 'bar';
+		component.once('stateSynced', function() {
+			assert.strictEqual(span, component.element.childNodes[0]);
+			assert.strictEqual('bar', span.getAttribute('title'));
+			done();
+		});
+	});
+
+	it('should attach refs and inline listeners to the existing elements', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(
+					'button',
+					null,
+					null,
+					'ref',
+					'button',
+					'onClick',
+					'handleClick'
+				);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.prototype.handleClick = sinon.stub();
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		container.innerHTML = '<div><button></button></div>';
+		const button = container.childNodes[0].childNodes[0];
+
+		component = Component.hydrate(TestComponent, container.childNodes[0]);
+		assert.strictEqual(button, component.refs.button);
+
+		dom.triggerEvent(button, 'click');
+		assert.strictEqual(1, component.handleClick.callCount);
+	});
+
+	it('should attach listeners from the "events" state key and call sync methods', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementVoid('div');
+			}
+		}
+		TestComponent.prototype.syncFoo = sinon.stub();
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			foo: {
+				value: 'foo',
+			},
+		};
+
+		container.innerHTML = '<div></div>';
+		const listener = sinon.stub();
+		component = Component.hydrate(
+			TestComponent,
+			{
+				events: {
+					click: listener,
+				},
+			},
+			container.childNodes[0]
+		);
+
+		assert.strictEqual(1, component.syncFoo.callCount);
+		assert.strictEqual('foo', component.syncFoo.args[0][0]);
+
+		dom.triggerEvent(container.childNodes[0], 'click');
+		assert.strictEqual(1, listener.callCount);
+	});
+
+	it('should hydrate sub components on top of their existing elements', function() {
+		class ChildComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('span', null, null, 'class', 'child');
+				IncrementalDOM.text(this.getInitialConfig().text);
+				IncrementalDOM.elementClose('span');
+			}
+		}
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(
+					ChildComponent,
+					null,
+					null,
+					'ref',
+					'child',
+					'text',
+					'foo'
+				);
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'text', 'bar');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		container.innerHTML =
+			'<div><span class="child">foo</span><span class="child">bar</span></div>';
+		const element = container.childNodes[0];
+		const childElements = [element.childNodes[0], element.childNodes[1]];
+
+		component = Component.hydrate(TestComponent, element);
+		const child = component.components.child;
+		assert.ok(child instanceof ChildComponent);
+		assert.ok(child.wasRendered);
+		assert.strictEqual(childElements[0], child.element);
+		assert.strictEqual(childElements[0], element.childNodes[0]);
+		assert.strictEqual(childElements[1], element.childNodes[1]);
+		assert.strictEqual(2, element.childNodes.length);
+	});
+
+	it('should hydrate markup rendered via Component.renderToString', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementOpen('p');
+				IncrementalDOM.text('Hello ');
+				IncrementalDOM.text('World');
+				IncrementalDOM.elementClose('p');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		container.innerHTML = Component.renderToString(TestComponent);
+		const paragraph = container.childNodes[0].childNodes[0];
+		const listener = sinon.stub();
+
+		component = Component.hydrate(
+			TestComponent,
+			{
+				events: {
+					hydrationMismatch: listener,
+				},
+			},
+			container.childNodes[0]
+		);
+		assert.strictEqual(0, listener.callCount);
+		assert.strictEqual(paragraph, component.element.childNodes[0]);
+		assert.strictEqual(2, paragraph.childNodes.length);
+		assert.strictEqual('Hello World', paragraph.textContent);
+	});
+
+	it('should emit "hydrationMismatch" when the existing markup is different', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid('span');
+				IncrementalDOM.text('foo');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		container.innerHTML = '<div><p></p>bar</div>';
+		const listener = sinon.stub();
+
+		component = Component.hydrate(
+			TestComponent,
+			{
+				events: {
+					hydrationMismatch: listener,
+				},
+			},
+			container.childNodes[0]
+		);
+
+		assert.strictEqual(2, listener.callCount);
+		assert.strictEqual('<span>', listener.args[0][0].expected);
+		assert.strictEqual('P', listener.args[0][0].found.tagName);
+		assert.strictEqual(component, listener.args[0][0].component);
+		assert.strictEqual('text "foo"', listener.args[1][0].expected);
+		assert.strictEqual('<span></span>foo', component.element.innerHTML);
+	});
+
+	it('should warn about mismatches when there are no listeners', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementVoid('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		container.innerHTML = '<span></span>';
+		sinon.stub(console, 'warn');
+
+		component = Component.hydrate(TestComponent, container.childNodes[0]);
+		const callCount = console.warn.callCount;
+		console.warn.restore();
+
+		assert.strictEqual(1, callCount);
+		assert.strictEqual('DIV', component.element.tagName);
+	});
+});
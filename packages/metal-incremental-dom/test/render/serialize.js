@@ -0,0 +1,72 @@
+'use strict';
+
+import {
+	escapeHtml,
+	isVoidElement,
+	serializeElementClose,
+	serializeElementOpen,
+	serializeText,
+} from '../../src/render/serialize';
+
+describe('serialize', function() {
+	it('should escape html special characters', function() {
+		assert.strictEqual(
+			'&lt;b&gt;a &amp; b&lt;/b&gt;',
+			escapeHtml('<b>a & b</b>')
+		);
+	});
+
+	it('should check if tags are for void elements', function() {
+		assert.ok(isVoidElement('input'));
+		assert.ok(isVoidElement('BR'));
+		assert.ok(!isVoidElement('div'));
+	});
+
+	it('should serialize opening tags with static and dynamic attributes', function() {
+		assert.strictEqual(
+			'<div class="foo" title="bar" data-foo="1">',
+			serializeElementOpen([
+				'div',
+				'key',
+				['class', 'foo'],
+				'title',
+				'bar',
+				'data-foo',
+				1,
+			])
+		);
+		assert.strictEqual('<span>', serializeElementOpen(['span']));
+	});
+
+	it('should skip attributes that should not be rendered', function() {
+		assert.strictEqual(
+			'<button disabled="">',
+			serializeElementOpen([
+				'button',
+				null,
+				null,
+				'disabled',
+				true,
+				'hidden',
+				false,
+				'onClick',
+				() => {},
+			])
+		);
+	});
+
+	it('should serialize closing tags, except for void elements', function() {
+		assert.strictEqual('</div>', serializeElementClose('div'));
+		assert.strictEqual('', serializeElementClose('input'));
+	});
+
+	it('should serialize escaped text', function() {
+		assert.strictEqual('1 &lt; 2', serializeText(['1 < 2']));
+		assert.strictEqual('10', serializeText([10]));
+	});
+
+	it('should apply formatters before escaping text', function() {
+		const formatter = value => value.toUpperCase();
+		assert.strictEqual('&lt;FOO&gt;', serializeText(['<foo>', formatter]));
+	});
+});
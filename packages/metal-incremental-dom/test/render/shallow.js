@@ -0,0 +1,196 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {getOriginalFns} from '../../src/incremental-dom-aop';
+
+describe('shallow', function() {
+	let ChildComponent;
+	let component;
+
+	beforeEach(function() {
+		ChildComponent = class ChildComponent extends Component {
+			created() {
+				ChildComponent.instances++;
+			}
+		};
+		ChildComponent.instances = 0;
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+	});
+
+	/**
+	 * Renders a component for the given render function in shallow mode.
+	 * @param {!function()} renderFn
+	 * @return {!Component}
+	 */
+	function renderShallow(renderFn) {
+		class TestComponent extends Component {
+			handleClick() {}
+
+			render() {
+				renderFn.call(this);
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			foo: {
+				value: 'foo',
+			},
+		};
+
+		component = new TestComponent({}, false);
+		IncrementalDomRenderer.setShallowRendering(component, true);
+		component.renderComponent();
+		return component;
+	}
+
+	it('should record rendered elements and texts', function() {
+		renderShallow(function() {
+			IncrementalDOM.elementOpen('div', null, ['class', 'foo'], 'id', 'bar');
+			IncrementalDOM.text('Hello');
+			IncrementalDOM.elementVoid('span', null, null, 'ref', 'span');
+			IncrementalDOM.elementClose('div');
+		});
+
+		assert.deepEqual(
+			[
+				{
+					children: [
+						'Hello',
+						{
+							children: [],
+							props: {},
+							type: 'span',
+						},
+					],
+					props: {
+						class: 'foo',
+						id: 'bar',
+					},
+					type: 'div',
+				},
+			],
+			IncrementalDomRenderer.getShallowTree(component)
+		);
+	});
+
+	it('should record sub components without creating them', function() {
+		ChildComponent.prototype.render = function() {
+			IncrementalDOM.elementVoid('span');
+		};
+		renderShallow(function() {
+			IncrementalDOM.elementOpen('div');
+			IncrementalDOM.elementVoid(
+				ChildComponent,
+				'child-key',
+				null,
+				'foo',
+				this.foo,
+				'ref',
+				'child',
+				'onDone',
+				this.handleClick
+			);
+			IncrementalDOM.elementClose('div');
+		});
+
+		assert.strictEqual(0, ChildComponent.instances);
+		assert.deepEqual(
+			{
+				children: [],
+				component: true,
+				key: 'child-key',
+				props: {
+					foo: 'foo',
+					onDone: '[Function handleClick]',
+				},
+				ref: 'child',
+				type: 'ChildComponent',
+			},
+			IncrementalDomRenderer.getShallowTree(component)[0].children[0]
+		);
+	});
+
+	it('should record the children passed to sub components', function() {
+		renderShallow(function() {
+			IncrementalDOM.elementOpen('div');
+			IncrementalDOM.elementOpen(ChildComponent);
+			IncrementalDOM.elementOpen('b', null, null, 'title', 'bold');
+			IncrementalDOM.text('text');
+			IncrementalDOM.elementClose('b');
+			IncrementalDOM.elementVoid('ChildComponent', null, null, 'bar', [1, 2]);
+			IncrementalDOM.elementClose(ChildComponent);
+			IncrementalDOM.elementClose('div');
+		});
+
+		assert.strictEqual(0, ChildComponent.instances);
+		assert.deepEqual(
+			[
+				{
+					children: ['text'],
+					props: {
+						title: 'bold',
+					},
+					type: 'b',
+				},
+				{
+					children: [],
+					component: true,
+					key: null,
+					props: {
+						bar: [1, 2],
+					},
+					ref: null,
+					type: 'ChildComponent',
+				},
+			],
+			IncrementalDomRenderer.getShallowTree(component)[0].children[0].children
+		);
+	});
+
+	it('should be serializable as JSON', function() {
+		renderShallow(function() {
+			IncrementalDOM.elementOpen('div', null, null, 'onClick', 'handleClick');
+			IncrementalDOM.elementVoid(ChildComponent, null, null, 'data', {
+				fn: () => {},
+			});
+			IncrementalDOM.elementClose('div');
+		});
+
+		const tree = IncrementalDomRenderer.getShallowTree(component);
+		assert.deepEqual(tree, JSON.parse(JSON.stringify(tree)));
+	});
+
+	it('should record the tree again when the component updates', function(done) {
+		renderShallow(function() {
+			IncrementalDOM.elementVoid(ChildComponent, null, null, 'foo', this.foo);
+		});
+
+		component.foo = 'bar';
+		component.once('stateSynced', function() {
+			const tree = IncrementalDomRenderer.getShallowTree(component);
+			assert.strictEqual(1, tree.length);
+			assert.strictEqual('bar', tree[0].props.foo);
+			done();
+		});
+	});
+
+	it('should restore the original incremental dom functions after rendering', function() {
+		const fns = getOriginalFns();
+		renderShallow(function() {
+			IncrementalDOM.elementVoid('div');
+		});
+		assert.strictEqual(fns, getOriginalFns());
+	});
+
+	it('should return null for components not rendered in shallow mode', function() {
+		component = new ChildComponent();
+		assert.strictEqual(null, IncrementalDomRenderer.getShallowTree(component));
+	});
+});
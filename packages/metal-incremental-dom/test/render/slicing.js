@@ -0,0 +1,299 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {hasPendingSlices, setDeadlineSource} from '../../src/render/slicing';
+
+describe('slicing', function() {
+	let ItemComponent;
+	let ListComponent;
+	let callbacks;
+	let component;
+
+	beforeEach(function() {
+		callbacks = [];
+		setDeadlineSource(callback => callbacks.push(callback));
+
+		ItemComponent = class ItemComponent extends Component {
+			render() {
+				ItemComponent.renders++;
+				IncrementalDOM.elementOpen('li', null, null, 'title', this.label);
+				IncrementalDOM.text(this.label);
+				IncrementalDOM.elementClose('li');
+			}
+		};
+		ItemComponent.renders = 0;
+		ItemComponent.RENDERER = IncrementalDomRenderer;
+		ItemComponent.STATE = {
+			label: {},
+		};
+
+		ListComponent = class ListComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('ul');
+				this.items.forEach(item =>
+					IncrementalDOM.elementVoid(ItemComponent, item, null, 'label', item)
+				);
+				IncrementalDOM.elementClose('ul');
+			}
+		};
+		ListComponent.RENDERER = IncrementalDomRenderer;
+		ListComponent.STATE = {
+			items: {
+				value: ['a', 'b', 'c', 'd', 'e'],
+			},
+		};
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+		while (callbacks.length > 0) {
+			callbacks.shift()({
+				timeRemaining: () => 1,
+			});
+		}
+		setDeadlineSource(null);
+	});
+
+	/**
+	 * Renders the given component constructor in time sliced mode.
+	 * @param {!function()} Ctor
+	 * @param {Object=} config
+	 * @return {!Component}
+	 */
+	function renderTimeSliced(Ctor, config) {
+		component = new Ctor(config, false);
+		IncrementalDomRenderer.setTimeSlicing(component, true);
+		component.renderComponent();
+		return component;
+	}
+
+	/**
+	 * Runs the next requested slice, with a deadline that is reached after the
+	 * given number of item renders.
+	 * @param {number} budget
+	 */
+	function runSlice(budget) {
+		const start = ItemComponent.renders;
+		callbacks.shift()({
+			timeRemaining: () => budget - (ItemComponent.renders - start),
+		});
+	}
+
+	/**
+	 * Renders the given component constructor synchronously, returning the
+	 * resulting html.
+	 * @param {!function()} Ctor
+	 * @param {Object=} config
+	 * @return {string}
+	 */
+	function renderSync(Ctor, config) {
+		const sync = new Ctor(config);
+		const html = sync.element.outerHTML;
+		sync.dispose();
+		return html;
+	}
+
+	it('should defer sub components on the first render', function() {
+		renderTimeSliced(ListComponent);
+		assert.strictEqual('<ul></ul>', component.element.outerHTML);
+		assert.strictEqual(0, ItemComponent.renders);
+		assert.ok(hasPendingSlices());
+		assert.strictEqual(1, callbacks.length);
+	});
+
+	it('should render deferred sub components until each deadline is reached', function() {
+		renderTimeSliced(ListComponent);
+
+		runSlice(2);
+		assert.strictEqual(2, component.element.childNodes.length);
+		assert.strictEqual(1, callbacks.length);
+
+		runSlice(2);
+		assert.strictEqual(4, component.element.childNodes.length);
+
+		runSlice(2);
+		assert.strictEqual(5, component.element.childNodes.length);
+		assert.strictEqual(
+			5,
+			ItemComponent.renders,
+			'Items are only rendered once'
+		);
+		assert.ok(!hasPendingSlices());
+		assert.strictEqual(0, callbacks.length);
+		assert.strictEqual(renderSync(ListComponent), component.element.outerHTML);
+	});
+
+	it('should keep the current content of deferred sub components when updating', function() {
+		renderTimeSliced(ListComponent);
+		runSlice(10);
+
+		component.items = ['b', 'a', 'c', 'f'];
+		component.getRenderer().patch(component);
+		assert.strictEqual(
+			'<ul><li title="b">b</li><li title="a">a</li><li title="c">c</li></ul>',
+			component.element.outerHTML
+		);
+
+		runSlice(10);
+		assert.ok(!hasPendingSlices());
+		assert.strictEqual(
+			renderSync(ListComponent, {
+				items: ['b', 'a', 'c', 'f'],
+			}),
+			component.element.outerHTML
+		);
+	});
+
+	it('should not run the rendered lifecycle again when resuming deferred work', function() {
+		ListComponent.prototype.rendered = sinon.stub();
+		renderTimeSliced(ListComponent);
+		const listener = sinon.stub();
+		component.on('rendered', listener);
+		assert.strictEqual(1, component.rendered.callCount);
+
+		runSlice(2);
+		runSlice(2);
+		runSlice(2);
+		assert.strictEqual(5, component.element.childNodes.length);
+		assert.strictEqual(1, component.rendered.callCount);
+		assert.strictEqual(0, listener.callCount);
+	});
+
+	it('should run the rendered lifecycle when resuming work of changed components', function() {
+		renderTimeSliced(ListComponent);
+		component.rendered = sinon.stub();
+		component.items = ['a', 'b'];
+
+		runSlice(10);
+		assert.strictEqual(2, component.element.childNodes.length);
+		assert.strictEqual(1, component.rendered.callCount);
+		assert.strictEqual(false, component.rendered.args[0][0]);
+	});
+
+	it('should defer sub components that had their data changed', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(
+					ItemComponent,
+					null,
+					null,
+					'label',
+					this.label
+				);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			label: {
+				value: 'foo',
+			},
+		};
+
+		renderTimeSliced(TestComponent);
+		runSlice(10);
+		assert.strictEqual(
+			'<div><li title="foo">foo</li></div>',
+			component.element.outerHTML
+		);
+
+		component.label = 'bar';
+		component.getRenderer().patch(component);
+		assert.strictEqual(
+			'<div><li title="foo">foo</li></div>',
+			component.element.outerHTML
+		);
+
+		runSlice(10);
+		assert.strictEqual(
+			'<div><li title="bar">bar</li></div>',
+			component.element.outerHTML
+		);
+	});
+
+	it('should defer sub components of sub components rendered in slices', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(ListComponent, null, null, 'items', [
+					'a',
+					'b',
+				]);
+				IncrementalDOM.elementVoid(ListComponent, null, null, 'items', [
+					'c',
+					'd',
+				]);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		renderTimeSliced(TestComponent);
+		assert.strictEqual('<div></div>', component.element.outerHTML);
+
+		runSlice(1);
+		assert.strictEqual(
+			'<div><ul><li title="a">a</li></ul></div>',
+			component.element.outerHTML
+		);
+
+		runSlice(1);
+		assert.strictEqual(
+			'<div><ul><li title="a">a</li></ul><ul><li title="c">c</li></ul></div>',
+			component.element.outerHTML
+		);
+
+		while (callbacks.length > 0) {
+			runSlice(1);
+		}
+		assert.strictEqual(4, ItemComponent.renders);
+		assert.strictEqual(renderSync(TestComponent), component.element.outerHTML);
+	});
+
+	it('should not defer sub components at the root position', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementVoid(ItemComponent, null, null, 'label', 'foo');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		renderTimeSliced(TestComponent);
+		assert.strictEqual('<li title="foo">foo</li>', component.element.outerHTML);
+		assert.ok(!hasPendingSlices());
+	});
+
+	it('should skip deferred sub components whose parents were disposed', function() {
+		renderTimeSliced(ListComponent);
+		component.dispose();
+		component = null;
+
+		runSlice(10);
+		assert.strictEqual(0, ItemComponent.renders);
+		assert.ok(!hasPendingSlices());
+	});
+
+	it('should not defer sub components of components not in time sliced mode', function() {
+		component = new ListComponent();
+		assert.strictEqual(5, component.element.childNodes.length);
+		assert.ok(!hasPendingSlices());
+		assert.strictEqual(0, callbacks.length);
+	});
+
+	it('should use "setTimeout" by default when "requestIdleCallback" is not available', function(
+		done
+	) {
+		setDeadlineSource(null);
+		renderTimeSliced(ListComponent);
+		assert.strictEqual(0, component.element.childNodes.length);
+
+		setTimeout(function() {
+			assert.strictEqual(5, component.element.childNodes.length);
+			done();
+		}, 0);
+	});
+});
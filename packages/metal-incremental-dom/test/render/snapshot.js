@@ -0,0 +1,234 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {
+	getStateSnapshot,
+	readStateSnapshot,
+	serializeStateSnapshot,
+} from '../../src/render/snapshot';
+import {renderToStream} from '../../src/render/stream';
+
+describe('snapshot', function() {
+	let ChildComponent;
+	let component;
+	let container;
+	let env;
+	let TestComponent;
+
+	beforeEach(function() {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+		env = 'server';
+
+		ChildComponent = class extends Component {
+			created() {
+				this.source = env;
+			}
+
+			render() {
+				IncrementalDOM.elementOpen('span');
+				IncrementalDOM.text(`${this.text}:${this.source}`);
+				IncrementalDOM.elementClose('span');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+		ChildComponent.STATE = {
+			source: {
+				internal: true,
+			},
+			text: {
+				value: '',
+			},
+		};
+
+		TestComponent = class extends Component {
+			created() {
+				this.items = env === 'server' ? ['a', 'b'] : [];
+			}
+
+			render() {
+				IncrementalDOM.elementOpen('div');
+				this.items.forEach(item => {
+					IncrementalDOM.elementVoid(ChildComponent, item, null, 'text', item);
+				});
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			items: {
+				internal: true,
+			},
+		};
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+			component = null;
+		}
+		document.body.innerHTML = '';
+	});
+
+	it('should map the path of each component to its state', function() {
+		component = new TestComponent();
+		assert.deepEqual(
+			{
+				'0': {
+					items: ['a', 'b'],
+				},
+				'0.0': {
+					source: 'server',
+					text: 'a',
+				},
+				'0.1': {
+					source: 'server',
+					text: 'b',
+				},
+			},
+			getStateSnapshot(component)
+		);
+	});
+
+	it('should serialize snapshots into a json script that can\'t be closed by the values', function() {
+		container.innerHTML = serializeStateSnapshot({
+			'0': {
+				text: '</script><b>',
+			},
+		});
+		const script = container.childNodes[0];
+		assert.strictEqual(1, container.childNodes.length);
+		assert.strictEqual('SCRIPT', script.tagName);
+		assert.strictEqual('application/json', script.type);
+		assert.strictEqual(-1, script.textContent.indexOf('<'));
+		assert.deepEqual(
+			{
+				'0': {
+					text: '</script><b>',
+				},
+			},
+			JSON.parse(script.textContent)
+		);
+	});
+
+	it('should read the snapshot rendered after the given element', function() {
+		container.innerHTML = `<div></div>${serializeStateSnapshot({
+			'0': {
+				foo: 'bar',
+			},
+		})}`;
+		assert.deepEqual(
+			{
+				'0': {
+					foo: 'bar',
+				},
+			},
+			readStateSnapshot(container.childNodes[0])
+		);
+	});
+
+	it('should not read snapshots from other elements or invalid json', function() {
+		container.innerHTML =
+			'<div></div><script type="application/json"></script>';
+		assert.strictEqual(null, readStateSnapshot(container.childNodes[0]));
+		assert.strictEqual(null, readStateSnapshot(container.childNodes[1]));
+		assert.strictEqual(null, readStateSnapshot(null));
+
+		container.innerHTML = '<div></div><script data-metal-state>{</script>';
+		assert.strictEqual(null, readStateSnapshot(container.childNodes[0]));
+	});
+
+	it('should render the snapshot after the html when "serializeState" is set', function() {
+		const html = Component.renderToString(TestComponent, null, {
+			serializeState: true,
+		});
+		container.innerHTML = html;
+
+		assert.strictEqual(2, container.childNodes.length);
+		assert.strictEqual(
+			'<div><span>a:server</span><span>b:server</span></div>',
+			container.childNodes[0].outerHTML
+		);
+		assert.deepEqual(
+			['0', '0.0', '0.1'],
+			Object.keys(readStateSnapshot(container.childNodes[0]))
+		);
+	});
+
+	it('should not render the snapshot by default', function() {
+		const html = Component.renderToString(TestComponent);
+		assert.strictEqual(-1, html.indexOf('<script'));
+	});
+
+	it('should emit the snapshot after the html when streaming with "serializeState"', function(
+		done
+	) {
+		const chunks = [];
+		const stream = renderToStream(TestComponent, null, {
+			serializeState: true,
+		});
+		stream.on('data', chunk => chunks.push(chunk));
+		stream.on('end', () => {
+			container.innerHTML = chunks.join('');
+			assert.strictEqual(2, container.childNodes.length);
+			assert.deepEqual(
+				['a', 'b'],
+				readStateSnapshot(container.childNodes[0])['0'].items
+			);
+			done();
+		});
+	});
+
+	it('should restore the state of all components when hydrating', function() {
+		container.innerHTML = Component.renderToString(TestComponent, null, {
+			serializeState: true,
+		});
+		const element = container.childNodes[0];
+		const listener = sinon.stub();
+
+		env = 'client';
+		component = Component.hydrate(
+			TestComponent,
+			{
+				events: {
+					hydrationMismatch: listener,
+				},
+			},
+			element
+		);
+
+		assert.strictEqual(0, listener.callCount);
+		assert.strictEqual(element, component.element);
+		assert.deepEqual(['a', 'b'], component.items);
+		assert.strictEqual(
+			'<span>a:server</span><span>b:server</span>',
+			element.innerHTML
+		);
+	});
+
+	it('should stop restoring state after hydrating', function() {
+		container.innerHTML = Component.renderToString(TestComponent, null, {
+			serializeState: true,
+		});
+		env = 'client';
+		component = Component.hydrate(TestComponent, container.childNodes[0]);
+
+		component.items = ['a', 'b', 'c'];
+		component.getRenderer().patch(component);
+		assert.strictEqual(
+			'<span>a:server</span><span>b:server</span><span>c:client</span>',
+			component.element.innerHTML
+		);
+	});
+
+	it('should compute the state again when hydrating without a snapshot', function() {
+		container.innerHTML = Component.renderToString(TestComponent);
+		env = 'client';
+		sinon.stub(console, 'warn');
+		component = Component.hydrate(TestComponent, container.childNodes[0]);
+		console.warn.restore();
+		assert.deepEqual([], component.items);
+		assert.strictEqual('', component.element.innerHTML);
+	});
+});
@@ -0,0 +1,315 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {getOriginalFns} from '../../src/incremental-dom-aop';
+import {RenderStream, renderToStream} from '../../src/render/stream';
+import {Readable, Writable} from 'stream';
+
+describe('stream', function() {
+	let ChildComponent;
+	let TestComponent;
+
+	beforeEach(function() {
+		ChildComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('span');
+				IncrementalDOM.text(this.getInitialConfig().text);
+				IncrementalDOM.elementClose('span');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+
+		TestComponent = class extends Component {
+			render() {
+				const config = this.getInitialConfig();
+				IncrementalDOM.elementOpen('div', null, null, 'class', 'test');
+				IncrementalDOM.elementVoid('input', null, null, 'disabled', true);
+				IncrementalDOM.elementVoid(
+					ChildComponent,
+					null,
+					null,
+					'text',
+					config.text
+				);
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		TestComponent.RENDERER = IncrementalDomRenderer;
+	});
+
+	it('should emit html chunks as elements are rendered', function(done) {
+		const chunks = [];
+		const stream = renderToStream(TestComponent, {
+			text: 'foo',
+		});
+		stream.on('data', chunk => chunks.push(chunk));
+		stream.on('end', function() {
+			assert.deepEqual(
+				[
+					'<div class="test">',
+					'<input disabled="">',
+					'<span>',
+					'foo',
+					'</span>',
+					'</div>',
+				],
+				chunks
+			);
+			done();
+		});
+	});
+
+	it('should produce the same html as Component.renderToString', function(
+		done
+	) {
+		const html = Component.renderToString(TestComponent, {
+			text: '<b>&</b>',
+		});
+		const chunks = [];
+		const stream = renderToStream(TestComponent, {
+			text: '<b>&</b>',
+		});
+		stream.on('data', chunk => chunks.push(chunk));
+		stream.on('end', function() {
+			assert.strictEqual(html, chunks.join(''));
+			done();
+		});
+	});
+
+	it('should restore the original functions after rendering', function(done) {
+		const originalFns = getOriginalFns();
+		const stream = renderToStream(TestComponent);
+		stream.on('data', () => {});
+		stream.on('end', function() {
+			assert.strictEqual(originalFns, getOriginalFns());
+			done();
+		});
+	});
+
+	describe('Readable', function() {
+		before(function() {
+			if (!Readable) {
+				// Skip these tests where node's "stream" module is not available.
+				this.skip();
+			}
+		});
+
+		it('should return a readable stream when node\'s "stream" module is available', function() {
+			assert.ok(renderToStream(TestComponent) instanceof Readable);
+		});
+
+		it('should pipe chunks to the given destination as fast as it consumes them', function(
+			done
+		) {
+			const chunks = [];
+			const destination = new Writable({
+				highWaterMark: 1,
+				write(chunk, encoding, callback) {
+					chunks.push(chunk.toString());
+					setTimeout(callback);
+				},
+			});
+			destination.on('finish', function() {
+				assert.strictEqual(
+					'<div class="test"><input disabled=""><span>bar</span></div>',
+					chunks.join('')
+				);
+				assert.ok(chunks.length > 1);
+				done();
+			});
+			const stream = renderToStream(TestComponent, {
+				text: 'bar',
+			});
+			assert.strictEqual(destination, stream.pipe(destination));
+		});
+
+		it('should not render the component until the stream is read', function(
+			done
+		) {
+			const render = sinon.spy(TestComponent.prototype, 'render');
+			const stream = renderToStream(TestComponent);
+			setTimeout(function() {
+				assert.strictEqual(0, render.callCount);
+				stream.on('data', () => {});
+				stream.on('end', function() {
+					assert.strictEqual(1, render.callCount);
+					done();
+				});
+			});
+		});
+
+		it('should only push chunks while the consumer reads them', function(done) {
+			class ListComponent extends Component {
+				render() {
+					for (let i = 0; i < 1000; i++) {
+						IncrementalDOM.elementOpen('p');
+						IncrementalDOM.text('Lorem ipsum dolor sit amet');
+						IncrementalDOM.elementClose('p');
+					}
+				}
+			}
+			ListComponent.RENDERER = IncrementalDomRenderer;
+
+			const html = Component.renderToString(ListComponent);
+			const stream = renderToStream(ListComponent);
+			stream.read(0);
+			assert.ok(stream.readableLength > 0);
+			assert.ok(stream.readableLength < html.length);
+
+			const chunks = [];
+			stream.on('data', chunk => chunks.push(chunk));
+			stream.on('end', function() {
+				assert.strictEqual(html, chunks.join(''));
+				done();
+			});
+		});
+	});
+
+	describe('RenderStream', function() {
+		it('should return a RenderStream when node\'s "stream" module is not available', function() {
+			if (Readable) {
+				this.skip();
+			}
+			assert.ok(renderToStream(TestComponent) instanceof RenderStream);
+		});
+
+		it('should render the component asynchronously', function(done) {
+			const chunks = [];
+			const stream = new RenderStream(TestComponent, {
+				text: 'foo',
+			});
+			stream.on('data', chunk => chunks.push(chunk));
+			assert.strictEqual(0, chunks.length);
+			stream.on('end', function() {
+				assert.strictEqual(
+					'<div class="test"><input disabled=""><span>foo</span></div>',
+					chunks.join('')
+				);
+				done();
+			});
+		});
+
+		it('should write chunks to the given destination and end it', function(
+			done
+		) {
+			const chunks = [];
+			const destination = {
+				end() {
+					assert.strictEqual(
+						'<div class="test"><input disabled=""><span>bar</span></div>',
+						chunks.join('')
+					);
+					done();
+				},
+				write: chunk => chunks.push(chunk),
+			};
+			const stream = new RenderStream(TestComponent, {
+				text: 'bar',
+			});
+			assert.strictEqual(destination, stream.pipe(destination));
+		});
+
+		it('should not end the destination if "end" option is false', function(
+			done
+		) {
+			const destination = {
+				end: sinon.stub(),
+				write: sinon.stub(),
+			};
+			const stream = new RenderStream(TestComponent);
+			stream.pipe(destination, {end: false});
+			stream.on('end', function() {
+				assert.ok(destination.write.called);
+				assert.strictEqual(0, destination.end.callCount);
+				done();
+			});
+		});
+
+		it('should render serialized state if "serializeState" option is set', function(
+			done
+		) {
+			const chunks = [];
+			const stream = new RenderStream(
+				TestComponent,
+				{},
+				{serializeState: true}
+			);
+			stream.on('data', chunk => chunks.push(chunk));
+			stream.on('end', function() {
+				assert.ok(chunks[chunks.length - 1].indexOf('<script') === 0);
+				done();
+			});
+		});
+
+		it('should emit "error" if rendering fails', function(done) {
+			const error = new Error();
+			class ErrorComponent extends Component {
+				created() {
+					throw error;
+				}
+			}
+			ErrorComponent.RENDERER = IncrementalDomRenderer;
+
+			const originalFns = getOriginalFns();
+			const stream = new RenderStream(ErrorComponent);
+			stream.on('error', function(event) {
+				assert.strictEqual(error, event);
+				assert.strictEqual(originalFns, getOriginalFns());
+				done();
+			});
+		});
+	});
+
+	it('should not include the html of portals', function(done) {
+		class PortalComponent extends Component {
+			render() {
+				IncrementalDOM.elementVoid('p');
+			}
+		}
+		PortalComponent.RENDERER = IncrementalDomRenderer;
+
+		class ParentComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(
+					PortalComponent,
+					null,
+					null,
+					'portalElement',
+					true
+				);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		ParentComponent.RENDERER = IncrementalDomRenderer;
+
+		const chunks = [];
+		const stream = renderToStream(ParentComponent);
+		stream.on('data', chunk => chunks.push(chunk));
+		stream.on('end', function() {
+			assert.strictEqual('<div></div>', chunks.join(''));
+			document.body.innerHTML = '';
+			done();
+		});
+	});
+
+	it('should emit "error" if rendering fails', function(done) {
+		const error = new Error();
+		class ErrorComponent extends Component {
+			created() {
+				throw error;
+			}
+		}
+		ErrorComponent.RENDERER = IncrementalDomRenderer;
+
+		const originalFns = getOriginalFns();
+		const stream = renderToStream(ErrorComponent);
+		stream.on('data', () => {});
+		stream.on('error', function(event) {
+			assert.strictEqual(error, event);
+			assert.strictEqual(originalFns, getOriginalFns());
+			done();
+		});
+	});
+});
@@ -0,0 +1,307 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import {getOriginalFns, setOriginalFns} from '../../src/incremental-dom-aop';
+import {
+	createStringFns,
+	renderToString,
+	renderToStringAsync,
+} from '../../src/render/string';
+import Suspense from '../../src/suspense/Suspense';
+
+describe('string', function() {
+	describe('createStringFns', function() {
+		let chunks;
+		let prevFns;
+
+		beforeEach(function() {
+			chunks = [];
+			prevFns = setOriginalFns(createStringFns(chunk => chunks.push(chunk)));
+		});
+
+		afterEach(function() {
+			setOriginalFns(prevFns);
+		});
+
+		it('should write html chunks for the rendered elements and texts', function() {
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.elementOpen('div', null, ['class', 'foo'], 'id', 'bar');
+				IncrementalDOM.text('Hello');
+				IncrementalDOM.elementClose('div');
+			});
+
+			assert.deepEqual(
+				['<div class="foo" id="bar">', 'Hello', '</div>'],
+				chunks
+			);
+		});
+
+		it('should escape texts and attribute values', function() {
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.elementOpen('div', null, null, 'title', '"a" & b');
+				IncrementalDOM.text('<b>a & b</b>');
+				IncrementalDOM.elementClose('div');
+			});
+
+			assert.strictEqual(
+				'<div title="&quot;a&quot; &amp; b">&lt;b&gt;a &amp; b&lt;/b&gt;</div>',
+				chunks.join('')
+			);
+		});
+
+		it('should apply text formatters before escaping', function() {
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.text('foo', value => `<${value}>`);
+			});
+
+			assert.strictEqual('&lt;foo&gt;', chunks.join(''));
+		});
+
+		it('should not write closing tags for void elements', function() {
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.elementOpen('p');
+				IncrementalDOM.elementVoid('br');
+				IncrementalDOM.elementVoid('img', null, null, 'src', 'foo.png');
+				IncrementalDOM.elementClose('p');
+			});
+
+			assert.strictEqual('<p><br><img src="foo.png"></p>', chunks.join(''));
+		});
+
+		it('should render boolean attributes only when they are true', function() {
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.elementVoid(
+					'input',
+					null,
+					null,
+					'checked',
+					true,
+					'disabled',
+					false
+				);
+			});
+
+			assert.strictEqual('<input checked="">', chunks.join(''));
+		});
+
+		it('should serialize calls done via "elementOpenStart", "attr" and "elementOpenEnd"', function() {
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.elementOpenStart('div', null, ['class', 'foo']);
+				IncrementalDOM.attr('id', 'bar');
+				IncrementalDOM.elementOpenEnd();
+				IncrementalDOM.elementClose('div');
+			});
+
+			assert.strictEqual('<div class="foo" id="bar"></div>', chunks.join(''));
+		});
+
+		it('should return the current element being rendered', function() {
+			const parent = {};
+			let current;
+			IncrementalDOM.patch(parent, () => {
+				assert.strictEqual(parent, IncrementalDOM.currentElement());
+				current = IncrementalDOM.elementOpen('div');
+				assert.strictEqual(current, IncrementalDOM.currentElement());
+				assert.strictEqual(current, IncrementalDOM.elementClose('div'));
+				assert.strictEqual(parent, IncrementalDOM.currentElement());
+			});
+
+			assert.strictEqual('div', current.localName);
+			assert.strictEqual('DIV', current.tagName);
+			assert.ok(!IncrementalDOM.currentPointer());
+		});
+
+		it('should include html set as "innerHTML" of an element right after closing it', function() {
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementOpen('span');
+				const span = IncrementalDOM.elementClose('span');
+				span.innerHTML = '<b>foo</b>';
+				IncrementalDOM.elementClose('div');
+			});
+
+			assert.strictEqual('<div><span><b>foo</b></span></div>', chunks.join(''));
+		});
+
+		it('should set the html of nested patches as the patched node\'s "innerHTML"', function() {
+			const node = {};
+			IncrementalDOM.patch({}, () => {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.patch(node, () => IncrementalDOM.elementVoid('span'));
+				IncrementalDOM.elementClose('div');
+			});
+
+			assert.strictEqual('<div></div>', chunks.join(''));
+			assert.strictEqual('<span></span>', node.innerHTML);
+		});
+	});
+
+	describe('renderToString', function() {
+		let TestComponent;
+
+		beforeEach(function() {
+			class ChildComponent extends Component {
+				render() {
+					IncrementalDOM.elementOpen('span');
+					IncrementalDOM.text(this.getInitialConfig().text);
+					IncrementalDOM.elementClose('span');
+				}
+			}
+			ChildComponent.RENDERER = IncrementalDomRenderer;
+
+			TestComponent = class extends Component {
+				render() {
+					IncrementalDOM.elementOpen('div', null, null, 'class', 'test');
+					IncrementalDOM.elementVoid(
+						ChildComponent,
+						null,
+						null,
+						'text',
+						this.getInitialConfig().text
+					);
+					IncrementalDOM.elementClose('div');
+				}
+			};
+			TestComponent.RENDERER = IncrementalDomRenderer;
+		});
+
+		it('should return the html of the component and its sub components', function() {
+			const html = renderToString(TestComponent, {
+				text: 'a < b',
+			});
+			assert.strictEqual('<div class="test"><span>a &lt; b</span></div>', html);
+		});
+
+		it('should add "elementClasses" to the component\'s root element', function() {
+			const html = renderToString(TestComponent, {
+				elementClasses: 'foo',
+				text: 'bar',
+			});
+			assert.strictEqual('<div class="test foo"><span>bar</span></div>', html);
+		});
+
+		it('should not render anything to the DOM', function() {
+			const bodyHTML = document.body.innerHTML;
+			renderToString(TestComponent, {
+				text: 'foo',
+			});
+			assert.strictEqual(bodyHTML, document.body.innerHTML);
+		});
+
+		it('should restore the original functions after rendering', function() {
+			const originalFns = getOriginalFns();
+			renderToString(TestComponent);
+			assert.strictEqual(originalFns, getOriginalFns());
+		});
+
+		it('should still accept a parent element via Component.renderToString', function() {
+			const element = document.createElement('div');
+			document.body.appendChild(element);
+			const html = Component.renderToString(TestComponent, element);
+			assert.strictEqual(renderToString(TestComponent), html);
+			assert.strictEqual('', element.innerHTML);
+			document.body.innerHTML = '';
+		});
+	});
+
+	describe('renderToStringAsync', function() {
+		let cache;
+		let DataComponent;
+
+		beforeEach(function() {
+			cache = {};
+
+			DataComponent = class extends Component {
+				render() {
+					const id = this.getInitialConfig().id;
+					if (!cache[id]) {
+						throw Promise.resolve().then(() => (cache[id] = `data${id}`));
+					}
+					IncrementalDOM.elementOpen('span');
+					IncrementalDOM.text(cache[id]);
+					IncrementalDOM.elementClose('span');
+				}
+			};
+			DataComponent.RENDERER = IncrementalDomRenderer;
+		});
+
+		it('should resolve with the html of the component', function(done) {
+			class TestComponent extends Component {
+				render() {
+					IncrementalDOM.elementVoid('div', null, null, 'class', 'test');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			renderToStringAsync(TestComponent).then(html => {
+				assert.strictEqual('<div class="test"></div>', html);
+				done();
+			});
+		});
+
+		it('should wait for components that suspended before resolving', function(
+			done
+		) {
+			class TestComponent extends Component {
+				render() {
+					IncrementalDOM.elementOpen('div');
+					IncrementalDOM.elementOpen(
+						Suspense,
+						null,
+						null,
+						'fallback',
+						'Loading'
+					);
+					IncrementalDOM.elementVoid(DataComponent, null, null, 'id', 1);
+					IncrementalDOM.elementClose(Suspense);
+					IncrementalDOM.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			assert.strictEqual('<div></div>', renderToString(TestComponent));
+			renderToStringAsync(TestComponent).then(html => {
+				assert.strictEqual('<div><span>data1</span></div>', html);
+				done();
+			});
+		});
+
+		it('should keep rendering until no component suspends', function(done) {
+			class TestComponent extends Component {
+				render() {
+					IncrementalDOM.elementOpen('div');
+					IncrementalDOM.elementVoid(DataComponent, null, null, 'id', 1);
+					if (cache[1]) {
+						IncrementalDOM.elementVoid(DataComponent, null, null, 'id', 2);
+					}
+					IncrementalDOM.elementClose('div');
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			renderToStringAsync(TestComponent).then(html => {
+				assert.strictEqual(
+					'<div><span>data1</span><span>data2</span></div>',
+					html
+				);
+				done();
+			});
+		});
+
+		it('should reject with errors thrown while rendering', function(done) {
+			const error = new Error('Render error');
+			class TestComponent extends Component {
+				render() {
+					throw error;
+				}
+			}
+			TestComponent.RENDERER = IncrementalDomRenderer;
+
+			renderToStringAsync(TestComponent).catch(e => {
+				assert.strictEqual(error, e);
+				done();
+			});
+		});
+	});
+});
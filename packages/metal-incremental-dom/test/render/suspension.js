@@ -0,0 +1,33 @@
+'use strict';
+
+import {
+	recordSuspension,
+	startCollectingSuspensions,
+	stopCollectingSuspensions,
+} from '../../src/render/suspension';
+
+describe('suspension', function() {
+	afterEach(function() {
+		stopCollectingSuspensions();
+	});
+
+	it('should collect recorded promises', function() {
+		const promise1 = Promise.resolve();
+		const promise2 = Promise.resolve();
+		startCollectingSuspensions();
+		recordSuspension(promise1);
+		recordSuspension(promise2);
+		recordSuspension(promise1);
+		assert.deepEqual([promise1, promise2], stopCollectingSuspensions());
+	});
+
+	it('should not collect promises recorded outside of collections', function() {
+		recordSuspension(Promise.resolve());
+		startCollectingSuspensions();
+		assert.deepEqual([], stopCollectingSuspensions());
+	});
+
+	it('should return an empty array when not collecting', function() {
+		assert.deepEqual([], stopCollectingSuspensions());
+	});
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+import Component, {ComponentRegistry} from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import Suspense from '../../src/suspense/Suspense';
+
+describe('Suspense', function() {
+	let component;
+	let DataComponent;
+	let loads;
+
+	beforeEach(function() {
+		loads = {};
+
+		DataComponent = class extends Component {
+			render() {
+				const load = loads[this.id];
+				if (load && !load.done) {
+					throw load.promise;
+				}
+				IncrementalDOM.elementOpen('span');
+				IncrementalDOM.text(this.id);
+				IncrementalDOM.elementClose('span');
+			}
+		};
+		DataComponent.RENDERER = IncrementalDomRenderer;
+		DataComponent.STATE = {
+			id: {},
+		};
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+	});
+
+	/**
+	 * Creates a pending load for the data component with the given id, which
+	 * will suspend while rendering until it's settled.
+	 * @param {string} id
+	 * @return {!Object}
+	 */
+	function createLoad(id) {
+		const load = {};
+		load.promise = new Promise((resolve, reject) => {
+			load.reject = error => {
+				load.done = true;
+				reject(error);
+			};
+			load.resolve = () => {
+				load.done = true;
+				resolve();
+			};
+		});
+		loads[id] = load;
+		return load;
+	}
+
+	/**
+	 * Renders a component with a suspense boundary wrapping data components
+	 * with the given ids.
+	 * @param {!Array<string>} ids
+	 * @param {*} fallback
+	 * @return {!Component}
+	 */
+	function renderBoundary(ids, fallback) {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementOpen(
+					Suspense,
+					null,
+					null,
+					'fallback',
+					fallback,
+					'ref',
+					'suspense'
+				);
+				ids.forEach(id =>
+					IncrementalDOM.elementVoid(DataComponent, null, null, 'id', id)
+				);
+				IncrementalDOM.elementClose(Suspense);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		component = new TestComponent();
+		return component;
+	}
+
+	it('should be registered in the component registry', function() {
+		assert.strictEqual(Suspense, ComponentRegistry.getConstructor('Suspense'));
+	});
+
+	it('should render children when nothing suspends', function() {
+		renderBoundary(['a', 'b'], 'Loading');
+		assert.strictEqual(
+			'<div><span>a</span><span>b</span></div>',
+			component.element.outerHTML
+		);
+	});
+
+	it('should render the fallback when a component inside it suspends', function(
+		done
+	) {
+		createLoad('b');
+		renderBoundary(['a', 'b'], 'Loading');
+
+		component.refs.suspense.once('stateSynced', function() {
+			assert.strictEqual('<div>Loading</div>', component.element.outerHTML);
+			done();
+		});
+	});
+
+	it('should render fallback functions', function(done) {
+		createLoad('a');
+		renderBoundary(['a'], () =>
+			IncrementalDOM.elementVoid('div', null, null, 'class', 'spinner')
+		);
+
+		component.refs.suspense.once('stateSynced', function() {
+			assert.strictEqual(
+				'<div><div class="spinner"></div></div>',
+				component.element.outerHTML
+			);
+			done();
+		});
+	});
+
+	it('should render children again once the promise settles', function(done) {
+		const load = createLoad('b');
+		renderBoundary(['a', 'b'], 'Loading');
+
+		const suspense = component.refs.suspense;
+		suspense.once('stateSynced', function() {
+			suspense.once('stateSynced', function() {
+				assert.strictEqual(
+					'<div><span>a</span><span>b</span></div>',
+					component.element.outerHTML
+				);
+				done();
+			});
+			load.resolve();
+		});
+	});
+
+	it('should wait for all promises to settle before rendering children again', function(
+		done
+	) {
+		const loadA = createLoad('a');
+		const loadB = createLoad('b');
+		renderBoundary(['a', 'b'], 'Loading');
+
+		const suspense = component.refs.suspense;
+		suspense.once('stateSynced', function() {
+			assert.strictEqual(2, suspense.pending_.length);
+			sinon.spy(suspense, 'render');
+			loadA.resolve();
+			loadA.promise.then(function() {
+				assert.strictEqual(1, suspense.pending_.length);
+				suspense.once('stateSynced', function() {
+					assert.strictEqual(1, suspense.render.callCount);
+					assert.strictEqual(
+						'<div><span>a</span><span>b</span></div>',
+						component.element.outerHTML
+					);
+					done();
+				});
+				loadB.resolve();
+			});
+		});
+	});
+
+	it('should render children again when the promise is rejected', function(
+		done
+	) {
+		const load = createLoad('a');
+		renderBoundary(['a'], 'Loading');
+
+		const suspense = component.refs.suspense;
+		suspense.once('stateSynced', function() {
+			suspense.once('stateSynced', function() {
+				assert.strictEqual(
+					'<div><span>a</span></div>',
+					component.element.outerHTML
+				);
+				done();
+			});
+			load.reject(new Error('Load error'));
+		});
+	});
+
+	it('should not render again if disposed before promises settle', function(
+		done
+	) {
+		const load = createLoad('a');
+		renderBoundary(['a'], 'Loading');
+
+		const suspense = component.refs.suspense;
+		suspense.once('stateSynced', function() {
+			sinon.spy(suspense, 'render');
+			component.dispose();
+			component = null;
+			load.resolve();
+			load.promise.then(function() {
+				assert.strictEqual(0, suspense.render.callCount);
+				done();
+			});
+		});
+	});
+
+	it('should throw error when a component suspends without a boundary above it', function() {
+		createLoad('a');
+		assert.throws(
+			() => new DataComponent({id: 'a'}),
+			/there's no Suspense boundary above it/
+		);
+	});
+
+	it('should let error boundaries handle components that suspend without a suspense boundary', function() {
+		createLoad('a');
+		class TestComponent extends Component {
+			handleError(error) {
+				this.error = error;
+			}
+
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(DataComponent, null, null, 'id', 'a');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		component = new TestComponent();
+		assert.ok(component.error instanceof Error);
+		assert.strictEqual('<div></div>', component.element.outerHTML);
+	});
+});
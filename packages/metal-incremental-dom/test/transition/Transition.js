@@ -0,0 +1,300 @@
+'use strict';
+
+import {scheduler} from 'metal';
+import {triggerEvent} from 'metal-dom';
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import Transition from '../../src/transition/Transition';
+
+describe('Transition', function() {
+	let clock;
+	let component;
+	let ChildComponent;
+	let originalGetComputedStyle;
+
+	beforeEach(function() {
+		clock = sinon.useFakeTimers();
+		originalGetComputedStyle = window.getComputedStyle;
+
+		ChildComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div', null, null, 'class', 'child');
+				IncrementalDOM.elementVoid('span');
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+		window.getComputedStyle = originalGetComputedStyle;
+		clock.restore();
+	});
+
+	/**
+	 * Renders a component with a transition wrapping a child component, which
+	 * is only rendered while the `show` state key is true.
+	 * @param {!Object} config
+	 * @return {!Component}
+	 */
+	function renderTransition(config) {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementOpen(
+					Transition,
+					null,
+					null,
+					'appear',
+					this.appear,
+					'name',
+					'fade',
+					'ref',
+					'transition'
+				);
+				if (this.show) {
+					IncrementalDOM.elementVoid(
+						ChildComponent,
+						null,
+						null,
+						'ref',
+						'child'
+					);
+				}
+				IncrementalDOM.elementClose(Transition);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			appear: {
+				value: false,
+			},
+			show: {
+				value: true,
+			},
+		};
+		return new TestComponent(config);
+	}
+
+	/**
+	 * Makes the computed styles of all elements report the given durations.
+	 * @param {!Object} style
+	 */
+	function stubComputedStyle(style) {
+		window.getComputedStyle = () => style;
+	}
+
+	it('should render its children', function() {
+		component = renderTransition();
+		const child = component.refs.child;
+		assert.ok(child);
+		assert.strictEqual(component.element.childNodes[0], child.element);
+	});
+
+	it('should not run the enter transition on first render by default', function() {
+		component = renderTransition();
+		assert.strictEqual('child', component.refs.child.element.className);
+	});
+
+	it('should run the enter transition on first render if "appear" is true', function() {
+		stubComputedStyle({
+			transitionDuration: '0.3s',
+		});
+		component = renderTransition({
+			appear: true,
+		});
+		const element = component.refs.child.element;
+		assert.strictEqual('child fade-enter fade-enter-active', element.className);
+
+		clock.tick(0);
+		assert.strictEqual(
+			'child fade-enter-active fade-enter-to',
+			element.className
+		);
+
+		const listener = sinon.stub();
+		component.refs.transition.on('enterEnd', listener);
+		triggerEvent(element, 'transitionend');
+		assert.strictEqual('child', element.className);
+		assert.strictEqual(1, listener.callCount);
+	});
+
+	it('should run the enter transition when children are added', function() {
+		stubComputedStyle({
+			animationDuration: '300ms',
+		});
+		component = renderTransition({
+			show: false,
+		});
+		assert.strictEqual(0, component.element.childNodes.length);
+
+		component.show = true;
+		scheduler.flush();
+		const element = component.refs.child.element;
+		assert.strictEqual('child fade-enter fade-enter-active', element.className);
+
+		clock.tick(0);
+		assert.strictEqual(
+			'child fade-enter-active fade-enter-to',
+			element.className
+		);
+
+		triggerEvent(element, 'animationend');
+		assert.strictEqual('child', element.className);
+	});
+
+	it('should keep children rendered until their leave transition ends', function() {
+		stubComputedStyle({
+			transitionDuration: '0.3s',
+		});
+		component = renderTransition();
+		const child = component.refs.child;
+		const element = child.element;
+
+		component.show = false;
+		scheduler.flush();
+		assert.strictEqual(element, component.element.childNodes[0]);
+		assert.strictEqual('child fade-leave fade-leave-active', element.className);
+		assert.ok(!child.isDisposed());
+
+		clock.tick(0);
+		assert.strictEqual(
+			'child fade-leave-active fade-leave-to',
+			element.className
+		);
+
+		const listener = sinon.stub();
+		component.refs.transition.on('leaveEnd', listener);
+		triggerEvent(element, 'transitionend');
+		assert.strictEqual(0, component.element.childNodes.length);
+		assert.ok(child.isDisposed());
+		assert.strictEqual(1, listener.callCount);
+	});
+
+	it('should ignore end events from descendants of the element', function() {
+		stubComputedStyle({
+			transitionDuration: '0.3s',
+		});
+		component = renderTransition();
+		const element = component.refs.child.element;
+
+		component.show = false;
+		scheduler.flush();
+		clock.tick(0);
+		triggerEvent(element.querySelector('span'), 'transitionend');
+		assert.strictEqual(element, component.element.childNodes[0]);
+	});
+
+	it('should wait for the end events of all transitions', function() {
+		stubComputedStyle({
+			transitionDuration: '0.3s, 0.1s',
+		});
+		component = renderTransition();
+		const element = component.refs.child.element;
+
+		component.show = false;
+		scheduler.flush();
+		clock.tick(0);
+		triggerEvent(element, 'transitionend');
+		assert.strictEqual(element, component.element.childNodes[0]);
+		assert.strictEqual(
+			'child fade-leave-active fade-leave-to',
+			element.className
+		);
+
+		triggerEvent(element, 'transitionend');
+		assert.strictEqual(0, component.element.childNodes.length);
+	});
+
+	it('should wait for the end events of the longest of transitions and animations', function() {
+		stubComputedStyle({
+			animationDelay: '0.2s',
+			animationDuration: '0.2s',
+			transitionDuration: '0.3s',
+		});
+		component = renderTransition();
+		const element = component.refs.child.element;
+
+		component.show = false;
+		scheduler.flush();
+		clock.tick(0);
+		triggerEvent(element, 'transitionend');
+		assert.strictEqual(element, component.element.childNodes[0]);
+
+		triggerEvent(element, 'animationend');
+		assert.strictEqual(0, component.element.childNodes.length);
+	});
+
+	it('should end transitions after their computed durations if their events are not fired', function() {
+		stubComputedStyle({
+			transitionDelay: '100ms',
+			transitionDuration: '0.2s, 0.1s',
+		});
+		component = renderTransition();
+		const child = component.refs.child;
+
+		component.show = false;
+		scheduler.flush();
+		clock.tick(0);
+		clock.tick(300 + Transition.TIMEOUT_MARGIN - 1);
+		assert.ok(!child.isDisposed());
+
+		clock.tick(1);
+		assert.ok(child.isDisposed());
+		assert.strictEqual(0, component.element.childNodes.length);
+	});
+
+	it('should end transitions on the next frame if elements have no durations', function() {
+		component = renderTransition();
+		const child = component.refs.child;
+
+		component.show = false;
+		scheduler.flush();
+		assert.ok(!child.isDisposed());
+
+		clock.tick(0);
+		assert.ok(child.isDisposed());
+		assert.strictEqual(0, component.element.childNodes.length);
+	});
+
+	it('should reuse the leaving child when it is added back before its transition ends', function() {
+		stubComputedStyle({
+			transitionDuration: '0.3s',
+		});
+		component = renderTransition();
+		const child = component.refs.child;
+		const element = child.element;
+
+		component.show = false;
+		scheduler.flush();
+		clock.tick(0);
+
+		component.show = true;
+		scheduler.flush();
+		assert.strictEqual(child, component.refs.child);
+		assert.strictEqual('child fade-enter fade-enter-active', element.className);
+
+		clock.tick(1000);
+		assert.ok(!child.isDisposed());
+		assert.strictEqual(element, component.element.childNodes[0]);
+		assert.strictEqual('child', element.className);
+	});
+
+	it('should remove transition classes when disposed', function() {
+		stubComputedStyle({
+			transitionDuration: '0.3s',
+		});
+		component = renderTransition({
+			appear: true,
+		});
+		const element = component.refs.child.element;
+		component.refs.transition.dispose();
+		assert.strictEqual('child', element.className);
+		clock.tick(1000);
+		assert.strictEqual('child', element.className);
+	});
+});
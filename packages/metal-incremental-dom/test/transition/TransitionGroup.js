@@ -0,0 +1,174 @@
+'use strict';
+
+import {scheduler} from 'metal';
+import Component from 'metal-component';
+import IncrementalDomRenderer from '../../src/IncrementalDomRenderer';
+import TransitionGroup from '../../src/transition/TransitionGroup';
+
+describe('TransitionGroup', function() {
+	let clock;
+	let component;
+	let ItemComponent;
+	let originalGetComputedStyle;
+
+	beforeEach(function() {
+		clock = sinon.useFakeTimers();
+		originalGetComputedStyle = window.getComputedStyle;
+		window.getComputedStyle = () => ({
+			transitionDuration: '0.3s',
+		});
+
+		ItemComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('li');
+				IncrementalDOM.text(this.id);
+				IncrementalDOM.elementClose('li');
+			}
+		};
+		ItemComponent.RENDERER = IncrementalDomRenderer;
+		ItemComponent.STATE = {
+			id: {},
+		};
+	});
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+		window.getComputedStyle = originalGetComputedStyle;
+		clock.restore();
+	});
+
+	/**
+	 * Renders a component with a transition group wrapping keyed items with
+	 * the ids in the `ids` state key.
+	 * @param {!Object} config
+	 * @return {!Component}
+	 */
+	function renderGroup(config) {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen(
+					TransitionGroup,
+					null,
+					null,
+					'appear',
+					this.appear,
+					'elementTag',
+					'ul',
+					'name',
+					'slide'
+				);
+				this.ids.forEach(id =>
+					IncrementalDOM.elementVoid(
+						ItemComponent,
+						null,
+						null,
+						'id',
+						id,
+						'key',
+						id,
+						'ref',
+						id
+					)
+				);
+				IncrementalDOM.elementClose(TransitionGroup);
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			appear: {
+				value: false,
+			},
+			ids: {
+				value: ['a', 'b', 'c'],
+			},
+		};
+		return new TestComponent(config);
+	}
+
+	it('should render its children without transitions on first render', function() {
+		component = renderGroup();
+		assert.strictEqual('UL', component.element.tagName);
+		assert.strictEqual('abc', component.element.textContent);
+		assert.strictEqual('', component.refs.a.element.className);
+		assert.strictEqual('', component.refs.c.element.className);
+	});
+
+	it('should run enter transitions on first render if "appear" is true', function() {
+		component = renderGroup({
+			appear: true,
+		});
+		assert.strictEqual(
+			'slide-enter slide-enter-active',
+			component.refs.a.element.className
+		);
+		assert.strictEqual(
+			'slide-enter slide-enter-active',
+			component.refs.c.element.className
+		);
+	});
+
+	it('should run enter transitions only for added children', function() {
+		component = renderGroup();
+		component.ids = ['a', 'd', 'b', 'c'];
+		scheduler.flush();
+
+		assert.strictEqual('adbc', component.element.textContent);
+		assert.strictEqual('', component.refs.a.element.className);
+		assert.strictEqual(
+			'slide-enter slide-enter-active',
+			component.refs.d.element.className
+		);
+
+		clock.tick(1000);
+		assert.strictEqual('', component.refs.d.element.className);
+	});
+
+	it('should keep removed children in their positions until their leave transitions end', function() {
+		component = renderGroup();
+		const item = component.refs.b;
+
+		component.ids = ['a', 'c'];
+		scheduler.flush();
+		assert.strictEqual('abc', component.element.textContent);
+		assert.strictEqual(
+			'slide-leave slide-leave-active',
+			item.element.className
+		);
+		assert.ok(!item.isDisposed());
+
+		clock.tick(1000);
+		assert.strictEqual('ac', component.element.textContent);
+		assert.ok(item.isDisposed());
+		assert.ok(!component.refs.a.isDisposed());
+		assert.ok(!component.refs.c.isDisposed());
+	});
+
+	it('should keep removed children while other children are added', function() {
+		component = renderGroup();
+
+		component.ids = ['b', 'd'];
+		scheduler.flush();
+		assert.strictEqual('abcd', component.element.textContent);
+
+		clock.tick(1000);
+		assert.strictEqual('bd', component.element.textContent);
+	});
+
+	it('should reuse removed children that are added back before leaving', function() {
+		component = renderGroup();
+		const item = component.refs.b;
+
+		component.ids = ['a', 'c'];
+		scheduler.flush();
+		component.ids = ['a', 'b', 'c'];
+		scheduler.flush();
+		assert.strictEqual(item, component.refs.b);
+
+		clock.tick(1000);
+		assert.strictEqual('abc', component.element.textContent);
+		assert.ok(!item.isDisposed());
+		assert.strictEqual('', item.element.className);
+	});
+});
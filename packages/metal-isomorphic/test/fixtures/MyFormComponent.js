@@ -0,0 +1,47 @@
+import JSXComponent, {DangerouslySetHTML} from 'metal-jsx';
+
+class MyFormComponent extends JSXComponent {
+	render() {
+		IncrementalDOM.elementOpen('form', null, null, 'class', 'form');
+		IncrementalDOM.elementVoid(
+			'input',
+			null,
+			null,
+			'checked',
+			this.props.checked,
+			'disabled',
+			false,
+			'title',
+			this.props.title,
+			'type',
+			'checkbox'
+		);
+		IncrementalDOM.elementVoid('br');
+		iDOMHelpers.renderArbitrary(this.props.label);
+		IncrementalDOM.elementVoid(
+			DangerouslySetHTML,
+			null,
+			null,
+			'content',
+			this.props.html
+		);
+		return IncrementalDOM.elementClose('form');
+	}
+}
+
+MyFormComponent.PROPS = {
+	checked: {
+		value: false,
+	},
+	html: {
+		value: '',
+	},
+	label: {
+		value: '',
+	},
+	title: {
+		value: '',
+	},
+};
+
+export default MyFormComponent;
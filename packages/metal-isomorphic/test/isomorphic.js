@@ -1,5 +1,6 @@
 import Component from 'metal-component';
 import MyComponent from './fixtures/MyComponent';
+import MyFormComponent from './fixtures/MyFormComponent';
 import MyJSXComponent from './fixtures/MyJSXComponent';
 import ParentComponent from './fixtures/ParentComponent';
 import PortalParent from './fixtures/PortalParent';
@@ -47,6 +48,69 @@ describe('Isomorphic Rendering', () => {
 		assert.equal(htmlString, '<div class="portal-parent">Parent: Hello, World!</div>');
 	});
 
+	it('should render escaped content, void elements and boolean attributes to string', () => {
+		assert.ok(!global.document);
+
+		const htmlString = Component.renderToString(MyFormComponent, {
+			checked: true,
+			elementClasses: 'my-form',
+			html: '<b>Bold</b>',
+			label: '1 < 2 & 3 > 2',
+			title: '"Title"',
+		});
+
+		assert.equal(
+			htmlString,
+			'<form class="form my-form"><input checked="" title="&quot;Title&quot;" ' +
+				'type="checkbox"><br>1 &lt; 2 &amp; 3 &gt; 2<span><b>Bold</b></span></form>'
+		);
+	});
+
+	describe('Streaming', () => {
+		const renderToStreamString = (Ctor, config) => {
+			return new Promise((resolve, reject) => {
+				const chunks = [];
+				const stream = Component.renderToStream(Ctor, config);
+				stream.on('data', chunk => chunks.push(chunk));
+				stream.on('end', () => resolve(chunks.join('')));
+				stream.on('error', reject);
+			});
+		};
+
+		const fixtures = [
+			[MyComponent, {message: 'Hello, Soy!'}],
+			[MyJSXComponent, {message: 'Hello, JSX!'}],
+			[MyFormComponent, {checked: true, html: '<b>Bold</b>', label: 'a < b'}],
+			[ParentComponent, {message: 'Hello, World!'}],
+			[PortalParent, {message: 'Hello, World!'}],
+		];
+
+		fixtures.forEach(([Ctor, config]) => {
+			it(`should stream the same html as renderToString for ${Ctor.name}`, () => {
+				assert.ok(!global.document);
+
+				const htmlString = Component.renderToString(Ctor, config);
+
+				return renderToStreamString(Ctor, config).then(html => {
+					assert.equal(html, htmlString);
+				});
+			});
+		});
+
+		it('should emit html in multiple chunks', () => {
+			const chunks = [];
+			const stream = Component.renderToStream(ParentComponent, {
+				message: 'Hello, World!',
+			});
+			stream.on('data', chunk => chunks.push(chunk));
+
+			return new Promise(resolve => stream.on('end', resolve)).then(() => {
+				assert.ok(chunks.length > 1);
+				assert.equal(chunks[0], '<div>');
+			});
+		});
+	});
+
 	describe('JSDom', () => {
 		let cleanup;
 
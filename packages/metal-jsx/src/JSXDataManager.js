@@ -43,6 +43,7 @@ class JSXDataManager extends ComponentDataManager.constructor {
 		const data = this.getManagerData(comp);
 
 		data.props_ = new State(comp.getInitialConfig(), comp.props, comp);
+		this.setUpBatchDepth_(comp, data.props_);
 		data.props_.configState(
 			object.mixin(
 				{},
@@ -53,6 +54,7 @@ class JSXDataManager extends ComponentDataManager.constructor {
 		this.addUnconfiguredProps_(comp, data.props_, comp.getInitialConfig());
 
 		data.state_ = new State({}, comp.state, comp);
+		this.setUpBatchDepth_(comp, data.state_);
 		data.state_.setEventData({
 			type: 'state',
 		});
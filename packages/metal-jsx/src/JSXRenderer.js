@@ -18,6 +18,25 @@ class JSXRenderer extends IncrementalDomRenderer.constructor {
 		return [changes.state, changes.props];
 	}
 
+	/**
+	 * @inheritDoc
+	 */
+	buildUpdateArgs(component, changes) {
+		const manager = component.getDataManager();
+		return [
+			this.getPrevValues(
+				changes,
+				'state',
+				manager.getStateInstance(component).getState()
+			),
+			this.getPrevValues(
+				changes,
+				'props',
+				manager.getPropsInstance(component).getState()
+			),
+		];
+	}
+
 	/**
 	 * Called when generating a key for the next dom element to be created via
 	 * incremental dom. Adds keys to elements that don't have one yet, according
@@ -1,9 +1,41 @@
 'use strict';
 
 import {validators, Config} from 'metal-state';
+import {
+	createContext,
+	Portal,
+	Suspense,
+	Transition,
+	TransitionGroup,
+} from 'metal-incremental-dom';
 import DangerouslySetHTML from '../DangerouslySetHTML';
 import JSXComponent from '../JSXComponent';
 import Fragment from '../Fragment';
+import {
+	toComponent,
+	useContext,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+} from '../hooks';
 
 export default JSXComponent;
-export {DangerouslySetHTML, validators, Config, JSXComponent, Fragment};
+export {
+	DangerouslySetHTML,
+	validators,
+	Config,
+	createContext,
+	JSXComponent,
+	Fragment,
+	Portal,
+	Suspense,
+	toComponent,
+	Transition,
+	TransitionGroup,
+	useContext,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+};
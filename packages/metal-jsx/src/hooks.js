@@ -0,0 +1,301 @@
+'use strict';
+
+import {isFunction} from 'metal';
+import JSXComponent from './JSXComponent';
+
+/**
+ * Property used to cache the component constructor created for a function.
+ * @type {string}
+ */
+const FUNCTION_COMPONENT = '__metalFunctionComponent';
+
+const renderingComponents_ = [];
+
+/**
+ * Component that renders through a plain function, which can use hooks
+ * (like `useState` and `useEffect`) to hold state and run side effects.
+ */
+class FunctionComponent extends JSXComponent {
+	/**
+	 * @inheritDoc
+	 */
+	created() {
+		this.functionTagDepth_ = 0;
+		this.hookIndex_ = 0;
+		this.hooks_ = [];
+	}
+
+	/**
+	 * Lifecycle. Runs the cleanup functions of all effects.
+	 */
+	disposed() {
+		for (let i = 0; i < this.hooks_.length; i++) {
+			const hook = this.hooks_[i];
+			if (hook.type === 'effect' && isFunction(hook.cleanup)) {
+				hook.cleanup();
+			}
+		}
+	}
+
+	/**
+	 * Renders the component's function, passing it the current props.
+	 * @return {*}
+	 */
+	render() {
+		this.functionTagDepth_ = this.getRenderer().getFunctionTagDepth();
+		this.hookIndex_ = 0;
+		renderingComponents_.push(this);
+		try {
+			const fn = this.constructor.RENDER_FN;
+			return fn(this.props);
+		} finally {
+			renderingComponents_.pop();
+		}
+	}
+
+	/**
+	 * Lifecycle. Runs the effects whose dependencies have changed during the
+	 * last render, after the cleanup of their previous runs.
+	 */
+	rendered() {
+		for (let i = 0; i < this.hooks_.length; i++) {
+			const hook = this.hooks_[i];
+			if (hook.type === 'effect' && hook.pending) {
+				hook.pending = false;
+				if (isFunction(hook.cleanup)) {
+					hook.cleanup();
+				}
+				hook.cleanup = hook.fn();
+			}
+		}
+	}
+}
+
+FunctionComponent.STATE = {
+	/**
+	 * The values of all `useState` hooks, in the order they're called.
+	 * @type {!Array}
+	 */
+	hookStates: {
+		value: [],
+	},
+};
+
+/**
+ * Checks if the given dependencies have changed since the last render.
+ * Missing dependencies are considered to always change.
+ * @param {Array} prevDeps
+ * @param {Array} deps
+ * @return {boolean}
+ * @private
+ */
+function depsChanged_(prevDeps, deps) {
+	if (!prevDeps || !deps || prevDeps.length !== deps.length) {
+		return true;
+	}
+	for (let i = 0; i < deps.length; i++) {
+		if (prevDeps[i] !== deps[i]) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Gets the data for the next hook called by the given component, creating it
+ * on the first render.
+ * @param {!FunctionComponent} component
+ * @param {string} type
+ * @param {!function(number):!Object} init Function that builds the hook's
+ *     initial data, given its index.
+ * @return {!Object}
+ * @private
+ */
+function getHook_(component, type, init) {
+	const index = component.hookIndex_++;
+	if (!component.hooks_[index]) {
+		component.hooks_[index] = init(index);
+		component.hooks_[index].type = type;
+	} else if (component.hooks_[index].type !== type) {
+		throw new Error(
+			'Error. Hooks must be called in the same order on every render.'
+		);
+	}
+	return component.hooks_[index];
+}
+
+/**
+ * Gets the function component that is currently rendering. Plain function
+ * tags called by it render inline, as part of it, so they can't use hooks,
+ * since their calls would be mixed with the component's own.
+ * @return {!FunctionComponent}
+ * @private
+ */
+function getRenderingComponent_() {
+	const component = renderingComponents_[renderingComponents_.length - 1];
+	if (!component) {
+		throw new Error(
+			'Error. Hooks can only be called while rendering a function component.'
+		);
+	}
+	if (
+		component.getRenderer().getFunctionTagDepth() !==
+		component.functionTagDepth_
+	) {
+		throw new Error(
+			'Error. Hooks can\'t be called by plain function tags. Wrap the ' +
+				'function via `toComponent` to use it as a function component.'
+		);
+	}
+	return component;
+}
+
+/**
+ * Gets the current value of the given `useState` hook.
+ * @param {!FunctionComponent} component
+ * @param {!Object} hook
+ * @return {*}
+ * @private
+ */
+function getStateValue_(component, hook) {
+	const states = component.state.hookStates;
+	return hook.index in states ? states[hook.index] : hook.initialValue;
+}
+
+/**
+ * Updates the value of the given `useState` hook through the component's
+ * state, unless it's the same as the current one.
+ * @param {!FunctionComponent} component
+ * @param {!Object} hook
+ * @param {*} value The new value, or a function that receives the current
+ *     value and returns the new one.
+ * @private
+ */
+function setStateValue_(component, hook, value) {
+	if (component.isDisposed()) {
+		return;
+	}
+	const prevValue = getStateValue_(component, hook);
+	if (isFunction(value)) {
+		value = value(prevValue);
+	}
+	if (value !== prevValue) {
+		const states = component.state.hookStates.slice();
+		states[hook.index] = value;
+		component.setState({
+			hookStates: states,
+		});
+	}
+}
+
+/**
+ * Creates a component constructor that renders via the given function, which
+ * receives the component's props and can call hooks. The same constructor is
+ * returned when called again for the same function. Plain functions used as
+ * tags render inline, as part of the component that calls them, so calling
+ * hooks in them throws an error. Example:
+ *
+ * <code>
+ * const Counter = toComponent(props => {
+ *   const [count, setCount] = useState(props.initialCount);
+ *   return <button onClick={() => setCount(count + 1)}>{count}</button>;
+ * });
+ *
+ * <Counter initialCount={1} />
+ * </code>
+ * @param {!function(!Object)} fn
+ * @return {!function()}
+ */
+export function toComponent(fn) {
+	if (!fn[FUNCTION_COMPONENT]) {
+		/**
+		 * Function component that renders via `fn`.
+		 */
+		class Ctor extends FunctionComponent {}
+		Ctor.RENDER_FN = fn;
+		fn[FUNCTION_COMPONENT] = Ctor;
+	}
+	return fn[FUNCTION_COMPONENT];
+}
+
+/**
+ * Returns the current value of the given context (see `createContext`). The
+ * component is updated whenever this value changes.
+ * @param {!Object} context
+ * @return {*}
+ */
+export function useContext(context) {
+	const component = getRenderingComponent_();
+	const hook = getHook_(component, 'context', index => ({
+		key: `__hook_${index}`,
+	}));
+	return component.getRenderer().readContext(component, context, hook.key);
+}
+
+/**
+ * Schedules a side effect to run after the component renders. It only runs
+ * again when any of the given dependencies change (or after every render if
+ * none are given). The function may return a cleanup function, which is
+ * called before the effect runs again and when the component is disposed.
+ * @param {!function():(function()|undefined)} fn
+ * @param {Array=} deps
+ */
+export function useEffect(fn, deps) {
+	const hook = getHook_(getRenderingComponent_(), 'effect', () => ({}));
+	if (depsChanged_(hook.deps, deps)) {
+		hook.deps = deps;
+		hook.fn = fn;
+		hook.pending = true;
+	}
+}
+
+/**
+ * Returns the value computed by the given function, only computing it again
+ * when any of the given dependencies change.
+ * @param {!function():*} fn
+ * @param {Array=} deps
+ * @return {*}
+ */
+export function useMemo(fn, deps) {
+	const hook = getHook_(getRenderingComponent_(), 'memo', () => ({}));
+	if (depsChanged_(hook.deps, deps)) {
+		hook.deps = deps;
+		hook.value = fn();
+	}
+	return hook.value;
+}
+
+/**
+ * Returns a mutable object, whose `current` property starts with the given
+ * value. The same object is returned on every render.
+ * @param {*} initialValue
+ * @return {!{current: *}}
+ */
+export function useRef(initialValue) {
+	const hook = getHook_(getRenderingComponent_(), 'ref', () => ({
+		ref: {
+			current: initialValue,
+		},
+	}));
+	return hook.ref;
+}
+
+/**
+ * Returns a state value and a function that updates it. Values are stored in
+ * the component's state, so updates are batched with other state changes,
+ * rerendering the component only once. The update function also accepts a
+ * function, which receives the current value and returns the new one.
+ * @param {*} initialValue The initial value, or a function that returns it.
+ * @return {!Array} The current value and its update function.
+ */
+export function useState(initialValue) {
+	const component = getRenderingComponent_();
+	const hook = getHook_(component, 'state', index => ({
+		index,
+		initialValue: isFunction(initialValue) ? initialValue() : initialValue,
+	}));
+	if (!hook.setValue) {
+		hook.setValue = value => setStateValue_(component, hook, value);
+	}
+	return [getStateValue_(component, hook), hook.setValue];
+}
@@ -2,6 +2,7 @@
 
 import {async} from 'metal';
 import dom from 'metal-dom';
+import {createContext, Suspense} from 'metal-incremental-dom';
 import JSXComponent from '../src/JSXComponent';
 
 describe('JSXComponent', function() {
@@ -277,6 +278,37 @@ describe('JSXComponent', function() {
 			assert.strictEqual('defaultFoo', component.state.foo);
 		});
 
+		it('should recompute computed state that reads props when they change', function(
+			done
+		) {
+			class TestComponent extends JSXComponent {
+				render() {
+					return <div>{this.state.greeting}</div>;
+				}
+			}
+			TestComponent.PROPS = {
+				name: {
+					value: 'John',
+				},
+			};
+			TestComponent.STATE = {
+				greeting: {
+					computed() {
+						return `Hello, ${this.props.name}`;
+					},
+				},
+			};
+
+			component = new TestComponent();
+			assert.strictEqual('Hello, John', component.element.textContent);
+
+			component.props.name = 'Jane';
+			component.once('rendered', function() {
+				assert.strictEqual('Hello, Jane', component.element.textContent);
+				done();
+			});
+		});
+
 		it('should call "propsChanged" when new props are passed', function(done) {
 			class ChildComponent extends JSXComponent {
 				render() {
@@ -754,6 +786,264 @@ describe('JSXComponent', function() {
 		});
 	});
 
+	describe('Context', function() {
+		it('should update consumers when the provided value changes', function(
+			done
+		) {
+			const ThemeContext = createContext('light');
+
+			class ButtonComponent extends JSXComponent {
+				render() {
+					return <button class={this.context.theme} />;
+				}
+			}
+			ButtonComponent.CONTEXT = {
+				theme: ThemeContext,
+			};
+
+			class ToolbarComponent extends JSXComponent {
+				render() {
+					return (
+						<div>
+							<ButtonComponent />
+						</div>
+					);
+				}
+
+				shouldUpdate() {
+					return false;
+				}
+			}
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<div>
+							<ThemeContext.Provider value={this.state.theme}>
+								<ToolbarComponent />
+								<ButtonComponent />
+							</ThemeContext.Provider>
+						</div>
+					);
+				}
+			}
+			TestComponent.STATE = {
+				theme: {
+					value: 'dark',
+				},
+			};
+
+			component = new TestComponent();
+			const buttons = component.element.querySelectorAll('button');
+			assert.strictEqual(2, buttons.length);
+			assert.strictEqual('dark', buttons[0].className);
+			assert.strictEqual('dark', buttons[1].className);
+
+			component.setState({
+				theme: 'blue',
+			});
+			component.once('stateSynced', function() {
+				assert.strictEqual('blue', buttons[0].className);
+				assert.strictEqual('blue', buttons[1].className);
+				done();
+			});
+		});
+	});
+
+	describe('Suspense', function() {
+		it('should render the fallback until the data components wait for is loaded', function(
+			done
+		) {
+			let user = null;
+			const promise = Promise.resolve().then(() => (user = 'Foo'));
+
+			class UserComponent extends JSXComponent {
+				render() {
+					if (!user) {
+						throw promise;
+					}
+					return <span>{user}</span>;
+				}
+			}
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<div>
+							<Suspense fallback={<b>Loading</b>} ref="suspense">
+								<UserComponent />
+							</Suspense>
+						</div>
+					);
+				}
+			}
+
+			component = new TestComponent();
+			const suspense = component.refs.suspense;
+			suspense.once('stateSynced', function() {
+				assert.strictEqual(
+					'<div><b>Loading</b></div>',
+					component.element.outerHTML
+				);
+				suspense.once('stateSynced', function() {
+					assert.strictEqual(
+						'<div><span>Foo</span></div>',
+						component.element.outerHTML
+					);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('Error Boundaries', function() {
+		it('should render fallback content set via "getDerivedStateFromError"', function(
+			done
+		) {
+			class ChildComponent extends JSXComponent {
+				render() {
+					throw new Error('Child error');
+				}
+			}
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<div>
+							{this.state.error ? this.state.error : <ChildComponent />}
+							<span>Sibling</span>
+						</div>
+					);
+				}
+
+				static getDerivedStateFromError(error) {
+					return {
+						error: error.message,
+					};
+				}
+			}
+			TestComponent.STATE = {
+				error: {
+					value: null,
+				},
+			};
+
+			component = new TestComponent();
+			assert.strictEqual('<span>Sibling</span>', component.element.innerHTML);
+
+			component.once('stateSynced', function() {
+				assert.strictEqual(
+					'Child error<span>Sibling</span>',
+					component.element.innerHTML
+				);
+				done();
+			});
+		});
+	});
+
+	describe('Hydration', function() {
+		afterEach(function() {
+			document.body.innerHTML = '';
+		});
+
+		it('should hydrate server rendered markup without recreating elements', function() {
+			class ChildComponent extends JSXComponent {
+				render() {
+					return <li class="item">{this.props.label}</li>;
+				}
+			}
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<div>
+							<h1>{this.props.title}</h1>
+							<ul ref="list">
+								{this.props.items.map(item => <ChildComponent label={item} />)}
+							</ul>
+							<button onClick={this.handleClick.bind(this)} />
+						</div>
+					);
+				}
+			}
+			TestComponent.prototype.handleClick = sinon.stub();
+
+			const config = {
+				items: ['foo', 'bar'],
+				title: 'Hello',
+			};
+			const container = document.createElement('div');
+			container.innerHTML = JSXComponent.renderToString(TestComponent, config);
+			document.body.appendChild(container);
+			const element = container.childNodes[0];
+			const nodes = [
+				element.childNodes[0],
+				element.childNodes[1],
+				element.childNodes[1].childNodes[0],
+				element.childNodes[1].childNodes[1],
+				element.childNodes[2],
+			];
+
+			const listener = sinon.stub();
+			config.events = {
+				hydrationMismatch: listener,
+			};
+			component = JSXComponent.hydrate(TestComponent, config, element);
+
+			assert.strictEqual(0, listener.callCount);
+			assert.strictEqual(element, component.element);
+			assert.strictEqual(nodes[0], element.childNodes[0]);
+			assert.strictEqual(nodes[1], component.refs.list);
+			assert.strictEqual(nodes[2], element.childNodes[1].childNodes[0]);
+			assert.strictEqual(nodes[3], element.childNodes[1].childNodes[1]);
+			assert.strictEqual(nodes[4], element.childNodes[2]);
+
+			dom.triggerEvent(nodes[4], 'click');
+			assert.strictEqual(1, component.handleClick.callCount);
+		});
+
+		it('should keep reusing hydrated elements on updates', function(done) {
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<div>
+							{this.props.showTitle && <h1>Title</h1>}
+							<p>{this.props.text}</p>
+						</div>
+					);
+				}
+			}
+			TestComponent.PROPS = {
+				showTitle: {},
+				text: {},
+			};
+
+			const container = document.createElement('div');
+			container.innerHTML = JSXComponent.renderToString(TestComponent, {
+				text: 'foo',
+			});
+			const paragraph = container.childNodes[0].childNodes[0];
+
+			component = JSXComponent.hydrate(
+				TestComponent,
+				{
+					text: 'foo',
+				},
+				container.childNodes[0]
+			);
+			component.props.showTitle = true;
+			component.props.text = 'bar';
+			component.once('stateSynced', function() {
+				const children = component.element.childNodes;
+				assert.strictEqual(2, children.length);
+				assert.strictEqual('H1', children[0].tagName);
+				assert.strictEqual(paragraph, children[1]);
+				assert.strictEqual('bar', paragraph.textContent);
+				done();
+			});
+		});
+	});
+
 	describe('otherProps', function() {
 		let component;
 
@@ -284,6 +284,48 @@ describe('JSXRenderer', function() {
 		});
 	});
 
+	it('should pass both previous state and props to getSnapshotBeforeUpdate and didUpdate', function(
+		done
+	) {
+		class TestComponent extends TestJSXComponent {
+			getSnapshotBeforeUpdate(prevState, prevProps) {
+				return `${prevState.foo}:${prevProps.bar}`;
+			}
+
+			render() {
+				return (
+					<div>
+						{this.state.foo}:{this.props.bar}
+					</div>
+				);
+			}
+		}
+		TestComponent.PROPS = {
+			bar: {
+				value: 'bar',
+			},
+		};
+		TestComponent.STATE = {
+			foo: {
+				value: 'foo',
+			},
+		};
+
+		component = new TestComponent();
+		component.didUpdate = sinon.stub();
+		component.props.bar = 'bar2';
+		component.state.foo = 'foo2';
+		component.once('stateSynced', function() {
+			sinon.assert.calledOnce(component.didUpdate);
+			const args = component.didUpdate.args[0];
+			assert.strictEqual('foo', args[0].foo);
+			assert.strictEqual('bar', args[1].bar);
+			assert.strictEqual('foo:bar', args[2]);
+			assert.strictEqual('foo2:bar2', component.element.textContent);
+			done();
+		});
+	});
+
 	it('should reuse elements correctly when child skips update', function(done) {
 		class ChildComponent extends TestJSXComponent {
 			render() {
@@ -0,0 +1,447 @@
+'use strict';
+
+import {createContext} from 'metal-incremental-dom';
+import JSXComponent from '../src/JSXComponent';
+import {
+	toComponent,
+	useContext,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+} from '../src/hooks';
+
+describe('hooks', function() {
+	let component;
+
+	afterEach(function() {
+		if (component) {
+			component.dispose();
+		}
+	});
+
+	describe('toComponent', function() {
+		it('should render the function with the component\'s props', function() {
+			const Greeting = toComponent(props => <div>Hello {props.name}</div>);
+
+			component = new Greeting({
+				name: 'Foo',
+			});
+			assert.strictEqual('DIV', component.element.tagName);
+			assert.strictEqual('Hello Foo', component.element.textContent);
+		});
+
+		it('should return the same constructor for the same function', function() {
+			const fn = () => <div />;
+			assert.strictEqual(toComponent(fn), toComponent(fn));
+			assert.ok(toComponent(fn).prototype instanceof JSXComponent);
+		});
+
+		it('should render function components inside other components', function() {
+			const Item = toComponent(props => <li>{props.label}</li>);
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<ul>
+							<Item label="a" />
+							<Item label="b" />
+						</ul>
+					);
+				}
+			}
+
+			component = new TestComponent();
+			assert.strictEqual('<li>a</li><li>b</li>', component.element.innerHTML);
+		});
+	});
+
+	describe('useState', function() {
+		it('should return the initial value and rerender when it\'s updated', function(
+			done
+		) {
+			let setCount;
+			const Counter = toComponent(() => {
+				const [count, setter] = useState(1);
+				setCount = setter;
+				return <span>{count}</span>;
+			});
+
+			component = new Counter();
+			assert.strictEqual('1', component.element.textContent);
+
+			setCount(2);
+			component.once('stateSynced', function() {
+				assert.strictEqual('2', component.element.textContent);
+				done();
+			});
+		});
+
+		it('should accept functions for the initial and the updated values', function(
+			done
+		) {
+			let setCount;
+			const Counter = toComponent(() => {
+				const [count, setter] = useState(() => 1);
+				setCount = setter;
+				return <span>{count}</span>;
+			});
+
+			component = new Counter();
+			setCount(count => count + 1);
+			setCount(count => count + 1);
+			component.once('stateSynced', function() {
+				assert.strictEqual('3', component.element.textContent);
+				done();
+			});
+		});
+
+		it('should batch multiple updates into a single render', function(done) {
+			const render = sinon.stub();
+			let setters;
+			const TestComponent = toComponent(() => {
+				const [foo, setFoo] = useState('foo');
+				const [bar, setBar] = useState('bar');
+				setters = [setFoo, setBar];
+				render();
+				return (
+					<div>
+						{foo}
+						{bar}
+					</div>
+				);
+			});
+
+			component = new TestComponent();
+			render.reset();
+
+			setters[0]('foo2');
+			setters[1]('bar2');
+			component.once('stateSynced', function() {
+				assert.strictEqual(1, render.callCount);
+				assert.strictEqual('foo2bar2', component.element.textContent);
+				done();
+			});
+		});
+
+		it('should not update when the value doesn\'t change', function() {
+			let setValue;
+			const TestComponent = toComponent(() => {
+				const [value, setter] = useState('foo');
+				setValue = setter;
+				return <div>{value}</div>;
+			});
+
+			component = new TestComponent();
+			const listener = sinon.stub();
+			component.on('stateChanged', listener);
+
+			setValue('foo');
+			assert.strictEqual(0, listener.callCount);
+		});
+
+		it('should keep state separate for each instance', function(done) {
+			const setters = [];
+			const Item = toComponent(props => {
+				const [value, setValue] = useState(props.value);
+				setters.push(setValue);
+				return <li>{value}</li>;
+			});
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<ul>
+							<Item value="a" />
+							<Item value="b" />
+						</ul>
+					);
+				}
+			}
+
+			component = new TestComponent();
+			setters[1]('c');
+			setTimeout(function() {
+				assert.strictEqual('<li>a</li><li>c</li>', component.element.innerHTML);
+				done();
+			}, 0);
+		});
+	});
+
+	describe('useEffect', function() {
+		it('should run effects after rendering, only when dependencies change', function(
+			done
+		) {
+			const effect = sinon.stub();
+			const TestComponent = toComponent(props => {
+				useEffect(() => effect(props.foo), [props.foo]);
+				return <div>{props.foo}</div>;
+			});
+
+			class ParentComponent extends JSXComponent {
+				render() {
+					return <TestComponent bar={this.state.bar} foo={this.state.foo} />;
+				}
+			}
+			ParentComponent.STATE = {
+				bar: {
+					value: 'bar',
+				},
+				foo: {
+					value: 'foo',
+				},
+			};
+
+			component = new ParentComponent();
+			assert.strictEqual(1, effect.callCount);
+			assert.strictEqual('foo', effect.args[0][0]);
+
+			component.setState({
+				bar: 'bar2',
+			});
+			component.once('stateSynced', function() {
+				assert.strictEqual(1, effect.callCount);
+
+				component.setState({
+					foo: 'foo2',
+				});
+				component.once('stateSynced', function() {
+					assert.strictEqual(2, effect.callCount);
+					assert.strictEqual('foo2', effect.args[1][0]);
+					done();
+				});
+			});
+		});
+
+		it('should run the previous cleanup before running the effect again', function(
+			done
+		) {
+			const calls = [];
+			let setCount;
+			const TestComponent = toComponent(() => {
+				const [count, setter] = useState(0);
+				setCount = setter;
+				useEffect(() => {
+					calls.push(`effect${count}`);
+					return () => calls.push(`cleanup${count}`);
+				});
+				return <div>{count}</div>;
+			});
+
+			component = new TestComponent();
+			setCount(1);
+			component.once('stateSynced', function() {
+				assert.deepEqual(['effect0', 'cleanup0', 'effect1'], calls);
+				done();
+			});
+		});
+
+		it('should run cleanups when the component is disposed', function() {
+			const cleanup = sinon.stub();
+			const TestComponent = toComponent(() => {
+				useEffect(() => cleanup, []);
+				return <div />;
+			});
+
+			component = new TestComponent();
+			assert.strictEqual(0, cleanup.callCount);
+
+			component.dispose();
+			assert.strictEqual(1, cleanup.callCount);
+		});
+
+		it('should run cleanups when the component stops being rendered', function(
+			done
+		) {
+			const cleanup = sinon.stub();
+			const ChildComponent = toComponent(() => {
+				useEffect(() => cleanup, []);
+				return <span />;
+			});
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return <div>{this.state.show && <ChildComponent />}</div>;
+				}
+			}
+			TestComponent.STATE = {
+				show: {
+					value: true,
+				},
+			};
+
+			component = new TestComponent();
+			component.setState({
+				show: false,
+			});
+			component.once('stateSynced', function() {
+				assert.strictEqual(1, cleanup.callCount);
+				done();
+			});
+		});
+	});
+
+	describe('useMemo', function() {
+		it('should only compute the value again when dependencies change', function(
+			done
+		) {
+			const compute = sinon.spy(value => value.toUpperCase());
+			let setters;
+			const TestComponent = toComponent(() => {
+				const [foo, setFoo] = useState('foo');
+				const [bar, setBar] = useState('bar');
+				setters = [setFoo, setBar];
+				const upper = useMemo(() => compute(foo), [foo]);
+				return (
+					<div>
+						{upper}
+						{bar}
+					</div>
+				);
+			});
+
+			component = new TestComponent();
+			assert.strictEqual(1, compute.callCount);
+
+			setters[1]('bar2');
+			component.once('stateSynced', function() {
+				assert.strictEqual(1, compute.callCount);
+				assert.strictEqual('FOObar2', component.element.textContent);
+
+				setters[0]('foo2');
+				component.once('stateSynced', function() {
+					assert.strictEqual(2, compute.callCount);
+					assert.strictEqual('FOO2bar2', component.element.textContent);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('useRef', function() {
+		it('should return the same object on every render', function(done) {
+			const refs = [];
+			let setCount;
+			const TestComponent = toComponent(() => {
+				const ref = useRef('foo');
+				const [count, setter] = useState(0);
+				setCount = setter;
+				refs.push(ref);
+				return <div>{count}</div>;
+			});
+
+			component = new TestComponent();
+			assert.strictEqual('foo', refs[0].current);
+
+			setCount(1);
+			component.once('stateSynced', function() {
+				assert.strictEqual(2, refs.length);
+				assert.strictEqual(refs[0], refs[1]);
+				done();
+			});
+		});
+	});
+
+	describe('useContext', function() {
+		it('should return the closest provided value and update with it', function(
+			done
+		) {
+			const ThemeContext = createContext('light');
+			const Button = toComponent(() => {
+				const theme = useContext(ThemeContext);
+				return <button class={theme} />;
+			});
+
+			class TestComponent extends JSXComponent {
+				render() {
+					return (
+						<div>
+							<Button />
+							<ThemeContext.Provider value={this.state.theme}>
+								<Button />
+							</ThemeContext.Provider>
+						</div>
+					);
+				}
+			}
+			TestComponent.STATE = {
+				theme: {
+					value: 'dark',
+				},
+			};
+
+			component = new TestComponent();
+			const buttons = component.element.querySelectorAll('button');
+			assert.strictEqual('light', buttons[0].className);
+			assert.strictEqual('dark', buttons[1].className);
+
+			component.setState({
+				theme: 'blue',
+			});
+			component.once('stateSynced', function() {
+				assert.strictEqual('light', buttons[0].className);
+				assert.strictEqual('blue', buttons[1].className);
+				done();
+			});
+		});
+	});
+
+	it('should throw error when hooks are called outside of function components', function() {
+		assert.throws(() => useState(1));
+	});
+
+	it('should throw error when hooks are called by plain function tags', function() {
+		const Label = props => {
+			useState(0);
+			return <span>{props.text}</span>;
+		};
+		const TestComponent = toComponent(() => {
+			useState(1);
+			return (
+				<div>
+					<Label text="foo" />
+				</div>
+			);
+		});
+
+		assert.throws(() => new TestComponent(), /toComponent/);
+	});
+
+	it('should allow function components inside plain function tags', function() {
+		const Counter = toComponent(props => {
+			const [count] = useState(props.start);
+			return <b>{count}</b>;
+		});
+		const Wrapper = props => <span>{props.children}</span>;
+		const TestComponent = toComponent(() => {
+			const [text] = useState('foo');
+			return (
+				<div>
+					<Wrapper>
+						<Counter start={2} />
+					</Wrapper>
+					{text}
+				</div>
+			);
+		});
+
+		component = new TestComponent();
+		assert.strictEqual('<span><b>2</b></span>foo', component.element.innerHTML);
+	});
+
+	it('should throw error when hooks are called in a different order', function() {
+		let flag = true;
+		const TestComponent = toComponent(() => {
+			if (flag) {
+				useRef();
+			} else {
+				useMemo(() => null);
+			}
+			return <div />;
+		});
+
+		component = new TestComponent();
+		flag = false;
+		assert.throws(() => component.forceUpdate());
+	});
+});
@@ -4,7 +4,10 @@ import 'metal-soy-bundle';
 import {ComponentRegistry} from 'metal-component';
 import {isFunction, isObject, isString, object} from 'metal';
 import {validators, Config} from 'metal-state';
-import IncrementalDomRenderer, {HTML2IncDom} from 'metal-incremental-dom';
+import IncrementalDomRenderer, {
+	createContext,
+	HTML2IncDom,
+} from 'metal-incremental-dom';
 import SoyAop from './SoyAop';
 
 // The injected data that will be passed to soy templates.
@@ -43,8 +46,10 @@ class Soy extends IncrementalDomRenderer.constructor {
 	 * template call's data. The copying needs to be done because, if the component
 	 * itself is passed directly, some problems occur when soy tries to merge it
 	 * with other data, due to property getters and setters. This is safer.
-	 * Also calls the component's "prepareStateForRender" to let it change the
-	 * data passed to the template.
+	 * Values read from the contexts declared in the component's static
+	 * `CONTEXT` object are passed as well, under the same keys. Also calls the
+	 * component's "prepareStateForRender" to let it change the data passed to
+	 * the template.
 	 * @param {!Component} component
 	 * @param {!Array<string>} params The params used by this template.
 	 * @return {!Object}
@@ -60,6 +65,11 @@ class Soy extends IncrementalDomRenderer.constructor {
 			data[key] = value;
 		});
 
+		const contexts = component.constructor.CONTEXT || {};
+		Object.keys(contexts).forEach(key => {
+			data[key] = component.context[key];
+		});
+
 		for (let i = 0; i < params.length; i++) {
 			if (!data[params[i]] && isFunction(component[params[i]])) {
 				data[params[i]] = component[params[i]].bind(component);
@@ -243,4 +253,4 @@ const soyRenderer_ = new Soy();
 soyRenderer_.RENDERER_NAME = 'soy';
 
 export default soyRenderer_;
-export {Config, soyRenderer_ as Soy, SoyAop, validators};
+export {Config, createContext, soyRenderer_ as Soy, SoyAop, validators};
@@ -23,7 +23,7 @@ import {Script as ScriptComponent} from './assets/Script.soy.js';
 import {Style as StyleComponent} from './assets/Style.soy.js';
 import {TemplateData as TemplateDataComponent} from './assets/TemplateData.soy.js';
 
-import Soy from '../src/Soy';
+import Soy, {createContext} from '../src/Soy';
 
 describe('Soy', function() {
 	let comp;
@@ -410,6 +410,59 @@ describe('Soy', function() {
 		});
 	});
 
+	describe('Context', function() {
+		let NameContext;
+
+		beforeEach(function() {
+			NameContext = createContext('World');
+			HelloWorldComponent.CONTEXT = {
+				name: NameContext,
+			};
+		});
+
+		afterEach(function() {
+			delete HelloWorldComponent.CONTEXT;
+		});
+
+		it('should pass the default context value to the template', function() {
+			comp = new HelloWorldComponent();
+			assert.strictEqual('Hello World!', comp.element.textContent);
+		});
+
+		it('should pass values from the closest provider to the template', function(
+			done
+		) {
+			class TestComponent extends Component {
+				render() {
+					IncrementalDOM.elementOpen(
+						NameContext.Provider,
+						null,
+						null,
+						'value',
+						this.name
+					);
+					IncrementalDOM.elementVoid(HelloWorldComponent);
+					IncrementalDOM.elementClose(NameContext.Provider);
+				}
+			}
+			TestComponent.RENDERER = Soy;
+			TestComponent.STATE = {
+				name: {
+					value: 'Foo',
+				},
+			};
+
+			comp = new TestComponent();
+			assert.strictEqual('Hello Foo!', comp.element.textContent);
+
+			comp.name = 'Bar';
+			comp.once('stateSynced', function() {
+				assert.strictEqual('Hello Bar!', comp.element.textContent);
+				done();
+			});
+		});
+	});
+
 	describe('Soy.getTemplate', function() {
 		it('should not throw error if called for undeclared namespace', function() {
 			assert.doesNotThrow(() =>
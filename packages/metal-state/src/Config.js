@@ -134,6 +134,32 @@ const Config = {
 	 */
 	string: setPrimitiveValidators('string'),
 
+	/**
+	 * Adds a function that derives the key's value from other state keys to
+	 * the `State` configuration. The key becomes read-only, and its value is
+	 * cached until one of the keys read by the function changes.
+	 * @param {!function()|string} computed
+	 * @return {!Object} `State` configuration object.
+	 */
+	computed(computed) {
+		return mergeConfig(this, {
+			computed,
+		});
+	},
+
+	/**
+	 * Adds the comparison used to check if a new value is equal to the previous
+	 * one to the `State` configuration, in which case no change is informed.
+	 * @param {!function(*, *):boolean|string} equals A function that returns
+	 *   true if both values are equal, or either "shallow" or "deep".
+	 * @return {!Object} `State` configuration object.
+	 */
+	equals(equals) {
+		return mergeConfig(this, {
+			equals,
+		});
+	},
+
 	/**
 	 * Adds the `internal` flag to the `State` configuration.
 	 * @param {boolean} internal Flag to set "internal" to. True by default.
@@ -145,6 +171,19 @@ const Config = {
 		});
 	},
 
+	/**
+	 * Adds the options for persisting the key's value to the `State`
+	 * configuration. See `loadPersistedValue` for all available options.
+	 * @param {string} key The key the value should be stored with.
+	 * @param {Object=} options Other options, like `storage` and `version`.
+	 * @return {!Object} `State` configuration object.
+	 */
+	persist(key, options) {
+		return mergeConfig(this, {
+			persist: Object.assign({key}, options),
+		});
+	},
+
 	/**
 	 * Adds the `required` flag to the `State` configuration.
 	 * @param {boolean} required Flag to set "required" to. True by default.
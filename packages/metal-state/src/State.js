@@ -1,7 +1,6 @@
 'use strict';
 
 import {
-	async,
 	getStaticProperty,
 	isDef,
 	isDefAndNotNull,
@@ -9,8 +8,19 @@ import {
 	isObject,
 	isString,
 	object,
+	scheduler,
 } from 'metal';
 import {EventEmitter} from 'metal-events';
+import {loadPersistedValue, savePersistedValue} from './persistence';
+
+/**
+ * The state keys read while a computed value is being calculated, or null if
+ * none is. Keys of the instance calculating the value are kept in `keys`,
+ * while keys of other instances are kept in `external`, grouped by instance.
+ * @type {?{external: !Array<!Object>, keys: !Object<string, boolean>, state: !State}}
+ * @private
+ */
+let tracker_ = null;
 
 /**
  * State adds support for having object properties that can be watched for
@@ -40,6 +50,30 @@ class State extends EventEmitter {
 		 */
 		this.context_ = context || this;
 
+		/**
+		 * Function that returns the depth of this instance's owner in a tree
+		 * (like the component tree), used to order batch events. See
+		 * `setBatchDepthFn`.
+		 * @type {function():number}
+		 * @protected
+		 */
+		this.batchDepthFn_ = null;
+
+		/**
+		 * Priority that changes made right now should be scheduled with, or null
+		 * to use the default one.
+		 * @type {?number}
+		 * @protected
+		 */
+		this.batchPriority_ = null;
+
+		/**
+		 * Names of the state keys that are configured as `computed`.
+		 * @type {!Array<string>}
+		 * @protected
+		 */
+		this.computedKeys_ = [];
+
 		/**
 		 * Map of keys that can not be used as state keys.
 		 * @type {Object<string, boolean>}
@@ -64,6 +98,14 @@ class State extends EventEmitter {
 		 */
 		this.scheduledBatchData_ = null;
 
+		/**
+		 * Priority that the currently scheduled batch event was scheduled with,
+		 * or null if none is scheduled.
+		 * @type {?number}
+		 * @protected
+		 */
+		this.scheduledBatchPriority_ = null;
+
 		/**
 		 * Object that contains information about all this instance's state keys.
 		 * @type {!Object<string, !Object>}
@@ -73,6 +115,14 @@ class State extends EventEmitter {
 
 		this.stateConfigs_ = {};
 
+		/**
+		 * Other instances with computed keys that read keys from this one, and
+		 * so need to be informed when they change.
+		 * @type {!Array<!State>}
+		 * @protected
+		 */
+		this.dependentStates_ = [];
+
 		this.initialValues_ = object.mixin({}, config);
 
 		this.setShouldUseFacade(true);
@@ -85,6 +135,18 @@ class State extends EventEmitter {
 		});
 	}
 
+	/**
+	 * Registers another instance with computed keys that read keys from this
+	 * one, so that it's informed when they change.
+	 * @param {!State} state
+	 * @protected
+	 */
+	addDependentState_(state) {
+		if (this.dependentStates_.indexOf(state) === -1) {
+			this.dependentStates_.push(state);
+		}
+	}
+
 	/**
 	 * Logs an error if the given property is required but wasn't given.
 	 * @param {string} name
@@ -179,6 +241,31 @@ class State extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Checks if the given values for a state key are equal, according to the
+	 * key's `equals` config.
+	 * @param {string} name The name of the key.
+	 * @param {*} prevVal
+	 * @param {*} newVal
+	 * @return {boolean}
+	 * @protected
+	 */
+	callEquals_(name, prevVal, newVal) {
+		const equals = this.stateConfigs_[name].equals;
+		if (equals === 'deep') {
+			return object.deepEqual(prevVal, newVal);
+		} else if (equals === 'shallow') {
+			return (
+				prevVal === newVal ||
+				(isObjectOrArray_(prevVal) &&
+					isObjectOrArray_(newVal) &&
+					Array.isArray(prevVal) === Array.isArray(newVal) &&
+					object.shallowEqual(prevVal, newVal))
+			);
+		}
+		return !!this.callFunction_(equals, [prevVal, newVal]);
+	}
+
 	/**
 	 * Calls the state key's setter, if there is one.
 	 * @param {string} name The name of the key.
@@ -223,13 +310,38 @@ class State extends EventEmitter {
 	 * @return {boolean}
 	 */
 	canSetState(name) {
+		const config = this.stateConfigs_[name];
+		if (config.computed) {
+			return false;
+		}
 		const info = this.getStateInfo(name);
-		return !this.stateConfigs_[name].writeOnce || !info.written;
+		return !config.writeOnce || !info.written;
 	}
 
 	/**
 	 * Adds the given key(s) to the state, together with its(their) configs.
 	 * Config objects support the given settings:
+	 *     computed - Function that derives the key's value from other state
+	 *     keys. It's only called when the value is read, and the result is
+	 *     cached until one of the keys it read changes, including keys of other
+	 *     `State` instances (like a component's `props`, read from its
+	 *     `state`). Changes to computed values are informed via events like any
+	 *     other key, but they can't be set directly. Since the keys a computed
+	 *     value depends on are only known once it's calculated, no change
+	 *     events are emitted for it before it's read for the first time.
+	 *
+	 *     equals - How to check if a new value is equal to the previous one, in
+	 *     which case no change is informed. Can be "shallow" (for comparing the
+	 *     keys directly contained by objects and arrays), "deep" or a function
+	 *     that receives both values and returns true if they're equal. When not
+	 *     given, changes are always informed for objects and arrays, since they
+	 *     may have been changed in place.
+	 *
+	 *     persist - Object with the options for persisting the key's value in a
+	 *     storage, such as its `key` (see `loadPersistedValue`). The persisted
+	 *     value is used as the initial value when none is given, and it's
+	 *     updated whenever the value changes.
+	 *
 	 *     required - When set to `true`, causes errors to be printed (via
 	 *     `console.error`) if no value is given for the property.
 	 *
@@ -273,11 +385,16 @@ class State extends EventEmitter {
 		}
 
 		this.stateConfigs_ = configs;
+		this.computedKeys_ = [];
 		for (let i = 0; i < names.length; i++) {
 			const name = names[i];
 			configs[name] = configs[name].config
 				? configs[name].config
 				: configs[name];
+			if (configs[name].computed) {
+				this.computedKeys_.push(name);
+			}
+			this.rehydrate_(names[i]);
 			this.assertGivenIfRequired_(names[i]);
 			this.validateInitialValue_(names[i]);
 		}
@@ -309,27 +426,72 @@ class State extends EventEmitter {
 	 * @inheritDoc
 	 */
 	disposeInternal() {
+		this.removeFromDependencies_();
+		this.dependentStates_ = null;
 		super.disposeInternal();
 		this.initialValues_ = null;
 		this.stateInfo_ = null;
 		this.stateConfigs_ = null;
 		this.scheduledBatchData_ = null;
+		this.batchDepthFn_ = null;
+		this.computedKeys_ = null;
 	}
 
 	/**
-	 * Emits the state change batch event.
+	 * Emits the events informing that a state key's value has changed.
+	 * @param {string} name The name of the key.
+	 * @param {*} prevVal The previous value of the key.
+	 * @protected
+	 */
+	emitChange_(name, prevVal) {
+		const data = object.mixin(
+			{
+				key: name,
+				newVal: this.get(name),
+				prevVal: prevVal,
+			},
+			this.eventData_
+		);
+		this.context_.emit(`${name}Changed`, data);
+		this.context_.emit('stateKeyChanged', data);
+		this.scheduleBatchEvent_(data);
+	}
+
+	/**
+	 * Emits the state change batch event. When the context is another object,
+	 * "stateChanged" is also emitted by this instance itself, so that changes
+	 * to a specific `State` can be listened to (like the separate ones used
+	 * for a component's state and props).
 	 * @protected
 	 */
 	emitBatchEvent_() {
-		if (!this.isDisposed()) {
+		if (!this.isDisposed() && this.scheduledBatchData_) {
 			this.context_.emit('stateWillChange', this.scheduledBatchData_);
 
 			const data = this.scheduledBatchData_;
 			this.scheduledBatchData_ = null;
+			this.scheduledBatchPriority_ = null;
 			this.context_.emit('stateChanged', data);
+			if (this.context_ !== this && !this.isDisposed()) {
+				this.emit('stateChanged', data);
+			}
 		}
 	}
 
+	/**
+	 * Emits the scheduled state change batch event right away, instead of
+	 * waiting for the next tick. Useful for tests that need to check the
+	 * results of state changes synchronously.
+	 * @return {boolean} True if there was a batch event to be emitted.
+	 */
+	flushBatchEvent() {
+		if (this.isDisposed() || !this.scheduledBatchData_) {
+			return false;
+		}
+		this.emitBatchEvent_();
+		return true;
+	}
+
 	/**
 	 * Returns the value of the requested state key.
 	 * Note: this can and should be accomplished by accessing the value as a
@@ -342,6 +504,85 @@ class State extends EventEmitter {
 		return this.obj_[name];
 	}
 
+	/**
+	 * Gets the value of the specified computed state key, calculating it if
+	 * it hasn't been yet or if any of the keys it depends on changed since.
+	 * The keys read during the calculation are tracked as its dependencies,
+	 * even if they belong to other instances.
+	 * @param {string} name The name of the key.
+	 * @return {*}
+	 * @protected
+	 */
+	getComputedValue_(name) {
+		const info = this.getStateInfo(name);
+		if (info.dependencies && !info.dirty) {
+			return info.value;
+		}
+		if (info.computing) {
+			throw new Error(
+				`The computed state key "${name}" depends on itself.`
+			);
+		}
+
+		const prevTracker = tracker_;
+		tracker_ = {
+			external: [],
+			keys: {},
+			state: this,
+		};
+		info.computing = true;
+		try {
+			info.value = this.callFunction_(this.stateConfigs_[name].computed, [
+				name,
+			]);
+		} finally {
+			info.computing = false;
+			info.dependencies = tracker_.keys;
+			info.externalDependencies = tracker_.external;
+			tracker_ = prevTracker;
+		}
+		info.externalDependencies.forEach(({source}) =>
+			source.addDependentState_(this)
+		);
+		info.dirty = false;
+		info.state = State.KeyStates.INITIALIZED;
+		return info.value;
+	}
+
+	/**
+	 * Gets the changes that will be informed by the state change batch event
+	 * that is scheduled, if any, mapped by the names of the keys.
+	 * @return {Object<string, !Object>}
+	 */
+	getScheduledChanges() {
+		return this.scheduledBatchData_
+			? this.scheduledBatchData_.changes
+			: null;
+	}
+
+	/**
+	 * Returns a JSON-safe snapshot of the state, which can be restored later
+	 * via `restoreSnapshot` (even by another instance, like on the client after
+	 * rendering on the server). Only keys whose values are primitives, or
+	 * arrays and plain objects made of them, are included. Computed keys are
+	 * left out, since they can be derived again.
+	 * @return {!Object<string, *>}
+	 */
+	getSnapshot() {
+		const snapshot = {};
+		const names = this.getStateKeys();
+		for (let i = 0; i < names.length; i++) {
+			const name = names[i];
+			if (!this.stateConfigs_[name].computed) {
+				const value = this.get(name);
+				if (isSerializable_(value)) {
+					snapshot[name] = value;
+				}
+			}
+		}
+		return snapshot;
+	}
+
 	/**
 	 * Returns an object that maps state keys to their values.
 	 * @param {Array<string>=} names A list of names of the keys that should
@@ -397,6 +638,12 @@ class State extends EventEmitter {
 	 */
 	getStateKeyValue_(name) {
 		if (!this.warnIfDisposed_(name)) {
+			if (tracker_) {
+				trackRead_(this, name);
+			}
+			if (this.stateConfigs_[name].computed) {
+				return this.getComputedValue_(name);
+			}
 			this.initStateKey_(name);
 			return this.getStateInfo(name).value;
 		}
@@ -412,6 +659,38 @@ class State extends EventEmitter {
 		return getStaticProperty(ctor, 'STATE', State.mergeState);
 	}
 
+	/**
+	 * Handles changes to keys of another instance, invalidating the computed
+	 * keys of this one that read them, and informing their changes.
+	 * @param {!State} source The instance whose keys changed.
+	 * @param {!Array<string>} names The names of the keys that changed.
+	 * @protected
+	 */
+	handleDependencyChange_(source, names) {
+		if (this.isDisposed()) {
+			return;
+		}
+		const invalidated = [];
+		for (let i = 0; i < this.computedKeys_.length; i++) {
+			const key = this.computedKeys_[i];
+			const info = this.getStateInfo(key);
+			if (!info.dirty && dependsOn_(info, source, names)) {
+				info.dirty = true;
+				invalidated.push({
+					key,
+					prevVal: info.value,
+				});
+			}
+		}
+		const count = invalidated.length;
+		for (let i = 0; i < count; i++) {
+			invalidated.push(
+				...this.invalidateComputedKeys_(invalidated[i].key)
+			);
+		}
+		this.informInvalidated_(invalidated);
+	}
+
 	/**
 	 * Checks if the value of the state key with the given name has already been
 	 * set. Note that this doesn't run the key's getter.
@@ -459,17 +738,39 @@ class State extends EventEmitter {
 	 */
 	informChange_(name, prevVal) {
 		if (this.shouldInformChange_(name, prevVal)) {
-			const data = object.mixin(
-				{
-					key: name,
-					newVal: this.get(name),
-					prevVal: prevVal,
-				},
-				this.eventData_
-			);
-			this.context_.emit(`${name}Changed`, data);
-			this.context_.emit('stateKeyChanged', data);
-			this.scheduleBatchEvent_(data);
+			const persist = this.stateConfigs_[name].persist;
+			if (persist) {
+				savePersistedValue(persist, this.get(name));
+			}
+			const invalidated = this.invalidateComputedKeys_(name);
+			this.emitChange_(name, prevVal);
+			this.informInvalidated_(invalidated, [name]);
+		}
+	}
+
+	/**
+	 * Informs changes to the given invalidated computed keys through events,
+	 * for the ones whose values really changed. Other instances with computed
+	 * keys that read them (or the other given keys) are informed as well.
+	 * @param {!Array<!{key: string, prevVal: *}>} invalidated
+	 * @param {Array<string>=} changedKeys Other keys of this instance that
+	 *   changed.
+	 * @protected
+	 */
+	informInvalidated_(invalidated, changedKeys = []) {
+		const names = changedKeys.slice();
+		for (let i = 0; i < invalidated.length; i++) {
+			const {key, prevVal} = invalidated[i];
+			names.push(key);
+			if (this.shouldInformChange_(key, prevVal)) {
+				this.emitChange_(key, prevVal);
+			}
+		}
+		if (names.length > 0) {
+			const states = this.dependentStates_.slice();
+			for (let i = 0; i < states.length; i++) {
+				states[i].handleDependencyChange_(this, names);
+			}
 		}
 	}
 
@@ -492,6 +793,38 @@ class State extends EventEmitter {
 		info.state = State.KeyStates.INITIALIZED;
 	}
 
+	/**
+	 * Marks the cached values of all computed keys that depend on the given
+	 * key, directly or through other computed keys, as outdated.
+	 * @param {string} name The name of the key that changed.
+	 * @return {!Array<!{key: string, prevVal: *}>} The invalidated keys,
+	 *   together with their previous values.
+	 * @protected
+	 */
+	invalidateComputedKeys_(name) {
+		const invalidated = [];
+		const names = [name];
+		for (let i = 0; i < names.length && this.computedKeys_.length; i++) {
+			for (let j = 0; j < this.computedKeys_.length; j++) {
+				const key = this.computedKeys_[j];
+				const info = this.getStateInfo(key);
+				if (
+					!info.dirty &&
+					info.dependencies &&
+					info.dependencies[names[i]]
+				) {
+					info.dirty = true;
+					invalidated.push({
+						key,
+						prevVal: info.value,
+					});
+					names.push(key);
+				}
+			}
+		}
+		return invalidated;
+	}
+
 	/**
 	 * Merges two values for the STATE property into a single object.
 	 * @param {Object} mergedVal
@@ -503,6 +836,41 @@ class State extends EventEmitter {
 		return object.mixin({}, currVal, mergedVal);
 	}
 
+	/**
+	 * Uses the persisted value of the given key as its initial value, if the
+	 * key is configured to be persisted and no initial value was given. This
+	 * happens before the initial value is validated, so validators still apply.
+	 * @param {string} name The name of the key.
+	 * @protected
+	 */
+	rehydrate_(name) {
+		const persist = this.stateConfigs_[name].persist;
+		if (persist && !this.hasInitialValue_(name)) {
+			const value = loadPersistedValue(persist);
+			if (isDef(value)) {
+				this.initialValues_[name] = value;
+			}
+		}
+	}
+
+	/**
+	 * Stops informing the instances whose keys this one's computed keys read
+	 * about their changes.
+	 * @protected
+	 */
+	removeFromDependencies_() {
+		for (let i = 0; i < this.computedKeys_.length; i++) {
+			const info = this.getStateInfo(this.computedKeys_[i]);
+			(info.externalDependencies || []).forEach(({source}) => {
+				if (!source.isDisposed()) {
+					source.dependentStates_ = source.dependentStates_.filter(
+						state => state !== this
+					);
+				}
+			});
+		}
+	}
+
 	/**
 	 * Removes the requested state key.
 	 * @param {string} name The name of the key.
@@ -514,13 +882,41 @@ class State extends EventEmitter {
 	}
 
 	/**
-	 * Schedules a state change batch event to be emitted asynchronously.
+	 * Restores the values from a snapshot returned by `getSnapshot`. Restored
+	 * values are treated as initial values, so they're validated and passed
+	 * through setters, but no change events are emitted for them. This is meant
+	 * to be used before the values are used for the first time, like before a
+	 * component's first render.
+	 * @param {!Object<string, *>} snapshot
+	 */
+	restoreSnapshot(snapshot) {
+		const names = Object.keys(snapshot);
+		for (let i = 0; i < names.length; i++) {
+			const name = names[i];
+			const value = snapshot[name];
+			if (
+				this.hasStateKey(name) &&
+				!this.stateConfigs_[name].computed &&
+				this.callValidator_(name, value)
+			) {
+				const info = this.getStateInfo(name);
+				info.state = State.KeyStates.UNINITIALIZED;
+				info.written = false;
+				this.initialValues_[name] = value;
+				this.invalidateComputedKeys_(name);
+			}
+		}
+	}
+
+	/**
+	 * Schedules a state change batch event to be emitted asynchronously, via
+	 * `scheduler`. If one is already scheduled with a lower priority than the
+	 * current one, it's rescheduled with the current priority.
 	 * @param {!Object} changeData Information about a state key's update.
 	 * @protected
 	 */
 	scheduleBatchEvent_(changeData) {
 		if (!this.scheduledBatchData_) {
-			async.nextTick(this.emitBatchEvent_, this);
 			this.scheduledBatchData_ = object.mixin(
 				{
 					changes: {},
@@ -529,6 +925,20 @@ class State extends EventEmitter {
 			);
 		}
 
+		const priority = this.batchPriority_ || scheduler.Priority.NORMAL;
+		if (
+			!this.scheduledBatchPriority_ ||
+			priority < this.scheduledBatchPriority_
+		) {
+			this.scheduledBatchPriority_ = priority;
+			scheduler.schedule(
+				this.emitBatchEvent_,
+				this,
+				priority,
+				this.batchDepthFn_
+			);
+		}
+
 		const name = changeData.key;
 		const changes = this.scheduledBatchData_.changes;
 		if (changes[name]) {
@@ -552,6 +962,17 @@ class State extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Sets a function that returns the depth of this instance's owner in a tree
+	 * (like the component tree). When batch events from different instances
+	 * are emitted together, the ones with smaller depths go first, so that
+	 * parents can handle their changes before their children.
+	 * @param {function():number} fn
+	 */
+	setBatchDepthFn(fn) {
+		this.batchDepthFn_ = fn;
+	}
+
 	/**
 	 * Sets the default value of the requested state key.
 	 * @param {string} name The name of the key.
@@ -600,9 +1021,17 @@ class State extends EventEmitter {
 	 *   should be set to.
 	 * @param {function()=} callback An optional function that will be run
 	 *   after the next batched update is triggered.
+	 * @param {number=} priority An optional priority for the batched update,
+	 *   from `scheduler.Priority`. Defaults to `scheduler.Priority.NORMAL`.
 	 */
-	setState(values, callback) {
-		Object.keys(values).forEach(name => this.set(name, values[name]));
+	setState(values, callback, priority) {
+		const prevPriority = this.batchPriority_;
+		this.batchPriority_ = priority || prevPriority;
+		try {
+			Object.keys(values).forEach(name => this.set(name, values[name]));
+		} finally {
+			this.batchPriority_ = prevPriority;
+		}
 		if (callback && this.scheduledBatchData_) {
 			this.context_.once('stateChanged', callback);
 		}
@@ -639,7 +1068,8 @@ class State extends EventEmitter {
 	 * informed when the new value is different from the previous one. Updates to
 	 * objects (which includes functions and arrays) are always informed outside
 	 * initialization though, since we can't be sure if all of the internal data
-	 * has stayed the same.
+	 * has stayed the same, unless the key has an `equals` config to compare
+	 * them with.
 	 * @param {string} name The name of the key.
 	 * @param {*} prevVal The previous value of the key.
 	 * @return {boolean}
@@ -647,10 +1077,13 @@ class State extends EventEmitter {
 	 */
 	shouldInformChange_(name, prevVal) {
 		const info = this.getStateInfo(name);
-		return (
-			info.state === State.KeyStates.INITIALIZED &&
-			(isObject(prevVal) || prevVal !== this.get(name))
-		);
+		if (info.state !== State.KeyStates.INITIALIZED) {
+			return false;
+		}
+		if (this.stateConfigs_[name].equals) {
+			return !this.callEquals_(name, prevVal, this.get(name));
+		}
+		return isObject(prevVal) || prevVal !== this.get(name);
 	}
 
 	/**
@@ -711,6 +1144,87 @@ class State extends EventEmitter {
 	}
 }
 
+/**
+ * Checks if the computed key with the given info read any of the given keys
+ * of another instance the last time it was calculated.
+ * @param {!Object} info The computed key's info.
+ * @param {!State} source
+ * @param {!Array<string>} names
+ * @return {boolean}
+ * @private
+ */
+function dependsOn_(info, source, names) {
+	const external = info.externalDependencies || [];
+	for (let i = 0; i < external.length; i++) {
+		if (external[i].source === source) {
+			return names.some(name => external[i].keys[name]);
+		}
+	}
+	return false;
+}
+
+/**
+ * Checks if the given value can be serialized to JSON and parsed back into
+ * an equal value.
+ * @param {*} val
+ * @return {boolean}
+ * @private
+ */
+function isSerializable_(val) {
+	if (val === null || isString(val) || typeof val === 'boolean') {
+		return true;
+	} else if (typeof val === 'number') {
+		return isFinite(val);
+	} else if (Array.isArray(val)) {
+		return val.every(isSerializable_);
+	} else if (
+		isObjectOrArray_(val) &&
+		Object.getPrototypeOf(val) === Object.prototype
+	) {
+		return Object.keys(val).every(key => isSerializable_(val[key]));
+	}
+	return false;
+}
+
+/**
+ * Checks if the given value is an object or array (but not a function).
+ * @param {*} val
+ * @return {boolean}
+ * @private
+ */
+function isObjectOrArray_(val) {
+	return val !== null && typeof val === 'object';
+}
+
+/**
+ * Tracks that the given state key was read while a computed value is being
+ * calculated (see `tracker_`).
+ * @param {!State} state The instance the key belongs to.
+ * @param {string} name
+ * @private
+ */
+function trackRead_(state, name) {
+	if (tracker_.state === state) {
+		tracker_.keys[name] = true;
+		return;
+	}
+	const external = tracker_.external;
+	let entry = null;
+	for (let i = 0; i < external.length && !entry; i++) {
+		if (external[i].source === state) {
+			entry = external[i];
+		}
+	}
+	if (!entry) {
+		entry = {
+			keys: {},
+			source: state,
+		};
+		external.push(entry);
+	}
+	entry.keys[name] = true;
+}
+
 /**
  * Constant used as key on State instance for storing property definition.
  * @type {!string}
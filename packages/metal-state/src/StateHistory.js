@@ -0,0 +1,324 @@
+'use strict';
+
+import {Disposable} from 'metal';
+
+/**
+ * Records the changes made to a `State` instance as transactions that can be
+ * undone and redone. Each batch of changes (see the "stateChanged" event)
+ * becomes a transaction, so all changes made in the same tick are undone
+ * together. Changes to `internal`, `writeOnce` and `computed` keys are not
+ * recorded. Example:
+ *
+ * <code>
+ * const history = new StateHistory(
+ *   component.getDataManager().getStateInstance(component)
+ * );
+ * component.setState({text: 'foo'});
+ * history.undo();
+ * </code>
+ */
+class StateHistory extends Disposable {
+	/**
+	 * Constructor function for `StateHistory`.
+	 * @param {!State} state The instance to record changes from.
+	 * @param {Object=} options Optional object with the `capacity`, which is
+	 *     the maximum number of transactions that can be undone (defaults to
+	 *     `StateHistory.DEFAULT_CAPACITY`).
+	 */
+	constructor(state, options = {}) {
+		super();
+
+		/**
+		 * Flag indicating if changes are currently being made by this instance,
+		 * in which case they shouldn't be recorded.
+		 * @type {boolean}
+		 * @protected
+		 */
+		this.applying_ = false;
+
+		/**
+		 * The maximum number of transactions that can be undone.
+		 * @type {number}
+		 * @protected
+		 */
+		this.capacity_ = options.capacity || StateHistory.DEFAULT_CAPACITY;
+
+		/**
+		 * The transaction that changes are being grouped into (see
+		 * `beginTransaction`), or null if none is open.
+		 * @type {Object<string, !Object>}
+		 * @protected
+		 */
+		this.openTransaction_ = null;
+
+		/**
+		 * Transactions that were undone, and can be redone.
+		 * @type {!Array<!Object<string, !Object>>}
+		 * @protected
+		 */
+		this.redoStack_ = [];
+
+		/**
+		 * The instance changes are recorded from.
+		 * @type {!State}
+		 * @protected
+		 */
+		this.state_ = state;
+
+		/**
+		 * Transactions that can be undone, from the oldest to the newest.
+		 * @type {!Array<!Object<string, !Object>>}
+		 * @protected
+		 */
+		this.undoStack_ = [];
+
+		/**
+		 * Handle for the listener of the state's batch events.
+		 * @type {!EventHandle}
+		 * @protected
+		 */
+		this.stateChangedHandle_ = state.on(
+			'stateChanged',
+			this.handleStateChanged_.bind(this)
+		);
+	}
+
+	/**
+	 * Adds the given changes to a transaction, keeping the first previous value
+	 * and the last new value of each key.
+	 * @param {!Object<string, !Object>} transaction
+	 * @param {!Object<string, !Object>} changes
+	 * @protected
+	 */
+	addChanges_(transaction, changes) {
+		Object.keys(changes).forEach(key => {
+			if (this.shouldRecord_(key)) {
+				transaction[key] = {
+					newVal: changes[key].newVal,
+					prevVal: transaction[key]
+						? transaction[key].prevVal
+						: changes[key].prevVal,
+				};
+			}
+		});
+	}
+
+	/**
+	 * Sets the values from the given transaction on the state, without
+	 * recording them.
+	 * @param {!Object<string, !Object>} transaction
+	 * @param {string} valueName Either "prevVal" or "newVal".
+	 * @protected
+	 */
+	applyTransaction_(transaction, valueName) {
+		const values = {};
+		Object.keys(transaction).forEach(key => {
+			if (this.state_.hasStateKey(key)) {
+				values[key] = transaction[key][valueName];
+			}
+		});
+
+		this.applying_ = true;
+		try {
+			this.state_.setState(values);
+			this.state_.flushBatchEvent();
+		} finally {
+			this.applying_ = false;
+		}
+	}
+
+	/**
+	 * Starts grouping all changes into a single transaction, until
+	 * `endTransaction` is called. Changes made before this call are recorded
+	 * separately, even if their batch event wasn't emitted yet.
+	 */
+	beginTransaction() {
+		if (!this.openTransaction_) {
+			this.state_.flushBatchEvent();
+			this.openTransaction_ = {};
+		}
+	}
+
+	/**
+	 * Checks if there are changes that can be redone. Changes whose batch event
+	 * wasn't emitted yet are taken into account, since recording them will make
+	 * it impossible to redo previous ones. Doesn't emit any events.
+	 * @return {boolean}
+	 */
+	canRedo() {
+		return (
+			this.redoStack_.length > 0 &&
+			(!!this.openTransaction_ || !this.hasPendingChanges_())
+		);
+	}
+
+	/**
+	 * Checks if there are changes that can be undone, including the ones whose
+	 * batch event wasn't emitted yet. Doesn't emit any events.
+	 * @return {boolean}
+	 */
+	canUndo() {
+		return (
+			this.undoStack_.length > 0 ||
+			(!this.openTransaction_ && this.hasPendingChanges_())
+		);
+	}
+
+	/**
+	 * Removes all recorded transactions.
+	 */
+	clear() {
+		this.openTransaction_ = this.openTransaction_ ? {} : null;
+		this.redoStack_ = [];
+		this.undoStack_ = [];
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	disposeInternal() {
+		this.stateChangedHandle_.removeListener();
+		this.stateChangedHandle_ = null;
+		this.openTransaction_ = null;
+		this.redoStack_ = null;
+		this.state_ = null;
+		this.undoStack_ = null;
+	}
+
+	/**
+	 * Stops grouping changes started by `beginTransaction`, recording all of
+	 * them as a single transaction.
+	 */
+	endTransaction() {
+		if (this.openTransaction_) {
+			this.state_.flushBatchEvent();
+			const transaction = this.openTransaction_;
+			this.openTransaction_ = null;
+			this.record_(transaction);
+		}
+	}
+
+	/**
+	 * Handles a batch of changes from the state, recording them unless they
+	 * were made by this instance.
+	 * @param {!Object} data
+	 * @protected
+	 */
+	handleStateChanged_(data) {
+		if (this.applying_) {
+			return;
+		}
+		if (this.openTransaction_) {
+			this.addChanges_(this.openTransaction_, data.changes);
+		} else {
+			const transaction = {};
+			this.addChanges_(transaction, data.changes);
+			this.record_(transaction);
+		}
+	}
+
+	/**
+	 * Checks if the state has changes that should be recorded, but whose batch
+	 * event wasn't emitted yet.
+	 * @return {boolean}
+	 * @protected
+	 */
+	hasPendingChanges_() {
+		const changes = this.state_.getScheduledChanges();
+		return (
+			!!changes &&
+			Object.keys(changes).some(key => this.shouldRecord_(key))
+		);
+	}
+
+	/**
+	 * Adds the given transaction to the ones that can be undone, unless it's
+	 * empty. This clears the transactions that could be redone.
+	 * @param {!Object<string, !Object>} transaction
+	 * @protected
+	 */
+	record_(transaction) {
+		if (Object.keys(transaction).length === 0) {
+			return;
+		}
+		this.undoStack_.push(transaction);
+		if (this.undoStack_.length > this.capacity_) {
+			this.undoStack_.shift();
+		}
+		this.redoStack_ = [];
+	}
+
+	/**
+	 * Redoes the last transaction that was undone.
+	 * @return {boolean} True if there was a transaction to be redone.
+	 */
+	redo() {
+		this.state_.flushBatchEvent();
+		if (this.redoStack_.length === 0) {
+			return false;
+		}
+		const transaction = this.redoStack_.pop();
+		this.applyTransaction_(transaction, 'newVal');
+		this.undoStack_.push(transaction);
+		return true;
+	}
+
+	/**
+	 * Checks if changes to the given key should be recorded.
+	 * @param {string} key
+	 * @return {boolean}
+	 * @protected
+	 */
+	shouldRecord_(key) {
+		const config = this.state_.getStateKeyConfig(key);
+		return (
+			!!config &&
+			!config.internal &&
+			!config.writeOnce &&
+			!config.computed
+		);
+	}
+
+	/**
+	 * Runs the given function, recording all changes it makes as a single
+	 * transaction.
+	 * @param {!function()} fn
+	 */
+	transaction(fn) {
+		const wasOpen = !!this.openTransaction_;
+		this.beginTransaction();
+		try {
+			fn();
+		} finally {
+			if (!wasOpen) {
+				this.endTransaction();
+			}
+		}
+	}
+
+	/**
+	 * Undoes the last recorded transaction, which includes any changes whose
+	 * batch event wasn't emitted yet. Ends the open transaction, if any.
+	 * @return {boolean} True if there was a transaction to be undone.
+	 */
+	undo() {
+		this.endTransaction();
+		this.state_.flushBatchEvent();
+		if (this.undoStack_.length === 0) {
+			return false;
+		}
+		const transaction = this.undoStack_.pop();
+		this.applyTransaction_(transaction, 'prevVal');
+		this.redoStack_.push(transaction);
+		return true;
+	}
+}
+
+/**
+ * The maximum number of transactions that can be undone by default.
+ * @type {number}
+ * @static
+ */
+StateHistory.DEFAULT_CAPACITY = 100;
+
+export default StateHistory;
@@ -3,6 +3,13 @@
 import validators from '../validators';
 import Config from '../Config';
 import State from '../State';
+import StateHistory from '../StateHistory';
 
 export default State;
-export {validators, Config, State};
+export {validators, Config, State, StateHistory};
+export {
+	MemoryStorage,
+	loadPersistedValue,
+	registerStorage,
+	savePersistedValue,
+} from '../persistence';
@@ -0,0 +1,244 @@
+'use strict';
+
+import {isDef, isFunction, isObject, isString} from 'metal';
+
+/**
+ * Storage adapter that keeps items in memory, useful for tests and for
+ * environments without web storage. Adapters follow the same interface as
+ * `window.localStorage`, of which only `getItem`, `setItem` and `removeItem`
+ * are required.
+ */
+export class MemoryStorage {
+	/**
+	 * Constructor function for `MemoryStorage`.
+	 */
+	constructor() {
+		/**
+		 * The stored items.
+		 * @type {!Object<string, string>}
+		 * @protected
+		 */
+		this.items_ = {};
+	}
+
+	/**
+	 * Removes all stored items.
+	 */
+	clear() {
+		this.items_ = {};
+	}
+
+	/**
+	 * Gets the item stored with the given key.
+	 * @param {string} key
+	 * @return {?string}
+	 */
+	getItem(key) {
+		return this.items_.hasOwnProperty(key) ? this.items_[key] : null;
+	}
+
+	/**
+	 * Removes the item stored with the given key.
+	 * @param {string} key
+	 */
+	removeItem(key) {
+		delete this.items_[key];
+	}
+
+	/**
+	 * Stores the given value with the given key.
+	 * @param {string} key
+	 * @param {string} value
+	 */
+	setItem(key, value) {
+		this.items_[key] = String(value);
+	}
+}
+
+/**
+ * Storage adapter for one of the browser's web storages (`localStorage` or
+ * `sessionStorage`). Does nothing when the storage is not available, like
+ * during server side rendering or when blocked by the browser.
+ */
+class WebStorage {
+	/**
+	 * Constructor function for `WebStorage`.
+	 * @param {string} name The name of the storage in `window`.
+	 */
+	constructor(name) {
+		/**
+		 * @type {string}
+		 * @protected
+		 */
+		this.name_ = name;
+	}
+
+	/**
+	 * Gets the item stored with the given key. Errors, like the ones thrown
+	 * when access to the storage is denied, are ignored.
+	 * @param {string} key
+	 * @return {?string}
+	 */
+	getItem(key) {
+		const storage = this.getStorage_();
+		if (storage) {
+			try {
+				return storage.getItem(key);
+			} catch (e) {
+				// The value is just not loaded.
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Gets the web storage, or null if it's not available.
+	 * @return {Storage}
+	 * @protected
+	 */
+	getStorage_() {
+		try {
+			return typeof window === 'undefined' ? null : window[this.name_];
+		} catch (e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Removes the item stored with the given key. Errors, like the ones thrown
+	 * when access to the storage is denied, are ignored.
+	 * @param {string} key
+	 */
+	removeItem(key) {
+		const storage = this.getStorage_();
+		if (storage) {
+			try {
+				storage.removeItem(key);
+			} catch (e) {
+				// The value just won't be removed.
+			}
+		}
+	}
+
+	/**
+	 * Stores the given value with the given key. Errors, like the ones thrown
+	 * when the storage is full, are ignored.
+	 * @param {string} key
+	 * @param {string} value
+	 */
+	setItem(key, value) {
+		const storage = this.getStorage_();
+		if (storage) {
+			try {
+				storage.setItem(key, value);
+			} catch (e) {
+				// The value just won't be persisted.
+			}
+		}
+	}
+}
+
+/**
+ * Storage adapters that can be referenced by name in `persist` configs.
+ * @type {!Object<string, !Object>}
+ * @private
+ */
+const storages_ = {
+	local: new WebStorage('localStorage'),
+	memory: new MemoryStorage(),
+	session: new WebStorage('sessionStorage'),
+};
+
+/**
+ * Gets the storage adapter for the given `persist` config.
+ * @param {!Object} persist
+ * @return {!Object}
+ * @private
+ */
+function getStorage_(persist) {
+	const storage = persist.storage || 'local';
+	if (isString(storage)) {
+		if (!storages_[storage]) {
+			throw new Error(`Error. No storage registered as "${storage}".`);
+		}
+		return storages_[storage];
+	}
+	return storage;
+}
+
+/**
+ * Loads the value persisted for the given `persist` config, which has the
+ * following options:
+ *     key - The key the value is stored with.
+ *
+ *     storage - The storage adapter, or the name of a registered one ("local",
+ *     "session" and "memory" are available by default). Defaults to "local".
+ *
+ *     version - The version of the value's format. Values persisted with
+ *     other versions are passed to `migrate`, or ignored if there's none.
+ *     Defaults to 0.
+ *
+ *     migrate - Function that receives a value persisted with another version
+ *     and that version, and returns the value in the current format (or
+ *     undefined to ignore it).
+ * @param {!Object} persist
+ * @return {*} The value, or undefined if there's none.
+ */
+export function loadPersistedValue(persist) {
+	const serialized = getStorage_(persist).getItem(persist.key);
+	if (!isString(serialized)) {
+		return;
+	}
+
+	let data;
+	try {
+		data = JSON.parse(serialized);
+	} catch (e) {
+		return;
+	}
+	if (!isObject(data)) {
+		return;
+	}
+
+	const version = persist.version || 0;
+	if (data.version === version) {
+		return data.value;
+	}
+	if (isFunction(persist.migrate)) {
+		const value = persist.migrate(data.value, data.version);
+		savePersistedValue(persist, value);
+		return value;
+	}
+}
+
+/**
+ * Registers a storage adapter, so that it can be referenced by name in
+ * `persist` configs.
+ * @param {string} name
+ * @param {!Object} storage
+ */
+export function registerStorage(name, storage) {
+	storages_[name] = storage;
+}
+
+/**
+ * Persists the given value for the given `persist` config (see
+ * `loadPersistedValue`). Values are serialized as JSON, together with the
+ * config's version. Undefined values remove the persisted one.
+ * @param {!Object} persist
+ * @param {*} value
+ */
+export function savePersistedValue(persist, value) {
+	const storage = getStorage_(persist);
+	if (!isDef(value)) {
+		storage.removeItem(persist.key);
+		return;
+	}
+	storage.setItem(
+		persist.key,
+		JSON.stringify({
+			value,
+			version: persist.version || 0,
+		})
+	);
+}
@@ -26,6 +26,65 @@ describe('Config', function() {
 		);
 	});
 
+	it('should return config with specified "computed" function', function() {
+		let computed = () => {};
+		let config = Config.computed(computed);
+		assert.ok(core.isObject(config));
+		assert.deepEqual(
+			{
+				computed,
+			},
+			config.config
+		);
+	});
+
+	it('should merge "computed" with other configs', function() {
+		let computed = () => {};
+		let config = Config.string().computed(computed);
+		assert.strictEqual(computed, config.config.computed);
+		assert.ok(config.config.validator);
+	});
+
+	it('should return config with specified "equals" comparison', function() {
+		let equals = () => true;
+		assert.deepEqual(
+			{
+				equals,
+			},
+			Config.equals(equals).config
+		);
+		assert.deepEqual(
+			{
+				equals: 'shallow',
+			},
+			Config.equals('shallow').config
+		);
+	});
+
+	it('should return config with "persist" options', function() {
+		assert.deepEqual(
+			{
+				persist: {
+					key: 'ui.sidebar',
+				},
+			},
+			Config.persist('ui.sidebar').config
+		);
+		assert.deepEqual(
+			{
+				persist: {
+					key: 'ui.sidebar',
+					storage: 'session',
+					version: 2,
+				},
+			},
+			Config.persist('ui.sidebar', {
+				storage: 'session',
+				version: 2,
+			}).config
+		);
+	});
+
 	it('should return config with "required" flag set to true by default', function() {
 		let config = Config.required();
 		assert.ok(core.isObject(config));
@@ -1,7 +1,9 @@
 'use strict';
 
-import {async} from 'metal';
+import {async, object, scheduler} from 'metal';
 import EventEmitter from 'metal-events';
+import Config from '../src/Config';
+import {MemoryStorage} from '../src/persistence';
 import State from '../src/State';
 
 describe('State', function() {
@@ -530,6 +532,563 @@ describe('State', function() {
 		assert.strictEqual(1, state.key1);
 	});
 
+	describe('computed', function() {
+		/**
+		 * Creates a `State` instance with "firstName", "lastName" and a computed
+		 * "fullName" key, besides any other given configs.
+		 * @param {Object=} config
+		 * @param {Object=} configs
+		 * @return {!State}
+		 */
+		function createNameState(config, configs) {
+			const state = new State(config);
+			state.configState(
+				Object.assign(
+					{
+						firstName: {
+							value: 'John',
+						},
+						fullName: {
+							computed: sinon.spy(function() {
+								return `${this.firstName} ${this.lastName}`;
+							}),
+						},
+						lastName: {
+							value: 'Doe',
+						},
+					},
+					configs
+				)
+			);
+			return state;
+		}
+
+		it('should derive the value from other state keys', function() {
+			const state = createNameState({
+				lastName: 'Smith',
+			});
+			assert.strictEqual('John Smith', state.fullName);
+			assert.strictEqual('John Smith', state.get('fullName'));
+			assert.deepEqual(
+				{
+					firstName: 'John',
+					fullName: 'John Smith',
+					lastName: 'Smith',
+				},
+				state.getState()
+			);
+		});
+
+		it('should only calculate the value when it is read', function() {
+			const state = createNameState();
+			const computed = state.getStateKeyConfig('fullName').computed;
+			assert.strictEqual(0, computed.callCount);
+
+			state.firstName = 'Jane';
+			assert.strictEqual(0, computed.callCount);
+			assert.strictEqual('Jane Doe', state.fullName);
+			assert.strictEqual(1, computed.callCount);
+		});
+
+		it('should cache the value until one of its dependencies changes', function() {
+			const state = createNameState();
+			const computed = state.getStateKeyConfig('fullName').computed;
+
+			state.fullName;
+			state.fullName;
+			assert.strictEqual(1, computed.callCount);
+
+			state.lastName = 'Smith';
+			assert.strictEqual('John Smith', state.fullName);
+			assert.strictEqual(2, computed.callCount);
+		});
+
+		it('should not recalculate the value when other keys change', function() {
+			const state = createNameState(null, {
+				age: {
+					value: 30,
+				},
+			});
+			const computed = state.getStateKeyConfig('fullName').computed;
+
+			state.fullName;
+			state.age = 31;
+			state.fullName;
+			assert.strictEqual(1, computed.callCount);
+		});
+
+		it('should only track the keys read on the last calculation', function() {
+			const state = new State();
+			const computed = sinon.spy(function() {
+				return this.useFirst ? this.first : this.second;
+			});
+			state.configState({
+				first: {
+					value: 1,
+				},
+				second: {
+					value: 2,
+				},
+				useFirst: {
+					value: true,
+				},
+				value: {
+					computed,
+				},
+			});
+
+			assert.strictEqual(1, state.value);
+			state.second = 3;
+			assert.strictEqual(1, state.value);
+			assert.strictEqual(1, computed.callCount);
+
+			state.useFirst = false;
+			assert.strictEqual(3, state.value);
+			state.first = 4;
+			assert.strictEqual(3, state.value);
+			assert.strictEqual(2, computed.callCount);
+		});
+
+		it('should allow computed keys to depend on other computed keys', function() {
+			const state = createNameState(null, {
+				greeting: {
+					computed() {
+						return `Hello, ${this.fullName}`;
+					},
+				},
+			});
+
+			assert.strictEqual('Hello, John Doe', state.greeting);
+			state.firstName = 'Jane';
+			assert.strictEqual('Hello, Jane Doe', state.greeting);
+		});
+
+		it('should call computed functions given by name on the context', function() {
+			class TestState extends State {
+				getTotal() {
+					return this.price * this.quantity;
+				}
+			}
+			const state = new TestState();
+			state.configState({
+				price: {
+					value: 2,
+				},
+				quantity: {
+					value: 3,
+				},
+				total: {
+					computed: 'getTotal',
+				},
+			});
+
+			assert.strictEqual(6, state.total);
+			state.quantity = 4;
+			assert.strictEqual(8, state.total);
+		});
+
+		it('should be read-only', function() {
+			const state = createNameState({
+				fullName: 'Initial',
+			});
+			assert.strictEqual('John Doe', state.fullName);
+
+			state.fullName = 'Jane Smith';
+			state.setState({
+				fullName: 'Jane Smith',
+			});
+			assert.strictEqual('John Doe', state.fullName);
+		});
+
+		it('should emit change events when the value changes', function() {
+			const state = createNameState();
+			state.fullName;
+
+			const listener = sinon.stub();
+			const keyListener = sinon.stub();
+			state.on('fullNameChanged', listener);
+			state.on('stateKeyChanged', keyListener);
+			state.firstName = 'Jane';
+
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('fullName', listener.args[0][0].key);
+			assert.strictEqual('Jane Doe', listener.args[0][0].newVal);
+			assert.strictEqual('John Doe', listener.args[0][0].prevVal);
+			assert.strictEqual(2, keyListener.callCount);
+			assert.strictEqual('firstName', keyListener.args[0][0].key);
+			assert.strictEqual('fullName', keyListener.args[1][0].key);
+		});
+
+		it('should not emit change events if the value stays the same', function() {
+			const state = new State();
+			state.configState({
+				count: {
+					value: 1,
+				},
+				isPositive: {
+					computed() {
+						return this.count > 0;
+					},
+				},
+			});
+			state.isPositive;
+
+			const listener = sinon.stub();
+			state.on('isPositiveChanged', listener);
+			state.count = 2;
+			assert.strictEqual(0, listener.callCount);
+			state.count = -1;
+			assert.strictEqual(1, listener.callCount);
+		});
+
+		it('should include changes to computed values in the batch event', function() {
+			const state = createNameState();
+			state.fullName;
+
+			const listener = sinon.stub();
+			state.on('stateChanged', listener);
+			state.firstName = 'Jane';
+			state.lastName = 'Smith';
+			state.flushBatchEvent();
+
+			assert.strictEqual(1, listener.callCount);
+			const changes = listener.args[0][0].changes;
+			assert.deepEqual(
+				['firstName', 'fullName', 'lastName'],
+				Object.keys(changes).sort()
+			);
+			assert.strictEqual('John Doe', changes.fullName.prevVal);
+			assert.strictEqual('Jane Smith', changes.fullName.newVal);
+		});
+
+		it('should return the updated value to listeners of its dependencies', function() {
+			const state = createNameState();
+			state.fullName;
+
+			let value;
+			state.on('firstNameChanged', () => (value = state.fullName));
+			state.firstName = 'Jane';
+			assert.strictEqual('Jane Doe', value);
+		});
+
+		it('should track keys read from other instances', function() {
+			const props = new State();
+			props.configState({
+				name: {
+					value: 'John',
+				},
+			});
+			const state = new State();
+			const computed = sinon.spy(() => `Hello, ${props.name}`);
+			state.configState({
+				greeting: {
+					computed,
+				},
+			});
+			assert.strictEqual('Hello, John', state.greeting);
+
+			const listener = sinon.stub();
+			state.on('greetingChanged', listener);
+			props.name = 'Jane';
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual('Hello, John', listener.args[0][0].prevVal);
+			assert.strictEqual('Hello, Jane', listener.args[0][0].newVal);
+			assert.strictEqual('Hello, Jane', state.greeting);
+			assert.strictEqual(2, computed.callCount);
+		});
+
+		it('should inform changes through computed keys of multiple instances', function() {
+			const first = new State();
+			first.configState({
+				value: {
+					value: 1,
+				},
+			});
+			const second = new State();
+			second.configState({
+				double: {
+					computed: () => first.value * 2,
+				},
+			});
+			const third = new State();
+			third.configState({
+				quadruple: {
+					computed: () => second.double * 2,
+				},
+			});
+			assert.strictEqual(4, third.quadruple);
+
+			const listener = sinon.stub();
+			third.on('quadrupleChanged', listener);
+			first.value = 2;
+			assert.strictEqual(1, listener.callCount);
+			assert.strictEqual(8, third.quadruple);
+		});
+
+		it('should stop tracking other instances once disposed', function() {
+			const props = new State();
+			props.configState({
+				name: {
+					value: 'John',
+				},
+			});
+			const state = new State();
+			state.configState({
+				greeting: {
+					computed: () => `Hello, ${props.name}`,
+				},
+			});
+			state.greeting;
+
+			state.dispose();
+			props.name = 'Jane';
+			assert.strictEqual(0, props.dependentStates_.length);
+		});
+
+		it('should not emit change events before the value is read for the first time', function() {
+			const state = createNameState();
+			const listener = sinon.stub();
+			state.on('fullNameChanged', listener);
+
+			state.firstName = 'Jane';
+			assert.strictEqual(0, listener.callCount);
+			assert.strictEqual('Jane Doe', state.fullName);
+
+			state.firstName = 'Mary';
+			assert.strictEqual(1, listener.callCount);
+		});
+
+		it('should throw error if a computed key depends on itself', function() {
+			const state = new State();
+			state.configState({
+				loop: {
+					computed() {
+						return this.loop;
+					},
+				},
+			});
+
+			assert.throws(() => state.loop, /depends on itself/);
+		});
+	});
+
+	describe('equals', function() {
+		/**
+		 * Creates a `State` instance with a "value" key using the given `equals`
+		 * config, and a listener for its changes.
+		 * @param {*} equals
+		 * @param {*} value
+		 * @return {!State}
+		 */
+		function createState(equals, value) {
+			const state = new State();
+			state.configState({
+				value: {
+					equals,
+					value,
+				},
+			});
+			state.value;
+			state.listener = sinon.stub();
+			state.on('valueChanged', state.listener);
+			return state;
+		}
+
+		it('should always inform changes to objects if no "equals" is given', function() {
+			const state = createState(undefined, {a: 1});
+			state.value = state.value;
+			assert.strictEqual(1, state.listener.callCount);
+		});
+
+		it('should not inform changes to equal objects with "shallow" mode', function() {
+			const value = {
+				a: 1,
+				b: {},
+			};
+			const state = createState('shallow', value);
+
+			state.value = value;
+			state.value = {
+				a: 1,
+				b: value.b,
+			};
+			assert.strictEqual(0, state.listener.callCount);
+
+			state.value = {
+				a: 1,
+				b: {},
+			};
+			assert.strictEqual(1, state.listener.callCount);
+		});
+
+		it('should compare arrays and primitives with "shallow" mode', function() {
+			const state = createState('shallow', [1, 2]);
+
+			state.value = [1, 2];
+			assert.strictEqual(0, state.listener.callCount);
+			state.value = {0: 1, 1: 2};
+			assert.strictEqual(1, state.listener.callCount);
+			state.value = 'foo';
+			state.value = 'foo';
+			assert.strictEqual(2, state.listener.callCount);
+		});
+
+		it('should not inform changes to deeply equal values with "deep" mode', function() {
+			const state = createState('deep', {
+				list: [{a: 1}],
+			});
+
+			state.value = {
+				list: [{a: 1}],
+			};
+			assert.strictEqual(0, state.listener.callCount);
+
+			state.value = {
+				list: [{a: 2}],
+			};
+			assert.strictEqual(1, state.listener.callCount);
+		});
+
+		it('should use the given "equals" function', function() {
+			const equals = sinon.spy((prevVal, newVal) => prevVal.id === newVal.id);
+			const state = createState(equals, {
+				id: 1,
+			});
+
+			state.value = {
+				id: 1,
+				name: 'foo',
+			};
+			assert.strictEqual(0, state.listener.callCount);
+			assert.strictEqual(1, equals.callCount);
+			assert.deepEqual({id: 1}, equals.args[0][0]);
+
+			state.value = {
+				id: 2,
+			};
+			assert.strictEqual(1, state.listener.callCount);
+		});
+
+		it('should not schedule batch events for equal values', function() {
+			const state = createState('shallow', {a: 1});
+			state.setState({
+				value: {a: 1},
+			});
+			assert.ok(!state.flushBatchEvent());
+		});
+
+		it('should inform changes made via immutable helpers', function() {
+			const state = createState('shallow', {
+				items: [1],
+				name: 'foo',
+			});
+
+			state.setState({
+				value: object.setIn(state.value, 'name', 'foo'),
+			});
+			assert.strictEqual(0, state.listener.callCount);
+
+			state.setState({
+				value: object.pushIn(state.value, 'items', 2),
+			});
+			assert.strictEqual(1, state.listener.callCount);
+			assert.deepEqual([1, 2], state.value.items);
+		});
+	});
+
+	describe('persist', function() {
+		let storage;
+
+		beforeEach(function() {
+			storage = new MemoryStorage();
+		});
+
+		/**
+		 * Creates a `State` instance with a persisted "open" key.
+		 * @param {Object=} config
+		 * @param {Object=} keyConfig
+		 * @return {!State}
+		 */
+		function createState(config, keyConfig) {
+			const state = new State(config);
+			state.configState({
+				open: Object.assign(
+					{
+						persist: {
+							key: 'ui.sidebar',
+							storage,
+						},
+						value: false,
+					},
+					keyConfig
+				),
+			});
+			return state;
+		}
+
+		it('should persist the value when it changes', function() {
+			const state = createState();
+			assert.strictEqual(false, state.open);
+			assert.strictEqual(null, storage.getItem('ui.sidebar'));
+
+			state.open = true;
+			assert.strictEqual(
+				'{"value":true,"version":0}',
+				storage.getItem('ui.sidebar')
+			);
+		});
+
+		it('should use the persisted value as the initial value', function() {
+			createState().open = true;
+			assert.strictEqual(true, createState().open);
+		});
+
+		it('should prefer initial values given to the constructor', function() {
+			createState().open = true;
+			const state = createState({
+				open: false,
+			});
+			assert.strictEqual(false, state.open);
+		});
+
+		it('should validate persisted values', function() {
+			storage.setItem('ui.sidebar', '{"value":"yes","version":0}');
+			const state = createState(null, {
+				validator: val => typeof val === 'boolean',
+			});
+			assert.strictEqual(false, state.open);
+		});
+
+		it('should satisfy "required" with persisted values', function() {
+			sinon.stub(console, 'error');
+			createState().open = true;
+			createState(null, {
+				required: true,
+				value: undefined,
+			});
+			const callCount = console.error.callCount;
+			console.error.restore();
+			assert.strictEqual(0, callCount);
+		});
+
+		it('should work with "Config.persist"', function() {
+			const state = new State();
+			state.configState({
+				open: Config.bool()
+					.persist('ui.sidebar', {
+						storage,
+						version: 1,
+					})
+					.value(false),
+			});
+			state.open = true;
+			assert.strictEqual(
+				'{"value":true,"version":1}',
+				storage.getItem('ui.sidebar')
+			);
+		});
+	});
+
 	describe('required', function() {
 		let originalConsoleFn;
 
@@ -801,6 +1360,68 @@ describe('State', function() {
 		state.key2 = 21;
 	});
 
+	it('should return the changes of the scheduled batch event', function() {
+		let state = createStateInstance();
+		assert.strictEqual(null, state.getScheduledChanges());
+
+		state.key1 = 10;
+		state.key1 = 11;
+		const changes = state.getScheduledChanges();
+		assert.deepEqual(['key1'], Object.keys(changes));
+		assert.strictEqual(11, changes.key1.newVal);
+
+		state.flushBatchEvent();
+		assert.strictEqual(null, state.getScheduledChanges());
+	});
+
+	it('should emit the scheduled batch event synchronously when flushed', function(
+		done
+	) {
+		let state = createStateInstance();
+		assert.ok(!state.flushBatchEvent());
+
+		let listener = sinon.stub();
+		state.on('stateChanged', listener);
+
+		state.key1 = 10;
+		assert.ok(state.flushBatchEvent());
+		assert.strictEqual(1, listener.callCount);
+		assert.strictEqual(10, listener.args[0][0].changes.key1.newVal);
+		assert.ok(!state.flushBatchEvent());
+
+		setTimeout(function() {
+			assert.strictEqual(1, listener.callCount);
+			done();
+		}, 0);
+	});
+
+	it('should emit the batch event sooner if changes are set with a higher priority', function(
+		done
+	) {
+		let state = createStateInstance();
+		let listener = sinon.stub();
+		state.on('stateChanged', listener);
+
+		state.key1 = 10;
+		state.setState(
+			{
+				key2: 20,
+			},
+			null,
+			scheduler.Priority.IMMEDIATE
+		);
+		assert.strictEqual(0, listener.callCount);
+
+		Promise.resolve().then(function() {
+			assert.strictEqual(1, listener.callCount);
+			assert.deepEqual(
+				['key1', 'key2'],
+				Object.keys(listener.args[0][0].changes)
+			);
+			done();
+		});
+	});
+
 	it('should pass given event data with change events', function() {
 		let state = new State({
 			key1: 10,
@@ -927,6 +1548,116 @@ describe('State', function() {
 		assert.strictEqual(0, listener.callCount);
 	});
 
+	describe('snapshot', function() {
+		/**
+		 * Creates a `State` instance with keys of different types.
+		 * @return {!State}
+		 */
+		function createState() {
+			const state = new State();
+			state.configState({
+				count: {
+					validator: val => typeof val === 'number',
+					value: 0,
+				},
+				date: {
+					valueFn: () => new Date(),
+				},
+				double: {
+					computed() {
+						return this.count * 2;
+					},
+				},
+				fn: {
+					value: () => {},
+				},
+				items: {
+					valueFn: () => [{text: 'foo'}],
+				},
+				name: {
+					value: null,
+				},
+			});
+			return state;
+		}
+
+		it('should return the values that can be serialized to json', function() {
+			const state = createState();
+			state.count = 2;
+			const snapshot = state.getSnapshot();
+			assert.deepEqual(
+				{
+					count: 2,
+					items: [{text: 'foo'}],
+					name: null,
+				},
+				snapshot
+			);
+			assert.deepEqual(snapshot, JSON.parse(JSON.stringify(snapshot)));
+		});
+
+		it('should leave out arrays and objects with values that can\'t be serialized', function() {
+			const state = createState();
+			state.items = [{fn: () => {}}];
+			state.name = NaN;
+			assert.deepEqual(['count'], Object.keys(state.getSnapshot()));
+		});
+
+		it('should restore values from a snapshot', function() {
+			const snapshot = createState();
+			snapshot.count = 3;
+			snapshot.name = 'foo';
+
+			const state = createState();
+			state.restoreSnapshot(snapshot.getSnapshot());
+			assert.strictEqual(3, state.count);
+			assert.strictEqual('foo', state.name);
+			assert.deepEqual([{text: 'foo'}], state.items);
+		});
+
+		it('should restore values over ones that were already set', function() {
+			const state = createState();
+			state.count = 5;
+			state.restoreSnapshot({
+				count: 3,
+			});
+			assert.strictEqual(3, state.count);
+		});
+
+		it('should not emit change events for restored values', function() {
+			const state = createState();
+			const listener = sinon.stub();
+			state.on('countChanged', listener);
+			state.on('stateChanged', listener);
+			state.restoreSnapshot({
+				count: 3,
+			});
+			state.flushBatchEvent();
+			assert.strictEqual(0, listener.callCount);
+		});
+
+		it('should ignore invalid and unknown values', function() {
+			const state = createState();
+			state.restoreSnapshot({
+				count: '3',
+				double: 10,
+				unknown: true,
+			});
+			assert.strictEqual(0, state.count);
+			assert.strictEqual(0, state.double);
+			assert.ok(!state.hasStateKey('unknown'));
+		});
+
+		it('should recompute computed keys that depend on restored values', function() {
+			const state = createState();
+			assert.strictEqual(0, state.double);
+			state.restoreSnapshot({
+				count: 3,
+			});
+			assert.strictEqual(6, state.double);
+		});
+	});
+
 	describe('Static STATE', function() {
 		function createTestClass() {
 			class Test extends State {}
@@ -0,0 +1,234 @@
+'use strict';
+
+import State from '../src/State';
+import StateHistory from '../src/StateHistory';
+
+describe('StateHistory', function() {
+	let history;
+	let state;
+
+	beforeEach(function() {
+		state = new State();
+		state.configState({
+			computed: {
+				computed() {
+					return this.text.length;
+				},
+			},
+			internal: {
+				internal: true,
+				value: 0,
+			},
+			number: {
+				value: 1,
+			},
+			once: {
+				writeOnce: true,
+			},
+			text: {
+				value: 'a',
+			},
+		});
+		history = new StateHistory(state);
+	});
+
+	afterEach(function() {
+		history.dispose();
+		state.dispose();
+	});
+
+	it('should undo and redo batched changes', function() {
+		state.text = 'b';
+		state.number = 2;
+		state.flushBatchEvent();
+		state.text = 'c';
+		state.flushBatchEvent();
+
+		assert.ok(history.undo());
+		assert.strictEqual('b', state.text);
+		assert.strictEqual(2, state.number);
+
+		assert.ok(history.undo());
+		assert.strictEqual('a', state.text);
+		assert.strictEqual(1, state.number);
+		assert.ok(!history.undo());
+
+		assert.ok(history.redo());
+		assert.strictEqual('b', state.text);
+		assert.strictEqual(2, state.number);
+		assert.ok(history.redo());
+		assert.strictEqual('c', state.text);
+		assert.ok(!history.redo());
+	});
+
+	it('should undo changes whose batch event was not emitted yet', function() {
+		state.text = 'b';
+		assert.ok(history.canUndo());
+		assert.ok(history.undo());
+		assert.strictEqual('a', state.text);
+	});
+
+	it('should not emit batch events when checking if changes can be undone or redone', function() {
+		const listener = sinon.stub();
+		state.on('stateChanged', listener);
+
+		state.text = 'b';
+		assert.ok(history.canUndo());
+		assert.ok(!history.canRedo());
+		assert.strictEqual(0, listener.callCount);
+
+		history.undo();
+		state.internal = 1;
+		assert.ok(history.canRedo());
+		state.number = 2;
+		assert.ok(!history.canRedo());
+		assert.strictEqual(2, listener.callCount);
+		assert.ok(!history.redo());
+	});
+
+	it('should emit change events when undoing', function() {
+		state.text = 'b';
+		state.flushBatchEvent();
+
+		const listener = sinon.stub();
+		state.on('stateChanged', listener);
+		history.undo();
+		assert.strictEqual(1, listener.callCount);
+		assert.strictEqual('b', listener.args[0][0].changes.text.prevVal);
+		assert.strictEqual('a', listener.args[0][0].changes.text.newVal);
+	});
+
+	it('should not record its own changes', function() {
+		state.text = 'b';
+		history.undo();
+		assert.ok(!history.canUndo());
+		assert.ok(history.canRedo());
+	});
+
+	it('should clear redo transactions when new changes are made', function() {
+		state.text = 'b';
+		history.undo();
+		state.number = 2;
+		assert.ok(!history.canRedo());
+		assert.ok(!history.redo());
+		assert.strictEqual('a', state.text);
+	});
+
+	it('should group changes made during a transaction', function() {
+		state.text = 'b';
+		history.transaction(() => {
+			state.text = 'c';
+			state.flushBatchEvent();
+			state.number = 2;
+			state.flushBatchEvent();
+			state.text = 'd';
+		});
+
+		history.undo();
+		assert.strictEqual('b', state.text);
+		assert.strictEqual(1, state.number);
+
+		history.redo();
+		assert.strictEqual('d', state.text);
+		assert.strictEqual(2, state.number);
+	});
+
+	it('should group changes between "beginTransaction" and "endTransaction"', function() {
+		history.beginTransaction();
+		state.text = 'b';
+		state.flushBatchEvent();
+		history.beginTransaction();
+		state.number = 2;
+		history.endTransaction();
+
+		history.undo();
+		assert.strictEqual('a', state.text);
+		assert.strictEqual(1, state.number);
+		assert.ok(!history.canUndo());
+	});
+
+	it('should end the open transaction when undoing', function() {
+		history.beginTransaction();
+		state.text = 'b';
+		history.undo();
+		assert.strictEqual('a', state.text);
+
+		state.text = 'c';
+		state.flushBatchEvent();
+		state.text = 'd';
+		history.undo();
+		assert.strictEqual('c', state.text);
+	});
+
+	it('should not record changes to internal, writeOnce and computed keys', function() {
+		assert.strictEqual(1, state.computed);
+		state.internal = 1;
+		state.once = 'foo';
+		state.flushBatchEvent();
+		assert.ok(!history.canUndo());
+
+		state.internal = 2;
+		state.text = 'abc';
+		history.undo();
+		assert.strictEqual('a', state.text);
+		assert.strictEqual(1, state.computed);
+		assert.strictEqual(2, state.internal);
+		assert.strictEqual('foo', state.once);
+	});
+
+	it('should only keep as many transactions as its capacity', function() {
+		history.dispose();
+		history = new StateHistory(state, {
+			capacity: 2,
+		});
+
+		for (let i = 2; i <= 4; i++) {
+			state.number = i;
+			state.flushBatchEvent();
+		}
+
+		assert.ok(history.undo());
+		assert.ok(history.undo());
+		assert.ok(!history.undo());
+		assert.strictEqual(2, state.number);
+	});
+
+	it('should remove all transactions when cleared', function() {
+		state.text = 'b';
+		state.flushBatchEvent();
+		state.text = 'c';
+		history.undo();
+		history.clear();
+
+		assert.ok(!history.canUndo());
+		assert.ok(!history.canRedo());
+	});
+
+	it('should stop recording changes when disposed', function() {
+		history.dispose();
+		state.text = 'b';
+		state.flushBatchEvent();
+		assert.ok(history.isDisposed());
+	});
+
+	it('should record changes from states whose context is another object', function() {
+		const context = new State();
+		const obj = {};
+		const otherState = new State({}, obj, context);
+		otherState.configState({
+			text: {
+				value: 'a',
+			},
+		});
+		const otherHistory = new StateHistory(otherState);
+
+		obj.text = 'b';
+		otherState.flushBatchEvent();
+		otherHistory.undo();
+		assert.strictEqual('a', obj.text);
+
+		otherHistory.dispose();
+		otherState.dispose();
+		context.dispose();
+	});
+});
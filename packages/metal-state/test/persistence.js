@@ -0,0 +1,218 @@
+'use strict';
+
+import {
+	MemoryStorage,
+	loadPersistedValue,
+	registerStorage,
+	savePersistedValue,
+} from '../src/persistence';
+
+describe('persistence', function() {
+	let storage;
+
+	beforeEach(function() {
+		storage = new MemoryStorage();
+	});
+
+	describe('MemoryStorage', function() {
+		it('should store items as strings', function() {
+			assert.strictEqual(null, storage.getItem('foo'));
+			storage.setItem('foo', 1);
+			assert.strictEqual('1', storage.getItem('foo'));
+		});
+
+		it('should remove items', function() {
+			storage.setItem('foo', 'bar');
+			storage.setItem('bar', 'foo');
+			storage.removeItem('foo');
+			assert.strictEqual(null, storage.getItem('foo'));
+			assert.strictEqual('foo', storage.getItem('bar'));
+
+			storage.clear();
+			assert.strictEqual(null, storage.getItem('bar'));
+		});
+	});
+
+	it('should save and load values as JSON', function() {
+		const persist = {
+			key: 'foo',
+			storage,
+		};
+		savePersistedValue(persist, {a: [1, 2]});
+		assert.strictEqual(
+			'{"value":{"a":[1,2]},"version":0}',
+			storage.getItem('foo')
+		);
+		assert.deepEqual({a: [1, 2]}, loadPersistedValue(persist));
+	});
+
+	it('should remove persisted values when saving undefined', function() {
+		const persist = {
+			key: 'foo',
+			storage,
+		};
+		savePersistedValue(persist, 1);
+		savePersistedValue(persist, undefined);
+		assert.strictEqual(null, storage.getItem('foo'));
+		assert.strictEqual(undefined, loadPersistedValue(persist));
+	});
+
+	it('should ignore values that are not valid', function() {
+		const persist = {
+			key: 'foo',
+			storage,
+		};
+		storage.setItem('foo', '{invalid');
+		assert.strictEqual(undefined, loadPersistedValue(persist));
+		storage.setItem('foo', '1');
+		assert.strictEqual(undefined, loadPersistedValue(persist));
+	});
+
+	it('should ignore values persisted with other versions', function() {
+		savePersistedValue(
+			{
+				key: 'foo',
+				storage,
+			},
+			1
+		);
+		const persist = {
+			key: 'foo',
+			storage,
+			version: 2,
+		};
+		assert.strictEqual(undefined, loadPersistedValue(persist));
+	});
+
+	it('should migrate values persisted with other versions', function() {
+		savePersistedValue(
+			{
+				key: 'foo',
+				storage,
+				version: 1,
+			},
+			'open'
+		);
+		const persist = {
+			key: 'foo',
+			migrate: sinon.spy(value => value === 'open'),
+			storage,
+			version: 2,
+		};
+
+		assert.strictEqual(true, loadPersistedValue(persist));
+		assert.deepEqual(['open', 1], persist.migrate.args[0]);
+		assert.strictEqual('{"value":true,"version":2}', storage.getItem('foo'));
+	});
+
+	it('should use storages registered by name', function() {
+		registerStorage('test', storage);
+		savePersistedValue(
+			{
+				key: 'foo',
+				storage: 'test',
+			},
+			1
+		);
+		assert.strictEqual('{"value":1,"version":0}', storage.getItem('foo'));
+	});
+
+	it('should throw error for storages that are not registered', function() {
+		assert.throws(
+			() =>
+				loadPersistedValue({
+					key: 'foo',
+					storage: 'unknown',
+				}),
+			/No storage registered as "unknown"/
+		);
+	});
+
+	describe('Web storages', function() {
+		/**
+		 * Replaces the web storage with the given name in `window` while running
+		 * the given function.
+		 * @param {string} name
+		 * @param {*} value
+		 * @param {!function()} fn
+		 */
+		function withWebStorage(name, value, fn) {
+			const descriptor = Object.getOwnPropertyDescriptor(window, name);
+			Object.defineProperty(window, name, {
+				configurable: true,
+				value,
+			});
+			try {
+				fn();
+			} finally {
+				if (descriptor) {
+					Object.defineProperty(window, name, descriptor);
+				} else {
+					delete window[name];
+				}
+			}
+		}
+
+		it('should use localStorage and sessionStorage', function() {
+			['local', 'session'].forEach(name => {
+				withWebStorage(`${name}Storage`, storage, () => {
+					const persist = {
+						key: name,
+						storage: name,
+					};
+					savePersistedValue(persist, 'foo');
+					assert.strictEqual(
+						'{"value":"foo","version":0}',
+						storage.getItem(name)
+					);
+					assert.strictEqual('foo', loadPersistedValue(persist));
+					savePersistedValue(persist, undefined);
+					assert.strictEqual(null, storage.getItem(name));
+				});
+			});
+		});
+
+		it('should do nothing if the web storage is not available', function() {
+			withWebStorage('localStorage', null, () => {
+				const persist = {
+					key: 'foo',
+				};
+				savePersistedValue(persist, 'foo');
+				assert.strictEqual(undefined, loadPersistedValue(persist));
+				savePersistedValue(persist, undefined);
+			});
+		});
+
+		it('should ignore errors thrown when storing values', function() {
+			storage.setItem = () => {
+				throw new Error('QuotaExceededError');
+			};
+			withWebStorage('localStorage', storage, () => {
+				savePersistedValue(
+					{
+						key: 'foo',
+					},
+					'foo'
+				);
+				assert.strictEqual(null, storage.getItem('foo'));
+			});
+		});
+
+		it('should ignore errors thrown when loading and removing values', function() {
+			storage.setItem('foo', '{"value":"foo","version":0}');
+			storage.getItem = () => {
+				throw new Error('SecurityError');
+			};
+			storage.removeItem = () => {
+				throw new Error('SecurityError');
+			};
+			withWebStorage('localStorage', storage, () => {
+				const persist = {
+					key: 'foo',
+				};
+				assert.strictEqual(undefined, loadPersistedValue(persist));
+				savePersistedValue(persist, undefined);
+			});
+		});
+	});
+});
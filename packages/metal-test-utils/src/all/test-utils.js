@@ -0,0 +1,7 @@
+'use strict';
+
+export * from '../flush';
+export * from '../mount';
+export * from '../query';
+export * from '../simulate';
+export * from '../snapshot';
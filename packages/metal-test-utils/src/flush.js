@@ -0,0 +1,30 @@
+'use strict';
+
+import {scheduler} from 'metal';
+
+/**
+ * Maximum number of times updates are flushed in a single `flushUpdates`
+ * call, before considering that they're stuck in an infinite loop.
+ * @type {number}
+ */
+const MAX_FLUSHES = 100;
+
+/**
+ * Synchronously runs all updates that would only run asynchronously, like
+ * the state change batch events of components, so that components are
+ * updated right away. Updates are run via `scheduler.flush`, in the same
+ * order they would be otherwise. This is repeated until no more updates are
+ * scheduled, since updates can cause other changes.
+ */
+export function flushUpdates() {
+	let count = 0;
+	while (scheduler.hasPendingTasks()) {
+		if (count++ === MAX_FLUSHES) {
+			throw new Error(
+				`Error. Updates were flushed ${MAX_FLUSHES} times without ` +
+					'stopping, which probably means that they are stuck in a loop.'
+			);
+		}
+		scheduler.flush();
+	}
+}
@@ -0,0 +1,118 @@
+'use strict';
+
+import {isFunction} from 'metal';
+import {exitDocument} from 'metal-dom';
+import {Component} from 'metal-component';
+
+const mounted_ = [];
+
+/**
+ * Gets all components that are currently mounted, in the order they were
+ * mounted.
+ * @return {!Array<!Component>}
+ */
+export function getMountedComponents() {
+	return mounted_.map(entry => entry.component);
+}
+
+/**
+ * Gets what a component mounted via `shallow` rendered, as a tree of plain
+ * objects where sub components are represented by their tags and config.
+ * See `IncrementalDomRenderer.getShallowTree` for the format.
+ * @param {!Component} component
+ * @return {Array<!Object|string>} The top level nodes, or null if the
+ *     component was not mounted in shallow mode.
+ */
+export function getShallowTree(component) {
+	return component.getRenderer().getShallowTree(component);
+}
+
+/**
+ * Creates and renders a component for the given constructor, inside a new
+ * container element that is added to the document (so that delegated event
+ * listeners work as expected).
+ * @param {!function()} Ctor The component's constructor function.
+ * @param {Object=} config Optional config data for the component.
+ * @return {!Component} The rendered component.
+ */
+export function mount(Ctor, config) {
+	return mount_(Ctor, config, false);
+}
+
+/**
+ * Mounts the component, optionally in shallow mode.
+ * @param {!function()} Ctor
+ * @param {Object} config
+ * @param {boolean} shallow
+ * @return {!Component}
+ * @private
+ */
+function mount_(Ctor, config, shallow) {
+	if (!Component.isComponentCtor(Ctor)) {
+		throw new Error('Error. Only component constructors can be mounted.');
+	}
+
+	const container = document.createElement('div');
+	document.body.appendChild(container);
+
+	const component = new Ctor(config, false);
+	if (shallow) {
+		const renderer = component.getRenderer();
+		if (!isFunction(renderer.setShallowRendering)) {
+			component.dispose();
+			exitDocument(container);
+			throw new Error(
+				'Error. The component\'s renderer doesn\'t support shallow rendering.'
+			);
+		}
+		renderer.setShallowRendering(component, true);
+	}
+	component.renderComponent(container);
+
+	mounted_.push({
+		component,
+		container,
+	});
+	return component;
+}
+
+/**
+ * Same as `mount`, but renders the component in shallow mode, skipping its
+ * sub components instead of creating and rendering them. Useful for testing
+ * what a component renders by itself, which can be checked via
+ * `getShallowTree`. Only works for components rendered via incremental dom
+ * (like JSX and Soy components).
+ * @param {!function()} Ctor The component's constructor function.
+ * @param {Object=} config Optional config data for the component.
+ * @return {!Component} The rendered component.
+ */
+export function shallow(Ctor, config) {
+	return mount_(Ctor, config, true);
+}
+
+/**
+ * Disposes the given mounted component, removing its container from the
+ * document.
+ * @param {!Component} component
+ */
+export function unmount(component) {
+	for (let i = 0; i < mounted_.length; i++) {
+		if (mounted_[i].component === component) {
+			const {container} = mounted_[i];
+			mounted_.splice(i, 1);
+			if (!component.isDisposed()) {
+				component.dispose();
+			}
+			exitDocument(container);
+			return;
+		}
+	}
+}
+
+/**
+ * Disposes all mounted components. Meant to be called after each test, for
+ * example via mocha's `afterEach`.
+ */
+export function unmountAll() {
+	getMountedComponents().forEach(unmount);
+}
@@ -0,0 +1,94 @@
+'use strict';
+
+import {isFunction} from 'metal';
+import {Component} from 'metal-component';
+
+/**
+ * Creates a function that checks if components match the given filter.
+ * @param {function()=} filter A component constructor, a function that
+ *     receives components and returns true for the matching ones, or nothing
+ *     for matching all components.
+ * @return {!function(!Component):boolean}
+ * @private
+ */
+function buildMatcher_(filter) {
+	if (!filter) {
+		return () => true;
+	} else if (Component.isComponentCtor(filter)) {
+		return component => component instanceof filter;
+	}
+	return filter;
+}
+
+/**
+ * Finds all components rendered inside the given one (at any depth) that
+ * match the filter, in the order they were rendered.
+ * @param {!Component} root
+ * @param {function()=} filter A component constructor, a function that
+ *     receives components and returns true for the matching ones, or nothing
+ *     for matching all components.
+ * @return {!Array<!Component>}
+ */
+export function findAllComponents(root, filter) {
+	const matches = buildMatcher_(filter);
+	const found = [];
+	const visit = component => {
+		getChildComponents(component).forEach(child => {
+			if (matches(child)) {
+				found.push(child);
+			}
+			visit(child);
+		});
+	};
+	visit(root);
+	return found;
+}
+
+/**
+ * Finds the first component rendered inside the given one (at any depth)
+ * that matches the filter.
+ * @param {!Component} root
+ * @param {function()=} filter A component constructor, a function that
+ *     receives components and returns true for the matching ones, or nothing
+ *     for matching all components.
+ * @return {Component} The found component, or null if none matched.
+ */
+export function findComponent(root, filter) {
+	return findAllComponents(root, filter)[0] || null;
+}
+
+/**
+ * Finds the element or component referenced by the given path of refs. For
+ * example, "form.submit" returns the "submit" ref of the component with the
+ * "form" ref in the given one.
+ * @param {!Component} root
+ * @param {string} path Refs separated by dots.
+ * @return {Component|Element} The referenced value, or null if the path
+ *     doesn't lead to one.
+ */
+export function findRef(root, path) {
+	let current = root;
+	const refs = path.split('.');
+	for (let i = 0; i < refs.length; i++) {
+		if (!current || !current.refs) {
+			return null;
+		}
+		current = current.refs[refs[i]];
+	}
+	return current || null;
+}
+
+/**
+ * Gets the components rendered directly inside the given one. Only works for
+ * components rendered via incremental dom (like JSX and Soy components).
+ * @param {!Component} component
+ * @return {!Array<!Component>}
+ */
+export function getChildComponents(component) {
+	const renderer = component.getRenderer();
+	if (!isFunction(renderer.getData)) {
+		return [];
+	}
+	const children = renderer.getData(component).childComponents || [];
+	return children.filter(child => !child.isDisposed());
+}
@@ -0,0 +1,27 @@
+'use strict';
+
+import {Component} from 'metal-component';
+import {triggerEvent} from 'metal-dom';
+import {flushUpdates} from './flush';
+
+/**
+ * Simulates an event on the given element (or on a component's element),
+ * via `dom.triggerEvent`. The event bubbles up the document like a real one,
+ * so listeners delegated via `dom.delegate` (which is how inline listeners
+ * like `onClick` are attached) are called. Any updates caused by the event
+ * are flushed right after it.
+ * @param {!Component|!Element} target
+ * @param {string} eventName
+ * @param {Object=} eventData Optional data to be added to the event object.
+ */
+export function simulate(target, eventName, eventData) {
+	const element = target[Component.COMPONENT_FLAG] ? target.element : target;
+	if (!element || !document.documentElement.contains(element)) {
+		throw new Error(
+			`Error. Can't simulate "${eventName}" outside the document, ` +
+				'since listeners are delegated from it.'
+		);
+	}
+	triggerEvent(element, eventName, eventData);
+	flushUpdates();
+}
@@ -0,0 +1,276 @@
+'use strict';
+
+import {getFunctionName, isDefAndNotNull, isElement, isFunction} from 'metal';
+import {getChildComponents} from './query';
+
+/**
+ * Name of the property where incremental dom stores data on nodes.
+ * @type {string}
+ */
+const INC_DOM_DATA = '__incrementalDOMData';
+
+/**
+ * String used for each level of indentation in snapshots.
+ * @type {string}
+ */
+const INDENT = '  ';
+
+/**
+ * Prefixes of keys that are generated automatically while rendering, and so
+ * can change between runs. These are left out of snapshots.
+ * @type {!Array<string>}
+ */
+const VOLATILE_KEY_PREFIXES = ['__METAL_IC__', '_metal_jsx_'];
+
+/**
+ * Builds a short description of the given element, like "div#main.foo".
+ * @param {!Element} element
+ * @return {string}
+ * @private
+ */
+function describeElement_(element) {
+	let description = element.tagName.toLowerCase();
+	if (element.id) {
+		description += `#${element.id}`;
+	}
+	if (element.className) {
+		description += `.${element.className
+			.trim()
+			.split(/\s+/)
+			.join('.')}`;
+	}
+	return description;
+}
+
+/**
+ * Formats the given attributes to be added to a tag in the snapshot.
+ * @param {!Array<!Array<string>>} attrs Pairs of names and values.
+ * @return {string}
+ * @private
+ */
+function formatAttrs_(attrs) {
+	return attrs
+		.map(([name, value]) => ` ${name}="${value.replace(/"/g, '&quot;')}"`)
+		.join('');
+}
+
+/**
+ * Gets the attributes that identify a component in the snapshot, which are
+ * its `key` (unless it was generated) and `ref`.
+ * @param {!Component} component
+ * @return {!Array<!Array<string>>}
+ * @private
+ */
+function getComponentAttrs_(component) {
+	const renderer = component.getRenderer();
+	const config = isFunction(renderer.getConfig)
+		? renderer.getConfig(component) || {}
+		: {};
+	const attrs = [];
+	if (isStableKey_(config.key)) {
+		attrs.push(['key', `${config.key}`]);
+	}
+	if (isDefAndNotNull(config.ref)) {
+		attrs.push(['ref', `${config.ref}`]);
+	}
+	return attrs;
+}
+
+/**
+ * Gets the name that identifies the given component's type.
+ * @param {!Component} component
+ * @return {string}
+ * @private
+ */
+function getComponentName_(component) {
+	const ctor = component.constructor;
+	return getFunctionName(ctor.RENDER_FN || ctor) || 'Anonymous';
+}
+
+/**
+ * Gets the components that have the given element, from the outermost one.
+ * An element can belong to more than one component, when a component renders
+ * another at its top level.
+ * @param {!Node} node
+ * @param {!Object} state
+ * @return {!Array<!Component>}
+ * @private
+ */
+function getComponentsForNode_(node, state) {
+	return state.components.filter(component => component.element === node);
+}
+
+/**
+ * Gets the attributes of the given element, sorted by name so that snapshots
+ * don't depend on the order they were added in. The element's key is
+ * included, unless it was generated.
+ * @param {!Element} element
+ * @return {!Array<!Array<string>>}
+ * @private
+ */
+function getElementAttrs_(element) {
+	const attrs = [];
+	const data = element[INC_DOM_DATA];
+	if (data && isStableKey_(data.key)) {
+		attrs.push(['key', `${data.key}`]);
+	}
+	const names = [];
+	for (let i = 0; i < element.attributes.length; i++) {
+		names.push(element.attributes[i].name);
+	}
+	names
+		.sort()
+		.forEach(name => attrs.push([name, element.getAttribute(name)]));
+	return attrs;
+}
+
+/**
+ * Gets the string used to indent lines at the given depth.
+ * @param {number} depth
+ * @return {string}
+ * @private
+ */
+function getIndent_(depth) {
+	return new Array(depth + 1).join(INDENT);
+}
+
+/**
+ * Checks if the given key was given by the developer, instead of being
+ * generated while rendering.
+ * @param {*} key
+ * @return {boolean}
+ * @private
+ */
+function isStableKey_(key) {
+	if (!isDefAndNotNull(key)) {
+		return false;
+	}
+	key = `${key}`;
+	return VOLATILE_KEY_PREFIXES.every(prefix => key.indexOf(prefix) !== 0);
+}
+
+/**
+ * Lists the given component and all components rendered inside it, with
+ * parents coming before their children.
+ * @param {!Component} component
+ * @param {!Array<!Component>} components
+ * @private
+ */
+function listComponents_(component, components) {
+	components.push(component);
+	getChildComponents(component).forEach(child =>
+		listComponents_(child, components)
+	);
+}
+
+/**
+ * Serializes the given component into the snapshot lines, with its element
+ * inside it. Components rendered inside it that were not reached through its
+ * element (like portals, or components that rendered nothing) are added at
+ * the end.
+ * @param {!Component} component
+ * @param {!Object} state
+ * @param {number} depth
+ * @param {Element} element The element to serialize inside the component, or
+ *     null if it was already serialized by another component sharing it.
+ * @private
+ */
+function serializeComponent_(component, state, depth, element) {
+	state.visited.push(component);
+	const indent = getIndent_(depth);
+	const name = getComponentName_(component);
+	const attrs = formatAttrs_(getComponentAttrs_(component));
+	const {lines} = state;
+	const start = lines.length;
+	lines.push(`${indent}<${name}${attrs}>`);
+
+	if (element) {
+		serializeNode_(element, state, depth + 1);
+	}
+	getChildComponents(component).forEach(child => {
+		if (state.visited.indexOf(child) !== -1) {
+			return;
+		}
+		if (child.portalElement && isElement(child.portalElement)) {
+			const target = describeElement_(child.portalElement);
+			lines.push(`${indent}${INDENT}<Portal target="${target}">`);
+			serializeComponent_(child, state, depth + 2, child.element);
+			lines.push(`${indent}${INDENT}</Portal>`);
+		} else {
+			serializeComponent_(child, state, depth + 1, child.element);
+		}
+	});
+
+	if (lines.length === start + 1) {
+		lines[start] = `${indent}<${name}${attrs} />`;
+	} else {
+		lines.push(`${indent}</${name}>`);
+	}
+}
+
+/**
+ * Serializes the given node into the snapshot lines, marking the boundaries
+ * of the components it belongs to.
+ * @param {!Node} node
+ * @param {!Object} state
+ * @param {number} depth
+ * @private
+ */
+function serializeNode_(node, state, depth) {
+	const components = getComponentsForNode_(node, state).filter(
+		component => state.visited.indexOf(component) === -1
+	);
+	if (components.length > 0) {
+		// Components sharing this element are nested, from the outermost one.
+		// Only the innermost one has the element itself serialized inside it.
+		const [component] = components;
+		const element = components.length === 1 ? node : null;
+		serializeComponent_(component, state, depth, element);
+		return;
+	}
+
+	const indent = getIndent_(depth);
+	if (node.nodeType === 3) {
+		const text = node.nodeValue.trim();
+		if (text) {
+			state.lines.push(`${indent}${text}`);
+		}
+		return;
+	} else if (node.nodeType !== 1) {
+		return;
+	}
+
+	const tag = node.tagName.toLowerCase();
+	const attrs = formatAttrs_(getElementAttrs_(node));
+	if (node.childNodes.length === 0) {
+		state.lines.push(`${indent}<${tag}${attrs} />`);
+		return;
+	}
+	state.lines.push(`${indent}<${tag}${attrs}>`);
+	for (let i = 0; i < node.childNodes.length; i++) {
+		serializeNode_(node.childNodes[i], state, depth + 1);
+	}
+	state.lines.push(`${indent}</${tag}>`);
+}
+
+/**
+ * Serializes the given rendered component into a pretty printed snapshot,
+ * which can be stored and compared against in tests. Both the rendered
+ * elements and the boundaries of all components rendered inside it are
+ * included, with their keys and refs. Components rendered into portals are
+ * wrapped in `<Portal>`. Keys generated while rendering are left out, so the
+ * snapshot stays the same across runs.
+ * @param {!Component} component
+ * @return {string}
+ */
+export function toSnapshot(component) {
+	const components = [];
+	listComponents_(component, components);
+	const state = {
+		components,
+		lines: [],
+		visited: [],
+	};
+	serializeComponent_(component, state, 0, component.element);
+	return state.lines.join('\n');
+}
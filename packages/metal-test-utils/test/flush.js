@@ -0,0 +1,135 @@
+'use strict';
+
+import {scheduler} from 'metal';
+import Component from 'metal-component';
+import IncrementalDomRenderer from 'metal-incremental-dom';
+import JSXComponent from 'metal-jsx';
+import {flushUpdates} from '../src/flush';
+import {mount, unmountAll} from '../src/mount';
+
+describe('flushUpdates', function() {
+	let ChildComponent;
+	let TestComponent;
+
+	beforeEach(function() {
+		ChildComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('span');
+				IncrementalDOM.text(this.bar);
+				IncrementalDOM.elementClose('span');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+		ChildComponent.STATE = {
+			bar: {
+				value: 'bar',
+			},
+		};
+
+		TestComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.text(this.foo);
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'ref', 'child');
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			foo: {
+				value: 'foo',
+			},
+		};
+	});
+
+	afterEach(function() {
+		unmountAll();
+	});
+
+	it('should update mounted components synchronously', function() {
+		const component = mount(TestComponent);
+		const listener = sinon.stub();
+		component.on('stateSynced', listener);
+
+		component.foo = 'changed';
+		flushUpdates();
+		assert.strictEqual(1, listener.callCount);
+		assert.strictEqual('changed', component.element.childNodes[0].textContent);
+	});
+
+	it('should update sub components synchronously', function() {
+		const component = mount(TestComponent);
+		const {child} = component.components;
+
+		child.bar = 'changed';
+		flushUpdates();
+		assert.strictEqual('changed', child.element.textContent);
+	});
+
+	it('should update both props and state of JSX components', function() {
+		class TestJSXComponent extends JSXComponent {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.text(`${this.props.foo} ${this.state.bar}`);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestJSXComponent.PROPS = {
+			foo: {
+				value: 'foo',
+			},
+		};
+		TestJSXComponent.STATE = {
+			bar: {
+				value: 'bar',
+			},
+		};
+
+		const component = mount(TestJSXComponent);
+		component.props.foo = 'foo2';
+		component.state.bar = 'bar2';
+		flushUpdates();
+		assert.strictEqual('foo2 bar2', component.element.textContent);
+	});
+
+	it('should not emit batch events again on the next tick', function(done) {
+		const component = mount(TestComponent);
+		const listener = sinon.stub();
+		component.on('stateSynced', listener);
+
+		component.foo = 'changed';
+		flushUpdates();
+		setTimeout(function() {
+			assert.strictEqual(1, listener.callCount);
+			done();
+		}, 0);
+	});
+
+	it('should run updates via the scheduler, in the same order', function() {
+		const component = mount(TestComponent);
+		const {child} = component.components;
+		const calls = [];
+		component.on('stateSynced', () => calls.push('parent'));
+		child.on('stateSynced', () => calls.push('child'));
+		sinon.spy(scheduler, 'flush');
+
+		child.bar = 'changed';
+		component.foo = 'changed';
+		flushUpdates();
+		const callCount = scheduler.flush.callCount;
+		scheduler.flush.restore();
+
+		assert.ok(callCount > 0);
+		assert.ok(!scheduler.hasPendingTasks());
+		assert.deepEqual(['parent', 'child'], calls);
+	});
+
+	it('should throw error if updates keep being scheduled', function() {
+		TestComponent.prototype.rendered = function() {
+			this.foo = this.foo + '1';
+		};
+		const component = mount(TestComponent);
+		component.foo = 'changed';
+		assert.throws(() => flushUpdates());
+	});
+});
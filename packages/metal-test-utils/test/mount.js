@@ -0,0 +1,127 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from 'metal-incremental-dom';
+import {
+	getMountedComponents,
+	getShallowTree,
+	mount,
+	shallow,
+	unmount,
+	unmountAll,
+} from '../src/mount';
+
+describe('mount', function() {
+	let ChildComponent;
+	let TestComponent;
+
+	beforeEach(function() {
+		ChildComponent = class ChildComponent extends Component {
+			render() {
+				IncrementalDOM.elementVoid('span');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+
+		TestComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.text(this.foo);
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'ref', 'child');
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			foo: {},
+		};
+	});
+
+	afterEach(function() {
+		unmountAll();
+	});
+
+	it('should render the component inside a container in the document', function() {
+		const component = mount(TestComponent, {
+			foo: 'foo',
+		});
+		assert.ok(component.wasRendered);
+		assert.strictEqual('foo', component.element.textContent);
+		assert.ok(document.body.contains(component.element));
+		assert.ok(component.components.child instanceof ChildComponent);
+		assert.deepEqual([component], getMountedComponents());
+	});
+
+	it('should throw error when mounting something other than a component constructor', function() {
+		assert.throws(() => mount(function() {}));
+	});
+
+	it('should skip sub components when rendering in shallow mode', function() {
+		const component = shallow(TestComponent, {
+			foo: 'foo',
+		});
+		assert.strictEqual('foo', component.element.textContent);
+		assert.strictEqual(0, component.element.querySelectorAll('span').length);
+		assert.deepEqual({}, component.components);
+	});
+
+	it('should return the tree rendered in shallow mode', function() {
+		const component = shallow(TestComponent, {
+			foo: 'foo',
+		});
+		assert.deepEqual(
+			[
+				{
+					children: [
+						'foo',
+						{
+							children: [],
+							component: true,
+							key: null,
+							props: {},
+							ref: 'child',
+							type: 'ChildComponent',
+						},
+					],
+					props: {},
+					type: 'div',
+				},
+			],
+			getShallowTree(component)
+		);
+		assert.strictEqual(null, getShallowTree(mount(TestComponent)));
+	});
+
+	it('should throw error when shallow rendering is not supported by the renderer', function() {
+		class NoRendererComponent extends Component {}
+		assert.throws(() => shallow(NoRendererComponent));
+		assert.deepEqual([], getMountedComponents());
+	});
+
+	it('should dispose the component and remove its container when unmounted', function() {
+		const component = mount(TestComponent);
+		const container = component.element.parentNode;
+
+		unmount(component);
+		assert.ok(component.isDisposed());
+		assert.ok(!container.parentNode);
+		assert.deepEqual([], getMountedComponents());
+	});
+
+	it('should not throw error when unmounting a component that was already disposed', function() {
+		const component = mount(TestComponent);
+		component.dispose();
+		assert.doesNotThrow(() => unmount(component));
+		assert.deepEqual([], getMountedComponents());
+	});
+
+	it('should unmount all mounted components', function() {
+		const component1 = mount(TestComponent);
+		const component2 = mount(TestComponent);
+
+		unmountAll();
+		assert.ok(component1.isDisposed());
+		assert.ok(component2.isDisposed());
+		assert.deepEqual([], getMountedComponents());
+	});
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from 'metal-incremental-dom';
+import {mount, unmountAll} from '../src/mount';
+import {
+	findAllComponents,
+	findComponent,
+	findRef,
+	getChildComponents,
+} from '../src/query';
+
+describe('query', function() {
+	let ChildComponent;
+	let component;
+	let GrandChildComponent;
+
+	beforeEach(function() {
+		GrandChildComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementVoid('button', null, null, 'ref', 'button');
+			}
+		};
+		GrandChildComponent.RENDERER = IncrementalDomRenderer;
+
+		ChildComponent = class extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(
+					GrandChildComponent,
+					null,
+					null,
+					'ref',
+					'grandChild'
+				);
+				IncrementalDOM.elementClose('div');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'ref', 'child1');
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'ref', 'child2');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		component = mount(TestComponent);
+	});
+
+	afterEach(function() {
+		unmountAll();
+	});
+
+	it('should get the components rendered directly inside the given one', function() {
+		assert.deepEqual(
+			[component.components.child1, component.components.child2],
+			getChildComponents(component)
+		);
+	});
+
+	it('should return no child components for components not rendered via incremental dom', function() {
+		const other = new Component();
+		assert.deepEqual([], getChildComponents(other));
+		other.dispose();
+	});
+
+	it('should find all components matching the given constructor at any depth', function() {
+		const {child1, child2} = component.components;
+		assert.deepEqual(
+			[child1, child2],
+			findAllComponents(component, ChildComponent)
+		);
+		assert.deepEqual(
+			[child1.components.grandChild, child2.components.grandChild],
+			findAllComponents(component, GrandChildComponent)
+		);
+	});
+
+	it('should find all components matching the given function', function() {
+		const {child2} = component.components;
+		const {grandChild} = child2.components;
+		assert.deepEqual(
+			[child2, grandChild],
+			findAllComponents(
+				component,
+				comp => comp === child2 || comp === grandChild
+			)
+		);
+	});
+
+	it('should find all components when no filter is given', function() {
+		assert.strictEqual(4, findAllComponents(component).length);
+	});
+
+	it('should find the first component matching the filter', function() {
+		assert.strictEqual(
+			component.components.child1.components.grandChild,
+			findComponent(component, GrandChildComponent)
+		);
+		assert.strictEqual(null, findComponent(component, () => false));
+	});
+
+	it('should find elements and components by their path of refs', function() {
+		const {child2} = component.components;
+		assert.strictEqual(child2, findRef(component, 'child2'));
+		assert.strictEqual(
+			child2.components.grandChild.element,
+			findRef(component, 'child2.grandChild.button')
+		);
+		assert.strictEqual(null, findRef(component, 'child3'));
+		assert.strictEqual(null, findRef(component, 'child3.grandChild'));
+		assert.strictEqual(
+			null,
+			findRef(component, 'child2.grandChild.button.foo')
+		);
+	});
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from 'metal-incremental-dom';
+import {mount, unmountAll} from '../src/mount';
+import {simulate} from '../src/simulate';
+
+describe('simulate', function() {
+	let component;
+
+	beforeEach(function() {
+		class TestComponent extends Component {
+			handleClick(event) {
+				this.clicks.push(event);
+				this.count++;
+			}
+
+			render() {
+				IncrementalDOM.elementOpen(
+					'div',
+					null,
+					null,
+					'onKeydown',
+					'handleClick'
+				);
+				IncrementalDOM.elementOpen(
+					'button',
+					null,
+					null,
+					'onClick',
+					'handleClick',
+					'ref',
+					'button'
+				);
+				IncrementalDOM.text(`${this.count}`);
+				IncrementalDOM.elementClose('button');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+		TestComponent.STATE = {
+			clicks: {
+				valueFn: () => [],
+			},
+			count: {
+				value: 0,
+			},
+		};
+
+		component = mount(TestComponent);
+	});
+
+	afterEach(function() {
+		unmountAll();
+	});
+
+	it('should trigger delegated listeners and flush updates', function() {
+		simulate(component.refs.button, 'click');
+		assert.strictEqual(1, component.clicks.length);
+		assert.strictEqual('1', component.refs.button.textContent);
+	});
+
+	it('should add the given data to the event object', function() {
+		simulate(component.refs.button, 'click', {
+			foo: 'bar',
+		});
+		assert.strictEqual('bar', component.clicks[0].foo);
+	});
+
+	it('should trigger the event on the element of the given component', function() {
+		simulate(component, 'keydown');
+		assert.strictEqual(1, component.clicks.length);
+	});
+
+	it('should throw error if the element is not in the document', function() {
+		const element = document.createElement('button');
+		assert.throws(() => simulate(element, 'click'));
+	});
+});
@@ -0,0 +1,233 @@
+'use strict';
+
+import Component from 'metal-component';
+import IncrementalDomRenderer from 'metal-incremental-dom';
+import JSXComponent from 'metal-jsx';
+import {mount, unmountAll} from '../src/mount';
+import {toSnapshot} from '../src/snapshot';
+
+describe('toSnapshot', function() {
+	let ChildComponent;
+
+	beforeEach(function() {
+		ChildComponent = class ChildComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('span', null, null, 'class', this.cls);
+				IncrementalDOM.text(this.text);
+				IncrementalDOM.elementClose('span');
+			}
+		};
+		ChildComponent.RENDERER = IncrementalDomRenderer;
+		ChildComponent.STATE = {
+			cls: {},
+			text: {},
+		};
+	});
+
+	afterEach(function() {
+		unmountAll();
+	});
+
+	it('should serialize elements and mark component boundaries', function() {
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen(
+					'div',
+					null,
+					null,
+					'id',
+					'main',
+					'class',
+					'a'
+				);
+				IncrementalDOM.elementVoid(
+					ChildComponent,
+					'child-key',
+					null,
+					'cls',
+					'b',
+					'ref',
+					'child',
+					'text',
+					'Hello "World"'
+				);
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'text', 'Bye');
+				IncrementalDOM.elementVoid('input', 'input-key', null, 'type', 'text');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		const component = mount(TestComponent);
+		assert.strictEqual(
+			[
+				'<TestComponent>',
+				'  <div class="a" id="main">',
+				'    <ChildComponent key="child-key" ref="child">',
+				'      <span key="child-key" class="b">',
+				'        Hello "World"',
+				'      </span>',
+				'    </ChildComponent>',
+				'    <ChildComponent>',
+				'      <span>',
+				'        Bye',
+				'      </span>',
+				'    </ChildComponent>',
+				'    <input key="input-key" type="text" />',
+				'  </div>',
+				'</TestComponent>',
+			].join('\n'),
+			toSnapshot(component)
+		);
+	});
+
+	it('should nest components that share the same element', function() {
+		class Wrapper extends Component {
+			render() {
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'text', 'foo');
+			}
+		}
+		Wrapper.RENDERER = IncrementalDomRenderer;
+
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(Wrapper, null, null, 'ref', 'wrapper');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		const component = mount(TestComponent);
+		assert.strictEqual(
+			[
+				'<TestComponent>',
+				'  <div>',
+				'    <Wrapper ref="wrapper">',
+				'      <ChildComponent>',
+				'        <span>',
+				'          foo',
+				'        </span>',
+				'      </ChildComponent>',
+				'    </Wrapper>',
+				'  </div>',
+				'</TestComponent>',
+			].join('\n'),
+			toSnapshot(component)
+		);
+		assert.strictEqual(
+			[
+				'<Wrapper ref="wrapper">',
+				'  <ChildComponent>',
+				'    <span>',
+				'      foo',
+				'    </span>',
+				'  </ChildComponent>',
+				'</Wrapper>',
+			].join('\n'),
+			toSnapshot(component.components.wrapper)
+		);
+	});
+
+	it('should mark components rendered into portals', function() {
+		const portal = document.createElement('div');
+		portal.id = 'portal';
+		document.body.appendChild(portal);
+
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(
+					ChildComponent,
+					null,
+					null,
+					'portalElement',
+					portal,
+					'text',
+					'In portal'
+				);
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		const component = mount(TestComponent);
+		assert.strictEqual(
+			[
+				'<TestComponent>',
+				'  <div />',
+				'  <Portal target="div#portal">',
+				'    <ChildComponent>',
+				'      <span>',
+				'        In portal',
+				'      </span>',
+				'    </ChildComponent>',
+				'  </Portal>',
+				'</TestComponent>',
+			].join('\n'),
+			toSnapshot(component)
+		);
+		document.body.removeChild(portal);
+	});
+
+	it('should mark components that rendered nothing', function() {
+		class EmptyComponent extends Component {
+			render() {}
+		}
+		EmptyComponent.RENDERER = IncrementalDomRenderer;
+
+		class TestComponent extends Component {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid(EmptyComponent, 'empty');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+		TestComponent.RENDERER = IncrementalDomRenderer;
+
+		const component = mount(TestComponent);
+		assert.strictEqual(
+			[
+				'<TestComponent>',
+				'  <div />',
+				'  <EmptyComponent key="empty" />',
+				'</TestComponent>',
+			].join('\n'),
+			toSnapshot(component)
+		);
+	});
+
+	it('should leave out keys generated while rendering', function() {
+		class TestComponent extends JSXComponent {
+			render() {
+				IncrementalDOM.elementOpen('div');
+				IncrementalDOM.elementVoid('span');
+				IncrementalDOM.elementVoid('span', 'stable');
+				IncrementalDOM.elementVoid(ChildComponent, null, null, 'text', 'foo');
+				IncrementalDOM.elementClose('div');
+			}
+		}
+
+		const component = mount(TestComponent);
+		const snapshot = toSnapshot(component);
+		assert.strictEqual(-1, snapshot.indexOf('_metal_jsx_'));
+		assert.strictEqual(-1, snapshot.indexOf('__METAL_IC__'));
+		assert.strictEqual(
+			[
+				'<TestComponent>',
+				'  <div>',
+				'    <span />',
+				'    <span key="stable" />',
+				'    <ChildComponent>',
+				'      <span>',
+				'        foo',
+				'      </span>',
+				'    </ChildComponent>',
+				'  </div>',
+				'</TestComponent>',
+			].join('\n'),
+			snapshot
+		);
+		assert.strictEqual(snapshot, toSnapshot(mount(TestComponent)));
+	});
+});
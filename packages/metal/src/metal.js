@@ -5,8 +5,9 @@ import array from './array/array';
 import async from './async/async';
 import Disposable from './disposable/Disposable';
 import object from './object/object';
+import scheduler from './scheduler/scheduler';
 import string from './string/string';
 
 export * from './core';
-export {array, async, Disposable, object, string};
+export {array, async, Disposable, object, scheduler, string};
 export default core;
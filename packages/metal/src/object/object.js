@@ -25,6 +25,49 @@ class object {
 		return target;
 	}
 
+	/**
+	 * Checks if the two given values are equal, comparing the contents of
+	 * arrays and plain objects recursively. Dates are compared by their times,
+	 * and any other values by reference.
+	 * @param {*} val1
+	 * @param {*} val2
+	 * @return {boolean}
+	 */
+	static deepEqual(val1, val2) {
+		if (val1 === val2) {
+			return true;
+		}
+		if (!isObject_(val1) || !isObject_(val2)) {
+			return false;
+		}
+		if (Object.getPrototypeOf(val1) !== Object.getPrototypeOf(val2)) {
+			return false;
+		}
+		if (val1 instanceof Date) {
+			return val1.getTime() === val2.getTime();
+		}
+		if (!Array.isArray(val1) && !isPlainObject_(val1)) {
+			return false;
+		}
+
+		const keys1 = Object.keys(val1);
+		const keys2 = Object.keys(val2);
+		if (keys1.length !== keys2.length) {
+			return false;
+		}
+
+		for (let i = 0; i < keys1.length; i++) {
+			const key = keys1[i];
+			if (
+				!Object.prototype.hasOwnProperty.call(val2, key) ||
+				!object.deepEqual(val1[key], val2[key])
+			) {
+				return false;
+			}
+		}
+		return true;
+	}
+
 	/**
 	 * Returns an object based on its fully qualified external name.
 	 * @param {string} name The fully qualified name.
@@ -53,6 +96,61 @@ class object {
 		return mappedObj;
 	}
 
+	/**
+	 * Returns a copy of the given object with the values of the object at the
+	 * given path merged into the object found there (which is also copied).
+	 * See `setIn` for how paths work.
+	 * @param {Object|Array} obj
+	 * @param {string|!Array<string|number>} path
+	 * @param {!Object} values
+	 * @return {!Object|!Array}
+	 */
+	static mergeIn(obj, path, values) {
+		return updateIn_(obj, toKeys_(path), 0, current =>
+			Object.assign({}, current, values)
+		);
+	}
+
+	/**
+	 * Returns a copy of the given object with the given items added to the end
+	 * of a copy of the array at the given path. See `setIn` for how paths work.
+	 * @param {Object|Array} obj
+	 * @param {string|!Array<string|number>} path
+	 * @param {...*} items
+	 * @return {!Object|!Array}
+	 */
+	static pushIn(obj, path, ...items) {
+		return updateIn_(obj, toKeys_(path), 0, current => {
+			const arr = current ? current.slice() : [];
+			arr.push(...items);
+			return arr;
+		});
+	}
+
+	/**
+	 * Returns a copy of the given object with the value at the given path
+	 * replaced. Only the objects and arrays along the path are copied, so all
+	 * other values keep their references, and the given object itself is
+	 * returned when the value doesn't change. Missing objects along the path
+	 * are created (as arrays for numeric keys, including parts of string paths
+	 * that only have digits). Example:
+	 *
+	 * <code>
+	 * this.setState({
+	 *   user: object.setIn(this.user, 'address.city', 'Recife')
+	 * });
+	 * </code>
+	 * @param {Object|Array} obj
+	 * @param {string|!Array<string|number>} path The keys to the value, either
+	 *   as an array or as a string separated by dots. An empty path refers to
+	 *   the given object itself.
+	 * @param {*} value
+	 * @return {*}
+	 */
+	static setIn(obj, path, value) {
+		return updateIn_(obj, toKeys_(path), 0, () => value);
+	}
+
 	/**
 	 * Checks if the two given objects are equal. This is done via a shallow
 	 * check, including only the keys directly contained by the 2 objects.
@@ -78,6 +176,112 @@ class object {
 		}
 		return true;
 	}
+
+	/**
+	 * Returns a copy of the given object with a copy of the array at the given
+	 * path changed as `Array.prototype.splice` would. See `setIn` for how
+	 * paths work.
+	 * @param {Object|Array} obj
+	 * @param {string|!Array<string|number>} path
+	 * @param {number} start
+	 * @param {number} deleteCount
+	 * @param {...*} items
+	 * @return {!Object|!Array}
+	 */
+	static spliceIn(obj, path, start, deleteCount, ...items) {
+		return updateIn_(obj, toKeys_(path), 0, current => {
+			const arr = current ? current.slice() : [];
+			arr.splice(start, deleteCount, ...items);
+			return arr;
+		});
+	}
+}
+
+/**
+ * Returns a shallow copy of the given object or array, or a new empty one
+ * if it's not defined, which is an array when the key that will be set in
+ * it is a number.
+ * @param {Object|Array} obj
+ * @param {string|number} key
+ * @return {!Object|!Array}
+ * @private
+ */
+function copy_(obj, key) {
+	if (Array.isArray(obj)) {
+		return obj.slice();
+	} else if (isObject_(obj)) {
+		return Object.assign({}, obj);
+	}
+	return typeof key === 'number' ? [] : {};
+}
+
+/**
+ * Checks if the given value is a non null object.
+ * @param {*} val
+ * @return {boolean}
+ * @private
+ */
+function isObject_(val) {
+	return val !== null && typeof val === 'object';
+}
+
+/**
+ * Checks if the given object was created by the `Object` constructor (or
+ * without a prototype).
+ * @param {!Object} obj
+ * @return {boolean}
+ * @private
+ */
+function isPlainObject_(obj) {
+	const proto = Object.getPrototypeOf(obj);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Converts the given path to an array of keys. Parts of string paths that
+ * only have digits become numbers, like the indexes of array paths.
+ * @param {string|!Array<string|number>} path
+ * @return {!Array<string|number>}
+ * @private
+ */
+function toKeys_(path) {
+	if (typeof path === 'string') {
+		return path
+			? path
+				.split('.')
+				.map(key => (/^\d+$/.test(key) ? parseInt(key, 10) : key))
+			: [];
+	}
+	return path;
+}
+
+/**
+ * Replaces the value at the path formed by the given keys (starting from
+ * `index`) with the result of calling `fn` with the current value, copying
+ * all objects along the path. Returns the given object itself if the value
+ * stays the same.
+ * @param {Object|Array} obj
+ * @param {!Array<string|number>} keys
+ * @param {number} index
+ * @param {!function(*):*} fn
+ * @return {*}
+ * @private
+ */
+function updateIn_(obj, keys, index, fn) {
+	if (index === keys.length) {
+		return fn(obj);
+	}
+
+	const key = keys[index];
+	const current = isObject_(obj) ? obj[key] : undefined;
+	const value = updateIn_(current, keys, index + 1, fn);
+	if (value === current && isObject_(obj)) {
+		return obj;
+	}
+
+	const copy = copy_(obj, key);
+	copy[key] = value;
+	return copy;
 }
 
 export default object;
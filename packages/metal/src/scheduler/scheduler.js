@@ -0,0 +1,232 @@
+'use strict';
+
+import async from '../async/async';
+import {getUid, isFunction} from '../coreNamed';
+
+/**
+ * Maximum time, in milliseconds, that idle tasks can wait for the browser to
+ * be idle before being run anyway.
+ * @type {number}
+ */
+const IDLE_TIMEOUT = 300;
+
+/**
+ * Tasks waiting to be run, mapped by their priority.
+ * @type {!Object<number, !Array<!Object>>}
+ */
+const lanes_ = {};
+
+/**
+ * Pending tasks, mapped by the ids of their contexts and functions (see
+ * `getTaskId_`), so that they can be found without going through all lanes.
+ * @type {!Object<string, !Object>}
+ */
+const pendingTasks_ = {};
+
+/**
+ * Flags indicating which priorities already have a flush scheduled.
+ * @type {!Object<number, boolean>}
+ */
+const scheduledFlushes_ = {};
+
+/**
+ * Counter used to keep tasks with the same depth and priority in the order
+ * they were scheduled in.
+ * @type {number}
+ */
+let taskCounter_ = 0;
+
+/**
+ * Gets the id that identifies tasks with the given function and context.
+ * @param {!function()} fn
+ * @param {Object} context
+ * @return {string}
+ * @private
+ */
+function getTaskId_(fn, context) {
+	const contextId = context ? getUid(context, true) : '';
+	return `${contextId}_${getUid(fn, true)}`;
+}
+
+/**
+ * Gets the depth of the given task, calling its depth function if it has one.
+ * @param {!Object} task
+ * @return {number}
+ * @private
+ */
+function getTaskDepth_(task) {
+	return (isFunction(task.depth) ? task.depth() : task.depth) || 0;
+}
+
+/**
+ * Runs the given function asynchronously, at a time that matches the given
+ * priority.
+ * @param {!function()} fn
+ * @param {number} priority
+ * @private
+ */
+function runAtPriority_(fn, priority) {
+	if (
+		priority === scheduler.Priority.IMMEDIATE &&
+		typeof Promise !== 'undefined'
+	) {
+		Promise.resolve().then(fn);
+	} else if (priority === scheduler.Priority.IDLE) {
+		if (typeof requestIdleCallback === 'function') {
+			requestIdleCallback(fn, {
+				timeout: IDLE_TIMEOUT,
+			});
+		} else {
+			setTimeout(fn, 0);
+		}
+	} else {
+		async.nextTick(fn);
+	}
+}
+
+/**
+ * Schedules a flush of the tasks with the given priority, unless one is
+ * already scheduled. Pending tasks with higher priorities are flushed on their
+ * own first, so that they're not delayed by the ones with this priority, even
+ * when both are run at the same time (like `USER_BLOCKING` and `NORMAL`).
+ * @param {number} priority
+ * @private
+ */
+function scheduleFlush_(priority) {
+	if (!scheduledFlushes_[priority]) {
+		scheduledFlushes_[priority] = true;
+		runAtPriority_(function() {
+			scheduledFlushes_[priority] = false;
+			Object.keys(scheduler.Priority)
+				.map(name => scheduler.Priority[name])
+				.filter(lanePriority => lanePriority <= priority)
+				.sort((a, b) => a - b)
+				.forEach(lanePriority => scheduler.flush(lanePriority));
+		}, priority);
+	}
+}
+
+/**
+ * Removes and returns all pending tasks with the given priority or higher,
+ * grouped by their lanes, from the highest priority to the lowest.
+ * @param {number} priority
+ * @return {!Array<!Array<!Object>>}
+ * @private
+ */
+function takeLanes_(priority) {
+	const lanes = Object.keys(lanes_)
+		.map(lanePriority => parseInt(lanePriority, 10))
+		.filter(lanePriority => lanePriority <= priority)
+		.sort((a, b) => a - b)
+		.map(lanePriority => {
+			const tasks = lanes_[lanePriority];
+			lanes_[lanePriority] = [];
+			return tasks;
+		});
+	lanes.forEach(tasks =>
+		tasks.forEach(task => delete pendingTasks_[task.id])
+	);
+	return lanes;
+}
+
+/**
+ * Schedules tasks (like state change batch events) to run asynchronously,
+ * according to their priority. Tasks are grouped in lanes, so that urgent
+ * updates (like the ones caused by typing) don't have to wait for less
+ * important ones. Lanes are run one after the other, from the highest
+ * priority to the lowest, and tasks in the same lane are ordered by their
+ * depth, so that updates from parent components happen before the ones from
+ * their children.
+ */
+class scheduler {
+	/**
+	 * Synchronously runs all pending tasks with the given priority or a higher
+	 * one, instead of waiting for them to be run asynchronously. All tasks of a
+	 * priority run before the ones of the next (lower) priority start. Tasks
+	 * that are scheduled while running are left for the next flush.
+	 * @param {number=} priority Optional priority, which defaults to
+	 *     `Priority.IDLE` (meaning all tasks will be run).
+	 */
+	static flush(priority = scheduler.Priority.IDLE) {
+		takeLanes_(priority).forEach(tasks => {
+			tasks.forEach(task => (task.depth = getTaskDepth_(task)));
+			tasks.sort((a, b) => a.depth - b.depth || a.order - b.order);
+			tasks.forEach(task => {
+				try {
+					task.fn.call(task.context);
+				} catch (e) {
+					async.throwException(e);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Checks if there are tasks waiting to be run.
+	 * @return {boolean}
+	 */
+	static hasPendingTasks() {
+		return Object.keys(lanes_).some(
+			priority => lanes_[priority].length > 0
+		);
+	}
+
+	/**
+	 * Schedules the given function to be called asynchronously. Functions
+	 * already scheduled with the same context are only called once, but have
+	 * their priority raised if the new one is higher.
+	 * @param {!function()} fn
+	 * @param {Object=} context Optional object to call the function on.
+	 * @param {number=} priority Optional priority, from `Priority`. Defaults to
+	 *     `Priority.NORMAL`, which runs on the next tick via `async.nextTick`.
+	 * @param {(number|function():number)=} depth Optional depth of the task's
+	 *     owner in a tree (like the component tree), or a function that
+	 *     returns it when the task is about to run. Tasks with smaller depths
+	 *     run before others with the same priority.
+	 */
+	static schedule(fn, context, priority = scheduler.Priority.NORMAL, depth) {
+		const id = getTaskId_(fn, context);
+		let task = pendingTasks_[id];
+		if (task) {
+			if (priority >= task.priority) {
+				return;
+			}
+			const lane = lanes_[task.priority];
+			lane.splice(lane.indexOf(task), 1);
+			task.depth = depth;
+			task.priority = priority;
+		} else {
+			task = {
+				context,
+				depth,
+				fn,
+				id,
+				order: taskCounter_++,
+				priority,
+			};
+			pendingTasks_[id] = task;
+		}
+		lanes_[priority] = lanes_[priority] || [];
+		lanes_[priority].push(task);
+		scheduleFlush_(priority);
+	}
+}
+
+/**
+ * Available task priorities, from the highest to the lowest:
+ *     - IMMEDIATE: runs as a microtask, before the browser gets to render.
+ *     - USER_BLOCKING: runs on the next tick, before other tasks. Meant for
+ *       updates that the user is waiting on, like the ones caused by typing.
+ *     - NORMAL: runs on the next tick. This is the default.
+ *     - IDLE: runs when the browser is idle (or after a timeout).
+ * @type {!Object<string, number>}
+ * @static
+ */
+scheduler.Priority = {
+	IMMEDIATE: 1,
+	USER_BLOCKING: 2,
+	NORMAL: 3,
+	IDLE: 4,
+};
+
+export default scheduler;
@@ -92,4 +92,119 @@ describe('object', function() {
 		assert.ok(!object.shallowEqual(obj2, obj4));
 		assert.ok(!object.shallowEqual(obj3, obj4));
 	});
+
+	it('should check if two values are deeply equal', function() {
+		assert.ok(object.deepEqual(1, 1));
+		assert.ok(!object.deepEqual(1, '1'));
+		assert.ok(!object.deepEqual(null, {}));
+		assert.ok(object.deepEqual({a: [1, {b: 2}]}, {a: [1, {b: 2}]}));
+		assert.ok(!object.deepEqual({a: [1, {b: 2}]}, {a: [1, {b: 3}]}));
+		assert.ok(!object.deepEqual({a: 1}, {a: 1, b: 2}));
+		assert.ok(!object.deepEqual({a: undefined}, {b: undefined}));
+		assert.ok(!object.deepEqual([1, 2], {0: 1, 1: 2}));
+		assert.ok(object.deepEqual(new Date(10), new Date(10)));
+		assert.ok(!object.deepEqual(new Date(10), new Date(20)));
+	});
+
+	it('should compare instances of classes other than Object by reference', function() {
+		class Foo {}
+		assert.ok(!object.deepEqual(new Foo(), new Foo()));
+		assert.ok(!object.deepEqual(() => {}, () => {}));
+	});
+
+	it('should set the value at the given path in a copy of the object', function() {
+		let obj = {
+			a: {
+				b: {
+					c: 1,
+				},
+				d: [1],
+			},
+			e: {},
+		};
+		let result = object.setIn(obj, ['a', 'b', 'c'], 2);
+
+		assert.notStrictEqual(obj, result);
+		assert.notStrictEqual(obj.a, result.a);
+		assert.notStrictEqual(obj.a.b, result.a.b);
+		assert.strictEqual(2, result.a.b.c);
+		assert.strictEqual(1, obj.a.b.c);
+		assert.strictEqual(obj.a.d, result.a.d);
+		assert.strictEqual(obj.e, result.e);
+	});
+
+	it('should accept paths separated by dots', function() {
+		let obj = {
+			a: [{b: 1}],
+		};
+		let result = object.setIn(obj, 'a.0.b', 2);
+		assert.deepEqual({a: [{b: 2}]}, result);
+		assert.ok(Array.isArray(result.a));
+		assert.strictEqual(1, obj.a[0].b);
+	});
+
+	it('should return the same object if the value at the path does not change', function() {
+		let obj = {
+			a: {
+				b: 1,
+			},
+		};
+		assert.strictEqual(obj, object.setIn(obj, 'a.b', 1));
+	});
+
+	it('should create missing objects along the path', function() {
+		assert.deepEqual({a: {b: 1}}, object.setIn(null, 'a.b', 1));
+		assert.deepEqual({a: [1]}, object.setIn({}, ['a', 0], 1));
+	});
+
+	it('should create missing arrays for numeric parts of string paths', function() {
+		const result = object.setIn({}, 'items.0.name', 'foo');
+		assert.ok(Array.isArray(result.items));
+		assert.deepEqual({items: [{name: 'foo'}]}, result);
+		assert.deepEqual({a: {'1b': 1}}, object.setIn({}, 'a.1b', 1));
+	});
+
+	it('should replace the object itself for empty paths', function() {
+		assert.strictEqual(2, object.setIn({}, [], 2));
+		assert.strictEqual(2, object.setIn({}, '', 2));
+	});
+
+	it('should merge values into a copy of the object at the given path', function() {
+		let obj = {
+			a: {
+				b: 1,
+				c: 2,
+			},
+		};
+		let result = object.mergeIn(obj, 'a', {
+			c: 3,
+			d: 4,
+		});
+		assert.deepEqual({a: {b: 1, c: 3, d: 4}}, result);
+		assert.deepEqual({b: 1, c: 2}, obj.a);
+	});
+
+	it('should push items to a copy of the array at the given path', function() {
+		let obj = {
+			a: {
+				list: [1],
+			},
+		};
+		let result = object.pushIn(obj, 'a.list', 2, [3]);
+		assert.deepEqual([1, 2, [3]], result.a.list);
+		assert.deepEqual([1], obj.a.list);
+		assert.deepEqual([1], object.pushIn(null, [], 1));
+	});
+
+	it('should splice a copy of the array at the given path', function() {
+		let list = [1, 2, 3];
+		let result = object.spliceIn(list, [], 1, 1, 4, 5);
+		assert.deepEqual([1, 4, 5, 3], result);
+		assert.deepEqual([1, 2, 3], list);
+
+		let obj = {
+			list,
+		};
+		assert.deepEqual({list: [2, 3]}, object.spliceIn(obj, 'list', 0, 1));
+	});
 });
@@ -0,0 +1,195 @@
+'use strict';
+
+import scheduler from '../../src/scheduler/scheduler';
+
+describe('scheduler', function() {
+	afterEach(function() {
+		scheduler.flush();
+	});
+
+	it('should run scheduled tasks asynchronously with the given context', function(
+		done
+	) {
+		const context = {};
+		const fn = sinon.stub();
+		scheduler.schedule(fn, context);
+		assert.strictEqual(0, fn.callCount);
+		assert.ok(scheduler.hasPendingTasks());
+
+		setTimeout(function() {
+			assert.strictEqual(1, fn.callCount);
+			assert.strictEqual(context, fn.thisValues[0]);
+			assert.ok(!scheduler.hasPendingTasks());
+			done();
+		}, 0);
+	});
+
+	it('should run the same task only once per flush', function() {
+		const context = {};
+		const fn = sinon.stub();
+		scheduler.schedule(fn, context);
+		scheduler.schedule(fn, context);
+		scheduler.schedule(fn, {});
+		scheduler.flush();
+		assert.strictEqual(2, fn.callCount);
+		assert.strictEqual(context, fn.thisValues[0]);
+	});
+
+	it('should run the same task without context only once per flush', function() {
+		const fn = sinon.stub();
+		const otherFn = sinon.stub();
+		scheduler.schedule(fn);
+		scheduler.schedule(fn, null);
+		scheduler.schedule(otherFn);
+		scheduler.flush();
+		assert.strictEqual(1, fn.callCount);
+		assert.strictEqual(1, otherFn.callCount);
+
+		scheduler.schedule(fn);
+		scheduler.flush();
+		assert.strictEqual(2, fn.callCount);
+	});
+
+	it('should run tasks with higher priorities first', function(done) {
+		const calls = [];
+		scheduler.schedule(() => calls.push('idle'), null, scheduler.Priority.IDLE);
+		scheduler.schedule(() => calls.push('normal'));
+		scheduler.schedule(
+			() => calls.push('userBlocking'),
+			null,
+			scheduler.Priority.USER_BLOCKING
+		);
+		scheduler.schedule(
+			() => calls.push('immediate'),
+			null,
+			scheduler.Priority.IMMEDIATE
+		);
+
+		Promise.resolve().then(function() {
+			assert.deepEqual(['immediate'], calls);
+		});
+		setTimeout(function() {
+			assert.deepEqual(['immediate', 'userBlocking', 'normal', 'idle'], calls);
+			done();
+		}, 0);
+	});
+
+	it('should raise the priority of tasks scheduled again with a higher one', function(
+		done
+	) {
+		const fn = sinon.stub();
+		scheduler.schedule(fn, null, scheduler.Priority.IDLE);
+		scheduler.schedule(fn, null, scheduler.Priority.IMMEDIATE);
+		scheduler.schedule(fn, null, scheduler.Priority.NORMAL);
+
+		Promise.resolve().then(function() {
+			assert.strictEqual(1, fn.callCount);
+			setTimeout(function() {
+				assert.strictEqual(1, fn.callCount);
+				done();
+			}, 0);
+		});
+	});
+
+	it('should run tasks in the order of their depths', function() {
+		const calls = [];
+		scheduler.schedule(
+			() => calls.push('child'),
+			null,
+			scheduler.Priority.NORMAL,
+			1
+		);
+		scheduler.schedule(
+			() => calls.push('grandchild'),
+			null,
+			scheduler.Priority.NORMAL,
+			() => 2
+		);
+		scheduler.schedule(() => calls.push('root'));
+		scheduler.schedule(
+			() => calls.push('sibling'),
+			null,
+			scheduler.Priority.NORMAL,
+			1
+		);
+		scheduler.flush();
+		assert.deepEqual(['root', 'child', 'sibling', 'grandchild'], calls);
+	});
+
+	it('should only order tasks by depth within the same priority', function() {
+		const calls = [];
+		scheduler.schedule(
+			() => calls.push('normal'),
+			null,
+			scheduler.Priority.NORMAL,
+			0
+		);
+		scheduler.schedule(
+			() => calls.push('idle'),
+			null,
+			scheduler.Priority.IDLE,
+			0
+		);
+		scheduler.schedule(
+			() => calls.push('userBlocking'),
+			null,
+			scheduler.Priority.USER_BLOCKING,
+			5
+		);
+		scheduler.flush();
+		assert.deepEqual(['userBlocking', 'normal', 'idle'], calls);
+	});
+
+	it('should run user blocking tasks before normal ones scheduled earlier', function(
+		done
+	) {
+		const calls = [];
+		scheduler.schedule(
+			() => calls.push('normal'),
+			null,
+			scheduler.Priority.NORMAL,
+			0
+		);
+		scheduler.schedule(
+			() => calls.push(scheduler.hasPendingTasks()),
+			null,
+			scheduler.Priority.USER_BLOCKING,
+			5
+		);
+
+		setTimeout(function() {
+			assert.deepEqual([true, 'normal'], calls);
+			done();
+		}, 0);
+	});
+
+	it('should not run normal tasks when flushing user blocking ones', function() {
+		const normal = sinon.stub();
+		const userBlocking = sinon.stub();
+		scheduler.schedule(normal, null, scheduler.Priority.NORMAL, 0);
+		scheduler.schedule(userBlocking, null, scheduler.Priority.USER_BLOCKING, 5);
+		scheduler.flush(scheduler.Priority.USER_BLOCKING);
+		assert.strictEqual(1, userBlocking.callCount);
+		assert.strictEqual(0, normal.callCount);
+	});
+
+	it('should only flush tasks with the given priority or higher', function() {
+		const normal = sinon.stub();
+		const idle = sinon.stub();
+		scheduler.schedule(normal);
+		scheduler.schedule(idle, null, scheduler.Priority.IDLE);
+		scheduler.flush(scheduler.Priority.NORMAL);
+		assert.strictEqual(1, normal.callCount);
+		assert.strictEqual(0, idle.callCount);
+		assert.ok(scheduler.hasPendingTasks());
+	});
+
+	it('should leave tasks scheduled while flushing for the next flush', function() {
+		const fn = sinon.stub();
+		scheduler.schedule(() => scheduler.schedule(fn));
+		scheduler.flush();
+		assert.strictEqual(0, fn.callCount);
+		scheduler.flush();
+		assert.strictEqual(1, fn.callCount);
+	});
+});